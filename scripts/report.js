@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// --- STATIC EXPRESSION REPORT ---
+// Builds a dataset from files on disk with the browser's own parsing and normalization modules and writes
+//   report.html                     every gene, searchable, with its condition profile in each count table (offline)
+//   <table>.tsv                     gene x sample matrix in the chosen metric
+//   <table>_conditions.tsv          per-condition mean, SD and n
+// so pipeline outputs and the browser give the same numbers.
+//
+//   npm run report -- --dataset reanalysis --out report
+//   npm run report -- --counts sense=sense_read_counts --counts antisense=antisense_read_counts \
+//     --summary sense=sense_read_counts.summary --annotation padloc.gff --method tpm --out report
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { dirname, join, resolve, basename } from 'node:path';
+import { gunzipSync } from 'node:zlib';
+import { parseArgs } from 'node:util';
+import { parseManifest, manifestFiles, buildDataset } from '../src/lib/manifest.js';
+import { buildAnnotationIndex } from '../src/lib/annotations.js';
+import { draftSampleSheet, applyDesign } from '../src/lib/design.js';
+import { excludeSamples, librarySizes } from '../src/lib/qc.js';
+import { NORMALIZATION_METHODS, DEFAULT_NORMALIZATION, normalizeTables } from '../src/lib/normalization.js';
+import { tableIds, mapTables, defaultStyle, styleTables, geneUnion, featureUnion, applyIdMap } from '../src/lib/tables.js';
+import { conditionOf, conditionsOf } from '../src/lib/parsers.js';
+import { conditionSummaries } from '../src/lib/profile.js';
+import { matrixToTSV, conditionStatsToTSV, slugify } from '../src/lib/export.js';
+import { reportHtml } from './reportHtml.js';
+
+const USAGE = `Usage: npm run report -- [options]
+
+Input, either a dataset from a manifest:
+  --manifest FILE        dataset manifest (default public/datasets.json)
+  --dataset ID           dataset to load from it
+or files given directly:
+  --counts [NAME=]FILE[,FILE...]   a count table (one file, or per-sample files); repeat for more tables
+  --summary NAME=FILE    featureCounts summary of table NAME
+  --annotation FILE      GFF3, GTF or GenBank file; repeat for more
+  --sample-sheet FILE    sample sheet (sample, condition, time, replicate, batch, include)
+  --id-map FILE          ID mapping table
+
+Options:
+  --out DIR              output directory (default report)
+  --method NAME          ${Object.keys(NORMALIZATION_METHODS).join(', ')} (default ${DEFAULT_NORMALIZATION.method})
+  --no-log               report the metric itself rather than log2(metric + pseudocount)
+  --pseudocount N        default ${DEFAULT_NORMALIZATION.pseudocount}
+  --library self|first   scale the other tables by the first table's libraries (default self)
+  --exclude S1,S2        samples to leave out
+  --title TEXT           report title
+  --max-rows N           genes listed at once in the report's search results (default 300); every gene stays
+                         searchable, and the TSVs linked from the report hold them all
+  -h, --help`;
+
+const OPTIONS = {
+  manifest: { type: 'string' }, dataset: { type: 'string' },
+  counts: { type: 'string', multiple: true }, summary: { type: 'string', multiple: true },
+  annotation: { type: 'string', multiple: true }, 'sample-sheet': { type: 'string' }, 'id-map': { type: 'string' },
+  out: { type: 'string', default: 'report' }, method: { type: 'string', default: DEFAULT_NORMALIZATION.method },
+  'no-log': { type: 'boolean', default: false }, pseudocount: { type: 'string', default: String(DEFAULT_NORMALIZATION.pseudocount) },
+  library: { type: 'string', default: DEFAULT_NORMALIZATION.libraryReference }, exclude: { type: 'string' },
+  title: { type: 'string' }, 'max-rows': { type: 'string', default: '300' }, help: { type: 'boolean', short: 'h', default: false }
+};
+
+const log = (msg) => process.stderr.write(`${msg}\n`);
+
+// Gzipped files are read like the browser reads uploads: by their magic bytes, not their name
+const readText = (path) => {
+  const buf = readFileSync(path);
+  return buf[0] === 0x1f && buf[1] === 0x8b ? gunzipSync(buf).toString('utf8') : buf.toString('utf8');
+};
+
+// NAME=VALUE, or VALUE alone with `fallback` as its name
+const named = (arg, fallback) => {
+  const m = arg.match(/^([A-Za-z][\w-]*)=(.+)$/);
+  return m ? [m[1], m[2]] : [fallback, arg];
+};
+
+// A manifest-shaped dataset for files named on the command line; paths are used as given
+const datasetFromArgs = (values) => {
+  const counts = {}, styles = {}, summaries = {};
+  values.counts.forEach((arg, i) => {
+    const [table, files] = named(arg, `table${i + 1}`);
+    if (counts[table]) throw new Error(`--counts: table "${table}" is given twice`);
+    counts[table] = files.split(',');
+    styles[table] = { label: table };
+  });
+  (values.summary || []).forEach(arg => {
+    const [table, file] = named(arg, tableIds(counts)[0]);
+    if (!counts[table]) throw new Error(`--summary ${arg}: no count table named "${table}"`);
+    summaries[table] = file;
+  });
+  return {
+    id: 'files', label: values.title || 'Expression report', description: '', counts, styles, summaries,
+    annotations: values.annotation || [], sampleSheet: values['sample-sheet'] || null, idMap: values['id-map'] || null
+  };
+};
+
+// Paths relative to the manifest and its base; the dev server also serves the project root there, so fall back to it
+const manifestDataset = (values) => {
+  const path = values.manifest || 'public/datasets.json';
+  const manifest = parseManifest(readText(path));
+  const dataset = manifest.datasets.find(d => d.id === values.dataset);
+  if (!dataset) throw new Error(`${path}: no dataset "${values.dataset}" (have ${manifest.datasets.map(d => d.id).join(', ')})`);
+  const locate = (file) => [join(dirname(path), manifest.base, file), join(manifest.base, file)].find(existsSync) || join(dirname(path), manifest.base, file);
+  return { dataset, locate };
+};
+
+const loadFiles = (dataset, locate) => manifestFiles(dataset).flatMap(f => {
+  const path = locate(f.path);
+  if (existsSync(path)) return [{ ...f, text: readText(path) }];
+  if (f.required) throw new Error(`${path}: not found`);
+  log(`warning: ${path} not found, skipped`);
+  return [];
+});
+
+const round = (v) => (Number.isFinite(v) ? +v.toPrecision(5) : null);
+
+// Everything the page needs, in compact arrays: values[table][gene index][sample index]. `files` are the
+// TSVs written next to the report, which it links to.
+const reportPayload = ({ title, dataset, tables, annotations, summaries, metric, maxRows, files }) => {
+  const ids = tableIds(tables);
+  const genes = geneUnion(tables);
+  const features = new Map(featureUnion(tables).map(f => [f.id, f]));
+  return {
+    title, dataset: dataset.label, metric, generated: new Date().toISOString(), maxRows, files,
+    conditions: conditionsOf(Array.from(new Set(ids.flatMap(id => tables[id].sampleCols))), tables[ids[0]].design),
+    genes: genes.map(g => {
+      const a = annotations[g], f = features.get(g);
+      return [g, a?.geneName || '', a?.product || '', a?.system || '', f ? `${f.chr}:${f.start}-${f.end}(${f.strand})` : ''];
+    }),
+    tables: ids.map(id => {
+      const d = tables[id];
+      const assigned = summaries[id]?.categories?.Assigned;
+      const libs = librarySizes(d);
+      return {
+        id, label: d.label, color: d.color, dash: d.dash, conditions: d.conditions,
+        samples: d.sampleCols.map(s => ({ name: s, condition: conditionOf(s, d.design), counted: Math.round(libs[s]), assigned: assigned?.[s] ?? null })),
+        values: genes.map(g => {
+          const i = d.index.get(g);
+          return i === undefined ? null : d.sampleCols.map(s => round(d.raw[i][s]));
+        })
+      };
+    })
+  };
+};
+
+const main = () => {
+  const { values } = parseArgs({ options: OPTIONS, allowPositionals: false });
+  if (values.help) { log(USAGE); return; }
+  if (!NORMALIZATION_METHODS[values.method]) throw new Error(`--method: use ${Object.keys(NORMALIZATION_METHODS).join(', ')}`);
+  if (!['self', 'first'].includes(values.library)) throw new Error('--library: use self or first');
+  const pseudocount = Number(values.pseudocount);
+  if (!(pseudocount > 0)) throw new Error('--pseudocount: give a positive number');
+  const maxRows = Number(values['max-rows']);
+  if (!Number.isInteger(maxRows) || maxRows < 1) throw new Error('--max-rows: give a positive whole number');
+  if (!values.dataset && !values.counts?.length) throw new Error(`give --dataset or --counts\n\n${USAGE}`);
+
+  const { dataset, locate } = values.dataset ? manifestDataset(values) : { dataset: datasetFromArgs(values), locate: (p) => p };
+  log(`Loading ${dataset.label}`);
+  const loaded = loadFiles(dataset, locate);
+  // Progress arrives every few thousand rows; one line per stage is enough here
+  let stage = null;
+  const onProgress = ({ label }) => { if (label && label !== stage) log(`  ${(stage = label)}`); };
+  const { fileData, summaries, store, sheet, idMap, problems } = buildDataset(dataset, loaded, { onProgress });
+  problems.forEach(p => log(`warning: ${p}`));
+
+  // The browser's order: ID mapping, sample sheet, exclusions, normalization, styles
+  const mapped = mapTables(fileData, d => {
+    const r = applyIdMap(d, idMap?.map);
+    r.clashes.forEach(c => log(`warning: ID map clash, kept ${c}`));
+    return r.data;
+  });
+  const samples = Array.from(new Set(tableIds(mapped).flatMap(id => mapped[id].sampleCols)));
+  const designed = mapTables(mapped, d => applyDesign(d, sheet || draftSampleSheet(samples)));
+  const excluded = values.exclude ? values.exclude.split(',').map(s => s.trim()).filter(Boolean) : [];
+  excluded.filter(s => !samples.includes(s)).forEach(s => log(`warning: --exclude ${s}: no such sample`));
+  const normalization = { method: values.method, log: !values['no-log'], pseudocount, libraryReference: values.library };
+  const normalized = normalizeTables(mapTables(designed, d => excludeSamples(d, excluded)), normalization, summaries);
+  const tables = styleTables(normalized, Object.fromEntries(tableIds(normalized).map((id, i) => [id, defaultStyle(i, dataset.styles[id])])));
+  const annotations = buildAnnotationIndex(store, { geneList: geneUnion(tables), features: featureUnion(tables) });
+
+  const out = resolve(values.out);
+  mkdirSync(out, { recursive: true });
+  const written = [];
+  const write = (name, text) => { writeFileSync(join(out, name), text); written.push(name); };
+  tableIds(tables).forEach(id => {
+    const d = tables[id];
+    write(`${slugify(id)}.tsv`, matrixToTSV(d));
+    const rows = d.geneList.map(gene => ({ gene, dataset: d.label, values: conditionSummaries(d, gene) }));
+    write(`${slugify(id)}_conditions.tsv`, conditionStatsToTSV(rows, d.conditions, d.metric));
+  });
+  const metric = tables[tableIds(tables)[0]].metric;
+  write('report.html', reportHtml(reportPayload({ title: values.title || dataset.label, dataset, tables, annotations, summaries, metric, maxRows, files: [...written] })));
+  log(`Wrote ${written.map(f => join(basename(out), f)).join(', ')}`);
+};
+
+try {
+  main();
+} catch (err) {
+  log(`error: ${err.message}`);
+  process.exitCode = 1;
+}
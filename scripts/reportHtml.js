@@ -0,0 +1,161 @@
+// --- REPORT PAGE ---
+// One self-contained HTML file: the payload from scripts/report.js sits in a JSON script tag and a small
+// dependency-free script draws the gene list, the search and the profile chart, so the report opens offline.
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+// Keeps "</script>" and friends in gene products from closing the data tag
+const embedJson = (payload) => JSON.stringify(payload).replace(/</g, '\\u003c');
+
+const STYLE = `
+  body { margin: 0; font: 13px/1.4 system-ui, sans-serif; color: #1e293b; background: #f8fafc; }
+  header { padding: 16px 24px; background: #fff; border-bottom: 1px solid #e2e8f0; }
+  h1 { margin: 0; font-size: 20px; } h2 { font-size: 13px; text-transform: uppercase; letter-spacing: .08em; color: #94a3b8; margin: 0 0 8px; }
+  .meta { color: #64748b; font-size: 12px; margin-top: 4px; }
+  main { display: grid; grid-template-columns: minmax(320px, 2fr) 3fr; gap: 16px; padding: 16px 24px; }
+  section { background: #fff; border: 1px solid #e2e8f0; border-radius: 12px; padding: 16px; min-width: 0; }
+  input { width: 100%; box-sizing: border-box; padding: 8px 10px; border: 1px solid #cbd5e1; border-radius: 8px; font: inherit; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #f1f5f9; vertical-align: top; }
+  th { color: #64748b; font-weight: 600; }
+  .list { max-height: 70vh; overflow-y: auto; margin-top: 8px; }
+  .list tr { cursor: pointer; } .list tr:hover { background: #eff6ff; } .list tr.on { background: #dbeafe; }
+  .mono { font-family: ui-monospace, monospace; } .muted { color: #94a3b8; } .sys { color: #047857; font-weight: 600; }
+  .legend span { display: inline-flex; align-items: center; gap: 4px; margin-right: 12px; font-weight: 600; }
+  .wide { grid-column: 1 / -1; }
+  a { color: #2563eb; }
+`;
+
+// Runs in the page; `D` is the payload
+const SCRIPT = `
+const D = JSON.parse(document.getElementById('data').textContent);
+const MAX_ROWS = D.maxRows;
+const el = (tag, attrs = {}, ...kids) => {
+  const node = tag.startsWith('svg:') ? document.createElementNS('http://www.w3.org/2000/svg', tag.slice(4)) : document.createElement(tag);
+  Object.entries(attrs).forEach(([k, v]) => (k === 'onclick' ? node.addEventListener('click', v) : node.setAttribute(k, v)));
+  kids.flat().forEach(k => node.append(k instanceof Node ? k : document.createTextNode(k)));
+  return node;
+};
+const fmt = (v, d = 2) => (v === null || !Number.isFinite(v) ? 'NA' : v.toFixed(d));
+const haystack = D.genes.map(g => g.join(' ').toLowerCase());
+let current = location.hash ? decodeURIComponent(location.hash.slice(1)) : D.genes[0]?.[0];
+
+// Mean and sample SD of one gene's replicates per condition, for every table
+const summaries = (gi) => D.tables.map(t => {
+  const vals = t.values[gi];
+  return D.conditions.map(c => {
+    const xs = vals ? t.samples.map((s, j) => (s.condition === c ? vals[j] : null)).filter(v => v !== null) : [];
+    const n = xs.length, mean = n ? xs.reduce((a, b) => a + b, 0) / n : NaN;
+    const sd = n > 1 ? Math.sqrt(xs.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1)) : NaN;
+    return { n, mean, sd, xs };
+  });
+});
+
+const drawChart = (gi) => {
+  const stats = summaries(gi);
+  const W = 640, H = 320, L = 48, R = 16, T = 12, B = 32;
+  const all = stats.flat().flatMap(s => [...s.xs, s.mean - (s.sd || 0), s.mean + (s.sd || 0)]).filter(Number.isFinite);
+  let lo = Math.min(...all, 0), hi = Math.max(...all, 1);
+  if (hi === lo) hi = lo + 1;
+  const x = (i) => L + (D.conditions.length > 1 ? (i / (D.conditions.length - 1)) * (W - L - R) : (W - L - R) / 2);
+  const y = (v) => T + (1 - (v - lo) / (hi - lo)) * (H - T - B);
+  const svg = el('svg:svg', { viewBox: \`0 0 \${W} \${H}\`, width: '100%', 'font-size': 11, 'font-family': 'sans-serif' });
+  for (let k = 0; k <= 4; k++) {
+    const v = lo + (k / 4) * (hi - lo);
+    svg.append(el('svg:line', { x1: L, x2: W - R, y1: y(v), y2: y(v), stroke: '#f1f5f9' }), el('svg:text', { x: L - 6, y: y(v) + 4, 'text-anchor': 'end', fill: '#64748b' }, fmt(v, 1)));
+  }
+  D.conditions.forEach((c, i) => svg.append(el('svg:text', { x: x(i), y: H - 10, 'text-anchor': 'middle', fill: '#475569' }, c)));
+  stats.forEach((per, t) => {
+    const { color, dash } = D.tables[t];
+    const pts = per.map((s, i) => ({ ...s, i })).filter(s => s.n);
+    const sdPts = pts.filter(s => Number.isFinite(s.sd));
+    if (sdPts.length > 1) {
+      const up = sdPts.map(s => \`\${x(s.i)},\${y(s.mean + s.sd)}\`), down = sdPts.map(s => \`\${x(s.i)},\${y(s.mean - s.sd)}\`).reverse();
+      svg.append(el('svg:polygon', { points: [...up, ...down].join(' '), fill: color, 'fill-opacity': 0.15 }));
+    }
+    if (pts.length > 1) svg.append(el('svg:polyline', { points: pts.map(s => \`\${x(s.i)},\${y(s.mean)}\`).join(' '), fill: 'none', stroke: color, 'stroke-width': 2.5, 'stroke-dasharray': dash || '' }));
+    pts.forEach(s => {
+      s.xs.forEach(v => svg.append(el('svg:circle', { cx: x(s.i), cy: y(v), r: 2.5, fill: color, 'fill-opacity': 0.45 })));
+      svg.append(el('svg:circle', { cx: x(s.i), cy: y(s.mean), r: 4, fill: '#fff', stroke: color, 'stroke-width': 2 }));
+    });
+  });
+  return { svg, stats };
+};
+
+const showGene = (id) => {
+  const gi = D.genes.findIndex(g => g[0] === id);
+  const box = document.getElementById('profile');
+  box.replaceChildren();
+  if (gi < 0) { box.append(el('p', { class: 'muted' }, 'Pick a gene from the list.')); return; }
+  current = id;
+  history.replaceState(null, '', '#' + encodeURIComponent(id));
+  const [gid, name, product, system, loc] = D.genes[gi];
+  const { svg, stats } = drawChart(gi);
+  box.append(
+    el('h1', {}, gid, name && name !== gid ? el('span', { class: 'muted' }, ' (' + name + ')') : ''),
+    el('div', { class: 'meta' }, product || '---', system ? el('span', { class: 'sys' }, ' · ' + system) : '', loc ? ' · ' + loc : ''),
+    el('div', { class: 'legend', style: 'margin: 12px 0 4px' }, D.tables.map(t => el('span', {}, el('svg:svg', { width: 24, height: 8 }, el('svg:line', { x1: 0, x2: 24, y1: 4, y2: 4, stroke: t.color, 'stroke-width': 2.5, 'stroke-dasharray': t.dash || '' })), t.label))),
+    svg,
+    el('table', {},
+      el('tr', {}, el('th', {}, 'Condition'), D.tables.map(t => el('th', {}, t.label + ' mean ± SD (n)'))),
+      D.conditions.map((c, i) => el('tr', {}, el('td', {}, c), stats.map(per => el('td', { class: 'mono' }, per[i].n ? fmt(per[i].mean) + ' ± ' + fmt(per[i].sd) + ' (' + per[i].n + ')' : 'NA')))))
+  );
+  renderList();
+};
+
+const renderList = () => {
+  const q = document.getElementById('search').value.trim().toLowerCase();
+  const terms = q.split(/\\s+/).filter(Boolean);
+  const hits = [];
+  for (let i = 0; i < D.genes.length; i++) if (terms.every(t => haystack[i].includes(t))) hits.push(i);
+  document.getElementById('count').textContent = hits.length.toLocaleString() + ' of ' + D.genes.length.toLocaleString() + ' genes' + (hits.length > MAX_ROWS ? ' (first ' + MAX_ROWS + ' listed; narrow the search, or see the TSVs above for every gene)' : '');
+  const body = document.getElementById('rows');
+  body.replaceChildren(...hits.slice(0, MAX_ROWS).map(i => {
+    const [id, name, product, system] = D.genes[i];
+    return el('tr', { class: id === current ? 'on' : '', onclick: () => showGene(id) },
+      el('td', { class: 'mono' }, id), el('td', {}, name), el('td', {}, product, system ? el('div', { class: 'sys' }, system) : ''));
+  }));
+};
+
+const renderSamples = () => {
+  document.getElementById('samples').append(el('table', {},
+    el('tr', {}, ['Table', 'Sample', 'Condition', 'Counted reads', 'Assigned (summary)'].map(h => el('th', {}, h))),
+    D.tables.flatMap(t => t.samples.map(s => el('tr', {},
+      el('td', {}, t.label), el('td', { class: 'mono' }, s.name), el('td', {}, s.condition),
+      el('td', { class: 'mono' }, s.counted.toLocaleString()), el('td', { class: 'mono' }, s.assigned === null ? '---' : s.assigned.toLocaleString()))))));
+};
+
+document.getElementById('search').addEventListener('input', renderList);
+renderSamples();
+showGene(current);
+`;
+
+export const reportHtml = (payload) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(payload.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(payload.title)}</h1>
+  <div class="meta">${escapeHtml(payload.dataset)} · ${payload.genes.length.toLocaleString('en')} genes · ${payload.tables.map(t => escapeHtml(t.label)).join(', ')} · metric ${escapeHtml(payload.metric)} · generated ${escapeHtml(payload.generated)}</div>
+  <div class="meta">Data: ${payload.files.map(f => `<a href="${escapeHtml(encodeURI(f))}">${escapeHtml(f)}</a>`).join(' · ')}</div>
+</header>
+<main>
+  <section>
+    <h2>Genes</h2>
+    <input id="search" type="search" placeholder="Search ID, gene name, product or defense system" autofocus>
+    <div id="count" class="meta"></div>
+    <div class="list"><table><thead><tr><th>ID</th><th>Name</th><th>Product</th></tr></thead><tbody id="rows"></tbody></table></div>
+  </section>
+  <section id="profile"></section>
+  <section id="samples" class="wide"><h2>Samples</h2></section>
+</main>
+<script id="data" type="application/json">${embedJson(payload)}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
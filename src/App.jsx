@@ -1,281 +1,481 @@
-import React, { useState, useMemo, useRef } from 'react';
-import { ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Area } from 'recharts';
-import { Search, Trash2, BarChart2, Info, FileText, Loader2, FileCode, ExternalLink, ArrowUpDown, X, Database, AlertCircle, Table, ShieldCheck, HelpCircle } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useEffectEvent, useDeferredValue, useRef } from 'react';
+import { Trash2, BarChart2, Info, FileText, Loader2, FileCode, ExternalLink, ArrowUpDown, X, Database, AlertCircle, Table, ShieldCheck, HelpCircle, Dna, Activity, ClipboardCheck, Download, Compass, Network, Layers, Grid3x3, Repeat, Sheet, Link2, Save, FolderOpen, Plus, ArrowRightLeft, Scissors, Sigma } from 'lucide-react';
+import { parseSummary, samplesForCondition, conditionsOf, conditionTimes } from './lib/parsers.js';
+import { draftSampleSheet, applyDesign } from './lib/design.js';
+import { COUNT_FORMATS } from './lib/formats.js';
+import { readTextFile, filePath } from './utils/readFile.js';
+import { resolveUrl, checkUrl, fetchText } from './utils/fetchData.js';
+import { parseManifest, manifestFiles, availabilityReport } from './lib/manifest.js';
+import { encodeHash, decodeHash, sessionToJSON, parseSession, inputMismatches } from './lib/session.js';
+import { parseInWorker } from './utils/parseInWorker.js';
+import { valueRow, countRow } from './lib/store.js';
+import { parseQuery, compileQuery } from './lib/query.js';
+import { ERROR_STATS, PROFILE_DISPLAYS, DEFAULT_PLOT_OPTIONS, summarizeReplicates } from './lib/profile.js';
+import { addAnnotationSource, sourceKeyOf, buildAnnotationIndex, sourceBadge, sourceLabel } from './lib/annotations.js';
+import { excludeSamples } from './lib/qc.js';
+import { LINE_STYLES, tableIds, firstTable, defaultStyle, styleTables, mapTables, nextTableId, geneUnion, featureUnion, strandPair, applyIdMap } from './lib/tables.js';
+import { NORMALIZATION_METHODS, DEFAULT_NORMALIZATION, normalizeTables } from './lib/normalization.js';
+import { matrixToTSV, conditionStatsToTSV, slugify } from './lib/export.js';
+import { downloadText } from './utils/download.js';
+import GenomeBrowser from './components/GenomeBrowser.jsx';
+import DifferentialPanel from './components/DifferentialPanel.jsx';
+import QCPanel from './components/QCPanel.jsx';
+import DefensePanel from './components/DefensePanel.jsx';
+import NeighbourhoodPanel from './components/NeighbourhoodPanel.jsx';
+import SourceBadges from './components/SourceBadges.jsx';
+import CoexpressionPanel from './components/CoexpressionPanel.jsx';
+import ClusteringPanel from './components/ClusteringPanel.jsx';
+import HeatmapPanel from './components/HeatmapPanel.jsx';
+import AntisensePanel from './components/AntisensePanel.jsx';
+import CrisprPanel from './components/CrisprPanel.jsx';
+import EnrichmentPanel from './components/EnrichmentPanel.jsx';
+import SampleSheetPanel from './components/SampleSheetPanel.jsx';
+import DatasetPicker from './components/DatasetPicker.jsx';
+import GeneList from './components/GeneList.jsx';
+import QueryBox from './components/QueryBox.jsx';
+import ProfileChart from './components/ProfileChart.jsx';
 
 // --- CONFIGURATION ---
-const REMOTE_CONFIG = {
-  reanalysis: {
-    username: "VicenteBR", 
-    repo: "Boldt-et-al-2023-reanalysis",
-    branch: "main",
-    folder: "DATA",
-    files: {
-      sense: "/counts_diffexpress/all_genes/sense_read_counts",
-      antisense: "/counts_diffexpress/all_genes/antisense_read_counts",
-      annotation: "/annotation_files/CP102233_annotation.gff3"
-    }
-  },
-  defense: {
-    username: "VicenteBR", 
-    repo: "Boldt-et-al-2023-reanalysis",
-    branch: "main",
-    folder: "DATA",
-    files: {
-      sense: "/counts_diffexpress/defense_systems/defense_read_counts", 
-      annotation: "/annotation_files/CP102233_padloc.gff" 
-    }
-  }
-};
+// Served from public/; paths inside it resolve relative to it
+const MANIFEST_PATH = 'datasets.json';
 
-const CustomTooltip = ({ active, payload, label, annotations }) => {
-  if (!active || !payload || !payload.length) return null;
+// Named queries from the search box, kept per browser
+const SAVED_QUERIES_KEY = 'rnaseq-browser.savedQueries';
 
+const loadSavedQueries = () => {
   try {
-    const grouped = {};
-    payload.forEach(item => {
-      if (!item || !item.name) return;
-      const geneId = item.name.split(' (')[0];
-      if (!grouped[geneId]) grouped[geneId] = [];
-      grouped[geneId].push(item);
-    });
-
-    return (
-      <div className="bg-white p-4 rounded-2xl shadow-2xl border border-slate-100 min-w-[220px] z-50">
-        <p className="text-xs font-black text-slate-400 uppercase tracking-widest mb-3 border-b pb-2">{label || 'Unknown Timepoint'}</p>
-        <div className="space-y-4">
-          {Object.entries(grouped).map(([geneId, items]) => {
-            const ann = annotations?.[geneId];
-            return (
-              <div key={geneId}>
-                <div className="flex items-center gap-2 mb-1">
-                  <div className="w-2 h-2 rounded-full" style={{ backgroundColor: items[0]?.color || '#cbd5e1' }} />
-                  <p className="text-sm font-bold text-slate-800">
-                    {ann?.geneName || geneId}
-                  </p>
-                </div>
-                <div className="space-y-1 pl-4">
-                  {items.map((item, idx) => {
-                    const itemName = item?.name || "";
-                    const isD1 = itemName.includes('D1') || itemName.includes('Sense') || (!itemName.includes('D2') && !itemName.includes('Antisense'));
-                    return (
-                      <div key={idx} className="text-[11px] font-medium text-slate-500 flex justify-between gap-4">
-                        <span>{isD1 ? 'Dataset 1' : 'Dataset 2'}:</span>
-                        <span className="font-mono font-bold text-slate-700">
-                          {typeof item?.value === 'number' && !isNaN(item.value) ? item.value.toFixed(2) : 'N/A'}
-                        </span>
-                      </div>
-                    );
-                  })}
-                </div>
-              </div>
-            );
-          })}
-        </div>
-      </div>
-    );
-  } catch (err) {
-    return null; 
-  }
+    const list = JSON.parse(localStorage.getItem(SAVED_QUERIES_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(q => q?.name && typeof q.query === 'string') : [];
+  } catch { return []; }
 };
 
+const DATASET_BUTTONS = ['bg-indigo-600 hover:bg-indigo-700', 'bg-emerald-600 hover:bg-emerald-700', 'bg-amber-600 hover:bg-amber-700', 'bg-slate-700 hover:bg-slate-800'];
+
+const VIEWS = [
+  { id: 'profile', label: 'Expression Profile', icon: BarChart2 },
+  { id: 'genome', label: 'Genome Browser', icon: Dna },
+  { id: 'de', label: 'Differential', icon: Activity },
+  { id: 'defense', label: 'Defense Systems', icon: ShieldCheck },
+  { id: 'neighbourhood', label: 'Neighbourhood', icon: Compass },
+  { id: 'crispr', label: 'CRISPR', icon: Scissors },
+  { id: 'clusters', label: 'Patterns', icon: Layers },
+  { id: 'heatmap', label: 'Heatmap', icon: Grid3x3 },
+  { id: 'enrichment', label: 'Enrichment', icon: Sigma },
+  { id: 'antisense', label: 'Antisense', icon: Repeat },
+  { id: 'design', label: 'Sample Sheet', icon: Sheet },
+  { id: 'qc', label: 'Sample QC', icon: ClipboardCheck }
+];
+
+const EMPTY_INPUTS = { annotations: [] };
+
 const App = () => {
-  const [fileData, setFileData] = useState({ sense: null, antisense: null });
-  const [annotations, setAnnotations] = useState({});
-  const [currentMode, setCurrentMode] = useState('sense'); 
-  const [selectedGenes, setSelectedGenes] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
+  // Read once, before the hash is rewritten from state
+  const [initialHash] = useState(() => decodeHash(window.location.hash));
+  // Count tables and their display styles, keyed by table id (see lib/tables.js)
+  const [fileData, setFileData] = useState({});
+  // The tables as of the latest upload, so uploads finishing before a re-render do not pick the same id
+  const latestFileData = useRef(fileData);
+  useEffect(() => { latestFileData.current = fileData; }, [fileData]);
+  const [tableStyles, setTableStyles] = useState({});
+  const [idMap, setIdMap] = useState(null);
+  const [annotationStore, setAnnotationStore] = useState({});
+  const [sourceFilters, setSourceFilters] = useState([]);
+  const [summaries, setSummaries] = useState({});
+  const [excludedSamples, setExcludedSamples] = useState([]);
+  const [sampleSheet, setSampleSheet] = useState(null);
+  const [timeAxis, setTimeAxis] = useState(false);
+  const [plotOptions, setPlotOptions] = useState(DEFAULT_PLOT_OPTIONS);
+  const [normalization, setNormalization] = useState(DEFAULT_NORMALIZATION);
+  const [activeView, setActiveView] = useState(() => (VIEWS.some(v => v.id === initialHash.view) ? initialHash.view : 'profile'));
+  const [shownTables, setShownTables] = useState(() => initialHash.show || []);
+  const [selectedGenes, setSelectedGenes] = useState(() => (initialHash.genes || []).slice(0, 7));
+  const [coexpressionGene, setCoexpressionGene] = useState(null);
+  const [heatmapSet, setHeatmapSet] = useState(null);
+  const [enrichmentSet, setEnrichmentSet] = useState(null);
+  const [gmtFiles, setGmtFiles] = useState([]);
+  const [searchTerm, setSearchTerm] = useState(initialHash.search || '');
+  const [savedQueries, setSavedQueries] = useState(loadSavedQueries);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [isPrecomputed, setIsPrecomputed] = useState(false);
   const [loadStatus, setLoadStatus] = useState(null);
-  const [sortConfig, setSortConfig] = useState({ key: 'id', direction: 'asc' });
+  const [manifest, setManifest] = useState(null);
+  const [manifestError, setManifestError] = useState(null);
+  const [availability, setAvailability] = useState({});
+  const [sortConfig, setSortConfig] = useState(initialHash.sort || { key: 'id', direction: 'asc' });
+  const [loadedDataset, setLoadedDataset] = useState(null);
+  const [inputs, setInputs] = useState(EMPTY_INPUTS);
+  // The hash is only written once a linked dataset has been restored, so a slow load cannot overwrite the link
+  const [hashReady, setHashReady] = useState(!initialHash.dataset);
 
-  const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#06b6d4'];
+  // Tables shown in the profile, its table and the search; at least one while any is loaded
+  const visibleTables = useMemo(() => {
+    const ids = tableIds(fileData);
+    const shown = ids.filter(id => shownTables.includes(id));
+    return shown.length ? shown : ids.slice(0, 1);
+  }, [fileData, shownTables]);
+  const toggleTable = (id) => setShownTables(visibleTables.includes(id) ? visibleTables.filter(t => t !== id) : tableIds(fileData).filter(t => t === id || visibleTables.includes(t)));
 
-  const processGFF = (text) => {
-    if (!text || text.includes('<!DOCTYPE html>')) return {};
-    const map = {};
-    const lines = text.split('\n');
-    lines.forEach(line => {
-      if (line.startsWith('#') || line.trim() === '') return;
-      const cols = line.split('\t');
-      if (cols.length < 9) return;
-      const attrString = cols[8];
-      const attrs = {};
-      attrString.split(';').forEach(pair => {
-        let [key, ...rest] = pair.split('=');
-        let val = rest.join('=');
-        if (key && val) {
-          try { attrs[key.trim()] = decodeURIComponent(val.trim()); } 
-          catch (e) { attrs[key.trim()] = val.trim(); }
-        }
-      });
+  const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#06b6d4'];
 
-      const id_attr = attrs['ID'];
-      const locus = attrs['locus_tag'];
-      const name = attrs['Name'] || attrs['gene'];
-      let system = null;
-      if (attrs['Note'] && attrs['Note'].startsWith('system:')) {
-        system = attrs['Note'].replace('system:', '');
-      }
-      const product = attrs['product'] || attrs['description'] || (system ? `Defense system: ${system}` : null) || attrs['Note'] || "Hypothetical protein";
-      const entry = { product, geneName: name, system: system, locus: locus || id_attr };
-      if (id_attr) map[id_attr] = entry;
-      if (locus) map[locus] = entry;
-      if (name) map[name] = entry;
-    });
-    return map;
+  // Session state the hash does not carry is only set when present, so a link keeps the current defaults
+  const applySession = (state) => {
+    if (VIEWS.some(v => v.id === state.view)) setActiveView(state.view);
+    if (state.show) setShownTables(state.show);
+    if (state.tables) setTableStyles(prev => ({ ...prev, ...state.tables }));
+    if (state.genes) setSelectedGenes(state.genes.slice(0, 7));
+    if (state.search !== undefined) setSearchTerm(state.search);
+    if (state.sort) setSortConfig(state.sort);
+    if (state.normalization) setNormalization({ ...DEFAULT_NORMALIZATION, ...state.normalization });
+    if (state.excludedSamples) setExcludedSamples(state.excludedSamples);
+    if (state.sampleSheet !== undefined) setSampleSheet(state.sampleSheet);
+    if (state.timeAxis !== undefined) setTimeAxis(state.timeAxis);
+    if (state.plot) setPlotOptions({ ...DEFAULT_PLOT_OPTIONS, ...state.plot });
+    if (state.sourceFilters) setSourceFilters(state.sourceFilters);
   };
 
-  const processData = (text) => {
+  const restoreFromHash = useEffectEvent(async (source) => {
+    if (!initialHash.dataset) return;
+    const dataset = source.datasets.find(d => d.id === initialHash.dataset);
+    if (!dataset) setLoadStatus({ type: 'error', msg: `Linked dataset "${initialHash.dataset}" is not in ${source.name}` });
+    else if (await loadDataset(dataset, { partial: true, source })) applySession(initialHash);
+    setHashReady(true);
+  });
+
+  useEffect(() => {
+    const url = new URL(`${import.meta.env.BASE_URL}${MANIFEST_PATH}`, window.location.href).href;
+    fetchText(url, MANIFEST_PATH)
+      .then(text => {
+        const source = { ...parseManifest(text), url, name: MANIFEST_PATH };
+        setManifest(source);
+        restoreFromHash(source);
+      })
+      .catch(err => { setManifestError(`${MANIFEST_PATH}: ${err.message}`); setHashReady(true); });
+  }, []);
+
+  useEffect(() => {
+    if (!hashReady) return;
+    const hash = encodeHash({ dataset: loadedDataset, view: activeView, show: loadedDataset ? visibleTables : null, genes: selectedGenes, search: searchTerm, sort: sortConfig });
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+  }, [hashReady, loadedDataset, activeView, visibleTables, selectedGenes, searchTerm, sortConfig]);
+
+  // Uploaded manifests resolve relative paths against the app itself, like the bundled one
+  const handleManifestUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
     try {
-      if (!text || text.includes('<!DOCTYPE html>')) return null;
-      const lines = text.split('\n').filter(line => line.trim() !== '' && !line.startsWith('#'));
-      if (lines.length < 2) return null;
-      const headers = lines[0].split('\t');
-      if (headers.length < 7) return null; 
-      const sampleCols = headers.slice(6);
-      const rows = lines.slice(1).map(line => {
-        const parts = line.split('\t');
-        return {
-          Geneid: parts[0], Chr: parts[1], Start: parts[2], End: parts[3], Strand: parts[4],
-          Length: parseFloat(parts[5]),
-          counts: parts.slice(6).map(val => parseFloat(val) || 0)
-        };
-      });
-      const rawCounts = rows.map(row => {
-        const entry = { Geneid: row.Geneid };
-        sampleCols.forEach((s, i) => { entry[s] = row.counts[i]; });
-        return entry;
-      });
-      const rpkMatrix = rows.map(row => ({
-        Geneid: row.Geneid,
-        rpk: row.counts.map(c => c / (row.Length / 1000 || 1))
-      }));
-      const sampleTotals = sampleCols.map((_, i) => rpkMatrix.reduce((sum, row) => sum + row.rpk[i], 0) / 1000000);
-      const log2tpm = rpkMatrix.map((row, idx) => {
-        const tpmValues = row.rpk.map((val, i) => Math.log2((val / (sampleTotals[i] || 1)) + 1));
-        const entry = { Geneid: row.Geneid, Chr: rows[idx].Chr, Strand: rows[idx].Strand };
-        sampleCols.forEach((s, i) => { entry[s] = tpmValues[i]; });
-        return entry;
-      });
-      const conditions = Array.from(new Set(sampleCols.map(s => s.split('_')[0])))
-        .sort((a, b) => a.localeCompare(b, undefined, {numeric: true, sensitivity: 'base'}));
-      return { raw: log2tpm, rawCounts, conditions, sampleCols, geneList: log2tpm.map(r => r.Geneid) };
-    } catch (err) { return null; }
+      const url = new URL(import.meta.env.BASE_URL, window.location.href).href;
+      setManifest({ ...parseManifest(await readTextFile(file)), url, name: file.name });
+      setManifestError(null);
+      setAvailability({});
+    } catch (err) { setManifestError(`${file.name}: ${err.message}`); }
+  };
+
+  const checkDataset = async (dataset, source = manifest) => {
+    const base = resolveUrl(source.base, source.url);
+    const files = manifestFiles(dataset).map(f => ({ ...f, url: resolveUrl(f.path, base) }));
+    setAvailability(prev => ({ ...prev, [dataset.id]: files }));
+    const checked = await Promise.all(files.map(async (f) => ({ ...f, available: await checkUrl(f.url) })));
+    setAvailability(prev => ({ ...prev, [dataset.id]: checked }));
+    return checked;
   };
 
-  const loadDataFromRemote = async (type) => {
+  // Checks every file first; an incomplete dataset only loads once the report has been seen (partial = true).
+  // Resolves to the checksums of the loaded inputs, or null when nothing was loaded.
+  const loadDataset = async (dataset, { partial = false, source = manifest } = {}) => {
     setIsProcessing(true);
     setLoadStatus(null);
-    const config = REMOTE_CONFIG[type];
-    const base = `https://raw.githubusercontent.com/${config.username}/${config.repo}/${config.branch}/${config.folder}`.replace(/\/$/, "");
-    
     try {
-      const fetchF = async (path) => {
-        if (!path) return null;
-        const cleanPath = path.startsWith('/') ? path.substring(1) : path;
-        const res = await fetch(`${base}/${cleanPath}`);
-        if (!res.ok) throw new Error(`${path} not found`);
-        return res.text();
-      };
-      const [sTxt, aTxt, gTxt] = await Promise.all([
-        fetchF(config.files.sense),
-        fetchF(config.files.antisense),
-        fetchF(config.files.annotation)
-      ]);
-      const sData = processData(sTxt);
-      const aData = processData(aTxt);
-      const ann = processGFF(gTxt);
-      setFileData({ sense: sData, antisense: aData });
-      setAnnotations(ann);
+      const files = await checkDataset(dataset, source);
+      const report = availabilityReport(files);
+      if (!report.loadable) throw new Error(`${dataset.label}: count files unavailable (${report.missing.filter(f => f.required).map(f => f.path).join(', ')})`);
+      if (!report.complete && !partial) {
+        setLoadStatus({ type: 'error', msg: `${dataset.label}: ${report.missing.length} of ${files.length} files unavailable; see the report and load the rest` });
+        return null;
+      }
+      const problems = report.missing.map(f => `${f.path} unavailable`);
+      const loaded = (await Promise.all(files.filter(f => f.available).map(async (f) => {
+        try { return { ...f, text: await fetchText(f.url, f.path) }; }
+        catch (err) { problems.push(err.message); return null; }
+      }))).filter(Boolean);
+      const { fileData: data, summaries: sums, store, sheet, idMap: map, problems: parseProblems, checksums } = await parseInWorker('dataset', { dataset, loaded }, setProgress);
+      problems.push(...parseProblems);
+      setFileData(data);
+      setTableStyles(Object.fromEntries(tableIds(data).map((id, i) => [id, defaultStyle(i, dataset.styles[id])])));
+      setShownTables(tableIds(data));
+      setIdMap(map);
+      setAnnotationStore(store);
+      setSourceFilters([]);
+      setSummaries(sums);
+      setExcludedSamples([]);
+      setSampleSheet(sheet);
       setSelectedGenes([]);
       setIsPrecomputed(true);
-      setCurrentMode(sData && aData ? 'both' : (sData ? 'sense' : 'antisense'));
-      setLoadStatus({ type: 'info', msg: `${type === 'reanalysis' ? 'Full Reanalysis' : 'Defense Systems'} loaded.` });
-    } catch (err) { setLoadStatus({ type: 'error', msg: err.message }); } finally { setIsProcessing(false); }
+      setInputs(checksums);
+      setLoadedDataset(dataset.id);
+      setLoadStatus({ type: 'info', msg: problems.length ? `${dataset.label} loaded without: ${problems.join('; ')}` : `${dataset.label} loaded.` });
+      return checksums;
+    } catch (err) {
+      setLoadStatus({ type: 'error', msg: err.message });
+      return null;
+    } finally { setIsProcessing(false); setProgress(null); }
+  };
+
+  const saveSession = () => {
+    const state = { view: activeView, show: visibleTables, tables: tableStyles, genes: selectedGenes, search: searchTerm, sort: sortConfig, normalization, excludedSamples, sampleSheet, timeAxis, plot: plotOptions, sourceFilters };
+    downloadText(`session_${loadedDataset || 'uploaded'}.json`, sessionToJSON({ dataset: loadedDataset, inputs, state }), 'application/json');
+  };
+
+  // A session naming a manifest dataset loads it (unless it is already loaded); one made from uploads is checked
+  // against the files loaded now, and mismatches are reported but do not stop the state from being applied
+  const handleSessionUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const session = parseSession(await readTextFile(file));
+      let current = inputs;
+      if (session.dataset && session.dataset !== loadedDataset) {
+        const dataset = manifest?.datasets.find(d => d.id === session.dataset);
+        if (!dataset) throw new Error(`dataset "${session.dataset}" is not in ${manifest?.name || 'the manifest'}`);
+        current = await loadDataset(dataset, { partial: true });
+        if (!current) return;
+      }
+      applySession(session.state);
+      const mismatches = inputMismatches(session.inputs, current);
+      setLoadStatus(mismatches.length
+        ? { type: 'error', msg: `${file.name} applied, but the inputs differ: ${mismatches.join('; ')}` }
+        : { type: 'info', msg: `${file.name} restored${session.savedAt ? ` (saved ${session.savedAt.slice(0, 10)})` : ''}.` });
+    } catch (err) { setLoadStatus({ type: 'error', msg: `${file.name}: ${err.message}` }); }
   };
 
-  const handleFileUpload = (event, mode) => {
+  const copyLink = () => navigator.clipboard.writeText(window.location.href)
+    .then(() => setLoadStatus({ type: 'info', msg: 'Link to this view copied.' }))
+    .catch(() => setLoadStatus({ type: 'error', msg: 'Could not copy the link; copy it from the address bar.' }));
+
+  // One featureCounts table / count matrix, or one Salmon, kallisto or HTSeq file per sample (optionally gzipped).
+  // Every upload adds a table next to the loaded ones.
+  const handleFileUpload = async (event) => {
     if (isPrecomputed) return;
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (!files.length) return;
+    setIsProcessing(true);
+    setLoadStatus(null);
+    try {
+      const { data, format, warnings, checksums } = await parseInWorker('counts', { files: files.map(file => ({ name: filePath(file), file })) }, setProgress);
+      const id = nextTableId(latestFileData.current);
+      const style = defaultStyle(tableIds(latestFileData.current).length);
+      latestFileData.current = { ...latestFileData.current, [id]: data };
+      setFileData(prev => ({ ...prev, [id]: data }));
+      setTableStyles(prev => ({ ...prev, [id]: style }));
+      setShownTables(prev => [...prev, id]);
+      setInputs(prev => ({ ...prev, [id]: checksums }));
+      setLoadStatus({ type: 'info', msg: `${style.label}: ${COUNT_FORMATS[format]}, ${data.geneList.length} genes × ${data.sampleCols.length} samples${warnings.length ? ` — ${warnings.join('; ')}` : ''}` });
+    } catch (err) { setLoadStatus({ type: 'error', msg: err.message }); } finally { setIsProcessing(false); setProgress(null); }
+  };
+
+  const removeTable = (id) => {
+    const omit = (prev) => Object.fromEntries(Object.entries(prev).filter(([k]) => k !== id));
+    setFileData(omit);
+    setTableStyles(omit);
+    setSummaries(omit);
+    setInputs(omit);
+    setShownTables(prev => prev.filter(t => t !== id));
+  };
+
+  const setTableStyle = (id, key, value) => setTableStyles(prev => ({ ...prev, [id]: { ...prev[id], [key]: value } }));
+
+  // The first tab- or comma-separated column is the ID shown; the others are renamed to it in every table
+  const handleIdMapUpload = async (event) => {
     const file = event.target.files[0];
+    event.target.value = '';
     if (!file) return;
     setIsProcessing(true);
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const text = e.target.result;
-      if (mode === 'annotation') setAnnotations(processGFF(text));
-      else {
-        const processed = processData(text);
-        if (processed) setFileData(prev => ({ ...prev, [mode]: processed }));
-      }
-      setIsProcessing(false);
-    };
-    reader.readAsText(file);
+    try {
+      const { map, rows, errors, checksums } = await parseInWorker('idMap', { files: [{ name: file.name, file }] }, setProgress);
+      if (!rows) throw new Error(`${file.name}: ${errors.join('; ')}`);
+      setIdMap({ name: file.name, map });
+      setInputs(prev => ({ ...prev, idMap: checksums }));
+      setLoadStatus({ type: errors.length ? 'error' : 'info', msg: `${file.name}: ${rows} genes mapped${errors.length ? ` — ${errors.join('; ')}` : ''}` });
+    } catch (err) { setLoadStatus({ type: 'error', msg: err.message }); } finally { setIsProcessing(false); setProgress(null); }
   };
 
-  const listSource = useMemo(() => fileData.sense || fileData.antisense, [fileData]);
+  const clearIdMap = () => {
+    setIdMap(null);
+    setInputs(prev => Object.fromEntries(Object.entries(prev).filter(([k]) => k !== 'idMap')));
+  };
+
+  // Each GFF3, GTF or GenBank file becomes (or replaces) one source in the store; other sources stay loaded
+  const handleAnnotationUpload = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (!files.length) return;
+    setIsProcessing(true);
+    try {
+      const { parsed, errors, checksums } = await parseInWorker('annotations', { files: files.map(file => ({ name: file.name, file })) }, setProgress);
+      setAnnotationStore(prev => parsed.reduce((store, { name, gff }) => addAnnotationSource(store, sourceKeyOf(gff, name), gff, name), prev));
+      setInputs(prev => ({ ...prev, annotations: [...prev.annotations.filter(f => !checksums.some(c => c.name === f.name)), ...checksums] }));
+      if (errors.length) setLoadStatus({ type: 'error', msg: errors.join('; ') });
+    } catch (err) { setLoadStatus({ type: 'error', msg: err.message }); } finally { setIsProcessing(false); setProgress(null); }
+  };
+
+  // IDs are mapped before anything else, so every view sees the shown IDs
+  const mapping = useMemo(() => {
+    let renamed = 0;
+    const clashes = [];
+    const tables = mapTables(fileData, d => {
+      const r = applyIdMap(d, idMap?.map);
+      renamed += r.renamed;
+      clashes.push(...r.clashes);
+      return r.data;
+    });
+    return { tables, renamed, clashes };
+  }, [fileData, idMap]);
+  const mappedData = mapping.tables;
+
+  // The gene list covers every table; coordinates come from the first table that has them
+  const listSource = useMemo(() => (tableIds(mappedData).length ? { geneList: geneUnion(mappedData), features: featureUnion(mappedData) } : null), [mappedData]);
+
+  const annotations = useMemo(() => buildAnnotationIndex(annotationStore, listSource), [annotationStore, listSource]);
+  // Every source except the base annotation gets its own genome-browser track
+  const tracks = useMemo(() => Object.fromEntries(Object.entries(annotationStore).filter(([k]) => k !== 'annotation')), [annotationStore]);
+  const sourceCounts = useMemo(() => {
+    const counts = {};
+    Object.values(annotations).forEach(a => Object.keys(a.sources).forEach(k => { counts[k] = (counts[k] || 0) + 1; }));
+    return counts;
+  }, [annotations]);
+
+  // Until a sheet is uploaded or edited, the draft from the column names drives the grouping
+  const allSamples = useMemo(() => Array.from(new Set(tableIds(mappedData).flatMap(id => mappedData[id].sampleCols))), [mappedData]);
+  const draftSheet = useMemo(() => draftSampleSheet(allSamples), [allSamples]);
+  const sheet = sampleSheet || draftSheet;
+  const designedData = useMemo(() => mapTables(mappedData, d => applyDesign(d, sheet)), [mappedData, sheet]);
+
+  // Everything downstream of QC sees only the included samples, in the chosen metric
+  const normalizedData = useMemo(() => normalizeTables(mapTables(designedData, d => excludeSamples(d, excludedSamples)), normalization, summaries),
+    [designedData, excludedSamples, normalization, summaries]);
+  // Styles are copied on separately, so renaming or recolouring a table does not renormalise
+  const activeData = useMemo(() => styleTables(normalizedData, tableStyles), [normalizedData, tableStyles]);
+  const styledDesign = useMemo(() => styleTables(designedData, tableStyles), [designedData, tableStyles]);
+
+  const metric = activeData[visibleTables[0]]?.metric;
+
+  const toggleSample = (sample) => setExcludedSamples(prev => prev.includes(sample) ? prev.filter(s => s !== sample) : [...prev, sample]);
+
+  const selectGene = (geneId) => setSelectedGenes(prev => prev.includes(geneId) || prev.length >= 7 ? prev : [...prev, geneId]);
+
+  const addGenes = (geneIds) => setSelectedGenes(prev => [...prev, ...geneIds.filter(g => !prev.includes(g))].slice(0, 7));
 
   const fullStats = useMemo(() => {
     if (selectedGenes.length === 0) return [];
-    const conds = Array.from(new Set([
-        ...(fileData.sense?.conditions || []),
-        ...(fileData.antisense?.conditions || [])
-    ])).sort((a, b) => a.localeCompare(b, undefined, {numeric: true, sensitivity: 'base'}));
+    const ids = tableIds(activeData);
+    const samples = Array.from(new Set(ids.flatMap(id => activeData[id].sampleCols)));
+    const design = firstTable(activeData)?.design;
+    const conds = conditionsOf(samples, design);
+    const times = conditionTimes(samples, design);
 
     return conds.map(cond => {
-      const entry = { condition: cond, genes: {} };
+      const entry = { condition: cond, time: times[cond], genes: {} };
       selectedGenes.forEach(geneId => {
-        entry.genes[geneId] = { sense: null, antisense: null };
-        ['sense', 'antisense'].forEach(m => {
-          const dataObj = fileData[m];
-          const tpmRow = dataObj?.raw.find(r => r.Geneid === geneId);
-          const countRow = dataObj?.rawCounts.find(r => r.Geneid === geneId);
-          if (tpmRow && countRow) {
-            const relevantSamples = dataObj.sampleCols.filter(s => s.startsWith(cond));
-            const tpmVals = relevantSamples.map(s => tpmRow[s]).filter(v => typeof v === 'number' && !isNaN(v));
-            const countVals = relevantSamples.map(s => countRow[s]).filter(v => typeof v === 'number' && !isNaN(v));
-            
-            if (tpmVals.length > 0) {
-              const tpmMean = tpmVals.reduce((a, b) => a + b, 0) / tpmVals.length;
-              const tpmStd = Math.sqrt(tpmVals.map(x => Math.pow(x - tpmMean, 2)).reduce((a, b) => a + b, 0) / tpmVals.length);
-              entry.genes[geneId][m] = { tpmMean, tpmStd, countMean: countVals.length > 0 ? countVals.reduce((a, b) => a + b, 0) / countVals.length : 0 };
-              
-              if (currentMode === 'both') {
-                const suffix = m === 'sense' ? 'S' : 'A';
-                entry[`${geneId}_${suffix}_mean`] = tpmMean;
-                entry[`${geneId}_${suffix}_range`] = [Math.max(0, tpmMean - tpmStd), tpmMean + tpmStd];
-              } else if (currentMode === m) {
-                const suffix = m === 'sense' ? 'S' : 'A';
-                entry[`${geneId}_${suffix}_mean`] = tpmMean;
-                entry[`${geneId}_${suffix}_range`] = [Math.max(0, tpmMean - tpmStd), tpmMean + tpmStd];
-              }
+        entry.genes[geneId] = {};
+        ids.forEach(m => {
+          const dataObj = activeData[m];
+          const metricRow = valueRow(dataObj, geneId);
+          const counts = countRow(dataObj, geneId);
+          if (metricRow && counts) {
+            const relevantSamples = samplesForCondition(dataObj, cond);
+            const replicates = relevantSamples.map(s => ({ sample: s, value: metricRow[s] })).filter(r => typeof r.value === 'number' && !isNaN(r.value));
+            const countVals = relevantSamples.map(s => counts[s]).filter(v => typeof v === 'number' && !isNaN(v));
+            if (replicates.length > 0) {
+              const summary = summarizeReplicates(replicates);
+              entry.genes[geneId][m] = { valueMean: summary.mean, valueStd: summary.sd, countMean: countVals.length > 0 ? countVals.reduce((a, b) => a + b, 0) / countVals.length : 0, summary };
             }
           }
         });
       });
       return entry;
     });
-  }, [fileData, selectedGenes, currentMode]);
+  }, [activeData, selectedGenes]);
 
-  const filteredGenes = useMemo(() => {
-    if (!listSource) return [];
-    const term = searchTerm.toLowerCase();
-    let genes = listSource.geneList.filter(g => {
-      const ann = annotations[g];
-      return g.toLowerCase().includes(term) || ann?.product?.toLowerCase().includes(term) || ann?.geneName?.toLowerCase().includes(term) || ann?.system?.toLowerCase().includes(term);
+  const hasTimes = fullStats.length > 1 && fullStats.every(s => Number.isFinite(s.time)) && new Set(fullStats.map(s => s.time)).size === fullStats.length;
+  const useTimeAxis = timeAxis && hasTimes;
+  // A log axis over an already log-transformed metric would be meaningless
+  const chartOptions = { ...plotOptions, logY: plotOptions.logY && !normalization.log };
+  const setPlotOption = (key, value) => setPlotOptions(p => ({ ...p, [key]: value }));
+
+  // One series per gene and shown table, drawn in the table's line style. A single gene is coloured by table,
+  // several by gene.
+  const seriesFor = (genes) => genes.flatMap(gene => visibleTables.map(m => ({
+    key: `${gene}_${m}`, label: annotations[gene]?.geneName || gene, dataset: activeData[m].label,
+    color: genes.length === 1 && visibleTables.length > 1 ? activeData[m].color : colors[selectedGenes.indexOf(gene) % colors.length], dash: activeData[m].dash,
+    stats: Object.fromEntries(fullStats.filter(s => s.genes[gene]?.[m]).map(s => [s.condition, s.genes[gene][m].summary]))
+  })));
+
+  const exportTable = () => {
+    const conds = fullStats.map(s => s.condition);
+    const rows = selectedGenes.flatMap(gene => visibleTables.map(m => ({
+      gene, dataset: activeData[m].label,
+      values: Object.fromEntries(fullStats.map(s => [s.condition, { mean: s.genes[gene]?.[m]?.valueMean, sd: s.genes[gene]?.[m]?.valueStd, n: s.genes[gene]?.[m]?.summary.n }]))
+    })));
+    downloadText(`quantification_${slugify(metric)}.tsv`, conditionStatsToTSV(rows, conds, metric));
+  };
+
+  const exportMatrix = () => {
+    visibleTables.forEach(m => {
+      downloadText(`${slugify(activeData[m].label)}_${slugify(activeData[m].metric)}.tsv`, matrixToTSV(activeData[m]));
     });
-    if (sortConfig.key === 'expression' && fileData.sense) {
-      const exprMap = new Map();
-      fileData.sense.raw.forEach(row => {
-        const mean = fileData.sense.sampleCols.reduce((s, c) => s + (row[c] || 0), 0) / fileData.sense.sampleCols.length;
-        exprMap.set(row.Geneid, mean);
-      });
-      genes.sort((a, b) => (sortConfig.direction === 'asc' ? 1 : -1) * ((exprMap.get(b) || 0) - (exprMap.get(a) || 0)));
-    } else {
-      genes.sort((a, b) => (sortConfig.direction === 'asc' ? 1 : -1) * (sortConfig.key === 'id' ? a : (annotations[a]?.product || a)).localeCompare(sortConfig.key === 'id' ? b : (annotations[b]?.product || b)));
+  };
+
+  const sortTable = activeData[visibleTables[0]];
+  // Sorting does not depend on the search, so typing only re-runs the linear filter below
+  const sortedGenes = useMemo(() => {
+    if (!listSource) return [];
+    const dir = sortConfig.direction === 'asc' ? 1 : -1;
+    if (sortConfig.key === 'expression' && sortTable) {
+      const { raw, sampleCols } = sortTable;
+      const expr = new Map(raw.map(row => [row.Geneid, sampleCols.reduce((s, c) => s + (row[c] || 0), 0) / sampleCols.length]));
+      return [...listSource.geneList].sort((a, b) => dir * ((expr.get(b) || 0) - (expr.get(a) || 0)));
     }
-    return genes.slice(0, 100);
-  }, [listSource, searchTerm, annotations, sortConfig, fileData.sense]);
+    const keyOf = (g) => (sortConfig.key === 'id' ? g : (annotations[g]?.product || g));
+    const collator = new Intl.Collator();
+    return [...listSource.geneList].sort((a, b) => dir * collator.compare(keyOf(a), keyOf(b)));
+  }, [listSource, annotations, sortConfig, sortTable]);
+
+  // The search box takes the query language in lib/query.js; plain words still search ID, name, product and system
+  const deferredSearch = useDeferredValue(searchTerm);
+  const queryData = activeData[visibleTables[0]];
+  const query = useMemo(() => {
+    try {
+      const [sense, antisense] = strandPair(activeData);
+      const match = compileQuery(parseQuery(deferredSearch), { annotations, data: queryData, features: listSource?.features, sense: activeData[sense], antisense: activeData[antisense], isLog: normalization.log });
+      return { match, error: null };
+    } catch (err) { return { match: null, error: err.message }; }
+  }, [deferredSearch, annotations, queryData, listSource, activeData, normalization.log]);
+  const queryVocab = useMemo(() => ({
+    conditions: queryData?.conditions || [],
+    sources: Object.keys(sourceCounts),
+    systems: Array.from(new Set(Object.values(annotations).map(a => a.system).filter(Boolean))).sort(),
+    chrs: Array.from(new Set((listSource?.features || []).map(f => f.chr)))
+  }), [queryData, listSource, sourceCounts, annotations]);
+
+  const matchingGenes = useMemo(() => {
+    if (!query.match) return [];
+    if (!deferredSearch.trim() && !sourceFilters.length) return sortedGenes;
+    return sortedGenes.filter(g => (!sourceFilters.length || sourceFilters.every(k => annotations[g]?.sources[k])) && query.match(g));
+  }, [sortedGenes, query, deferredSearch, sourceFilters, annotations]);
+
+  useEffect(() => {
+    try { localStorage.setItem(SAVED_QUERIES_KEY, JSON.stringify(savedQueries)); } catch { /* storage full or disabled */ }
+  }, [savedQueries]);
+  const saveQuery = (name, text) => setSavedQueries(prev => [...prev.filter(q => q.name !== name), { name, query: text }]);
+  const deleteQuery = (name) => setSavedQueries(prev => prev.filter(q => q.name !== name));
+
+  const showHeatmap = (set) => { setHeatmapSet(set); setActiveView('heatmap'); };
+  // set: { label, genes, background? } for over-representation or { label, ranked: [{ gene, score }] }
+  const showEnrichment = (set) => { setEnrichmentSet(set); setActiveView('enrichment'); };
+  const loadGMT = (name, text) => setGmtFiles(prev => [...prev.filter(f => f.name !== name), { name, text }]);
 
   return (
     <div className="flex flex-col h-screen bg-slate-50 text-slate-900 font-sans selection:bg-blue-100 overflow-hidden">
@@ -286,15 +486,25 @@ const App = () => {
             <h1 className="text-xl font-bold tracking-tight text-slate-800">RNA-Seq Browser</h1>
             {listSource && (
                 <div className="flex gap-1 mt-1">
-                    {['sense', 'antisense', 'both'].map(m => (
-                        <button key={m} disabled={m === 'both' ? (!fileData.sense || !fileData.antisense) : !fileData[m]} onClick={() => setCurrentMode(m)} className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase transition-all ${currentMode === m ? 'bg-indigo-600 text-white shadow-sm' : 'bg-slate-100 text-slate-400 hover:text-slate-600 disabled:opacity-30'}`}>
-                            {m === 'both' ? 'Compare' : m === 'sense' ? 'Dataset 1' : 'Dataset 2'}
+                    {tableIds(activeData).map(id => (
+                        <button key={id} onClick={() => toggleTable(id)} title={visibleTables.includes(id) ? 'Shown; click to hide' : 'Hidden; click to show'} className={`flex items-center gap-1 px-2 py-0.5 rounded text-[10px] font-bold uppercase transition-all ${visibleTables.includes(id) ? 'bg-indigo-600 text-white shadow-sm' : 'bg-slate-100 text-slate-400 hover:text-slate-600'}`}>
+                            <span className="w-1.5 h-1.5 rounded-full" style={{ backgroundColor: activeData[id].color }} />{activeData[id].label}
                         </button>
                     ))}
                 </div>
             )}
           </div>
         </div>
+
+        {listSource && (
+          <nav className="flex gap-1 bg-slate-100 p-1 rounded-xl">
+            {VIEWS.map(v => (
+              <button key={v.id} onClick={() => setActiveView(v.id)} className={`flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs font-bold transition-all ${activeView === v.id ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}>
+                <v.icon size={14} />{v.label}
+              </button>
+            ))}
+          </nav>
+        )}
         
         <div className="flex items-center gap-3">
           {loadStatus && (
@@ -305,31 +515,47 @@ const App = () => {
             </div>
           )}
 
+          {isProcessing && (
+            <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs font-bold bg-slate-50 text-slate-500 border border-slate-200">
+              <Loader2 size={14} className="animate-spin" />
+              {progress?.label || 'Loading'}{Number.isFinite(progress?.fraction) ? ` ${Math.round(progress.fraction * 100)}%` : ''}
+            </div>
+          )}
+
           {!listSource && !isProcessing && (
             <div className="flex gap-2">
-              <button onClick={() => loadDataFromRemote('reanalysis')} className="flex items-center gap-2 bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg transition-all shadow-md text-sm font-bold">
-                <Database size={16} /> Reanalysis
-              </button>
-              <button onClick={() => loadDataFromRemote('defense')} className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white px-4 py-2 rounded-lg transition-all shadow-md text-sm font-bold">
-                <ShieldCheck size={16} /> Defense Systems
-              </button>
+              {(manifest?.datasets || []).map((d, i) => (
+                <button key={d.id} onClick={() => loadDataset(d)} title={d.description} className={`flex items-center gap-2 ${DATASET_BUTTONS[i % DATASET_BUTTONS.length]} text-white px-4 py-2 rounded-lg transition-all shadow-md text-sm font-bold`}>
+                  <Database size={16} /> {d.label}
+                </button>
+              ))}
             </div>
           )}
 
           <div className={`flex gap-2 transition-opacity ${isPrecomputed ? 'opacity-30 pointer-events-none' : ''}`}>
-            <label className={`flex items-center gap-2 px-3 py-1.5 rounded-lg cursor-pointer text-xs font-medium border transition-colors ${fileData.sense ? 'bg-blue-50 text-blue-700 border-blue-200' : 'bg-white text-slate-400 border-slate-200'}`}>
-              <FileText size={14} />{fileData.sense ? 'D1 Loaded' : 'Dataset 1'}<input type="file" className="hidden" onChange={(e) => handleFileUpload(e, 'sense')} disabled={isPrecomputed} />
-            </label>
-            <label className={`flex items-center gap-2 px-3 py-1.5 rounded-lg cursor-pointer text-xs font-medium border transition-colors ${fileData.antisense ? 'bg-purple-50 text-purple-700 border-purple-200' : 'bg-white text-slate-400 border-slate-200'}`}>
-              <FileText size={14} />{fileData.antisense ? 'D2 Loaded' : 'Dataset 2'}<input type="file" className="hidden" onChange={(e) => handleFileUpload(e, 'antisense')} disabled={isPrecomputed} />
-            </label>
-            <label className={`flex items-center gap-2 px-3 py-1.5 rounded-lg cursor-pointer text-xs font-medium border transition-colors ${Object.keys(annotations).length > 0 ? 'bg-green-50 text-green-700 border-green-200' : 'bg-white text-slate-400 border-slate-200'}`}>
-              <FileCode size={14} />GFF3<input type="file" className="hidden" onChange={(e) => handleFileUpload(e, 'annotation')} disabled={isPrecomputed} />
+            <label title="Add a count table" className={`flex items-center gap-2 px-3 py-1.5 rounded-lg cursor-pointer text-xs font-medium border transition-colors ${listSource ? 'bg-blue-50 text-blue-700 border-blue-200' : 'bg-white text-slate-400 border-slate-200'}`}>
+              {listSource ? <Plus size={14} /> : <FileText size={14} />}{listSource ? `Counts ×${tableIds(fileData).length}` : 'Counts'}<input type="file" multiple className="hidden" onChange={handleFileUpload} disabled={isPrecomputed} />
             </label>
           </div>
+          <label title={idMap ? `${idMap.name}: ${mapping.renamed} IDs renamed${mapping.clashes.length ? `; kept because the new ID is taken: ${mapping.clashes.join(', ')}` : ''}` : 'ID mapping table: the first column is the ID shown, the others are renamed to it'} className={`flex items-center gap-2 px-3 py-1.5 rounded-lg cursor-pointer text-xs font-medium border transition-colors ${idMap ? (mapping.clashes.length ? 'bg-amber-50 text-amber-700 border-amber-200' : 'bg-green-50 text-green-700 border-green-200') : 'bg-white text-slate-400 border-slate-200'}`}>
+            <ArrowRightLeft size={14} />{idMap ? `ID map ×${mapping.renamed}` : 'ID map'}<input type="file" className="hidden" onChange={handleIdMapUpload} />
+            {idMap && <button onClick={(e) => { e.preventDefault(); clearIdMap(); }} className="opacity-50 hover:opacity-100" title="Remove the ID map"><X size={12} /></button>}
+          </label>
+          <label title={Object.values(annotationStore).map(s => s.fileName || s.key).join('\n')} className={`flex items-center gap-2 px-3 py-1.5 rounded-lg cursor-pointer text-xs font-medium border transition-colors ${Object.keys(annotationStore).length > 0 ? 'bg-green-50 text-green-700 border-green-200' : 'bg-white text-slate-400 border-slate-200'}`}>
+            <FileCode size={14} />{Object.keys(annotationStore).length > 0 ? `Annotation ×${Object.keys(annotationStore).length}` : 'Annotation'}<input type="file" multiple className="hidden" onChange={handleAnnotationUpload} />
+          </label>
 
           {listSource && (
-            <button onClick={() => { setFileData({sense:null, antisense:null}); setAnnotations({}); setSelectedGenes([]); setIsPrecomputed(false); setLoadStatus(null); }} className="p-2 text-slate-400 hover:text-red-500 rounded-lg transition-colors ml-2" title="Reset Browser"><Trash2 size={18} /></button>
+            <div className="flex items-center gap-1 ml-2">
+              <button onClick={copyLink} className="p-2 text-slate-400 hover:text-indigo-600 rounded-lg transition-colors" title="Copy link to this view"><Link2 size={18} /></button>
+              <button onClick={saveSession} className="p-2 text-slate-400 hover:text-indigo-600 rounded-lg transition-colors" title="Save session"><Save size={18} /></button>
+            </div>
+          )}
+          <label className="p-2 text-slate-400 hover:text-indigo-600 rounded-lg transition-colors cursor-pointer" title="Open session">
+            <FolderOpen size={18} /><input type="file" accept=".json,application/json" className="hidden" onChange={handleSessionUpload} />
+          </label>
+          {listSource && (
+            <button onClick={() => { setFileData({}); setTableStyles({}); setShownTables([]); setIdMap(null); setAnnotationStore({}); setSourceFilters([]); setSummaries({}); setExcludedSamples([]); setSampleSheet(null); setSelectedGenes([]); setCoexpressionGene(null); setHeatmapSet(null); setEnrichmentSet(null); setGmtFiles([]); setIsPrecomputed(false); setLoadedDataset(null); setInputs(EMPTY_INPUTS); setLoadStatus(null); }} className="p-2 text-slate-400 hover:text-red-500 rounded-lg transition-colors ml-2" title="Reset Browser"><Trash2 size={18} /></button>
           )}
         </div>
       </header>
@@ -337,10 +563,7 @@ const App = () => {
       <main className="flex flex-1 overflow-hidden">
         <div className="w-80 bg-white border-r border-slate-200 flex flex-col shrink-0 shadow-sm overflow-hidden">
           <div className="p-4 border-b border-slate-100 space-y-3">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16} />
-              <input type="text" placeholder="Search ID, Name, or System..." className="w-full pl-9 pr-4 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm outline-none focus:ring-2 focus:ring-blue-500" value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} disabled={!listSource} />
-            </div>
+            <QueryBox value={searchTerm} onChange={setSearchTerm} vocab={queryVocab} error={searchTerm === deferredSearch ? query.error : null} disabled={!listSource} saved={savedQueries} onSave={saveQuery} onDelete={deleteQuery} />
             {listSource && (
               <div className="flex items-center justify-between text-[10px] text-slate-500 font-bold uppercase tracking-wider">
                 <span>Sort:</span>
@@ -351,22 +574,58 @@ const App = () => {
                 </div>
               </div>
             )}
-          </div>
-
-          <div className="flex-1 overflow-y-auto p-2 scrollbar-thin">
-            {filteredGenes.map(gene => (
-              <button key={gene} onClick={() => setSelectedGenes(prev => prev.includes(gene) ? prev.filter(g=>g!==gene) : prev.length<7 ? [...prev, gene] : prev)} className={`w-full text-left px-3 py-2 rounded-lg text-sm mb-1 transition-all ${selectedGenes.includes(gene) ? 'bg-blue-50 border-blue-200 shadow-sm' : 'hover:bg-slate-50 border-transparent'} border`}>
-                <div className="flex justify-between items-center">
-                  <span className={`font-mono text-xs font-bold ${selectedGenes.includes(gene) ? 'text-blue-700' : 'text-slate-700'}`}>{gene}</span>
-                  {annotations[gene]?.geneName && <span className="text-[10px] bg-slate-100 px-1 rounded text-slate-500">{annotations[gene].geneName}</span>}
+            {listSource && (
+              <div className="space-y-2 text-[10px] text-slate-500 font-bold uppercase tracking-wider">
+                <div className="flex items-center justify-between gap-2">
+                  <span>Metric:</span>
+                  <select value={normalization.method} onChange={(e) => setNormalization(p => ({ ...p, method: e.target.value }))} className="px-2 py-1 bg-slate-50 border border-slate-200 rounded normal-case tracking-normal text-slate-600">
+                    {Object.entries(NORMALIZATION_METHODS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+                  </select>
                 </div>
-                <div className="flex items-center gap-2 mt-0.5">
-                    {annotations[gene]?.system && <span className="text-[9px] bg-emerald-50 text-emerald-700 px-1 rounded font-bold">{annotations[gene].system}</span>}
-                    <div className="text-[10px] text-slate-400 truncate">{annotations[gene]?.product || "---"}</div>
+                <div className="flex items-center justify-between gap-2">
+                  <span>Scale:</span>
+                  <div className="flex items-center gap-1">
+                    {[false, true].map(l => (
+                      <button key={String(l)} onClick={() => setNormalization(p => ({ ...p, log: l }))} className={`px-2 py-1 rounded transition-colors ${normalization.log===l?'bg-blue-600 text-white':'bg-slate-100 hover:bg-slate-200'}`}>{l ? 'log₂' : 'linear'}</button>
+                    ))}
+                    <input type="number" min="0.1" step="0.1" value={normalization.pseudocount} disabled={!normalization.log} title="Pseudocount" onChange={(e) => { const v = parseFloat(e.target.value); if (v > 0) setNormalization(p => ({ ...p, pseudocount: v })); }} className="w-14 px-1 py-1 bg-slate-50 border border-slate-200 rounded text-slate-600 disabled:opacity-30" />
+                  </div>
                 </div>
-              </button>
-            ))}
+                {tableIds(fileData).length > 1 && (
+                  <div className="flex items-center justify-between gap-2">
+                    <span title="Library totals and scaling factors used for every table after the first">Library:</span>
+                    <div className="flex gap-1">
+                      {['self', 'first'].map(r => (
+                        <button key={r} onClick={() => setNormalization(p => ({ ...p, libraryReference: r }))} className={`px-2 py-1 rounded transition-colors ${normalization.libraryReference===r?'bg-blue-600 text-white':'bg-slate-100 hover:bg-slate-200'}`}>{r === 'self' ? 'own' : 'first table'}</button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {tableIds(fileData).map(id => (
+                  <div key={id} className="flex items-center gap-1 normal-case tracking-normal">
+                    <input type="color" value={activeData[id]?.color || '#64748b'} onChange={(e) => setTableStyle(id, 'color', e.target.value)} title="Colour" className="w-5 h-5 p-0 border-0 bg-transparent cursor-pointer flex-shrink-0" />
+                    <input value={tableStyles[id]?.label ?? ''} onChange={(e) => setTableStyle(id, 'label', e.target.value)} title={`Label of table "${id}"`} className="flex-1 min-w-0 px-2 py-1 bg-slate-50 border border-slate-200 rounded text-slate-600" />
+                    <select value={tableStyles[id]?.line || 'solid'} onChange={(e) => setTableStyle(id, 'line', e.target.value)} title="Line style" className="px-1 py-1 bg-slate-50 border border-slate-200 rounded text-slate-600">
+                      {Object.entries(LINE_STYLES).map(([k, l]) => <option key={k} value={k}>{l.label}</option>)}
+                    </select>
+                    {!isPrecomputed && <button onClick={() => removeTable(id)} className="p-1 text-slate-300 hover:text-red-500" title="Remove this table"><X size={12} /></button>}
+                  </div>
+                ))}
+              </div>
+            )}
+            {listSource && Object.keys(sourceCounts).some(k => k !== 'annotation') && (
+              <div className="flex flex-wrap items-center gap-1 text-[10px] text-slate-500 font-bold uppercase tracking-wider">
+                <span className="mr-1">Only:</span>
+                {Object.keys(sourceCounts).filter(k => k !== 'annotation').map(k => (
+                  <button key={k} onClick={() => setSourceFilters(p => p.includes(k) ? p.filter(x => x !== k) : [...p, k])} className={`px-2 py-1 rounded normal-case tracking-normal transition-colors ${sourceFilters.includes(k) ? 'bg-blue-600 text-white' : 'bg-slate-100 hover:bg-slate-200'}`}>
+                    {sourceBadge(k)} <span className="opacity-60">{sourceCounts[k]}</span>
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
+
+          <GeneList genes={matchingGenes} annotations={annotations} selectedGenes={selectedGenes} onToggle={(gene) => setSelectedGenes(prev => prev.includes(gene) ? prev.filter(g=>g!==gene) : prev.length<7 ? [...prev, gene] : prev)} />
           
           {selectedGenes.length > 0 && (
               <div className="p-3 bg-slate-50 border-t border-slate-200">
@@ -395,6 +654,7 @@ const App = () => {
                     <h2 className="text-3xl font-black text-slate-800 tracking-tight">Getting Started</h2>
                     <p className="text-slate-500 max-w-lg mt-2">Load precomputed datasets or upload your own files below to begin visualization.</p>
                 </div>
+                <DatasetPicker manifest={manifest} error={manifestError} availability={availability} busy={isProcessing} onCheck={checkDataset} onLoad={loadDataset} onUploadManifest={handleManifestUpload} />
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-left">
                   <div className="p-6 bg-blue-50/50 rounded-3xl border border-blue-100">
                     <h3 className="font-bold text-blue-900 flex items-center gap-2 mb-3"><FileText size={20}/> Count File (.tsv)</h3>
@@ -412,6 +672,51 @@ const App = () => {
                 </div>
               </div>
             </div>
+          ) : activeView === 'genome' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <GenomeBrowser data={activeData} tracks={tracks} annotations={annotations} selectedGenes={selectedGenes} onSelectGene={selectGene} />
+            </div>
+          ) : activeView === 'de' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <DifferentialPanel data={activeData} annotations={annotations} selectedGenes={selectedGenes} onSelectGene={selectGene} onEnrich={showEnrichment} />
+            </div>
+          ) : activeView === 'defense' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <DefensePanel data={activeData} tracks={tracks} annotations={annotations} normalization={normalization} selectedGenes={selectedGenes} onSelectGene={selectGene} />
+            </div>
+          ) : activeView === 'neighbourhood' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <NeighbourhoodPanel data={activeData} sources={annotationStore} annotations={annotations} selectedGenes={selectedGenes} onSelectGene={selectGene} />
+            </div>
+          ) : activeView === 'crispr' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <CrisprPanel data={activeData} sources={annotationStore} annotations={annotations} selectedGenes={selectedGenes} onSelectGene={selectGene} />
+            </div>
+          ) : activeView === 'clusters' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <ClusteringPanel data={activeData} annotations={annotations} selectedGenes={selectedGenes} onSelectGene={selectGene} onAddGenes={addGenes} onShowHeatmap={showHeatmap} onEnrich={showEnrichment} />
+            </div>
+          ) : activeView === 'heatmap' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <HeatmapPanel data={activeData} annotations={annotations} searchGenes={matchingGenes} searchTerm={searchTerm} selectedGenes={selectedGenes} sentSet={heatmapSet} onSelectGene={selectGene} />
+            </div>
+          ) : activeView === 'enrichment' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <EnrichmentPanel data={activeData} annotations={annotations} isLog={normalization.log} searchGenes={matchingGenes} searchTerm={searchTerm} selectedGenes={selectedGenes} sentSet={enrichmentSet}
+                gmtFiles={gmtFiles} onLoadGMT={loadGMT} onRemoveGMT={(name) => setGmtFiles(prev => prev.filter(f => f.name !== name))} onSelectGene={selectGene} onAddGenes={addGenes} />
+            </div>
+          ) : activeView === 'antisense' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <AntisensePanel data={activeData} annotations={annotations} selectedGenes={selectedGenes} onSelectGene={selectGene} />
+            </div>
+          ) : activeView === 'design' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <SampleSheetPanel rows={sheet} isDraft={!sampleSheet} sampleCols={allSamples} onChange={setSampleSheet} onReset={() => setSampleSheet(null)} />
+            </div>
+          ) : activeView === 'qc' ? (
+            <div className="max-w-7xl mx-auto pb-12 animate-in fade-in duration-500">
+              <QCPanel data={styledDesign} summaries={summaries} excludedSamples={excludedSamples} onToggleSample={toggleSample} onResetExclusions={() => setExcludedSamples([])} onLoadSummary={(mode, text) => setSummaries(prev => ({ ...prev, [mode]: parseSummary(text) }))} />
+            </div>
           ) : selectedGenes.length === 0 ? (
             <div className="h-full flex flex-col items-center justify-center text-slate-300">
               <HelpCircle size={48} className="mb-4 opacity-10" />
@@ -423,7 +728,33 @@ const App = () => {
                 <div className="mb-10 flex justify-between items-start">
                   <div>
                     <h2 className="text-2xl font-black text-slate-800 tracking-tight">Expression Profile</h2>
-                    <p className="text-xs text-slate-400 mt-1 font-medium">Metric: <span className="text-indigo-600 bg-indigo-50 px-2 py-0.5 rounded-full">log₂ (TPM + 1)</span></p>
+                    <p className="text-xs text-slate-400 mt-1 font-medium">Metric: <span className="text-indigo-600 bg-indigo-50 px-2 py-0.5 rounded-full">{metric}</span></p>
+                  </div>
+                  <div className="flex flex-col items-end gap-2 text-[11px] font-bold text-slate-500">
+                    <div className="flex items-center gap-3">
+                      <div className="flex gap-1">
+                        {Object.entries(PROFILE_DISPLAYS).map(([k, label]) => (
+                          <button key={k} onClick={() => setPlotOption('display', k)} className={`px-2 py-1 rounded transition-colors ${plotOptions.display === k ? 'bg-blue-600 text-white' : 'bg-slate-100 hover:bg-slate-200'}`}>{label}</button>
+                        ))}
+                      </div>
+                      <div className="flex gap-1">
+                        {Object.entries(ERROR_STATS).map(([k, e]) => (
+                          <button key={k} disabled={plotOptions.display !== 'line'} title={e.title} onClick={() => setPlotOption('error', k)} className={`px-2 py-1 rounded transition-colors disabled:opacity-30 ${plotOptions.error === k ? 'bg-blue-600 text-white' : 'bg-slate-100 hover:bg-slate-200'}`}>{e.label}</button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <label className="flex items-center gap-1 cursor-pointer"><input type="checkbox" checked={plotOptions.points} onChange={(e) => setPlotOption('points', e.target.checked)} />Replicates</label>
+                      <label className={`flex items-center gap-1 ${normalization.log ? 'opacity-30' : 'cursor-pointer'}`} title={normalization.log ? 'The metric is already log-transformed' : 'Logarithmic y axis'}>
+                        <input type="checkbox" disabled={normalization.log} checked={chartOptions.logY} onChange={(e) => setPlotOption('logY', e.target.checked)} />Log axis
+                      </label>
+                      <label className="flex items-center gap-1 cursor-pointer" title="One panel per gene, each with its own y axis"><input type="checkbox" checked={plotOptions.facet} onChange={(e) => setPlotOption('facet', e.target.checked)} />Per gene</label>
+                      {hasTimes && (
+                        <label className="flex items-center gap-1 cursor-pointer" title="Space conditions by their sample-sheet time instead of evenly">
+                          <input type="checkbox" checked={timeAxis} onChange={(e) => setTimeAxis(e.target.checked)} />Numeric time axis
+                        </label>
+                      )}
+                    </div>
                   </div>
                 </div>
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-10">
@@ -445,36 +776,41 @@ const App = () => {
                                             </div>
                                         )}
                                     </div>
-                                    <a href={`https://www.ncbi.nlm.nih.gov/gene/?term=${g}`} target="_blank" className="ml-auto text-slate-300 hover:text-indigo-500 opacity-0 group-hover:opacity-100 transition-all flex-shrink-0"><ExternalLink size={14}/></a>
+                                    <button onClick={() => setCoexpressionGene(g)} title="Find co-expressed genes" className={`ml-auto hover:text-indigo-500 transition-all flex-shrink-0 ${coexpressionGene === g ? 'text-indigo-500' : 'text-slate-300 opacity-0 group-hover:opacity-100'}`}><Network size={14}/></button>
+                                    <a href={`https://www.ncbi.nlm.nih.gov/gene/?term=${g}`} target="_blank" className="text-slate-300 hover:text-indigo-500 opacity-0 group-hover:opacity-100 transition-all flex-shrink-0"><ExternalLink size={14}/></a>
                                 </div>
-                                <p className="text-[10px] text-slate-500 leading-relaxed italic line-clamp-2">{ann?.product || 'No descriptive annotation available'}</p>
+                                <p className="text-[10px] text-slate-500 leading-relaxed italic line-clamp-2" title={ann?.provenance?.product ? `product from ${sourceLabel(ann.provenance.product)}` : undefined}>{ann?.product || 'No descriptive annotation available'}</p>
+                                {ann && Object.keys(ann.sources).length > 0 && (
+                                    <div className="flex flex-wrap items-center gap-1 mt-2">
+                                        <SourceBadges entry={ann} />
+                                        {Object.keys(ann.provenance).length > 0 && <span className="text-[9px] text-slate-400 ml-auto">{Array.from(new Set(Object.values(ann.provenance))).map(sourceLabel).join(' + ')}</span>}
+                                    </div>
+                                )}
                             </div>
                         );
                     })}
                 </div>
-                <div className="h-[400px] relative">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <ComposedChart key={currentMode} data={fullStats} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
-                      <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
-                      <XAxis dataKey="condition" axisLine={false} tickLine={false} tick={{fill:'#64748b', fontSize:11, fontWeight:600}} dy={10} />
-                      <YAxis axisLine={false} tickLine={false} tick={{fill:'#64748b', fontSize:11}} width={35} />
-                      <Tooltip content={<CustomTooltip annotations={annotations} />} isAnimationActive={false} />
-                      {selectedGenes.flatMap((gene, i) => {
-                        const c = colors[i % colors.length];
-                        const keys = currentMode === 'both' ? [`${gene}_S`, `${gene}_A`] : (currentMode === 'sense' ? [`${gene}_S`] : [`${gene}_A`]);
-                        return keys.map((k, j) => (
-                          <React.Fragment key={`${k}_${currentMode}_${j}`}>
-                            <Area dataKey={`${k}_range`} stroke="none" fill={c} fillOpacity={j===0?0.15:0.05} connectNulls activeDot={false}/>
-                            <Line dataKey={`${k}_mean`} name={k} stroke={c} strokeWidth={j===0?3:2} strokeDasharray={k.includes('_A')?"5 5":""} dot={{r:3, strokeWidth: 2, fill: k.includes('_S')?c:'#fff'}} connectNulls />
-                          </React.Fragment>
-                        ));
-                      })}
-                    </ComposedChart>
-                  </ResponsiveContainer>
-                </div>
+                {plotOptions.facet ? (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {selectedGenes.map((g, i) => (
+                      <div key={g}>
+                        <div className="flex items-center gap-2 text-xs font-bold text-slate-700 mb-1"><div className="w-2 h-2 rounded-full" style={{ backgroundColor: colors[i % colors.length] }} />{annotations[g]?.geneName || g}</div>
+                        <ProfileChart series={seriesFor([g])} conditions={fullStats} options={chartOptions} useTimeAxis={useTimeAxis} height={240} />
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <ProfileChart series={seriesFor(selectedGenes)} conditions={fullStats} options={chartOptions} useTimeAxis={useTimeAxis} />
+                )}
               </div>
               <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
-                <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center gap-2"><Table size={18} className="text-slate-400"/><h3 className="font-bold text-slate-700 text-sm">Quantification Table</h3></div>
+                <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center gap-2">
+                  <Table size={18} className="text-slate-400"/><h3 className="font-bold text-slate-700 text-sm">Quantification Table</h3>
+                  <div className="ml-auto flex gap-2">
+                    <button onClick={exportTable} className="flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600"><Download size={12} />Table</button>
+                    <button onClick={exportMatrix} className="flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600"><Download size={12} />All genes</button>
+                  </div>
+                </div>
                 <div className="overflow-x-auto">
                   <table className="w-full text-left text-xs border-collapse">
                     <thead>
@@ -483,24 +819,21 @@ const App = () => {
                     <tbody>
                       {selectedGenes.map((gene, idx) => (
                         <React.Fragment key={gene}>
-                          {(currentMode === 'sense' || currentMode === 'both') && (
-                            <tr className="border-b border-slate-50 group hover:bg-blue-50/20 transition-colors">
-                              <td className="px-4 py-2 border-r border-slate-100 bg-slate-50/20"><div className="flex items-center gap-2"><div className="w-2 h-2 rounded-full" style={{backgroundColor: colors[idx % colors.length]}} /><span className="font-bold text-slate-800 truncate max-w-[100px]">{annotations[gene]?.geneName || gene}</span><span className="text-[9px] bg-blue-100 text-blue-700 px-1 rounded font-black">D1</span></div></td>
-                              {fullStats.map(s => <td key={s.condition} className="px-4 py-2 text-center border-r border-slate-100 last:border-0"><span className="font-mono text-slate-700 font-bold">{s.genes[gene]?.sense?.tpmMean.toFixed(2) || '0.00'}</span><div className="text-[9px] text-slate-400">Reads: {Math.round(s.genes[gene]?.sense?.countMean || 0)}</div></td>)}
-                            </tr>
-                          )}
-                          {(currentMode === 'antisense' || currentMode === 'both') && (
-                            <tr className="border-b border-slate-100 last:border-0 hover:bg-purple-50/20 transition-colors">
-                              <td className="px-4 py-2 border-r border-slate-100 bg-slate-50/20"><div className="flex items-center gap-2"><div className="w-2 h-2 rounded-full bg-slate-300" /><span className="font-bold text-slate-800 truncate max-w-[100px]">{annotations[gene]?.geneName || gene}</span><span className="text-[9px] bg-purple-100 text-purple-700 px-1 rounded font-black">D2</span></div></td>
-                              {fullStats.map(s => <td key={s.condition} className="px-4 py-2 text-center border-r border-slate-100 last:border-0"><span className="font-mono text-slate-700 font-bold">{s.genes[gene]?.antisense?.tpmMean.toFixed(2) || '0.00'}</span><div className="text-[9px] text-slate-400">Reads: {Math.round(s.genes[gene]?.antisense?.countMean || 0)}</div></td>)}
+                          {visibleTables.map((m, ti) => (
+                            <tr key={m} className="border-b border-slate-50 last:border-0 hover:bg-blue-50/20 transition-colors">
+                              <td className="px-4 py-2 border-r border-slate-100 bg-slate-50/20"><div className="flex items-center gap-2"><div className={`w-2 h-2 rounded-full ${ti ? 'bg-slate-300' : ''}`} style={ti ? undefined : {backgroundColor: colors[idx % colors.length]}} /><span className="font-bold text-slate-800 truncate max-w-[100px]">{annotations[gene]?.geneName || gene}</span><span className="text-[9px] px-1 rounded font-black truncate max-w-[80px]" style={{ backgroundColor: `${activeData[m].color}22`, color: activeData[m].color }}>{activeData[m].label}</span></div></td>
+                              {fullStats.map(s => <td key={s.condition} className="px-4 py-2 text-center border-r border-slate-100 last:border-0"><span className="font-mono text-slate-700 font-bold">{s.genes[gene]?.[m]?.valueMean.toFixed(2) || '0.00'}</span><div className="text-[9px] text-slate-400">Reads: {Math.round(s.genes[gene]?.[m]?.countMean || 0)}{s.genes[gene]?.[m] && ` · n = ${s.genes[gene][m].summary.n}`}</div></td>)}
                             </tr>
-                          )}
+                          ))}
                         </React.Fragment>
                       ))}
                     </tbody>
                   </table>
                 </div>
               </div>
+              {coexpressionGene && (
+                <CoexpressionPanel data={activeData} gene={coexpressionGene} annotations={annotations} selectedGenes={selectedGenes} onSelectGene={selectGene} onAddGenes={addGenes} onClose={() => setCoexpressionGene(null)} />
+              )}
             </div>
           )}
         </div>
@@ -0,0 +1,214 @@
+import { useState, useMemo } from 'react';
+import { ArrowUpDown, AlertCircle, ChevronLeft, ChevronRight, Download } from 'lucide-react';
+import ScatterPlot from './ScatterPlot.jsx';
+import { antisenseTable, convergentNeighbours } from '../lib/antisense.js';
+import { antisenseToTSV } from '../lib/export.js';
+import { downloadText } from '../utils/download.js';
+import { tableIds, tableLabel, strandPair } from '../lib/tables.js';
+
+const PAGE_SIZE = 50;
+const COLORS = { candidate: '#3b82f6', neighbour: '#f59e0b', other: '#cbd5e1' };
+
+const COLUMNS = [
+  { key: 'gene', label: 'Gene' },
+  { key: 'meanSense', label: 'Sense counts' },
+  { key: 'meanAntisense', label: 'Antisense counts' },
+  { key: 'meanLog2Ratio', label: 'log₂ AS/S' },
+  { key: 'r', label: 'r (S vs AS)' }
+];
+
+const fmt = (v, digits = 2) => Number.isFinite(v) ? v.toFixed(digits) : 'NA';
+
+const AntisensePanel = ({ data, annotations, selectedGenes, onSelectGene }) => {
+  const [timepoint, setTimepoint] = useState('all');
+  const [minSense, setMinSense] = useState(10);
+  const [minAntisense, setMinAntisense] = useState(10);
+  const [maxR, setMaxR] = useState(-0.7);
+  const [maxGap, setMaxGap] = useState(50);
+  const [candidatesOnly, setCandidatesOnly] = useState(true);
+  const [hideNeighbour, setHideNeighbour] = useState(false);
+  const [sort, setSort] = useState({ key: 'r', direction: 'asc' });
+  const [page, setPage] = useState(0);
+  const [pair, setPair] = useState([null, null]);
+
+  const ids = tableIds(data);
+  const defaults = strandPair(data);
+  const [senseId, antisenseId] = pair.map((id, i) => (ids.includes(id) ? id : defaults[i]));
+  const sense = data[senseId], antisense = senseId !== antisenseId ? data[antisenseId] : null;
+
+  const table = useMemo(() => sense && antisense ? antisenseTable(sense, antisense) : null, [sense, antisense]);
+  const neighbours = useMemo(() => sense ? convergentNeighbours(sense.features, { maxGap }) : new Map(), [sense, maxGap]);
+
+  // A gene's antisense signal is put down to a neighbour when that neighbour's own sense counts could cover it
+  const rows = useMemo(() => {
+    if (!table) return [];
+    const byGene = new Map(table.rows.map(r => [r.gene, r]));
+    return table.rows.map(r => {
+      const near = (neighbours.get(r.gene) || []).map(n => ({ ...n, sense: byGene.get(n.neighbour)?.meanSense ?? NaN }));
+      const passes = r.meanSense >= minSense && r.meanAntisense >= minAntisense;
+      const fromNeighbour = near.some(n => n.sense >= r.meanAntisense);
+      const cls = !passes || !(r.r <= maxR) ? 'other' : fromNeighbour ? 'neighbour' : 'candidate';
+      return { ...r, neighbours: near, passes, fromNeighbour, cls };
+    });
+  }, [table, neighbours, minSense, minAntisense, maxR]);
+
+  const counts = useMemo(() => rows.reduce((acc, r) => ({ ...acc, [r.cls]: acc[r.cls] + 1 }), { candidate: 0, neighbour: 0, other: 0 }), [rows]);
+
+  const conditionIndex = table ? table.conditions.indexOf(timepoint) : -1;
+  const scatter = useMemo(() => {
+    const order = { other: 0, neighbour: 1, candidate: 2 };
+    return rows.filter(r => r.meanSense > 0 || r.meanAntisense > 0)
+      .sort((p, q) => order[p.cls] - order[q.cls])
+      .map(r => ({
+        id: r.gene, row: r, color: COLORS[r.cls], label: annotations[r.gene]?.geneName || r.gene,
+        x: Math.log10(1 + (conditionIndex >= 0 ? r.senseCounts[conditionIndex] : r.meanSense)),
+        y: Math.log10(1 + (conditionIndex >= 0 ? r.antisenseCounts[conditionIndex] : r.meanAntisense))
+      }));
+  }, [rows, conditionIndex, annotations]);
+  const ratioVsR = useMemo(() => scatter.filter(p => p.row.passes).map(p => ({ ...p, x: p.row.meanLog2Ratio, y: p.row.r })), [scatter]);
+
+  const tableRows = useMemo(() => {
+    const list = rows.filter(r => r.passes && (!candidatesOnly || r.cls !== 'other') && (!hideNeighbour || !r.fromNeighbour));
+    const dir = sort.direction === 'asc' ? 1 : -1;
+    list.sort((p, q) => {
+      if (sort.key === 'gene') return dir * p.gene.localeCompare(q.gene);
+      const pv = p[sort.key], qv = q[sort.key];
+      if (!Number.isFinite(pv)) return 1;
+      if (!Number.isFinite(qv)) return -1;
+      return dir * (pv - qv);
+    });
+    return list;
+  }, [rows, candidatesOnly, hideNeighbour, sort]);
+
+  const pages = Math.max(1, Math.ceil(tableRows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pages - 1);
+
+  const describe = (p) => [['Sense counts', conditionIndex >= 0 ? p.row.senseCounts[conditionIndex] : p.row.meanSense], ['Antisense counts', conditionIndex >= 0 ? p.row.antisenseCounts[conditionIndex] : p.row.meanAntisense], ['log₂ AS/S', conditionIndex >= 0 ? p.row.log2Ratio[conditionIndex] : p.row.meanLog2Ratio], ['r', fmt(p.row.r)], ...(p.row.neighbours.length ? [['Convergent', p.row.neighbours.map(n => n.neighbour).join(', ')]] : [])];
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+  const numberCls = "w-20 px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg";
+
+  const pairSelects = ids.length > 2 && ['Sense', 'Antisense'].map((label, i) => (
+    <select key={label} value={[senseId, antisenseId][i]} title={`${label} counts`} onChange={(e) => setPair(p => (i === 0 ? [e.target.value, p[1]] : [p[0], e.target.value]))} className={selectCls}>
+      {ids.map(id => <option key={id} value={id}>{label}: {tableLabel(data, id)}</option>)}
+    </select>
+  ));
+
+  if (!table) {
+    return (
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+        <h2 className="text-2xl font-black text-slate-800 tracking-tight mb-4">Antisense Landscape</h2>
+        {pairSelects && <div className="flex gap-2 mb-4 text-xs">{pairSelects}</div>}
+        <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-amber-50 text-amber-700 border border-amber-100"><AlertCircle size={14} />Load a sense and an antisense count table from the same libraries{pairSelects ? ', and pick two different tables' : ''}.</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+        <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-slate-800 tracking-tight">Antisense Landscape</h2>
+            <p className="text-xs text-slate-400 mt-1 font-medium">Raw counts from the same libraries · ratio = (antisense + 1) / (sense + 1) · r between condition-mean profiles in <span className="text-indigo-600 bg-indigo-50 px-2 py-0.5 rounded-full">{sense.metric}</span></p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {pairSelects}
+            <select value={timepoint} onChange={(e) => setTimepoint(e.target.value)} className={selectCls}>
+              <option value="all">All samples</option>
+              {table.conditions.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+            <button onClick={() => downloadText('antisense_sense.tsv', antisenseToTSV(tableRows, table.conditions))} className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600"><Download size={12} />Table</button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-6 mb-6 text-[11px] font-bold text-slate-500">
+          <label className="flex items-center gap-2">Sense counts ≥
+            <input type="number" min="0" step="5" value={minSense} onChange={(e) => setMinSense(parseFloat(e.target.value) || 0)} className={numberCls} />
+          </label>
+          <label className="flex items-center gap-2">Antisense counts ≥
+            <input type="number" min="0" step="5" value={minAntisense} onChange={(e) => setMinAntisense(parseFloat(e.target.value) || 0)} className={numberCls} />
+          </label>
+          <label className="flex items-center gap-2">r ≤
+            <input type="number" min="-1" max="1" step="0.05" value={maxR} onChange={(e) => setMaxR(Math.min(1, Math.max(-1, parseFloat(e.target.value) || 0)))} className={numberCls} />
+          </label>
+          <label className="flex items-center gap-2" title="Opposite-strand neighbours whose 3' ends overlap or lie within this distance">Convergent gap ≤
+            <input type="number" min="0" step="25" value={maxGap} onChange={(e) => setMaxGap(Math.max(0, parseInt(e.target.value, 10) || 0))} className={numberCls} />
+          </label>
+          <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: COLORS.candidate }} />Candidates: {counts.candidate}</span>
+          <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: COLORS.neighbour }} />Explained by a convergent neighbour: {counts.neighbour}</span>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">Sense vs antisense · {timepoint === 'all' ? 'all samples' : timepoint}</h3>
+            <ScatterPlot points={scatter} xLabel="log₁₀ (sense counts + 1)" yLabel="log₁₀ (antisense counts + 1)" selected={selectedGenes} onPointClick={onSelectGene} describe={describe} />
+          </div>
+          <div>
+            <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">Profile correlation vs ratio (count filters applied)</h3>
+            <ScatterPlot points={ratioVsR} xLabel="mean log₂ (antisense / sense)" yLabel="r (sense vs antisense)" yDomain={[-1.05, 1.05]} hLines={[0, maxR]} selected={selectedGenes} onPointClick={onSelectGene} describe={describe} />
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center justify-between gap-2">
+          <h3 className="font-bold text-slate-700 text-sm">Antisense-regulated candidates · {tableRows.length}</h3>
+          <div className="flex items-center gap-3 text-[11px] font-bold text-slate-500">
+            <label className="flex items-center gap-1 cursor-pointer"><input type="checkbox" checked={candidatesOnly} onChange={(e) => { setCandidatesOnly(e.target.checked); setPage(0); }} />r ≤ {maxR} only</label>
+            <label className="flex items-center gap-1 cursor-pointer"><input type="checkbox" checked={hideNeighbour} onChange={(e) => { setHideNeighbour(e.target.checked); setPage(0); }} />Hide neighbour-explained</label>
+            <button disabled={currentPage === 0} onClick={() => setPage(currentPage - 1)} className="p-1 rounded hover:bg-slate-200 disabled:opacity-30"><ChevronLeft size={14} /></button>
+            <span>{currentPage + 1} / {pages}</span>
+            <button disabled={currentPage >= pages - 1} onClick={() => setPage(currentPage + 1)} className="p-1 rounded hover:bg-slate-200 disabled:opacity-30"><ChevronRight size={14} /></button>
+          </div>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-xs border-collapse">
+            <thead>
+              <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                {COLUMNS.map(c => (
+                  <th key={c.key} className="px-4 py-3 font-bold border-r border-slate-100">
+                    <button onClick={() => { setSort(p => ({ key: c.key, direction: p.key === c.key && p.direction === 'asc' ? 'desc' : 'asc' })); setPage(0); }} className={`flex items-center gap-1 ${sort.key === c.key ? 'text-indigo-600' : ''}`}>
+                      {c.label}<ArrowUpDown size={10} />
+                    </button>
+                  </th>
+                ))}
+                {table.conditions.map(c => <th key={c} className="px-3 py-3 font-bold text-center border-r border-slate-100">{c}</th>)}
+                <th className="px-4 py-3 font-bold">Convergent neighbour</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tableRows.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE).map(r => (
+                <tr key={r.gene} onClick={() => onSelectGene(r.gene)} className={`border-b border-slate-50 cursor-pointer transition-colors hover:bg-blue-50/30 ${selectedGenes.includes(r.gene) ? 'bg-blue-50/50' : ''}`}>
+                  <td className="px-4 py-2 border-r border-slate-100">
+                    <div className="flex items-center gap-2">
+                      <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: COLORS[r.cls] }} />
+                      <span className="font-mono font-bold text-slate-700">{r.gene}</span>
+                      {annotations[r.gene]?.geneName && annotations[r.gene].geneName !== r.gene && <span className="text-[10px] bg-slate-100 px-1 rounded text-slate-500">{annotations[r.gene].geneName}</span>}
+                      {annotations[r.gene]?.system && <span className="text-[9px] bg-emerald-50 text-emerald-700 px-1 rounded font-bold">{annotations[r.gene].system}</span>}
+                    </div>
+                    <div className="text-[10px] text-slate-400 truncate max-w-[260px]">{annotations[r.gene]?.product || '---'}</div>
+                  </td>
+                  <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.meanSense, 1)}</td>
+                  <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.meanAntisense, 1)}</td>
+                  <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.meanLog2Ratio)}</td>
+                  <td className={`px-4 py-2 font-mono font-bold border-r border-slate-100 ${r.r < 0 ? 'text-blue-600' : 'text-red-600'}`}>{fmt(r.r)}</td>
+                  {r.log2Ratio.map((v, j) => <td key={j} className="px-3 py-2 font-mono text-center border-r border-slate-100">{fmt(v, 1)}</td>)}
+                  <td className="px-4 py-2 text-[10px]">
+                    {r.neighbours.map(n => (
+                      <div key={n.neighbour} className={n.sense >= r.meanAntisense ? 'text-amber-700 font-bold' : 'text-slate-500'} title={`${n.relation}, ${n.overlap ? `${n.overlap} bp overlap` : `${n.gap} bp apart`}; neighbour sense counts ${fmt(n.sense, 1)}`}>
+                        {n.neighbour} · {n.relation}{n.overlap ? ` · ${n.overlap} bp` : ''}
+                      </div>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {tableRows.length === 0 && <p className="p-4 text-xs text-slate-400">No gene passes the current thresholds.</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AntisensePanel;
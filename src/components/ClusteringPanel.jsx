@@ -0,0 +1,175 @@
+import { useState, useMemo } from 'react';
+import { ChevronLeft, ChevronRight, Download, ListPlus, AlertCircle, Grid3x3, Sigma } from 'lucide-react';
+import { CLUSTER_METHODS, zScoredProfiles, kMeans, hierarchical, summarizeClusters, mostVariable } from '../lib/clustering.js';
+import { clustersToTSV, slugify } from '../lib/export.js';
+import { downloadText } from '../utils/download.js';
+import { tableIds, tableLabel } from '../lib/tables.js';
+
+const PAGE_SIZE = 50;
+const MAX_LINES = 150;
+const CLUSTER_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16', '#f97316', '#64748b', '#14b8a6', '#e11d48'];
+const PATTERN_CLASSES = { Rising: 'bg-red-50 text-red-600', Falling: 'bg-blue-50 text-blue-600', 'Transient peak': 'bg-amber-50 text-amber-700', 'Transient dip': 'bg-violet-50 text-violet-700' };
+
+const W = 300, H = 150, PAD = { top: 8, right: 8, bottom: 20, left: 26 };
+
+// Member profiles as faint lines over the 10-90% and 25-75% bands, centroid on top
+const ClusterPlot = ({ cluster, conditions, color }) => {
+  const plotW = W - PAD.left - PAD.right, plotH = H - PAD.top - PAD.bottom;
+  const lo = Math.min(-2, ...cluster.band.map(b => b[0])), hi = Math.max(2, ...cluster.band.map(b => b[3]));
+  const x = (i) => PAD.left + (conditions.length > 1 ? (i / (conditions.length - 1)) * plotW : plotW / 2);
+  const y = (v) => PAD.top + plotH - ((Math.min(hi, Math.max(lo, v)) - lo) / (hi - lo)) * plotH;
+  const line = (vals) => vals.map((v, i) => `${i ? 'L' : 'M'}${x(i)},${y(v)}`).join(' ');
+  const area = (upper, lower) => `${line(upper)} ${lower.map((v, i) => [i, v]).reverse().map(([i, v]) => `L${x(i)},${y(v)}`).join(' ')} Z`;
+  const step = Math.max(1, Math.ceil(cluster.members.length / MAX_LINES));
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      {[-2, 0, 2].map(t => (
+        <g key={t}>
+          <line x1={PAD.left} x2={W - PAD.right} y1={y(t)} y2={y(t)} stroke={t === 0 ? '#e2e8f0' : '#f1f5f9'} />
+          <text x={PAD.left - 4} y={y(t) + 3} textAnchor="end" fontSize={8} fill="#94a3b8">{t}</text>
+        </g>
+      ))}
+      {conditions.map((c, i) => <text key={c} x={x(i)} y={H - 6} textAnchor="middle" fontSize={8} fill="#64748b">{c}</text>)}
+      <path d={area(cluster.band.map(b => b[3]), cluster.band.map(b => b[0]))} fill={color} fillOpacity={0.08} />
+      <path d={area(cluster.band.map(b => b[2]), cluster.band.map(b => b[1]))} fill={color} fillOpacity={0.15} />
+      {cluster.members.filter((_, i) => i % step === 0).map(m => <path key={m.gene} d={line(m.z)} fill="none" stroke={color} strokeOpacity={0.12} strokeWidth={0.75} />)}
+      <path d={line(cluster.centroid)} fill="none" stroke={color} strokeWidth={2.5} />
+    </svg>
+  );
+};
+
+const ClusteringPanel = ({ data, annotations, selectedGenes, onSelectGene, onAddGenes, onShowHeatmap, onEnrich }) => {
+  const datasets = tableIds(data);
+  const [dataset, setDataset] = useState(datasets[0]);
+  const mode = datasets.includes(dataset) ? dataset : datasets[0];
+  const dataObj = data[mode];
+  const [method, setMethod] = useState('kmeans');
+  const [k, setK] = useState(6);
+  const [minExpression, setMinExpression] = useState(2);
+  const [cap, setCap] = useState(1500);
+  const [active, setActive] = useState(1);
+  const [page, setPage] = useState(0);
+
+  const profiles = useMemo(() => dataObj ? zScoredProfiles(dataObj, { minExpression }) : null, [dataObj, minExpression]);
+  // Hierarchical clustering needs the full distance matrix, so it only sees the most variable genes
+  const input = useMemo(() => profiles && method === 'hierarchical' ? mostVariable(profiles, cap) : profiles, [profiles, method, cap]);
+  const clusters = useMemo(() => {
+    if (!input || input.ids.length < k) return [];
+    const assign = method === 'hierarchical' ? hierarchical(input.z, k).assign : kMeans(input.z, k);
+    return summarizeClusters(input, assign);
+  }, [input, method, k]);
+
+  const current = clusters.find(c => c.id === active) || clusters[0];
+  const pages = Math.max(1, Math.ceil((current?.members.length || 0) / PAGE_SIZE));
+  const currentPage = Math.min(page, pages - 1);
+  const freeSlots = Math.max(0, 7 - selectedGenes.length);
+
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+  const numberCls = "w-20 px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg";
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+        <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-slate-800 tracking-tight">Temporal Patterns</h2>
+            <p className="text-xs text-slate-400 mt-1 font-medium">
+              Condition means z-scored per gene · {input ? `${input.ids.length.toLocaleString()} of ${dataObj.raw.length.toLocaleString()} genes clustered` : ''} · <span className="text-indigo-600 bg-indigo-50 px-2 py-0.5 rounded-full">{dataObj?.metric}</span>
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {datasets.length > 1 && (
+              <select value={mode} onChange={(e) => setDataset(e.target.value)} className={selectCls}>
+                {datasets.map(d => <option key={d} value={d}>{tableLabel(data, d)}</option>)}
+              </select>
+            )}
+            <select value={method} onChange={(e) => setMethod(e.target.value)} className={selectCls}>
+              {Object.entries(CLUSTER_METHODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            {clusters.length > 0 && (
+              <button onClick={() => downloadText(`clusters_${slugify(tableLabel(data, mode))}_${method}_k${k}_${slugify(dataObj.metric)}.tsv`, clustersToTSV(clusters, dataObj.conditions, dataObj.metric))} className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600"><Download size={12} />Clusters</button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-6 mb-6 text-[11px] font-bold text-slate-500">
+          <label className="flex items-center gap-2">k
+            <input type="number" min="2" max="12" value={k} onChange={(e) => setK(Math.min(12, Math.max(2, parseInt(e.target.value, 10) || 2)))} className={numberCls} />
+          </label>
+          <label className="flex items-center gap-2" title="Genes whose highest condition mean is below this are left out">Max condition mean ≥
+            <input type="number" step="0.5" value={minExpression} onChange={(e) => setMinExpression(parseFloat(e.target.value) || 0)} className={numberCls} />
+          </label>
+          {method === 'hierarchical' && (
+            <label className="flex items-center gap-2" title="Hierarchical clustering keeps only the most variable genes">Most variable genes
+              <input type="number" step="250" min="100" max="3000" value={cap} onChange={(e) => setCap(Math.min(3000, Math.max(100, parseInt(e.target.value, 10) || 100)))} className={`${numberCls} w-24`} />
+            </label>
+          )}
+        </div>
+
+        {clusters.length === 0 ? (
+          <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-amber-50 text-amber-700 border border-amber-100"><AlertCircle size={14} />Fewer genes pass the expression filter than there are clusters.</div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {clusters.map((c, i) => (
+              <button key={c.id} onClick={() => { setActive(c.id); setPage(0); }} className={`text-left p-3 rounded-2xl border transition-all ${current?.id === c.id ? 'border-indigo-300 bg-indigo-50/30 shadow-sm' : 'border-slate-200 hover:border-indigo-200'}`}>
+                <div className="flex items-center gap-2 mb-1">
+                  <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: CLUSTER_COLORS[i % CLUSTER_COLORS.length] }} />
+                  <span className="font-black text-slate-800 text-sm">Cluster {c.id}</span>
+                  <span className={`text-[10px] font-bold px-1.5 rounded ${PATTERN_CLASSES[c.pattern] || 'bg-slate-100 text-slate-500'}`}>{c.pattern}</span>
+                  <span className="ml-auto text-[10px] font-bold text-slate-400">{c.members.length} genes</span>
+                </div>
+                <ClusterPlot cluster={c} conditions={dataObj.conditions} color={CLUSTER_COLORS[i % CLUSTER_COLORS.length]} />
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {current && (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center justify-between gap-2">
+            <h3 className="font-bold text-slate-700 text-sm">Cluster {current.id} · {current.pattern} · {current.members.length} genes</h3>
+            <div className="flex items-center gap-3 text-[11px] font-bold text-slate-500">
+              <button onClick={() => onShowHeatmap({ label: `Cluster ${current.id} (${current.pattern}, ${tableLabel(data, mode)})`, genes: current.members.map(m => m.gene) })} className="flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600"><Grid3x3 size={12} />Heatmap</button>
+              <button onClick={() => onEnrich({ label: `Cluster ${current.id} (${current.pattern}, ${tableLabel(data, mode)})`, genes: current.members.map(m => m.gene), background: input.ids })} title="Test the cluster for over-represented gene sets against every clustered gene" className="flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600"><Sigma size={12} />Enrich</button>
+              <button disabled={freeSlots === 0} onClick={() => onAddGenes(current.members.slice(0, freeSlots).map(m => m.gene))} className="flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 disabled:opacity-30"><ListPlus size={12} />Plot {freeSlots} closest to centroid</button>
+              <button disabled={currentPage === 0} onClick={() => setPage(currentPage - 1)} className="p-1 rounded hover:bg-slate-200 disabled:opacity-30"><ChevronLeft size={14} /></button>
+              <span>{currentPage + 1} / {pages}</span>
+              <button disabled={currentPage >= pages - 1} onClick={() => setPage(currentPage + 1)} className="p-1 rounded hover:bg-slate-200 disabled:opacity-30"><ChevronRight size={14} /></button>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-xs border-collapse">
+              <thead>
+                <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                  <th className="px-4 py-3 font-bold border-r border-slate-100">Gene</th>
+                  <th className="px-4 py-3 font-bold border-r border-slate-100">System</th>
+                  <th className="px-4 py-3 font-bold border-r border-slate-100" title="Euclidean distance of the z-scored profile to the centroid">Distance</th>
+                  {dataObj.conditions.map(c => <th key={c} className="px-4 py-3 font-bold text-center border-r border-slate-100 last:border-0">{c}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {current.members.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE).map(m => (
+                  <tr key={m.gene} onClick={() => onSelectGene(m.gene)} className={`border-b border-slate-50 cursor-pointer transition-colors hover:bg-blue-50/30 ${selectedGenes.includes(m.gene) ? 'bg-blue-50/50' : ''}`}>
+                    <td className="px-4 py-2 border-r border-slate-100">
+                      <div className="flex items-center gap-2">
+                        <span className="font-mono font-bold text-slate-700">{m.gene}</span>
+                        {annotations[m.gene]?.geneName && annotations[m.gene].geneName !== m.gene && <span className="text-[10px] bg-slate-100 px-1 rounded text-slate-500">{annotations[m.gene].geneName}</span>}
+                      </div>
+                      <div className="text-[10px] text-slate-400 truncate max-w-[320px]">{annotations[m.gene]?.product || '---'}</div>
+                    </td>
+                    <td className="px-4 py-2 border-r border-slate-100">{annotations[m.gene]?.system && <span className="text-[9px] bg-emerald-50 text-emerald-700 px-1 rounded font-bold">{annotations[m.gene].system}</span>}</td>
+                    <td className="px-4 py-2 font-mono border-r border-slate-100">{m.distance.toFixed(2)}</td>
+                    {m.means.map((v, j) => <td key={j} className="px-4 py-2 font-mono text-center border-r border-slate-100 last:border-0">{v.toFixed(2)}<div className="text-[9px] text-slate-400">z {m.z[j].toFixed(1)}</div></td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClusteringPanel;
@@ -0,0 +1,167 @@
+import { useState, useMemo } from 'react';
+import { Network, ListPlus, X } from 'lucide-react';
+import useElementWidth from '../hooks/useElementWidth.js';
+import { SIMILARITY_METHODS, buildProfileIndex, rankSimilar, coexpressionNetwork } from '../lib/coexpression.js';
+import SourceBadges from './SourceBadges.jsx';
+import { tableIds, tableLabel } from '../lib/tables.js';
+
+const NET_H = 420;
+
+// Fruchterman-Reingold in the unit square, seeded on a circle so the same set always lands the same way
+const layoutNetwork = (nodes, edges, iterations = 200) => {
+  const n = nodes.length;
+  const pos = nodes.map((_, i) => ({ x: 0.5 + 0.4 * Math.cos((2 * Math.PI * i) / n), y: 0.5 + 0.4 * Math.sin((2 * Math.PI * i) / n) }));
+  const at = new Map(nodes.map((id, i) => [id, i]));
+  const k = Math.sqrt(1 / Math.max(n, 1));
+  for (let it = 0; it < iterations; it++) {
+    const temp = 0.1 * (1 - it / iterations);
+    const disp = pos.map(() => ({ x: 0, y: 0 }));
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = pos[i].x - pos[j].x, dy = pos[i].y - pos[j].y;
+        const d = Math.max(1e-3, Math.hypot(dx, dy));
+        const f = (k * k) / d;
+        disp[i].x += (dx / d) * f; disp[i].y += (dy / d) * f;
+        disp[j].x -= (dx / d) * f; disp[j].y -= (dy / d) * f;
+      }
+    }
+    edges.forEach(e => {
+      const i = at.get(e.source), j = at.get(e.target);
+      const dx = pos[i].x - pos[j].x, dy = pos[i].y - pos[j].y;
+      const d = Math.max(1e-3, Math.hypot(dx, dy));
+      const f = ((d * d) / k) * Math.abs(e.r);
+      disp[i].x -= (dx / d) * f; disp[i].y -= (dy / d) * f;
+      disp[j].x += (dx / d) * f; disp[j].y += (dy / d) * f;
+    });
+    pos.forEach((p, i) => {
+      const d = Math.max(1e-9, Math.hypot(disp[i].x, disp[i].y));
+      p.x = Math.min(0.97, Math.max(0.03, p.x + (disp[i].x / d) * Math.min(d, temp)));
+      p.y = Math.min(0.95, Math.max(0.05, p.y + (disp[i].y / d) * Math.min(d, temp)));
+    });
+  }
+  return new Map(nodes.map((id, i) => [id, pos[i]]));
+};
+
+const CoexpressionPanel = ({ data, gene, annotations, selectedGenes, onSelectGene, onAddGenes, onClose }) => {
+  const datasets = tableIds(data);
+  const [dataset, setDataset] = useState(datasets[0]);
+  const dataObj = data[datasets.includes(dataset) ? dataset : datasets[0]];
+  const [method, setMethod] = useState('pearson');
+  const [perReplicate, setPerReplicate] = useState(false);
+  const [direction, setDirection] = useState('positive');
+  const [topN, setTopN] = useState(50);
+  const [checked, setChecked] = useState([]);
+  const [networkSize, setNetworkSize] = useState(20);
+  const [threshold, setThreshold] = useState(0.9);
+  const [ref, width] = useElementWidth(700);
+
+  // The expensive part (one pass over every gene) only reruns when the data or the similarity definition changes
+  const index = useMemo(() => dataObj ? buildProfileIndex(dataObj, { method, perReplicate }) : null, [dataObj, method, perReplicate]);
+  const results = useMemo(() => index ? rankSimilar(index, gene, { n: topN, direction }) : [], [index, gene, topN, direction]);
+  const network = useMemo(() => index ? coexpressionNetwork(index, [gene, ...results.slice(0, networkSize - 1).map(r => r.gene)], threshold) : { nodes: [], edges: [] }, [index, gene, results, networkSize, threshold]);
+  const layout = useMemo(() => layoutNetwork(network.nodes, network.edges), [network]);
+
+  const label = (id) => annotations[id]?.geneName || id;
+  const toggle = (id) => setChecked(prev => prev.includes(id) ? prev.filter(g => g !== id) : [...prev, id]);
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+  const numberCls = "w-20 px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg";
+  const freeSlots = Math.max(0, 7 - selectedGenes.length);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="p-4 bg-slate-50 border-b border-slate-200 flex flex-wrap items-center gap-3">
+        <Network size={18} className="text-slate-400" />
+        <h3 className="font-bold text-slate-700 text-sm">Co-expression: {label(gene)}</h3>
+        <div className="flex flex-wrap items-center gap-2 text-xs ml-auto">
+          {datasets.length > 1 && (
+            <select value={dataset} onChange={(e) => setDataset(e.target.value)} className={selectCls}>
+              {datasets.map(d => <option key={d} value={d}>{tableLabel(data, d)}</option>)}
+            </select>
+          )}
+          <select value={method} onChange={(e) => setMethod(e.target.value)} className={selectCls}>
+            {Object.entries(SIMILARITY_METHODS).map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+          </select>
+          <select value={direction} onChange={(e) => setDirection(e.target.value)} className={selectCls}>
+            <option value="positive">Most similar</option>
+            <option value="negative">Most opposite</option>
+          </select>
+          <label className="flex items-center gap-1 font-bold text-slate-500 cursor-pointer" title="Correlate every sample instead of condition means">
+            <input type="checkbox" checked={perReplicate} onChange={(e) => setPerReplicate(e.target.checked)} />Per replicate
+          </label>
+          <label className="flex items-center gap-1 font-bold text-slate-500">Top
+            <input type="number" min="5" max="1000" step="5" value={topN} onChange={(e) => setTopN(Math.min(1000, Math.max(5, parseInt(e.target.value, 10) || 5)))} className={numberCls} />
+          </label>
+          <button onClick={onClose} className="p-1 rounded hover:bg-slate-200 text-slate-400"><X size={14} /></button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2">
+        <div className="border-r border-slate-100">
+          <div className="px-4 py-2 flex items-center gap-3 text-[11px] font-bold text-slate-500 border-b border-slate-100">
+            <span>{checked.length} checked</span>
+            <button disabled={freeSlots === 0} onClick={() => setChecked(results.slice(0, freeSlots).map(r => r.gene))} className="hover:text-indigo-600 disabled:opacity-30">Check top {freeSlots}</button>
+            <button disabled={checked.length === 0} onClick={() => { onAddGenes(checked); setChecked([]); }} className="ml-auto flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 disabled:opacity-30">
+              <ListPlus size={12} />Plot checked ({Math.min(checked.length, freeSlots)} of {freeSlots} free)
+            </button>
+          </div>
+          <div className="overflow-auto max-h-[420px] scrollbar-thin">
+            <table className="w-full text-left text-xs border-collapse">
+              <tbody>
+                {results.map((r, i) => (
+                  <tr key={r.gene} className={`border-b border-slate-50 transition-colors hover:bg-blue-50/30 ${selectedGenes.includes(r.gene) ? 'bg-blue-50/50' : ''}`}>
+                    <td className="pl-4 pr-2 py-1.5 w-6"><input type="checkbox" checked={checked.includes(r.gene)} onChange={() => toggle(r.gene)} /></td>
+                    <td className="px-2 py-1.5 text-slate-400 font-mono w-8">{i + 1}</td>
+                    <td className="px-2 py-1.5 cursor-pointer" onClick={() => onSelectGene(r.gene)}>
+                      <div className="flex items-center gap-2">
+                        <span className="font-mono font-bold text-slate-700">{r.gene}</span>
+                        {label(r.gene) !== r.gene && <span className="text-[10px] bg-slate-100 px-1 rounded text-slate-500">{label(r.gene)}</span>}
+                        {annotations[r.gene]?.system && <span className="text-[9px] bg-emerald-50 text-emerald-700 px-1 rounded font-bold">{annotations[r.gene].system}</span>}
+                        <SourceBadges entry={annotations[r.gene]} exclude={['padloc']} />
+                      </div>
+                      <div className="text-[10px] text-slate-400 truncate max-w-[300px]">{annotations[r.gene]?.product || '---'}</div>
+                    </td>
+                    <td className={`px-4 py-1.5 font-mono font-bold text-right ${r.r >= 0 ? 'text-red-600' : 'text-blue-600'}`}>{r.r.toFixed(3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {results.length === 0 && <p className="p-4 text-xs text-slate-400">{label(gene)} has a flat profile in this dataset; nothing to correlate with.</p>}
+          </div>
+        </div>
+
+        <div className="p-4" ref={ref}>
+          <div className="flex flex-wrap items-center gap-4 mb-2 text-[11px] font-bold text-slate-500">
+            <span className="text-xs font-black text-slate-400 uppercase tracking-widest">Network</span>
+            <label className="flex items-center gap-1">Genes
+              <input type="number" min="3" max="60" value={networkSize} onChange={(e) => setNetworkSize(Math.min(60, Math.max(3, parseInt(e.target.value, 10) || 3)))} className={numberCls} />
+            </label>
+            <label className="flex items-center gap-1">|r| ≥
+              <input type="number" min="0" max="1" step="0.05" value={threshold} onChange={(e) => setThreshold(Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)))} className={numberCls} />
+            </label>
+            <span className="ml-auto text-slate-400">{network.edges.length} edges</span>
+          </div>
+          <svg width={width - 32} height={NET_H}>
+            {network.edges.map(e => {
+              const a = layout.get(e.source), b = layout.get(e.target);
+              return <line key={`${e.source}_${e.target}`} x1={a.x * (width - 32)} y1={a.y * NET_H} x2={b.x * (width - 32)} y2={b.y * NET_H} stroke={e.r >= 0 ? '#ef4444' : '#3b82f6'} strokeOpacity={0.15 + 0.6 * (Math.abs(e.r) - threshold) / (1 - threshold || 1)} strokeWidth={1.5} />;
+            })}
+            {network.nodes.map(id => {
+              const p = layout.get(id);
+              const isQuery = id === gene;
+              return (
+                <g key={id} className="cursor-pointer" onClick={() => onSelectGene(id)}>
+                  <title>{`${label(id)}${label(id) !== id ? ` (${id})` : ''}`}</title>
+                  <circle cx={p.x * (width - 32)} cy={p.y * NET_H} r={isQuery ? 9 : 6} fill={isQuery ? '#6366f1' : annotations[id]?.system ? '#10b981' : '#94a3b8'} stroke={selectedGenes.includes(id) ? '#0f172a' : '#fff'} strokeWidth={2} />
+                  <text x={p.x * (width - 32)} y={p.y * NET_H - 11} textAnchor="middle" fontSize={9} fill="#475569" pointerEvents="none">{label(id)}</text>
+                </g>
+              );
+            })}
+          </svg>
+          <p className="text-[10px] text-slate-400 mt-1">Query plus its top {network.nodes.length - 1} matches; red edges co-vary, blue edges are opposite. Green nodes belong to a defense system.</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CoexpressionPanel;
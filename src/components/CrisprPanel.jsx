@@ -0,0 +1,408 @@
+import { useState, useMemo } from 'react';
+import { ArrowUpDown, AlertCircle, Search, Plus, Repeat } from 'lucide-react';
+import useElementWidth from '../hooks/useElementWidth.js';
+import { TRACK_COLORS, formatBp, arrowPath } from '../utils/trackGeometry.js';
+import { crisprArrays, arrayNumber, casLoci, nearestCasLocus, casGeneIds, repeatFamilies, sharedSpacers, searchSequences, reverseComplement } from '../lib/crispr.js';
+import { neighbourhood } from '../lib/neighbourhood.js';
+import { conditionTimes } from '../lib/parsers.js';
+import { DEFAULT_PLOT_OPTIONS, conditionSummaries } from '../lib/profile.js';
+import { tableIds, tableLabel } from '../lib/tables.js';
+import ProfileChart from './ProfileChart.jsx';
+
+const GENE_COLORS = ['#f59e0b', '#ef4444', '#3b82f6', '#10b981', '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16', '#f97316', '#64748b'];
+const MAX_LINES = GENE_COLORS.length;
+// A cas locus this close is drawn on the same axis as the array
+const JOIN_BP = 50000;
+const MAX_HITS = 200;
+const LABEL_W = 70;
+
+// Same spacer sequence (either strand), same colour, so repeated spacers stand out across arrays
+const spacerColor = (seq) => {
+  const rc = reverseComplement(seq);
+  const key = seq < rc ? seq : rc;
+  let h = 0;
+  for (let i = 0; i < key.length; i++) h = (h * 31 + key.charCodeAt(i)) >>> 0;
+  return `hsl(${h % 360}, 60%, 62%)`;
+};
+
+const CrisprPanel = ({ data, sources, annotations, selectedGenes, onSelectGene }) => {
+  const datasets = tableIds(data);
+  const [dataset, setDataset] = useState(datasets[0]);
+  const dataObj = data[datasets.includes(dataset) ? dataset : datasets[0]];
+  const [arrayId, setArrayId] = useState(null);
+  const [sort, setSort] = useState({ key: 'start', direction: 'asc' });
+  const [flank, setFlank] = useState(1000);
+  const [windowBp, setWindowBp] = useState(5000);
+  const [familyMismatches, setFamilyMismatches] = useState(2);
+  const [query, setQuery] = useState('');
+  const [maxMismatches, setMaxMismatches] = useState(0);
+  const [kinds, setKinds] = useState(['spacer', 'repeat']);
+  const [diagramRef, width] = useElementWidth(900);
+
+  const crisprGff = sources?.crispr;
+  const casGff = sources?.cas;
+  const arrays = useMemo(() => crisprArrays(crisprGff), [crisprGff]);
+  const loci = useMemo(() => casLoci(casGff), [casGff]);
+  const numberOf = useMemo(() => new Map(arrays.map((a, i) => [a.id, arrayNumber(a, i)])), [arrays]);
+  const families = useMemo(() => repeatFamilies(arrays, familyMismatches), [arrays, familyMismatches]);
+  const familyOf = useMemo(() => new Map(families.flatMap(f => f.arrays.map(a => [a, f.id]))), [families]);
+  const shared = useMemo(() => sharedSpacers(arrays), [arrays]);
+  const rows = useMemo(() => arrays.map(a => ({ ...a, length: a.end - a.start + 1, cas: nearestCasLocus(a, loci) })), [arrays, loci]);
+
+  const sorted = useMemo(() => {
+    const dir = sort.direction === 'asc' ? 1 : -1;
+    const value = (r) => (sort.key === 'cas' ? (r.cas?.distance ?? Infinity) : r[sort.key]);
+    return [...rows].sort((a, b) => (sort.key === 'start' ? dir * (a.chr.localeCompare(b.chr) || a.start - b.start) : dir * (value(a) - value(b))));
+  }, [rows, sort]);
+
+  const search = useMemo(() => {
+    try { return { hits: searchSequences(arrays, query, { maxMismatches, kinds }), error: null }; }
+    catch (err) { return { hits: [], error: err.message }; }
+  }, [arrays, query, maxMismatches, kinds]);
+  const hitElements = useMemo(() => new Set(search.hits.map(h => `${h.array}:${h.kind}:${h.index}`)), [search]);
+
+  const array = rows.find(r => r.id === arrayId) || sorted[0];
+  const near = array?.cas;
+
+  // The array and, when it is close enough, its nearest cas locus on one axis
+  const region = useMemo(() => {
+    if (!array) return null;
+    const joined = near && near.distance <= JOIN_BP;
+    const start = Math.min(array.start, joined ? near.locus.start : Infinity) - windowBp;
+    const end = Math.max(array.end, joined ? near.locus.end : -Infinity) + windowBp;
+    return { chr: array.chr, start: Math.max(1, start), end };
+  }, [array, near, windowBp]);
+  const context = useMemo(() => (region ? neighbourhood(dataObj, region, 0, { cas: casGff, crispr: crisprGff }) : null), [region, dataObj, casGff, crisprGff]);
+
+  // Cas genes of the nearest locus first, then count-table genes overlapping the array or within `flank` bp
+  const genes = useMemo(() => {
+    if (!array || !dataObj) return [];
+    const out = new Map();
+    if (near) casGeneIds(dataObj, near.locus.genes).forEach(g => {
+      if (g.geneId && !out.has(g.geneId)) out.set(g.geneId, { geneId: g.geneId, role: 'cas', name: g.name, type: g.type, strand: g.strand, distance: near.distance });
+    });
+    neighbourhood(dataObj, array, flank, {}).genes.forEach(g => {
+      if (!out.has(g.id)) out.set(g.id, { geneId: g.id, role: g.distance ? 'adjacent' : 'overlapping', name: null, type: null, strand: g.strand, distance: g.distance });
+    });
+    return Array.from(out.values());
+  }, [array, near, dataObj, flank]);
+
+  const label = (g) => annotations[g.geneId]?.geneName || g.name || g.geneId;
+  const conditions = useMemo(() => {
+    if (!dataObj) return [];
+    const times = conditionTimes(dataObj.sampleCols, dataObj.design);
+    return dataObj.conditions.map(c => ({ condition: c, time: times[c] }));
+  }, [dataObj]);
+  const series = useMemo(() => genes.slice(0, MAX_LINES).map((g, i) => ({
+    key: g.geneId, label: annotations[g.geneId]?.geneName || g.name || g.geneId, dataset: g.role, color: GENE_COLORS[i], dash: g.role === 'cas' ? '' : '5 5',
+    stats: conditionSummaries(dataObj, g.geneId)
+  })), [genes, dataObj, annotations]);
+
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+  const numberCls = "w-20 px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg";
+  const headerBtn = (key, text) => (
+    <button onClick={() => setSort(p => ({ key, direction: p.key === key && p.direction === 'asc' ? 'desc' : 'asc' }))} className={`flex items-center gap-1 ${sort.key === key ? 'text-indigo-600' : ''}`}>
+      {text}<ArrowUpDown size={10} />
+    </button>
+  );
+  const toggleKind = (k) => setKinds(p => (p.includes(k) ? (p.length > 1 ? p.filter(x => x !== k) : p) : [...p, k]));
+
+  if (!arrays.length) {
+    return (
+      <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-amber-50 text-amber-700 border border-amber-100">
+        <AlertCircle size={14} />No CRISPR arrays found. Load a CRISPRCasFinder GFF (and a MacSyFinder Cas GFF for the cas genes) as annotation.
+      </div>
+    );
+  }
+
+  // --- Array diagram: flanks, repeats (diamonds) and spacers (coloured blocks) on a bp scale ---
+  const plotW = Math.max(100, width - LABEL_W);
+  const span = array ? [array.flanks.left?.start ?? array.start, array.flanks.right?.end ?? array.end] : [0, 1];
+  const ax = (bp) => LABEL_W + ((bp - span[0]) / (span[1] - span[0] + 1)) * plotW;
+  const DIAGRAM_H = 64, MID = 34;
+  const leader = array?.leader && array.flanks[array.leader];
+
+  // --- Locus context: genes, cas genes and arrays around the array ---
+  const toX = (bp) => LABEL_W + ((bp - context.start) / (context.end - context.start || 1)) * plotW;
+  const GENE_H = 40, TRACK_H = 22;
+  const lanes = ['cas', 'crispr'];
+  const contextH = 20 + GENE_H + lanes.length * TRACK_H + 8;
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="p-6 border-b border-slate-200 flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-slate-800 tracking-tight">CRISPR Arrays</h2>
+            <p className="text-xs text-slate-400 mt-1 font-medium">
+              {arrays.length} arrays · {arrays.reduce((n, a) => n + a.spacerCount, 0)} spacers · {loci.length ? `${loci.length} cas loci (${loci.flatMap(l => l.types).join(', ')})` : 'no Cas GFF loaded'} · leader side from the predicted direction
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {datasets.length > 1 && (
+              <select value={dataset} onChange={(e) => setDataset(e.target.value)} className={selectCls}>
+                {datasets.map(d => <option key={d} value={d}>{tableLabel(data, d)}</option>)}
+              </select>
+            )}
+          </div>
+        </div>
+        <div className="overflow-auto max-h-[360px] scrollbar-thin">
+          <table className="w-full text-left text-xs border-collapse">
+            <thead className="sticky top-0">
+              <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                <th className="px-3 py-2 font-bold border-r border-slate-100">#</th>
+                <th className="px-3 py-2 font-bold border-r border-slate-100">{headerBtn('start', 'Location')}</th>
+                <th className="px-3 py-2 font-bold border-r border-slate-100">{headerBtn('length', 'Length')}</th>
+                <th className="px-3 py-2 font-bold border-r border-slate-100">{headerBtn('spacerCount', 'Spacers')}</th>
+                <th className="px-3 py-2 font-bold border-r border-slate-100">DR consensus</th>
+                <th className="px-3 py-2 font-bold border-r border-slate-100">Orientation</th>
+                <th className="px-3 py-2 font-bold border-r border-slate-100" title={`Arrays whose repeats differ by at most ${familyMismatches} mismatches`}>Family</th>
+                <th className="px-3 py-2 font-bold">{headerBtn('cas', 'Nearest cas')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map(r => (
+                <tr key={r.id} onClick={() => setArrayId(r.id)} className={`border-b border-slate-50 cursor-pointer transition-colors hover:bg-pink-50/40 ${r.id === array?.id ? 'bg-pink-50/70' : ''}`}>
+                  <td className="px-3 py-1.5 border-r border-slate-100 font-mono font-bold text-pink-600">{numberOf.get(r.id)}</td>
+                  <td className="px-3 py-1.5 border-r border-slate-100 font-mono">{r.chr}:{r.start.toLocaleString()}-{r.end.toLocaleString()}</td>
+                  <td className="px-3 py-1.5 border-r border-slate-100 font-mono">{r.length.toLocaleString()}</td>
+                  <td className="px-3 py-1.5 border-r border-slate-100 font-mono font-bold">{r.spacerCount}</td>
+                  <td className="px-3 py-1.5 border-r border-slate-100 font-mono text-[10px] text-slate-500" title={`${r.dr} (${r.drLength} bp)`}><span className="block truncate max-w-[220px]">{r.dr}</span></td>
+                  <td className="px-3 py-1.5 border-r border-slate-100">{r.direction}{r.leader && <span className="text-[10px] text-slate-400"> · leader {r.leader}</span>}</td>
+                  <td className="px-3 py-1.5 border-r border-slate-100">{familyOf.has(r.id) && <span className="text-[10px] font-bold px-1.5 rounded bg-pink-100 text-pink-700">F{familyOf.get(r.id)}</span>}</td>
+                  <td className="px-3 py-1.5 font-mono text-[10px]">{r.cas ? `${r.cas.locus.genes.map(g => g.name).join(', ')} · ${r.cas.distance ? formatBp(r.cas.distance) : 'overlapping'}` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {array && (
+        <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+          <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+            <div>
+              <h2 className="text-xl font-black text-slate-800 tracking-tight">Array {numberOf.get(array.id)} <span className="text-sm font-mono font-medium text-slate-400">{array.chr}:{array.start.toLocaleString()}-{array.end.toLocaleString()}</span></h2>
+              <p className="text-xs text-slate-400 mt-1 font-medium">
+                {array.spacerCount} spacers · {array.repeats.length} repeats ({array.repeats.filter(r => r.mismatches > 0).length} differ from the consensus) · DR {array.drLength} bp · {array.direction}
+              </p>
+            </div>
+            <div className="flex flex-wrap items-center gap-4 text-[11px] font-bold text-slate-500">
+              <label className="flex items-center gap-2" title="Count-table genes this close to the array are plotted with the cas genes">Adjacent ≤ bp
+                <input type="number" step="100" min="0" value={flank} onChange={(e) => setFlank(Math.max(0, parseInt(e.target.value, 10) || 0))} className={numberCls} />
+              </label>
+              <label className="flex items-center gap-2">Context ± bp
+                <input type="number" step="1000" min="0" value={windowBp} onChange={(e) => setWindowBp(Math.max(0, parseInt(e.target.value, 10) || 0))} className={`${numberCls} w-24`} />
+              </label>
+            </div>
+          </div>
+
+          <div ref={diagramRef} className="w-full select-none space-y-4">
+            <svg width={width} height={DIAGRAM_H}>
+              <text x={0} y={MID + 4} fontSize={10} fontWeight={700} fill="#475569">Array</text>
+              <line x1={ax(span[0])} x2={ax(span[1] + 1)} y1={MID} y2={MID} stroke="#cbd5e1" strokeWidth={2} />
+              {['left', 'right'].map(side => array.flanks[side] && (
+                <g key={side}>
+                  <title>{`${side === array.leader ? 'Leader' : 'Flank'} ${array.flanks[side].start}–${array.flanks[side].end}`}</title>
+                  <rect x={ax(array.flanks[side].start)} y={MID - 4} width={Math.max(1, ax(array.flanks[side].end + 1) - ax(array.flanks[side].start))} height={8} rx={2} fill={side === array.leader ? '#64748b' : '#e2e8f0'} />
+                </g>
+              ))}
+              {leader && <text x={(ax(leader.start) + ax(leader.end + 1)) / 2} y={MID - 10} textAnchor="middle" fontSize={9} fontWeight={700} fill="#64748b">leader</text>}
+              {array.spacers.map((s, i) => {
+                const hit = hitElements.has(`${array.id}:spacer:${i}`);
+                return (
+                  <g key={s.id || i}>
+                    <title>{`Spacer ${i + 1} (${s.end - s.start + 1} bp) ${s.start}–${s.end}\n${s.sequence}`}</title>
+                    <rect x={ax(s.start)} y={MID - 9} width={Math.max(1, ax(s.end + 1) - ax(s.start))} height={18} rx={2} fill={spacerColor(s.sequence)} stroke={hit ? '#4f46e5' : 'none'} strokeWidth={2} />
+                  </g>
+                );
+              })}
+              {array.repeats.map((r, i) => {
+                const x1 = ax(r.start), x2 = ax(r.end + 1), cx = (x1 + x2) / 2, hw = Math.max(3, (x2 - x1) / 2);
+                const hit = hitElements.has(`${array.id}:repeat:${i}`);
+                return (
+                  <g key={r.start}>
+                    <title>{`Repeat ${i + 1} ${r.start}–${r.end}: ${Number.isFinite(r.mismatches) ? `${r.mismatches} mismatches` : 'length differs'} to the consensus\n${r.sequence}`}</title>
+                    <path d={`M${cx - hw},${MID} L${cx},${MID - 11} L${cx + hw},${MID} L${cx},${MID + 11} Z`} fill={r.mismatches === 0 ? '#334155' : '#f59e0b'} stroke={hit ? '#4f46e5' : '#fff'} strokeWidth={hit ? 2 : 0.5} />
+                  </g>
+                );
+              })}
+              {array.direction !== 'Unknown' && (
+                <path d={arrowPath(ax(array.start), ax(array.end + 1), 4, 6, array.direction === 'Forward' ? '+' : '-')} fill="#ec4899" fillOpacity={0.5}>
+                  <title>{`Predicted transcription ${array.direction === 'Forward' ? 'left to right' : 'right to left'}`}</title>
+                </path>
+              )}
+              <text x={ax(span[0])} y={DIAGRAM_H - 2} fontSize={9} fill="#94a3b8">{span[0].toLocaleString()}</text>
+              <text x={ax(span[1] + 1)} y={DIAGRAM_H - 2} textAnchor="end" fontSize={9} fill="#94a3b8">{span[1].toLocaleString()}</text>
+            </svg>
+
+            {context && (
+              <svg width={width} height={contextH}>
+                <text x={LABEL_W} y={12} fontSize={9} fill="#94a3b8">{formatBp(context.start)}</text>
+                <text x={LABEL_W + plotW} y={12} textAnchor="end" fontSize={9} fill="#94a3b8">{formatBp(context.end)}</text>
+                <rect x={toX(array.start)} y={16} width={Math.max(2, toX(array.end + 1) - toX(array.start))} height={contextH - 16} fill="#ec4899" fillOpacity={0.08} />
+                <text x={0} y={20 + 14} fontSize={10} fontWeight={700} fill="#475569">Genes +</text>
+                <text x={0} y={20 + GENE_H - 4} fontSize={10} fontWeight={700} fill="#475569">Genes −</text>
+                {lanes.map((s, i) => <text key={s} x={0} y={20 + GENE_H + i * TRACK_H + 15} fontSize={10} fontWeight={700} fill={TRACK_COLORS[s]}>{s === 'cas' ? 'Cas' : 'CRISPR'}</text>)}
+                {context.genes.map(g => {
+                  const x1 = Math.max(LABEL_W, toX(g.start)), x2 = Math.min(LABEL_W + plotW, toX(g.end + 1));
+                  const y = g.strand === '-' ? 20 + GENE_H - 18 : 20 + 2;
+                  const role = genes.find(x => x.geneId === g.id)?.role;
+                  return (
+                    <g key={g.key} className="cursor-pointer" onClick={() => onSelectGene(g.id)}>
+                      <title>{`${annotations[g.id]?.geneName || g.id}${role ? ` (${role})` : ''}\n${g.start}–${g.end} (${g.strand})`}</title>
+                      <path d={arrowPath(x1, x2, y, 14, g.strand)} fill={role === 'cas' ? TRACK_COLORS.cas : role ? '#a5b4fc' : '#e2e8f0'} stroke={selectedGenes.includes(g.id) ? '#1e293b' : '#94a3b8'} strokeWidth={selectedGenes.includes(g.id) ? 2 : 0.5} />
+                    </g>
+                  );
+                })}
+                {lanes.map((s, i) => context.features.filter(f => f.source === s).map(f => {
+                  const x1 = Math.max(LABEL_W, toX(f.start)), x2 = Math.min(LABEL_W + plotW, toX(f.end + 1));
+                  const y = 20 + GENE_H + i * TRACK_H + 4;
+                  const text = s === 'crispr' ? `#${numberOf.get(f.id) || ''}` : f.name || f.id;
+                  return (
+                    <g key={`${s}_${f.id}_${f.start}`} className={s === 'crispr' ? 'cursor-pointer' : undefined} onClick={s === 'crispr' ? () => setArrayId(f.id) : undefined}>
+                      <title>{`${f.name || f.id} [${f.type}]\n${f.start}–${f.end} (${f.strand})`}</title>
+                      <path d={arrowPath(x1, x2, y, 14, s === 'crispr' ? '.' : f.strand)} fill={TRACK_COLORS[s]} fillOpacity={f.id === array.id ? 1 : 0.7} />
+                      {x2 - x1 > text.length * 6 + 8 && <text x={(x1 + x2) / 2} y={y + 11} textAnchor="middle" fontSize={9} fill="#fff" fontWeight={700} pointerEvents="none">{text}</text>}
+                    </g>
+                  );
+                }))}
+              </svg>
+            )}
+            {near && near.distance > JOIN_BP && (
+              <p className="text-[10px] text-slate-400 font-medium">Nearest cas locus ({near.locus.genes.map(g => g.name).join(', ')}; {near.locus.types.join(', ')}) lies {formatBp(near.distance)} {near.locus.start > array.end ? 'downstream' : 'upstream'}, outside the drawn region; its genes are still plotted below.</p>
+            )}
+            {!near && <p className="text-[10px] text-slate-400 font-medium">No cas genes on {array.chr}{loci.length ? '' : ' (no Cas GFF loaded)'}.</p>}
+          </div>
+
+          <div className="mt-8 grid grid-cols-1 xl:grid-cols-3 gap-6">
+            <div className="xl:col-span-2">
+              <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">Expression of cas and neighbouring genes <span className="normal-case tracking-normal font-medium">({dataObj?.metric}; cas solid, neighbours dashed)</span></h3>
+              {series.length ? (
+                <ProfileChart series={series} conditions={conditions} options={DEFAULT_PLOT_OPTIONS} useTimeAxis={false} height={280} />
+              ) : (
+                <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-slate-50 text-slate-500 border border-slate-100"><AlertCircle size={14} />No count-table genes linked to this array.</div>
+              )}
+            </div>
+            <div className="overflow-auto max-h-[320px] scrollbar-thin border border-slate-100 rounded-xl">
+              <table className="w-full text-left text-xs border-collapse">
+                <thead className="sticky top-0">
+                  <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                    {['Gene', 'Role', 'Distance'].map(h => <th key={h} className="px-3 py-2 font-bold border-r border-slate-100 last:border-0">{h}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {genes.map((g, i) => (
+                    <tr key={g.geneId} onClick={() => onSelectGene(g.geneId)} className={`border-b border-slate-50 cursor-pointer transition-colors hover:bg-blue-50/30 ${selectedGenes.includes(g.geneId) ? 'bg-blue-50/50' : ''}`}>
+                      <td className="px-3 py-1.5 border-r border-slate-100">
+                        <div className="flex items-center gap-2">
+                          {i < MAX_LINES && <div className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: GENE_COLORS[i] }} />}
+                          <span className="font-mono font-bold text-slate-700">{g.geneId}</span>
+                          {label(g) !== g.geneId && <span className="text-[10px] bg-slate-100 px-1 rounded text-slate-500">{label(g)}</span>}
+                        </div>
+                      </td>
+                      <td className="px-3 py-1.5 border-r border-slate-100 text-[10px] font-bold" style={{ color: g.role === 'cas' ? TRACK_COLORS.cas : '#6366f1' }}>{g.role}{g.type ? ` · ${g.type}` : ''}</td>
+                      <td className="px-3 py-1.5 font-mono text-[10px]">{g.distance ? formatBp(g.distance) : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {genes.length > 0 && (
+                <button onClick={() => genes.forEach(g => onSelectGene(g.geneId))} className="m-2 flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600"><Plus size={12} />Plot genes</button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center gap-2">
+            <Search size={18} className="text-slate-400" /><h3 className="font-bold text-slate-700 text-sm">Sequence search</h3>
+            <span className="ml-auto text-[10px] font-bold text-slate-400">both strands · N matches any base</span>
+          </div>
+          <div className="p-4 space-y-3">
+            <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Spacer or repeat sequence, e.g. GTTGCGGG" spellCheck={false} className={`w-full px-3 py-2 bg-slate-50 border rounded-lg text-xs font-mono outline-none focus:ring-2 focus:ring-indigo-500 ${search.error ? 'border-red-300' : 'border-slate-200'}`} />
+            <div className="flex flex-wrap items-center gap-4 text-[11px] font-bold text-slate-500">
+              <label className="flex items-center gap-2">Mismatches ≤
+                <select value={maxMismatches} onChange={(e) => setMaxMismatches(Number(e.target.value))} className="px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg">
+                  {[0, 1, 2, 3].map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </label>
+              {['spacer', 'repeat'].map(k => (
+                <label key={k} className="flex items-center gap-1 cursor-pointer"><input type="checkbox" checked={kinds.includes(k)} onChange={() => toggleKind(k)} />{k === 'spacer' ? 'Spacers' : 'Repeats'}</label>
+              ))}
+              {query.trim() && !search.error && <span className="ml-auto text-slate-400">{search.hits.length} hits in {new Set(search.hits.map(h => h.array)).size} arrays</span>}
+            </div>
+            {search.error && <div className="flex items-center gap-1.5 text-[10px] font-bold text-red-600"><AlertCircle size={12} />{search.error}</div>}
+          </div>
+          {search.hits.length > 0 && (
+            <div className="overflow-auto max-h-[300px] scrollbar-thin border-t border-slate-100">
+              <table className="w-full text-left text-xs border-collapse">
+                <thead className="sticky top-0">
+                  <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                    {['Array', 'Element', 'Offset', 'Strand', 'Mismatches'].map(h => <th key={h} className="px-3 py-2 font-bold border-r border-slate-100 last:border-0">{h}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {search.hits.slice(0, MAX_HITS).map(h => (
+                    <tr key={`${h.array}:${h.kind}:${h.index}:${h.strand}:${h.offset}`} onClick={() => setArrayId(h.array)} className={`border-b border-slate-50 cursor-pointer transition-colors hover:bg-pink-50/40 ${h.array === array?.id ? 'bg-pink-50/70' : ''}`}>
+                      <td className="px-3 py-1.5 border-r border-slate-100 font-mono font-bold text-pink-600">{numberOf.get(h.array)}</td>
+                      <td className="px-3 py-1.5 border-r border-slate-100">{h.kind} {h.index + 1}</td>
+                      <td className="px-3 py-1.5 border-r border-slate-100 font-mono">{h.offset + 1}</td>
+                      <td className="px-3 py-1.5 border-r border-slate-100 font-mono text-center">{h.strand}</td>
+                      <td className="px-3 py-1.5 font-mono">{h.mismatches}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {search.hits.length > MAX_HITS && <p className="p-2 text-[10px] text-slate-400">First {MAX_HITS} of {search.hits.length} hits</p>}
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center gap-2">
+            <Repeat size={18} className="text-slate-400" /><h3 className="font-bold text-slate-700 text-sm">Shared repeats and spacers</h3>
+            <label className="ml-auto flex items-center gap-2 text-[10px] font-bold text-slate-500" title="Largest number of mismatches (either strand, length differences included) between DR consensus sequences of one family">DR mismatches ≤
+              <select value={familyMismatches} onChange={(e) => setFamilyMismatches(Number(e.target.value))} className="px-2 py-1 bg-white border border-slate-200 rounded-lg">
+                {[0, 1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="p-4 space-y-3 overflow-auto max-h-[420px] scrollbar-thin">
+            {families.length === 0 && <p className="text-xs text-slate-400">No two arrays share a repeat at this threshold.</p>}
+            {families.map(f => (
+              <div key={f.id} className="space-y-1">
+                <div className="flex items-center gap-2">
+                  <span className="text-[10px] font-bold px-1.5 rounded bg-pink-100 text-pink-700">F{f.id}</span>
+                  <span className="font-mono text-[10px] text-slate-500 truncate" title={f.dr}>{f.dr}</span>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {f.arrays.map(a => (
+                    <button key={a} onClick={() => setArrayId(a)} className={`px-2 py-0.5 rounded text-[10px] font-bold ${a === array?.id ? 'bg-pink-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}>#{numberOf.get(a)}</button>
+                  ))}
+                </div>
+              </div>
+            ))}
+            <div className="pt-3 border-t border-slate-100">
+              <h4 className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-2">Spacers found more than once ({shared.length})</h4>
+              {shared.length === 0 && <p className="text-xs text-slate-400">Every spacer is unique.</p>}
+              {shared.map(s => (
+                <div key={s.sequence} className="flex flex-wrap items-center gap-1 mb-1">
+                  <span className="w-2 h-2 rounded-sm flex-shrink-0" style={{ backgroundColor: spacerColor(s.sequence) }} />
+                  <span className="font-mono text-[10px] text-slate-500 truncate max-w-[240px]" title={s.sequence}>{s.sequence}</span>
+                  {s.hits.map(h => (
+                    <button key={`${h.array}:${h.index}`} onClick={() => setArrayId(h.array)} className="px-1.5 rounded text-[10px] font-bold bg-slate-100 text-slate-600 hover:bg-slate-200">#{numberOf.get(h.array)}.{h.index + 1}</button>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CrisprPanel;
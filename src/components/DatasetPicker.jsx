@@ -0,0 +1,72 @@
+import { Database, Upload, CheckCircle2, XCircle, Loader2, AlertTriangle, AlertCircle } from 'lucide-react';
+import { manifestFiles, availabilityReport, roleLabel } from '../lib/manifest.js';
+
+const buttonCls = "flex items-center gap-1 px-2 py-1.5 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 disabled:opacity-30";
+
+// Availability of one dataset's files: unchecked (no list yet), checking (available undefined) or checked
+const FileReport = ({ dataset, files }) => {
+  const report = availabilityReport(files);
+  const checked = files.every(f => f.available !== undefined);
+  return (
+    <div className="mt-3 space-y-1">
+      {files.map(f => (
+        <div key={`${f.role}:${f.table}:${f.path}`} className="flex items-center gap-2 text-[11px]">
+          {f.available === undefined ? <Loader2 size={12} className="animate-spin text-slate-400" /> : f.available ? <CheckCircle2 size={12} className="text-green-600" /> : <XCircle size={12} className={f.required ? 'text-red-500' : 'text-amber-500'} />}
+          <span className="w-36 font-bold text-slate-500">{roleLabel(f, dataset)}</span>
+          <span className={`font-mono truncate ${f.available === false ? 'text-slate-400 line-through' : 'text-slate-600'}`}>{f.path}</span>
+        </div>
+      ))}
+      {checked && !report.complete && (
+        <div className={`flex items-center gap-2 mt-2 px-3 py-2 rounded-lg text-xs font-bold border ${report.loadable ? 'bg-amber-50 text-amber-700 border-amber-100' : 'bg-red-50 text-red-600 border-red-100'}`}>
+          {report.loadable ? <AlertTriangle size={14} /> : <AlertCircle size={14} />}
+          {report.loadable
+            ? `${report.missing.length} of ${files.length} files unavailable; the rest can still be loaded without them.`
+            : 'Count files unavailable; this dataset cannot be loaded.'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DatasetPicker = ({ manifest, error, availability, busy, onCheck, onLoad, onUploadManifest }) => (
+  <div className="p-6 bg-indigo-50/40 rounded-3xl border border-indigo-100 mb-6 text-left">
+    <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+      <h3 className="font-bold text-indigo-900 flex items-center gap-2"><Database size={20} /> Datasets</h3>
+      <div className="flex items-center gap-2">
+        {manifest && <span className="text-[10px] font-mono text-slate-400">{manifest.name}</span>}
+        <label className={`${buttonCls} cursor-pointer`}>
+          <Upload size={12} />Manifest<input type="file" accept=".json,application/json" className="hidden" onChange={onUploadManifest} />
+        </label>
+      </div>
+    </div>
+    {error && (
+      <div className="mb-4 flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-red-50 text-red-600 border border-red-100"><AlertCircle size={14} />{error}</div>
+    )}
+    <div className="space-y-3">
+      {(manifest?.datasets || []).map(d => {
+        const files = availability[d.id];
+        const report = files && files.every(f => f.available !== undefined) ? availabilityReport(files) : null;
+        return (
+          <div key={d.id} className="p-4 bg-white rounded-2xl border border-indigo-100">
+            <div className="flex flex-wrap items-start justify-between gap-3">
+              <div>
+                <div className="font-bold text-slate-800">{d.label}</div>
+                {d.description && <div className="text-xs text-slate-500 mt-0.5">{d.description}</div>}
+                <div className="text-[10px] text-slate-400 mt-1">{manifestFiles(d).length} files · {Object.keys(d.counts).length} count tables</div>
+              </div>
+              <div className="flex items-center gap-2">
+                <button disabled={busy} onClick={() => onCheck(d)} className={buttonCls}>Check files</button>
+                <button disabled={busy || (report && !report.loadable)} onClick={() => onLoad(d, { partial: Boolean(report && !report.complete) })} className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-[10px] font-bold text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-30">
+                  {report && !report.complete ? 'Load available' : 'Load'}
+                </button>
+              </div>
+            </div>
+            {files && <FileReport dataset={d} files={files} />}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default DatasetPicker;
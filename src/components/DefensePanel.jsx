@@ -0,0 +1,248 @@
+import { useState, useMemo } from 'react';
+import { ComposedChart, LineChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+import { ShieldCheck, ArrowUpDown, AlertCircle, Plus } from 'lucide-react';
+import { groupDefenseSystems, systemProfiles } from '../lib/defense.js';
+import { tableIds, tableLabel } from '../lib/tables.js';
+
+const SYSTEM_COLORS = ['#10b981', '#3b82f6', '#ef4444', '#f59e0b', '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16', '#f97316', '#64748b'];
+const MAX_COMPARED = SYSTEM_COLORS.length;
+const MAX_MEMBER_LINES = 12;
+
+const fmt = (v, digits = 2) => typeof v === 'number' && !isNaN(v) ? v.toFixed(digits) : 'NA';
+
+const zScores = (vals) => {
+  const m = vals.reduce((a, b) => a + b, 0) / vals.length;
+  const sd = Math.sqrt(vals.reduce((a, v) => a + (v - m) * (v - m), 0) / vals.length);
+  return vals.map(v => (sd > 0 ? (v - m) / sd : 0));
+};
+
+const axisProps = { axisLine: false, tickLine: false, tick: { fill: '#64748b', fontSize: 11 } };
+
+const DefensePanel = ({ data, tracks, annotations, normalization, selectedGenes, onSelectGene }) => {
+  const datasets = tableIds(data);
+  const [dataset, setDataset] = useState(datasets[0]);
+  const dataObj = data[datasets.includes(dataset) ? dataset : datasets[0]];
+  const [sort, setSort] = useState({ key: 'mean', direction: 'desc' });
+  const [compared, setCompared] = useState(null);
+  const [focus, setFocus] = useState(null);
+  const [scaled, setScaled] = useState(false);
+
+  const padlocFeatures = tracks?.padloc?.features;
+  const groups = useMemo(() => dataObj ? groupDefenseSystems(dataObj, padlocFeatures, annotations) : [], [dataObj, padlocFeatures, annotations]);
+  const systems = useMemo(() => dataObj ? systemProfiles(dataObj, groups, normalization).map(s => ({
+    ...s,
+    loci: s.members.reduce((n, m) => n + m.loci.length, 0),
+    mean: s.profile.reduce((a, p) => a + p.mean, 0) / (s.profile.length || 1)
+  })) : [], [dataObj, groups, normalization]);
+
+  const sorted = useMemo(() => {
+    const dir = sort.direction === 'asc' ? 1 : -1;
+    return [...systems].sort((a, b) => sort.key === 'system' ? dir * a.system.localeCompare(b.system) : dir * (a[sort.key] - b[sort.key]));
+  }, [systems, sort]);
+
+  // Until the user picks, compare the most expressed systems
+  const comparedSystems = useMemo(() => {
+    const names = compared || [...systems].sort((a, b) => b.mean - a.mean).slice(0, 5).map(s => s.system);
+    return names.map(n => systems.find(s => s.system === n)).filter(Boolean);
+  }, [compared, systems]);
+
+  const compareData = useMemo(() => {
+    const conds = dataObj?.conditions || [];
+    const series = comparedSystems.map(s => {
+      const vals = s.profile.map(p => p.mean);
+      return scaled ? zScores(vals) : vals;
+    });
+    return conds.map((condition, j) => Object.fromEntries([['condition', condition], ...series.map((vals, i) => [`s${i}`, vals[j]])]));
+  }, [comparedSystems, dataObj, scaled]);
+
+  const focused = systems.find(s => s.system === focus) || sorted[0];
+
+  // PD-T4-6 alone has over a hundred hits; only the most expressed members get a line
+  const memberLines = useMemo(() => {
+    const avg = (m) => m.profile.reduce((a, p) => a + p.mean, 0) / (m.profile.length || 1);
+    return [...(focused?.members || [])].sort((a, b) => avg(b) - avg(a)).slice(0, MAX_MEMBER_LINES);
+  }, [focused]);
+
+  const focusData = useMemo(() => (focused?.profile || []).map((p, j) => {
+    const entry = { condition: p.condition, system: p.mean, range: [p.mean - p.sd, p.mean + p.sd] };
+    memberLines.forEach((m, i) => { entry[`m${i}`] = m.profile[j]?.mean; });
+    return entry;
+  }), [focused, memberLines]);
+
+  const toggleCompared = (system) => {
+    const current = comparedSystems.map(s => s.system);
+    setCompared(current.includes(system) ? current.filter(s => s !== system) : current.length < MAX_COMPARED ? [...current, system] : current);
+  };
+
+  const memberLabel = (m) => annotations[m.geneId]?.geneName && annotations[m.geneId].geneName !== m.geneId ? `${m.geneId} (${annotations[m.geneId].geneName})` : m.geneId;
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+  const headerBtn = (key, label) => (
+    <button onClick={() => setSort(p => ({ key, direction: p.key === key && p.direction === 'desc' ? 'asc' : 'desc' }))} className={`flex items-center gap-1 ${sort.key === key ? 'text-indigo-600' : ''}`}>
+      {label}<ArrowUpDown size={10} />
+    </button>
+  );
+
+  if (!systems.length) {
+    return (
+      <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-amber-50 text-amber-700 border border-amber-100">
+        <AlertCircle size={14} />No defense systems found. Load a padloc GFF (Note=system:...) to group genes by system.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+        <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-slate-800 tracking-tight">Defense Systems</h2>
+            <p className="text-xs text-slate-400 mt-1 font-medium">
+              {systems.length} systems · {padlocFeatures ? 'loci matched to padloc hits by coordinate overlap' : 'grouped by annotation'} · System level: member expression summed on the linear scale · <span className="text-indigo-600 bg-indigo-50 px-2 py-0.5 rounded-full">{dataObj.metric}</span>
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {datasets.length > 1 && (
+              <select value={dataset} onChange={(e) => setDataset(e.target.value)} className={selectCls}>
+                {datasets.map(d => <option key={d} value={d}>{tableLabel(data, d)}</option>)}
+              </select>
+            )}
+            <div className="flex gap-1 bg-slate-100 p-1 rounded-lg">
+              {[false, true].map(z => (
+                <button key={String(z)} onClick={() => setScaled(z)} className={`px-2 py-1 rounded text-[10px] font-bold transition-all ${scaled === z ? 'bg-white text-indigo-700 shadow-sm' : 'text-slate-500'}`}>{z ? 'z-score' : dataObj.metric}</button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">System comparison across the growth curve</h3>
+        <div className="h-[320px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={compareData} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+              <XAxis dataKey="condition" {...axisProps} dy={10} />
+              <YAxis {...axisProps} width={40} />
+              <Tooltip isAnimationActive={false} formatter={(v) => fmt(v)} contentStyle={{ borderRadius: 12, fontSize: 11 }} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              {comparedSystems.map((s, i) => (
+                <Line key={s.system} dataKey={`s${i}`} name={s.system} stroke={SYSTEM_COLORS[i % SYSTEM_COLORS.length]} strokeWidth={2} dot={{ r: 3 }} connectNulls isAnimationActive={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center gap-2">
+          <ShieldCheck size={18} className="text-emerald-500" /><h3 className="font-bold text-slate-700 text-sm">Systems</h3>
+          <span className="ml-auto text-[10px] font-bold text-slate-400">Tick up to {MAX_COMPARED} to compare · click a row for members</span>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-xs border-collapse">
+            <thead>
+              <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                <th className="px-3 py-3 border-r border-slate-100" />
+                <th className="px-4 py-3 font-bold border-r border-slate-100">{headerBtn('system', 'System')}</th>
+                <th className="px-4 py-3 font-bold border-r border-slate-100">Members</th>
+                <th className="px-4 py-3 font-bold border-r border-slate-100">{headerBtn('loci', 'Loci')}</th>
+                <th className="px-4 py-3 font-bold border-r border-slate-100">{headerBtn('mean', 'Mean')}</th>
+                {dataObj.conditions.map(c => <th key={c} className="px-4 py-3 font-bold text-center border-r border-slate-100 last:border-0">{c}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map(s => {
+                const idx = comparedSystems.findIndex(c => c.system === s.system);
+                return (
+                  <tr key={s.system} onClick={() => setFocus(s.system)} className={`border-b border-slate-50 cursor-pointer transition-colors hover:bg-emerald-50/30 ${focused?.system === s.system ? 'bg-emerald-50/50' : ''}`}>
+                    <td className="px-3 py-2 border-r border-slate-100" onClick={(e) => e.stopPropagation()}>
+                      <input type="checkbox" checked={idx >= 0} onChange={() => toggleCompared(s.system)} style={{ accentColor: idx >= 0 ? SYSTEM_COLORS[idx % SYSTEM_COLORS.length] : undefined }} />
+                    </td>
+                    <td className="px-4 py-2 border-r border-slate-100 font-bold text-emerald-700">{s.system}</td>
+                    <td className="px-4 py-2 border-r border-slate-100 text-slate-500 truncate max-w-[220px]">{s.members.map(m => annotations[m.geneId]?.geneName || m.geneId).join(', ')}</td>
+                    <td className="px-4 py-2 font-mono border-r border-slate-100">{s.loci || '—'}</td>
+                    <td className="px-4 py-2 font-mono font-bold border-r border-slate-100">{fmt(s.mean)}</td>
+                    {s.profile.map(p => <td key={p.condition} className="px-4 py-2 font-mono text-center border-r border-slate-100 last:border-0">{fmt(p.mean)}</td>)}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {focused && (
+        <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+          <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+            <div>
+              <div className="flex items-center gap-2"><ShieldCheck size={18} className="text-emerald-500" /><h2 className="text-xl font-black text-slate-800 tracking-tight">{focused.system}</h2></div>
+              <p className="text-xs text-slate-400 mt-1 font-medium">{focused.members.length} count rows · {focused.loci} loci</p>
+            </div>
+            <button onClick={() => focused.members.forEach(m => onSelectGene(m.geneId))} className="flex items-center gap-1 px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600"><Plus size={12} />Plot members</button>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+            <div>
+              <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">System level (mean ± SD)</h3>
+              <div className="h-[260px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={focusData} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                    <XAxis dataKey="condition" {...axisProps} dy={10} />
+                    <YAxis {...axisProps} width={40} />
+                    <Tooltip isAnimationActive={false} formatter={(v) => Array.isArray(v) ? v.map(x => fmt(x)).join(' – ') : fmt(v)} contentStyle={{ borderRadius: 12, fontSize: 11 }} />
+                    <Area dataKey="range" name="± SD" stroke="none" fill="#10b981" fillOpacity={0.15} activeDot={false} isAnimationActive={false} />
+                    <Line dataKey="system" name={focused.system} stroke="#10b981" strokeWidth={3} dot={{ r: 3 }} isAnimationActive={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+            <div>
+              <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">Member genes{focused.members.length > memberLines.length ? ` (top ${memberLines.length} of ${focused.members.length})` : ''}</h3>
+              <div className="h-[260px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={focusData} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                    <XAxis dataKey="condition" {...axisProps} dy={10} />
+                    <YAxis {...axisProps} width={40} />
+                    <Tooltip isAnimationActive={false} formatter={(v) => fmt(v)} contentStyle={{ borderRadius: 12, fontSize: 11 }} />
+                    {memberLines.map((m, i) => (
+                      <Line key={m.geneId} dataKey={`m${i}`} name={memberLabel(m)} stroke={SYSTEM_COLORS[(i + 1) % SYSTEM_COLORS.length]} strokeWidth={2} dot={{ r: 2 }} connectNulls isAnimationActive={false} />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+
+          <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">Loci</h3>
+          <div className="overflow-x-auto max-h-[420px] overflow-y-auto scrollbar-thin border border-slate-100 rounded-xl">
+            <table className="w-full text-left text-xs border-collapse">
+              <thead className="sticky top-0">
+                <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                  {['Count row', 'padloc hit', 'Locus tag', 'Coordinates', 'Strand', 'Score', 'Shared with'].map(h => <th key={h} className="px-4 py-2 font-bold border-r border-slate-100 last:border-0">{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {focused.members.flatMap(m => (m.loci.length ? m.loci : [null]).map((l, j) => (
+                  <tr key={`${m.geneId}_${j}`} onClick={() => onSelectGene(m.geneId)} className={`border-b border-slate-50 cursor-pointer transition-colors hover:bg-blue-50/30 ${selectedGenes.includes(m.geneId) ? 'bg-blue-50/50' : ''}`}>
+                    <td className="px-4 py-1.5 border-r border-slate-100 font-mono font-bold text-slate-700">{j === 0 ? m.geneId : ''}</td>
+                    <td className="px-4 py-1.5 border-r border-slate-100 font-mono text-slate-500">{l?.hitId || '—'}</td>
+                    <td className="px-4 py-1.5 border-r border-slate-100 font-mono text-slate-500">{l?.hitLocusTag || '—'}</td>
+                    <td className="px-4 py-1.5 border-r border-slate-100 font-mono">{l ? `${l.chr}:${l.start.toLocaleString()}-${l.end.toLocaleString()}` : '—'}</td>
+                    <td className="px-4 py-1.5 border-r border-slate-100 font-mono text-center">{l?.strand || '—'}</td>
+                    <td className="px-4 py-1.5 border-r border-slate-100 font-mono">{l?.score && l.score !== '.' ? l.score : '—'}</td>
+                    <td className="px-4 py-1.5 text-[10px] text-amber-600 font-bold">{j === 0 ? m.sharedWith.join(', ') : ''}</td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+          </div>
+          {focused.members.some(m => m.sharedWith.length > 0) && (
+            <p className="text-[10px] text-slate-400 mt-2">Rows shared with another system were counted as one meta-feature, so their reads contribute fully to every system they belong to.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DefensePanel;
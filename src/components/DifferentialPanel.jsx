@@ -0,0 +1,208 @@
+import { useState, useMemo } from 'react';
+import { ArrowUpDown, AlertCircle, ChevronLeft, ChevronRight, Sigma } from 'lucide-react';
+import ScatterPlot from './ScatterPlot.jsx';
+import { samplesForCondition } from '../lib/parsers.js';
+import { runDifferential } from '../lib/differential.js';
+import { tableIds, tableLabel } from '../lib/tables.js';
+
+const PAGE_SIZE = 50;
+const COLORS = { up: '#ef4444', down: '#3b82f6', ns: '#cbd5e1' };
+
+const COLUMNS = [
+  { key: 'gene', label: 'Gene' },
+  { key: 'baseMean', label: 'Base mean' },
+  { key: 'log2FC', label: 'log₂ FC' },
+  { key: 'lfcSE', label: 'SE' },
+  { key: 'stat', label: 'Stat' },
+  { key: 'pvalue', label: 'p' },
+  { key: 'padj', label: 'p adj' }
+];
+
+const classify = (r, alpha, minLfc) => r.padj !== null && r.padj < alpha && Math.abs(r.log2FC) >= minLfc ? (r.log2FC > 0 ? 'up' : 'down') : 'ns';
+
+const fmt = (v, digits = 2) => v === null || v === undefined || isNaN(v) ? 'NA' : (Math.abs(v) < 1e-3 && v !== 0 ? v.toExponential(1) : v.toFixed(digits));
+
+const DifferentialPanel = ({ data, annotations, selectedGenes, onSelectGene, onEnrich }) => {
+  const datasets = tableIds(data);
+  const [dataset, setDataset] = useState(datasets[0]);
+  const mode = datasets.includes(dataset) ? dataset : datasets[0];
+  const dataObj = data[mode];
+  const conditions = dataObj?.conditions || [];
+  const [condA, setCondA] = useState(conditions[0]);
+  const [condB, setCondB] = useState(conditions[conditions.length - 1]);
+  const [test, setTest] = useState('wald');
+  const [alpha, setAlpha] = useState(0.05);
+  const [minLfc, setMinLfc] = useState(1);
+  const [sigOnly, setSigOnly] = useState(false);
+  const [sort, setSort] = useState({ key: 'padj', direction: 'asc' });
+  const [page, setPage] = useState(0);
+
+  const a = conditions.includes(condA) ? condA : conditions[0];
+  const b = conditions.includes(condB) ? condB : conditions[conditions.length - 1];
+
+  const { result, error } = useMemo(() => {
+    if (!dataObj || !a || !b || a === b) return { result: null, error: a === b ? 'Pick two different conditions' : null };
+    try {
+      return { result: runDifferential(dataObj, samplesForCondition(dataObj, a), samplesForCondition(dataObj, b), { test }), error: null };
+    } catch (err) {
+      return { result: null, error: err.message };
+    }
+  }, [dataObj, a, b, test]);
+
+  const rows = useMemo(() => (result?.results || []).filter(r => r.pvalue !== null), [result]);
+
+  const points = useMemo(() => {
+    const order = { ns: 0, down: 1, up: 1 };
+    return rows.map(r => ({ r, cls: classify(r, alpha, minLfc) })).sort((p, q) => order[p.cls] - order[q.cls]);
+  }, [rows, alpha, minLfc]);
+
+  const volcano = useMemo(() => points.map(({ r, cls }) => ({
+    id: r.gene, x: r.log2FC, y: -Math.log10(Math.max(r.pvalue, 1e-300)), color: COLORS[cls], label: annotations[r.gene]?.geneName || r.gene, row: r
+  })), [points, annotations]);
+  const ma = useMemo(() => points.map(({ r, cls }) => ({
+    id: r.gene, x: Math.log10(r.baseMean), y: r.log2FC, color: COLORS[cls], label: annotations[r.gene]?.geneName || r.gene, row: r
+  })), [points, annotations]);
+
+  const counts = useMemo(() => points.reduce((acc, p) => ({ ...acc, [p.cls]: acc[p.cls] + 1 }), { up: 0, down: 0, ns: 0 }), [points]);
+
+  const tableRows = useMemo(() => {
+    const list = sigOnly ? rows.filter(r => classify(r, alpha, minLfc) !== 'ns') : [...rows];
+    const dir = sort.direction === 'asc' ? 1 : -1;
+    list.sort((p, q) => {
+      if (sort.key === 'gene') return dir * p.gene.localeCompare(q.gene);
+      const pv = p[sort.key], qv = q[sort.key];
+      if (pv === null || isNaN(pv)) return 1;
+      if (qv === null || isNaN(qv)) return -1;
+      return dir * (pv - qv);
+    });
+    return list;
+  }, [rows, sort, sigOnly, alpha, minLfc]);
+
+  const pages = Math.max(1, Math.ceil(tableRows.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pages - 1);
+
+  // Up or down genes against every tested gene, or all tested genes ranked by the Wald statistic
+  const enrich = (cls) => {
+    const label = `${tableLabel(data, mode)}: ${b} vs ${a}`;
+    if (cls === 'ranked') onEnrich({ label: `${label} (log₂ FC / SE)`, ranked: rows.map(r => ({ gene: r.gene, score: r.log2FC / r.lfcSE })) });
+    else onEnrich({ label: `${label} (${cls})`, genes: points.filter(p => p.cls === cls).map(p => p.r.gene), background: rows.map(r => r.gene) });
+  };
+
+  const describe = (p) => [['log₂ FC', p.row.log2FC], ['Base mean', p.row.baseMean], ['p', p.row.pvalue], ['p adj', p.row.padj ?? 'NA']];
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+        <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-slate-800 tracking-tight">Differential Expression</h2>
+            <p className="text-xs text-slate-400 mt-1 font-medium">Negative binomial model · median-of-ratios size factors · shrunken dispersions · BH-adjusted</p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {datasets.length > 1 && (
+              <select value={dataset} onChange={(e) => setDataset(e.target.value)} className={selectCls}>
+                {datasets.map(d => <option key={d} value={d}>{tableLabel(data, d)}</option>)}
+              </select>
+            )}
+            <select value={b} onChange={(e) => setCondB(e.target.value)} className={selectCls}>{conditions.map(c => <option key={c} value={c}>{c}</option>)}</select>
+            <span className="font-bold text-slate-400">vs</span>
+            <select value={a} onChange={(e) => setCondA(e.target.value)} className={selectCls}>{conditions.map(c => <option key={c} value={c}>{c}</option>)}</select>
+            <select value={test} onChange={(e) => setTest(e.target.value)} className={selectCls}>
+              <option value="wald">Wald test</option>
+              <option value="lrt">Likelihood ratio</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-6 mb-6 text-[11px] font-bold text-slate-500">
+          <label className="flex items-center gap-2">p adj &lt;
+            <input type="number" step="0.01" min="0" max="1" value={alpha} onChange={(e) => setAlpha(parseFloat(e.target.value) || 0)} className="w-20 px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg" />
+          </label>
+          <label className="flex items-center gap-2">|log₂ FC| ≥
+            <input type="number" step="0.5" min="0" value={minLfc} onChange={(e) => setMinLfc(parseFloat(e.target.value) || 0)} className="w-20 px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg" />
+          </label>
+          <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: COLORS.up }} />Up in {b}: {counts.up}</span>
+          <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: COLORS.down }} />Down in {b}: {counts.down}</span>
+          <span className="text-slate-400">Tested: {rows.length}</span>
+        </div>
+
+        {error ? (
+          <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-red-50 text-red-600 border border-red-100"><AlertCircle size={14} />{error}</div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">Volcano</h3>
+              <ScatterPlot points={volcano} xLabel={`log₂ FC (${b} / ${a})`} yLabel="−log₁₀ p" vLines={[-minLfc, minLfc]} selected={selectedGenes} onPointClick={onSelectGene} describe={describe} />
+            </div>
+            <div>
+              <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">MA plot</h3>
+              <ScatterPlot points={ma} xLabel="log₁₀ base mean" yLabel={`log₂ FC (${b} / ${a})`} hLines={[0, -minLfc, minLfc]} selected={selectedGenes} onPointClick={onSelectGene} describe={describe} />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {!error && (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center justify-between gap-2">
+            <h3 className="font-bold text-slate-700 text-sm">Results: {b} vs {a}</h3>
+            <div className="flex items-center gap-3 text-[11px] font-bold text-slate-500">
+              <span className="flex items-center gap-1 text-slate-400"><Sigma size={12} />Enrich</span>
+              <button disabled={counts.up === 0} onClick={() => enrich('up')} className="px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 disabled:opacity-30">Up</button>
+              <button disabled={counts.down === 0} onClick={() => enrich('down')} className="px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 disabled:opacity-30">Down</button>
+              <button onClick={() => enrich('ranked')} title="All tested genes ranked by log₂ FC / SE" className="px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600">Ranked</button>
+              <label className="flex items-center gap-1 cursor-pointer"><input type="checkbox" checked={sigOnly} onChange={(e) => { setSigOnly(e.target.checked); setPage(0); }} />Significant only</label>
+              <button disabled={currentPage === 0} onClick={() => setPage(currentPage - 1)} className="p-1 rounded hover:bg-slate-200 disabled:opacity-30"><ChevronLeft size={14} /></button>
+              <span>{currentPage + 1} / {pages}</span>
+              <button disabled={currentPage >= pages - 1} onClick={() => setPage(currentPage + 1)} className="p-1 rounded hover:bg-slate-200 disabled:opacity-30"><ChevronRight size={14} /></button>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-xs border-collapse">
+              <thead>
+                <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                  {COLUMNS.map(c => (
+                    <th key={c.key} className="px-4 py-3 font-bold border-r border-slate-100 last:border-0">
+                      <button onClick={() => { setSort(p => ({ key: c.key, direction: p.key === c.key && p.direction === 'asc' ? 'desc' : 'asc' })); setPage(0); }} className={`flex items-center gap-1 ${sort.key === c.key ? 'text-indigo-600' : ''}`}>
+                        {c.label}<ArrowUpDown size={10} />
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {tableRows.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE).map(r => {
+                  const cls = classify(r, alpha, minLfc);
+                  return (
+                    <tr key={r.gene} onClick={() => onSelectGene(r.gene)} className={`border-b border-slate-50 cursor-pointer transition-colors hover:bg-blue-50/30 ${selectedGenes.includes(r.gene) ? 'bg-blue-50/50' : ''}`}>
+                      <td className="px-4 py-2 border-r border-slate-100">
+                        <div className="flex items-center gap-2">
+                          <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: COLORS[cls] }} />
+                          <span className="font-mono font-bold text-slate-700">{r.gene}</span>
+                          {annotations[r.gene]?.geneName && annotations[r.gene].geneName !== r.gene && <span className="text-[10px] bg-slate-100 px-1 rounded text-slate-500">{annotations[r.gene].geneName}</span>}
+                        </div>
+                        <div className="text-[10px] text-slate-400 truncate max-w-[260px]">{annotations[r.gene]?.product || '---'}</div>
+                      </td>
+                      <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.baseMean, 1)}</td>
+                      <td className={`px-4 py-2 font-mono font-bold border-r border-slate-100 ${cls === 'up' ? 'text-red-600' : cls === 'down' ? 'text-blue-600' : 'text-slate-700'}`}>
+                        {fmt(r.log2FC)}
+                        {r.zeroGroup && <span className="ml-1 text-[10px] font-normal text-amber-600" title={`No reads in any ${r.zeroGroup === 'A' ? a : b} sample; that group's mean is floored at half a read`}>0 in {r.zeroGroup === 'A' ? a : b}</span>}
+                      </td>
+                      <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.lfcSE)}</td>
+                      <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.stat)}</td>
+                      <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.pvalue, 4)}</td>
+                      <td className="px-4 py-2 font-mono">{fmt(r.padj, 4)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DifferentialPanel;
@@ -0,0 +1,290 @@
+import { useState, useMemo } from 'react';
+import { ArrowUpDown, AlertCircle, Download, FileText, ListPlus, X } from 'lucide-react';
+import { SET_CATEGORIES, DEFAULT_ENRICHMENT, annotationGeneSets, parseGMT, overRepresentation, rankedEnrichment, foldChangeRanking } from '../lib/enrichment.js';
+import { geneResolver, resolveGeneList } from '../lib/heatmap.js';
+import { enrichmentToTSV, slugify } from '../lib/export.js';
+import { downloadText } from '../utils/download.js';
+import { readTextFile } from '../utils/readFile.js';
+import { tableIds, tableLabel } from '../lib/tables.js';
+
+const LIST_SOURCES = { sent: 'Sent list', search: 'Search result', selection: 'Plotted genes', paste: 'Pasted list' };
+const RANK_SOURCES = { sent: 'Sent ranking', fc: 'Fold change' };
+const CHIP_LIMIT = 12;
+
+const ORA_COLUMNS = [
+  { key: 'name', label: 'Gene set' },
+  { key: 'k', label: 'Overlap' },
+  { key: 'expected', label: 'Expected' },
+  { key: 'fold', label: 'Fold' },
+  { key: 'p', label: 'p' },
+  { key: 'q', label: 'q' }
+];
+const RANKED_COLUMNS = [
+  { key: 'name', label: 'Gene set' },
+  { key: 'K', label: 'Size' },
+  { key: 'es', label: 'ES' },
+  { key: 'nes', label: 'NES' },
+  { key: 'p', label: 'p' },
+  { key: 'q', label: 'q' }
+];
+
+const fmt = (v, digits = 2) => v === null || v === undefined || isNaN(v) ? 'NA' : (Math.abs(v) < 1e-3 && v !== 0 ? v.toExponential(1) : v.toFixed(digits));
+const categoryLabel = (c) => SET_CATEGORIES[c] || c;
+
+const EnrichmentPanel = ({ data, annotations, isLog, searchGenes, searchTerm, selectedGenes, sentSet, gmtFiles, onLoadGMT, onRemoveGMT, onSelectGene, onAddGenes }) => {
+  const datasets = tableIds(data);
+  const [dataset, setDataset] = useState(datasets[0]);
+  const dataObj = data[datasets.includes(dataset) ? dataset : datasets[0]];
+  const conditions = dataObj?.conditions || [];
+  const [mode, setMode] = useState(sentSet?.ranked ? 'ranked' : 'ora');
+  const [listSource, setListSource] = useState(sentSet?.genes ? 'sent' : 'search');
+  const [rankSource, setRankSource] = useState(sentSet?.ranked ? 'sent' : 'fc');
+  const [pasted, setPasted] = useState('');
+  const [condA, setCondA] = useState(conditions[0]);
+  const [condB, setCondB] = useState(conditions[conditions.length - 1]);
+  const [hidden, setHidden] = useState([]);
+  const [minSize, setMinSize] = useState(DEFAULT_ENRICHMENT.minSize);
+  const [maxSize, setMaxSize] = useState(DEFAULT_ENRICHMENT.maxSize);
+  const [permutations, setPermutations] = useState(DEFAULT_ENRICHMENT.permutations);
+  const [maxQ, setMaxQ] = useState(0.25);
+  const [sort, setSort] = useState({ key: 'p', direction: 'asc' });
+  const [expanded, setExpanded] = useState(null);
+  const [gmtError, setGmtError] = useState(null);
+
+  const a = conditions.includes(condA) ? condA : conditions[0];
+  const b = conditions.includes(condB) ? condB : conditions[conditions.length - 1];
+  const freeSlots = Math.max(0, 7 - selectedGenes.length);
+  const activeList = sentSet?.genes || listSource !== 'sent' ? listSource : 'search';
+  const activeRank = sentSet?.ranked || rankSource !== 'sent' ? rankSource : 'fc';
+
+  // What the list is tested against: the genes the sender could have picked from, else the whole table
+  const background = useMemo(() => (activeList === 'sent' && sentSet.background) || dataObj?.geneList || [], [activeList, sentSet, dataObj]);
+  const resolved = useMemo(() => resolveGeneList(pasted, background, annotations), [pasted, background, annotations]);
+
+  const ranking = useMemo(() => {
+    if (mode !== 'ranked') return null;
+    if (activeRank === 'sent') return sentSet.ranked;
+    return dataObj && a && b && a !== b ? foldChangeRanking(dataObj, a, b, isLog) : null;
+  }, [mode, activeRank, sentSet, dataObj, a, b, isLog]);
+  const universe = useMemo(() => (ranking ? ranking.map(r => r.gene) : background), [ranking, background]);
+
+  const gmtSets = useMemo(() => {
+    const resolve = geneResolver(universe, annotations);
+    return gmtFiles.map(f => ({ name: f.name, ...parseGMT(f.text, f.name, resolve) }));
+  }, [gmtFiles, universe, annotations]);
+  const allSets = useMemo(() => [...annotationGeneSets(annotations, universe), ...gmtSets.flatMap(g => g.sets)], [annotations, universe, gmtSets]);
+  const categories = useMemo(() => {
+    const counts = new Map();
+    allSets.forEach(s => counts.set(s.category, (counts.get(s.category) || 0) + 1));
+    return Array.from(counts.entries());
+  }, [allSets]);
+  const sets = useMemo(() => allSets.filter(s => !hidden.includes(s.category)), [allSets, hidden]);
+
+  const listGenes = useMemo(() => {
+    if (activeList === 'sent') return sentSet.genes;
+    if (activeList === 'selection') return selectedGenes;
+    if (activeList === 'paste') return resolved.found;
+    return searchGenes;
+  }, [activeList, sentSet, selectedGenes, resolved, searchGenes]);
+
+  const { results, error } = useMemo(() => {
+    const options = { minSize, maxSize, permutations };
+    if (mode === 'ranked') {
+      if (!ranking) return { results: [], error: a === b ? 'Pick two different conditions' : 'Nothing to rank' };
+      return { results: rankedEnrichment(ranking, sets, options), error: null };
+    }
+    if (!listGenes.length) return { results: [], error: 'The gene list is empty' };
+    return { results: overRepresentation(listGenes, sets, background, options), error: null };
+  }, [mode, ranking, sets, listGenes, background, minSize, maxSize, permutations, a, b]);
+
+  const rows = useMemo(() => {
+    const dir = sort.direction === 'asc' ? 1 : -1;
+    return results.filter(r => r.q <= maxQ).sort((p, q) => {
+      if (sort.key === 'name') return dir * p.set.name.localeCompare(q.set.name);
+      const pv = sort.key === 'nes' || sort.key === 'es' ? Math.abs(p[sort.key]) : p[sort.key];
+      const qv = sort.key === 'nes' || sort.key === 'es' ? Math.abs(q[sort.key]) : q[sort.key];
+      if (isNaN(pv)) return 1;
+      if (isNaN(qv)) return -1;
+      return dir * (pv - qv);
+    });
+  }, [results, sort, maxQ]);
+
+  const label = mode === 'ranked'
+    ? (activeRank === 'sent' ? sentSet.label : `log₂ FC ${b} / ${a}`)
+    : activeList === 'sent' ? sentSet.label : activeList === 'search' ? (searchTerm ? `"${searchTerm}"` : 'all genes') : LIST_SOURCES[activeList];
+
+  const handleGMTUpload = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    try {
+      for (const file of files) onLoadGMT(file.name, await readTextFile(file));
+      setGmtError(null);
+    } catch (err) { setGmtError(err.message); }
+  };
+
+  const toggleCategory = (c) => setHidden(prev => (prev.includes(c) ? prev.filter(x => x !== c) : [...prev, c]));
+  const exportTSV = () => downloadText(`enrichment_${mode}_${slugify(label || 'genes')}.tsv`, enrichmentToTSV(rows, mode, label));
+
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+  const numberCls = "w-20 px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg";
+  const columns = mode === 'ranked' ? RANKED_COLUMNS : ORA_COLUMNS;
+  const gmtProblems = gmtSets.filter(g => g.errors.length || g.unmatched);
+
+  if (!dataObj) return (
+    <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-amber-50 text-amber-700 border border-amber-100"><AlertCircle size={14} />Load a count table first.</div>
+  );
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+        <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-slate-800 tracking-tight">Gene-set Enrichment</h2>
+            <p className="text-xs text-slate-400 mt-1 font-medium">
+              {mode === 'ranked'
+                ? `${label} · ${universe.length.toLocaleString()} ranked genes · weighted running sum, ${permutations} gene permutations`
+                : `${label} · ${listGenes.length.toLocaleString()} genes against ${background.length.toLocaleString()} · hypergeometric test`} · BH-adjusted
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <div className="flex gap-1 font-bold">
+              <button onClick={() => setMode('ora')} className={`px-2 py-1.5 rounded-lg transition-colors ${mode === 'ora' ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}>Over-representation</button>
+              <button onClick={() => setMode('ranked')} className={`px-2 py-1.5 rounded-lg transition-colors ${mode === 'ranked' ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}>Ranked</button>
+            </div>
+            {mode === 'ora' ? (
+              <select value={activeList} onChange={(e) => setListSource(e.target.value)} className={selectCls}>
+                {Object.entries(LIST_SOURCES).filter(([k]) => k !== 'sent' || sentSet?.genes).map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+              </select>
+            ) : (
+              <select value={activeRank} onChange={(e) => setRankSource(e.target.value)} className={selectCls}>
+                {Object.entries(RANK_SOURCES).filter(([k]) => k !== 'sent' || sentSet?.ranked).map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+              </select>
+            )}
+            {datasets.length > 1 && (
+              <select value={dataset} onChange={(e) => setDataset(e.target.value)} className={selectCls}>
+                {datasets.map(d => <option key={d} value={d}>{tableLabel(data, d)}</option>)}
+              </select>
+            )}
+            {mode === 'ranked' && activeRank === 'fc' && (
+              <>
+                <select value={b} onChange={(e) => setCondB(e.target.value)} className={selectCls}>{conditions.map(c => <option key={c} value={c}>{c}</option>)}</select>
+                <span className="font-bold text-slate-400">vs</span>
+                <select value={a} onChange={(e) => setCondA(e.target.value)} className={selectCls}>{conditions.map(c => <option key={c} value={c}>{c}</option>)}</select>
+              </>
+            )}
+            <label title="GMT: one set per line, name, description, then its genes, tab-separated" className={`flex items-center gap-2 px-3 py-1.5 rounded-lg cursor-pointer font-medium border transition-colors ${gmtFiles.length ? 'bg-green-50 text-green-700 border-green-200' : 'bg-white text-slate-400 border-slate-200'}`}>
+              <FileText size={14} />{gmtFiles.length ? `GMT ×${gmtFiles.length}` : 'GMT'}<input type="file" multiple className="hidden" onChange={handleGMTUpload} />
+            </label>
+            <button disabled={rows.length === 0} onClick={exportTSV} className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 disabled:opacity-30"><Download size={12} />TSV</button>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-6 mb-4 text-[11px] font-bold text-slate-500">
+          {categories.map(([c, n]) => (
+            <label key={c} className="flex items-center gap-1 cursor-pointer">
+              <input type="checkbox" checked={!hidden.includes(c)} onChange={() => toggleCategory(c)} />{categoryLabel(c)} <span className="text-slate-400 font-normal">({n})</span>
+              {gmtFiles.some(f => f.name === c) && <button onClick={() => onRemoveGMT(c)} className="opacity-50 hover:opacity-100" title="Remove this file"><X size={10} /></button>}
+            </label>
+          ))}
+        </div>
+        <div className="flex flex-wrap items-center gap-6 mb-6 text-[11px] font-bold text-slate-500">
+          <label className="flex items-center gap-2">Set size
+            <input type="number" min="1" value={minSize} onChange={(e) => setMinSize(Math.max(1, parseInt(e.target.value, 10) || 1))} className={numberCls} />
+            –
+            <input type="number" min="1" value={maxSize} onChange={(e) => setMaxSize(Math.max(1, parseInt(e.target.value, 10) || 1))} className={numberCls} />
+          </label>
+          <label className="flex items-center gap-2">q ≤
+            <input type="number" step="0.05" min="0" max="1" value={maxQ} onChange={(e) => setMaxQ(parseFloat(e.target.value) || 0)} className={numberCls} />
+          </label>
+          {mode === 'ranked' && (
+            <label className="flex items-center gap-2">Permutations
+              <input type="number" step="500" min="100" max="10000" value={permutations} onChange={(e) => setPermutations(Math.min(10000, Math.max(100, parseInt(e.target.value, 10) || 100)))} className={`${numberCls} w-24`} />
+            </label>
+          )}
+          <span className="text-slate-400">Sets tested: {results.length} of {sets.length}</span>
+        </div>
+
+        {mode === 'ora' && activeList === 'paste' && (
+          <div className="mb-6">
+            <textarea value={pasted} onChange={(e) => setPasted(e.target.value)} rows={3} placeholder="Locus tags, gene names or IDs separated by spaces, commas or new lines" className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-xs font-mono outline-none focus:ring-2 focus:ring-blue-500" />
+            {resolved.missing.length > 0 && <p className="text-[10px] text-amber-600 font-bold mt-1">Not found ({resolved.missing.length}): {resolved.missing.slice(0, 20).join(', ')}{resolved.missing.length > 20 ? ' …' : ''}</p>}
+          </div>
+        )}
+        {gmtError && <p className="text-[10px] text-red-600 font-bold mb-2">{gmtError}</p>}
+        {gmtProblems.map(g => (
+          <p key={g.name} className="text-[10px] text-amber-600 font-bold mb-2">{g.name}: {[...g.errors, ...(g.unmatched ? [`${g.unmatched} members not in the background`] : [])].join('; ')}</p>
+        ))}
+        {error && <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-amber-50 text-amber-700 border border-amber-100"><AlertCircle size={14} />{error}</div>}
+      </div>
+
+      {!error && (
+        <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center justify-between gap-2">
+            <h3 className="font-bold text-slate-700 text-sm">{rows.length} gene sets with q ≤ {maxQ}</h3>
+            <span className="text-[10px] text-slate-400 font-bold">{mode === 'ranked' ? 'Genes: leading edge' : 'Genes: list members in the set'} · click one to plot it</span>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-xs border-collapse">
+              <thead>
+                <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                  {columns.map(c => (
+                    <th key={c.key} className="px-4 py-3 font-bold border-r border-slate-100">
+                      <button onClick={() => setSort(p => ({ key: c.key, direction: p.key === c.key && p.direction === 'asc' ? 'desc' : 'asc' }))} className={`flex items-center gap-1 ${sort.key === c.key ? 'text-indigo-600' : ''}`}>
+                        {c.label}<ArrowUpDown size={10} />
+                      </button>
+                    </th>
+                  ))}
+                  <th className="px-4 py-3 font-bold">Genes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(r => {
+                  const genes = mode === 'ranked' ? r.leadingEdge : r.overlap;
+                  const open = expanded === r.set.id;
+                  return (
+                    <tr key={r.set.id} className="border-b border-slate-50 align-top">
+                      <td className="px-4 py-2 border-r border-slate-100">
+                        <div className="font-bold text-slate-700">{r.set.name}</div>
+                        <div className="text-[10px] text-slate-400">{categoryLabel(r.set.category)}</div>
+                      </td>
+                      {mode === 'ranked' ? (
+                        <>
+                          <td className="px-4 py-2 font-mono border-r border-slate-100">{r.K}</td>
+                          <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.es)}</td>
+                          <td className={`px-4 py-2 font-mono font-bold border-r border-slate-100 ${r.nes > 0 ? 'text-red-600' : 'text-blue-600'}`}>{fmt(r.nes)}</td>
+                        </>
+                      ) : (
+                        <>
+                          <td className="px-4 py-2 font-mono border-r border-slate-100">{r.k} / {r.K}</td>
+                          <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.expected, 1)}</td>
+                          <td className="px-4 py-2 font-mono font-bold border-r border-slate-100">{fmt(r.fold, 1)}</td>
+                        </>
+                      )}
+                      <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.p, 4)}</td>
+                      <td className="px-4 py-2 font-mono border-r border-slate-100">{fmt(r.q, 4)}</td>
+                      <td className="px-4 py-2">
+                        <div className="flex flex-wrap gap-1 max-w-[420px]">
+                          {(open ? genes : genes.slice(0, CHIP_LIMIT)).map(g => (
+                            <button key={g} onClick={() => onSelectGene(g)} title={annotations[g]?.product || g} className={`px-1.5 py-0.5 rounded font-mono text-[10px] transition-colors ${selectedGenes.includes(g) ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-indigo-50'}`}>
+                              {annotations[g]?.geneName || g}
+                            </button>
+                          ))}
+                          {genes.length > CHIP_LIMIT && (
+                            <button onClick={() => setExpanded(open ? null : r.set.id)} className="px-1.5 py-0.5 text-[10px] font-bold text-indigo-600">{open ? 'less' : `+${genes.length - CHIP_LIMIT} more`}</button>
+                          )}
+                          <button disabled={freeSlots === 0} onClick={() => onAddGenes(genes.slice(0, freeSlots))} title={`Plot the first ${freeSlots}`} className="p-0.5 text-slate-400 hover:text-indigo-600 disabled:opacity-30"><ListPlus size={12} /></button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnrichmentPanel;
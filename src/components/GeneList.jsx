@@ -0,0 +1,33 @@
+import SourceBadges from './SourceBadges.jsx';
+import useVirtualRows from '../hooks/useVirtualRows.js';
+
+// Every row has the same height so only the visible slice of a 100k-gene list is rendered
+const ROW_HEIGHT = 62;
+
+const GeneList = ({ genes, annotations, selectedGenes, onToggle }) => {
+  const { ref, start, end, padTop, padBottom } = useVirtualRows(genes.length, ROW_HEIGHT);
+  return (
+    <>
+      {genes.length > 0 && <div className="px-4 pt-2 text-[10px] font-bold text-slate-400 uppercase tracking-wider">{genes.length.toLocaleString()} genes</div>}
+      <div ref={ref} className="flex-1 overflow-y-auto p-2 scrollbar-thin">
+        <div style={{ height: padTop }} />
+        {genes.slice(start, end).map(gene => (
+          <button key={gene} onClick={() => onToggle(gene)} style={{ height: ROW_HEIGHT - 4 }} className={`w-full text-left px-3 py-2 rounded-lg text-sm mb-1 overflow-hidden transition-all ${selectedGenes.includes(gene) ? 'bg-blue-50 border-blue-200 shadow-sm' : 'hover:bg-slate-50 border-transparent'} border`}>
+            <div className="flex justify-between items-center">
+              <span className={`font-mono text-xs font-bold ${selectedGenes.includes(gene) ? 'text-blue-700' : 'text-slate-700'}`}>{gene}</span>
+              {annotations[gene]?.geneName && <span className="text-[10px] bg-slate-100 px-1 rounded text-slate-500">{annotations[gene].geneName}</span>}
+            </div>
+            <div className="flex items-center gap-2 mt-0.5">
+              {annotations[gene]?.system && <span className="text-[9px] bg-emerald-50 text-emerald-700 px-1 rounded font-bold">{annotations[gene].system}</span>}
+              <SourceBadges entry={annotations[gene]} exclude={annotations[gene]?.system ? ['padloc'] : []} />
+              <div className="text-[10px] text-slate-400 truncate">{annotations[gene]?.product || "---"}</div>
+            </div>
+          </button>
+        ))}
+        <div style={{ height: padBottom }} />
+      </div>
+    </>
+  );
+};
+
+export default GeneList;
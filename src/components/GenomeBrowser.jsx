@@ -0,0 +1,323 @@
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { ZoomIn, ZoomOut, Maximize2, Map as MapIcon } from 'lucide-react';
+import { samplesForCondition } from '../lib/parsers.js';
+import useElementWidth from '../hooks/useElementWidth.js';
+import { TRACK_COLORS, formatBp, arrowPath } from '../utils/trackGeometry.js';
+import { tableIds, tableLabel, firstTable, strandPair } from '../lib/tables.js';
+
+const MIN_SPAN = 500;
+const BIN_THRESHOLD = 1500;
+const LABEL_W = 90;
+
+const exprColor = (t) => `hsl(${230 - Math.min(1, Math.max(0, t)) * 230}, 75%, ${60 - Math.min(1, Math.max(0, t)) * 15}%)`;
+
+const meanAt = (dataObj, cond) => {
+  const map = new Map();
+  if (!dataObj) return map;
+  const samples = samplesForCondition(dataObj, cond);
+  if (samples.length === 0) return map;
+  dataObj.raw.forEach(row => map.set(row.Geneid, samples.reduce((s, c) => s + (row[c] || 0), 0) / samples.length));
+  return map;
+};
+
+const GenomeBrowser = ({ data, tracks, annotations, selectedGenes, onSelectGene }) => {
+  const genes = useMemo(() => firstTable(data)?.features || [], [data]);
+  const conditions = useMemo(() => Array.from(new Set(tableIds(data).flatMap(id => data[id].conditions)))
+    .sort((a, b) => a.localeCompare(b, undefined, {numeric: true, sensitivity: 'base'})), [data]);
+
+  const trackFeatures = useMemo(() => Object.entries(tracks || {}).map(([name, gff]) => ({
+    name, color: TRACK_COLORS[name] || '#64748b',
+    // Child features (TIRs, DRs, spacers, flanks) are drawn as part of their parent
+    features: (gff?.features || []).filter(f => !f.attrs.Parent && !f.attrs.parent)
+  })), [tracks]);
+
+  const seqids = useMemo(() => {
+    const ids = new Set(genes.map(g => g.chr));
+    trackFeatures.forEach(t => t.features.forEach(f => ids.add(f.seqid)));
+    return Array.from(ids).filter(Boolean);
+  }, [genes, trackFeatures]);
+
+  const [seqid, setSeqid] = useState(null);
+  const chr = seqids.includes(seqid) ? seqid : seqids[0];
+
+  const seqLength = useMemo(() => {
+    const declared = Object.values(tracks || {}).map(t => t?.sequenceRegions?.[chr]).find(Boolean);
+    if (declared) return declared;
+    let max = 0;
+    genes.forEach(g => g.loci.forEach(l => { if (l.chr === chr && l.end > max) max = l.end; }));
+    trackFeatures.forEach(t => t.features.forEach(f => { if (f.seqid === chr && f.end > max) max = f.end; }));
+    return max || 1;
+  }, [tracks, genes, trackFeatures, chr]);
+
+  const [view, setView] = useState(null);
+  const [timepoint, setTimepoint] = useState(null);
+  const [jump, setJump] = useState('');
+  const [containerRef, width] = useElementWidth(900);
+  const svgRef = useRef(null);
+  const drag = useRef(null);
+  const dragged = useRef(false);
+
+  const cond = conditions.includes(timepoint) ? timepoint : conditions[0];
+  const start = view && view.chr === chr ? view.start : 1;
+  const end = view && view.chr === chr ? view.end : seqLength;
+  const span = end - start;
+  const plotW = Math.max(100, width - LABEL_W);
+  const toX = (bp) => LABEL_W + ((bp - start) / span) * plotW;
+
+  const clampView = (s, e) => {
+    const len = Math.min(seqLength, Math.max(MIN_SPAN, e - s));
+    const ns = Math.max(1, Math.min(s, seqLength - len));
+    return { chr, start: ns, end: ns + len };
+  };
+
+  // Wheel listener must be non-passive so the page does not scroll while zooming
+  const zoomRef = useRef(null);
+  useEffect(() => {
+    zoomRef.current = (e) => {
+      e.preventDefault();
+      const rect = svgRef.current.getBoundingClientRect();
+      const frac = Math.min(1, Math.max(0, (e.clientX - rect.left - LABEL_W) / plotW));
+      const anchor = start + frac * span;
+      const factor = Math.exp(e.deltaY * 0.0015);
+      const newSpan = span * factor;
+      setView(clampView(anchor - frac * newSpan, anchor + (1 - frac) * newSpan));
+    };
+  });
+  useEffect(() => {
+    const el = svgRef.current;
+    if (!el) return;
+    const handler = (e) => zoomRef.current?.(e);
+    el.addEventListener('wheel', handler, { passive: false });
+    return () => el.removeEventListener('wheel', handler);
+  }, []);
+
+  const zoomBy = (factor) => {
+    const mid = start + span / 2;
+    setView(clampView(mid - span * factor / 2, mid + span * factor / 2));
+  };
+
+  const onPointerDown = (e) => {
+    drag.current = { x: e.clientX, start, end, moved: false };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const onPointerMove = (e) => {
+    if (!drag.current) return;
+    const dx = e.clientX - drag.current.x;
+    if (Math.abs(dx) > 3) drag.current.moved = true;
+    if (!drag.current.moved) return;
+    const shift = -dx / plotW * (drag.current.end - drag.current.start);
+    setView(clampView(drag.current.start + shift, drag.current.end + shift));
+  };
+  const onPointerUp = () => {
+    // Remembered until the next press so the click that ends a drag does not select a feature
+    dragged.current = !!drag.current?.moved;
+    drag.current = null;
+  };
+
+  // Two tables share the expression lane: one above the axis, one (usually antisense counts) below it
+  const [pair, setPair] = useState([null, null]);
+  const ids = tableIds(data);
+  const defaults = strandPair(data);
+  const [upId, downId] = [ids.includes(pair[0]) ? pair[0] : defaults[0], pair[1] === '' || ids.includes(pair[1]) ? pair[1] : defaults[1]];
+  const up = data[upId], down = downId && downId !== upId ? data[downId] : null;
+  const downColor = down?.color || '#8b5cf6';
+  const sense = useMemo(() => meanAt(up, cond), [up, cond]);
+  const antisense = useMemo(() => meanAt(down, cond), [down, cond]);
+  // A loop rather than Math.max(...values): spreading one argument per gene overflows the stack on 100k+ gene tables
+  const maxExpr = useMemo(() => {
+    let max = 1;
+    for (const v of sense.values()) if (v > max) max = v;
+    for (const v of antisense.values()) if (v > max) max = v;
+    return max;
+  }, [sense, antisense]);
+
+  const visibleGenes = useMemo(() => genes.flatMap(g => g.loci
+    .filter(l => l.chr === chr && l.end >= start && l.start <= end)
+    .map((l, i) => ({ id: g.id, key: `${g.id}_${i}`, ...l }))), [genes, chr, start, end]);
+  const binned = visibleGenes.length > BIN_THRESHOLD;
+
+  const bins = useMemo(() => {
+    if (!binned) return [];
+    const binW = 2, n = Math.ceil(plotW / binW);
+    const out = Array.from({ length: n }, () => ({ s: 0, a: 0, plus: false, minus: false }));
+    visibleGenes.forEach(g => {
+      const b0 = Math.max(0, Math.floor(((g.start - start) / span) * plotW / binW));
+      const b1 = Math.min(n - 1, Math.floor(((g.end - start) / span) * plotW / binW));
+      for (let b = b0; b <= b1; b++) {
+        out[b].s = Math.max(out[b].s, sense.get(g.id) || 0);
+        out[b].a = Math.max(out[b].a, antisense.get(g.id) || 0);
+        if (g.strand === '-') out[b].minus = true; else out[b].plus = true;
+      }
+    });
+    return out.map((bin, i) => ({ ...bin, x: LABEL_W + i * binW, w: binW }));
+  }, [binned, visibleGenes, plotW, start, span, sense, antisense]);
+
+  const geneIndex = useMemo(() => new Set(firstTable(data)?.geneList || []), [data]);
+
+  const resolveFeature = (f) => {
+    const direct = [f.attrs.locus_tag, f.attrs.ID, f.attrs.Name].find(k => k && geneIndex.has(k));
+    if (direct) return direct;
+    let best = null, bestOverlap = 0;
+    genes.forEach(g => g.loci.forEach(l => {
+      if (l.chr !== f.seqid) return;
+      const ov = Math.min(l.end, f.end) - Math.max(l.start, f.start);
+      if (ov > bestOverlap) { bestOverlap = ov; best = g.id; }
+    }));
+    return best;
+  };
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    const term = jump.trim();
+    const range = term.replace(/,/g, '').match(/^(\d+)\s*[-:.]+\s*(\d+)$/);
+    if (range) return setView(clampView(parseInt(range[1], 10), parseInt(range[2], 10)));
+    const lower = term.toLowerCase();
+    const hit = genes.find(g => g.id.toLowerCase() === lower || annotations[g.id]?.geneName?.toLowerCase() === lower);
+    if (hit) {
+      const pad = Math.max(2000, (hit.end - hit.start) * 2);
+      setSeqid(hit.chr);
+      setView({ ...clampView(hit.start - pad, hit.end + pad), chr: hit.chr });
+    }
+  };
+
+  const ticks = useMemo(() => {
+    const raw = span / 8;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw) || mag * 10;
+    const out = [];
+    for (let t = Math.ceil(start / step) * step; t <= end; t += step) out.push(t);
+    return out;
+  }, [start, end, span]);
+
+  const RULER_H = 28, EXPR_H = 80, GENE_H = 44, TRACK_H = 26;
+  const exprY = RULER_H, geneY = exprY + EXPR_H + 8, tracksY = geneY + GENE_H + 8;
+  const height = tracksY + trackFeatures.length * TRACK_H + 8;
+  const exprMid = exprY + EXPR_H / 2;
+
+  const clickFeature = (geneId) => {
+    if (geneId) onSelectGene(geneId);
+  };
+
+  return (
+    <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+      <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h2 className="text-2xl font-black text-slate-800 tracking-tight">Genome Browser</h2>
+          <p className="text-xs text-slate-400 mt-1 font-medium">
+            {chr} · {formatBp(start)} – {formatBp(end)} <span className="text-slate-300">({formatBp(span)})</span>
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          {seqids.length > 1 && (
+            <select value={chr} onChange={(e) => { setSeqid(e.target.value); setView(null); }} className="px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600">
+              {seqids.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          )}
+          {ids.length > 2 && ['Above', 'Below'].map((label, i) => (
+            <select key={label} value={[upId, down ? downId : ''][i]} onChange={(e) => setPair(p => (i === 0 ? [e.target.value, p[1]] : [p[0], e.target.value]))} className="px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600">
+              {i === 1 && <option value="">{label}: none</option>}
+              {ids.map(id => <option key={id} value={id}>{label}: {tableLabel(data, id)}</option>)}
+            </select>
+          ))}
+          <select value={cond || ''} onChange={(e) => setTimepoint(e.target.value)} className="px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600">
+            {conditions.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <form onSubmit={handleJump} className="relative">
+            <MapIcon className="absolute left-2 top-1/2 -translate-y-1/2 text-slate-400" size={12} />
+            <input value={jump} onChange={(e) => setJump(e.target.value)} placeholder="Gene or 1000-5000" className="pl-7 pr-2 py-1.5 w-40 bg-slate-50 border border-slate-200 rounded-lg outline-none focus:ring-2 focus:ring-blue-500" />
+          </form>
+          <button onClick={() => zoomBy(0.5)} className="p-1.5 rounded-lg bg-slate-100 hover:bg-slate-200 text-slate-600" title="Zoom in"><ZoomIn size={14} /></button>
+          <button onClick={() => zoomBy(2)} className="p-1.5 rounded-lg bg-slate-100 hover:bg-slate-200 text-slate-600" title="Zoom out"><ZoomOut size={14} /></button>
+          <button onClick={() => setView(null)} className="p-1.5 rounded-lg bg-slate-100 hover:bg-slate-200 text-slate-600" title="Whole chromosome"><Maximize2 size={14} /></button>
+        </div>
+      </div>
+
+      <div className="h-3 mb-4 bg-slate-100 rounded-full relative overflow-hidden cursor-pointer" onClick={(e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        const centre = ((e.clientX - rect.left) / rect.width) * seqLength;
+        setView(clampView(centre - span / 2, centre + span / 2));
+      }}>
+        <div className="absolute top-0 bottom-0 bg-indigo-400/60 rounded-full" style={{ left: `${(start / seqLength) * 100}%`, width: `${Math.max(0.3, (span / seqLength) * 100)}%` }} />
+      </div>
+
+      <div ref={containerRef} className="w-full select-none">
+        <svg ref={svgRef} width={width} height={height} className="cursor-grab active:cursor-grabbing touch-none"
+          onPointerDown={onPointerDown} onPointerMove={onPointerMove} onPointerUp={onPointerUp} onPointerLeave={onPointerUp}>
+          <defs><clipPath id="gb-plot"><rect x={LABEL_W} y={0} width={plotW} height={height} /></clipPath></defs>
+
+          {ticks.map(t => (
+            <g key={t}>
+              <line x1={toX(t)} x2={toX(t)} y1={RULER_H - 6} y2={height} stroke="#f1f5f9" />
+              <text x={toX(t)} y={RULER_H - 10} textAnchor="middle" fontSize={10} fill="#94a3b8">{formatBp(t)}</text>
+            </g>
+          ))}
+
+          <text x={0} y={exprY + 14} fontSize={10} fontWeight={700} fill={up?.color || '#3b82f6'}>{tableLabel(data, upId).slice(0, 14)}</text>
+          {down && <text x={0} y={exprY + EXPR_H - 4} fontSize={10} fontWeight={700} fill={downColor}>{tableLabel(data, downId).slice(0, 14)}</text>}
+          <text x={0} y={geneY + 14} fontSize={10} fontWeight={700} fill="#475569">Genes +</text>
+          <text x={0} y={geneY + GENE_H - 6} fontSize={10} fontWeight={700} fill="#475569">Genes −</text>
+          {trackFeatures.map((t, i) => (
+            <text key={t.name} x={0} y={tracksY + i * TRACK_H + 16} fontSize={10} fontWeight={700} fill={t.color}>{t.name}</text>
+          ))}
+          <line x1={LABEL_W} x2={LABEL_W + plotW} y1={exprMid} y2={exprMid} stroke="#e2e8f0" />
+
+          <g clipPath="url(#gb-plot)">
+            {binned ? bins.map((b, i) => (
+              <g key={i}>
+                {b.s > 0 && <rect x={b.x} y={exprMid - (b.s / maxExpr) * (EXPR_H / 2)} width={b.w} height={(b.s / maxExpr) * (EXPR_H / 2)} fill={exprColor(b.s / maxExpr)} />}
+                {b.a > 0 && <rect x={b.x} y={exprMid} width={b.w} height={(b.a / maxExpr) * (EXPR_H / 2)} fill={downColor} fillOpacity={0.35 + 0.65 * (b.a / maxExpr)} />}
+                {b.plus && <rect x={b.x} y={geneY + 4} width={b.w} height={14} fill="#94a3b8" />}
+                {b.minus && <rect x={b.x} y={geneY + GENE_H - 18} width={b.w} height={14} fill="#94a3b8" />}
+              </g>
+            )) : visibleGenes.map(g => {
+              const x1 = toX(g.start), x2 = toX(g.end + 1);
+              const s = sense.get(g.id) || 0, a = antisense.get(g.id) || 0;
+              const isSel = selectedGenes.includes(g.id);
+              const y = g.strand === '-' ? geneY + GENE_H - 18 : geneY + 4;
+              const label = annotations[g.id]?.geneName || g.id;
+              return (
+                <g key={g.key} className="cursor-pointer" onClick={() => { if (!dragged.current) clickFeature(g.id); }}>
+                  <title>{`${label}${label !== g.id ? ` (${g.id})` : ''}\n${g.start}–${g.end} (${g.strand})\n${tableLabel(data, upId)} ${s.toFixed(2)}${down ? ` · ${tableLabel(data, downId)} ${a.toFixed(2)}` : ''}`}</title>
+                  {s > 0 && <rect x={x1} y={exprMid - (s / maxExpr) * (EXPR_H / 2)} width={Math.max(1, x2 - x1)} height={(s / maxExpr) * (EXPR_H / 2)} fill={exprColor(s / maxExpr)} />}
+                  {a > 0 && <rect x={x1} y={exprMid} width={Math.max(1, x2 - x1)} height={(a / maxExpr) * (EXPR_H / 2)} fill={downColor} fillOpacity={0.35 + 0.65 * (a / maxExpr)} />}
+                  <path d={arrowPath(x1, x2, y, 14, g.strand)} fill={exprColor(s / maxExpr)} stroke={isSel ? '#1e293b' : 'none'} strokeWidth={isSel ? 2 : 0} />
+                  {x2 - x1 > label.length * 6 + 12 && (
+                    <text x={(x1 + x2) / 2} y={g.strand === '-' ? y + 24 : y - 2} textAnchor="middle" fontSize={9} fill="#475569" pointerEvents="none">{label}</text>
+                  )}
+                </g>
+              );
+            })}
+
+            {trackFeatures.map((t, i) => {
+              const y = tracksY + i * TRACK_H + 5;
+              return t.features.filter(f => f.seqid === chr && f.end >= start && f.start <= end).map((f, j) => {
+                const x1 = toX(f.start), x2 = toX(f.end + 1);
+                const label = f.attrs.Name || f.attrs.family || f.attrs.ID || f.type;
+                return (
+                  <g key={`${t.name}_${j}`} className="cursor-pointer" onClick={() => { if (!dragged.current) clickFeature(resolveFeature(f)); }}>
+                    <title>{`${label} [${t.name}: ${f.type}]\n${f.start}–${f.end} (${f.strand})${f.attrs.Note ? `\n${f.attrs.Note}` : ''}`}</title>
+                    <path d={arrowPath(x1, x2, y, 14, f.strand)} fill={t.color} fillOpacity={0.8} />
+                    {x2 - x1 > label.length * 6 + 12 && (
+                      <text x={(x1 + x2) / 2} y={y + 11} textAnchor="middle" fontSize={9} fill="#fff" fontWeight={700} pointerEvents="none">{label}</text>
+                    )}
+                  </g>
+                );
+              });
+            })}
+          </g>
+        </svg>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center gap-4 text-[10px] text-slate-500 font-medium">
+        <span className="flex items-center gap-2">{up?.metric} at <b>{cond}</b>:
+          <span className="inline-block w-24 h-2 rounded-full" style={{ background: `linear-gradient(to right, ${exprColor(0)}, ${exprColor(0.5)}, ${exprColor(1)})` }} />
+          0 – {maxExpr.toFixed(1)}
+        </span>
+        {binned && <span className="text-amber-600">{visibleGenes.length} features in view — zoom in to inspect individual genes.</span>}
+        <span className="ml-auto">Scroll to zoom · drag to pan · click a feature to plot it</span>
+      </div>
+    </div>
+  );
+};
+
+export default GenomeBrowser;
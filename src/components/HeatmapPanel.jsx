@@ -0,0 +1,211 @@
+import { useState, useMemo, useRef } from 'react';
+import { Download, AlertCircle, Grid3x3 } from 'lucide-react';
+import useElementWidth from '../hooks/useElementWidth.js';
+import { heatmapMatrix, dendrogram, transpose, resolveGeneList } from '../lib/heatmap.js';
+import { heatmapToTSV, slugify } from '../lib/export.js';
+import { downloadText } from '../utils/download.js';
+import { tableIds, tableLabel } from '../lib/tables.js';
+
+const MAX_ROWS = 1000;
+const Z_MAX = 2.5;
+const BLOCK_GAP = 16;
+const TITLE_H = 16;
+const SET_SOURCES = { search: 'Search result', selection: 'Plotted genes', system: 'Defense system', sent: 'Sent from Patterns', paste: 'Pasted list' };
+
+const shortName = (s) => s.replace(/_sorted\.bam$|\.bam$/, '');
+const fmt = (v, digits = 2) => Number.isFinite(v) ? v.toFixed(digits) : 'NA';
+
+// Blue-white-red for row z-scores, white to indigo for values on the metric's own scale
+const cellColor = (v, zscore, lo, hi) => {
+  if (!Number.isFinite(v)) return '#f1f5f9';
+  if (zscore) {
+    const t = Math.max(-1, Math.min(1, v / Z_MAX));
+    return t >= 0 ? `hsl(0, 75%, ${97 - t * 47}%)` : `hsl(220, 75%, ${97 + t * 47}%)`;
+  }
+  const t = Math.max(0, Math.min(1, (v - lo) / (hi - lo || 1)));
+  return `hsl(243, 75%, ${97 - t * 55}%)`;
+};
+
+// Elbow connectors for a dendrogram; toXY maps (position along the leaf axis, merge height) to SVG coordinates
+const elbows = (den, toXY) => {
+  const n = den.order.length;
+  const leafPos = new Map(den.order.map((leaf, i) => [leaf, i]));
+  const at = (id) => (id < n ? [leafPos.get(id), 0] : [den.nodes[id - n].pos, den.nodes[id - n].height]);
+  return den.nodes.map(node => {
+    const [p1, h1] = at(node.left), [p2, h2] = at(node.right);
+    return `M${toXY(p1, h1)} L${toXY(p1, node.height)} L${toXY(p2, node.height)} L${toXY(p2, h2)}`;
+  }).join(' ');
+};
+
+const HeatmapPanel = ({ data, annotations, searchGenes, searchTerm, selectedGenes, sentSet, onSelectGene }) => {
+  const datasets = useMemo(() => tableIds(data), [data]);
+  const [dataset, setDataset] = useState('all');
+  const modes = useMemo(() => dataset === 'all' || !datasets.includes(dataset) ? datasets : [dataset], [dataset, datasets]);
+  const [source, setSource] = useState(sentSet ? 'sent' : 'search');
+  const [system, setSystem] = useState('');
+  const [pasted, setPasted] = useState('');
+  const [columns, setColumns] = useState('conditions');
+  const [zscore, setZscore] = useState(true);
+  const [clusterRows, setClusterRows] = useState(true);
+  const [clusterCols, setClusterCols] = useState(false);
+  const [hover, setHover] = useState(null);
+  const [ref, width] = useElementWidth(1000);
+  const svgRef = useRef(null);
+
+  const allIds = useMemo(() => Array.from(new Set(datasets.flatMap(m => data[m].raw.map(r => r.Geneid)))), [data, datasets]);
+  const systems = useMemo(() => Array.from(new Set(allIds.map(id => annotations[id]?.system).filter(Boolean))).sort(), [allIds, annotations]);
+  const activeSystem = systems.includes(system) ? system : systems[0];
+  const resolved = useMemo(() => resolveGeneList(pasted, allIds, annotations), [pasted, allIds, annotations]);
+
+  const setGenes = useMemo(() => {
+    if (source === 'selection') return selectedGenes;
+    if (source === 'system') return allIds.filter(id => annotations[id]?.system === activeSystem);
+    if (source === 'sent') return sentSet?.genes || [];
+    if (source === 'paste') return resolved.found;
+    return searchGenes;
+  }, [source, selectedGenes, allIds, annotations, activeSystem, sentSet, resolved, searchGenes]);
+  const genes = useMemo(() => setGenes.slice(0, MAX_ROWS), [setGenes]);
+  const setLabel = source === 'system' ? activeSystem : source === 'sent' ? sentSet?.label : source === 'search' ? (searchTerm ? `"${searchTerm}"` : 'all genes') : SET_SOURCES[source];
+
+  const matrices = useMemo(() => modes.map(m => heatmapMatrix(data[m], genes, { columns, zscore })), [modes, data, genes, columns, zscore]);
+  // Rows are ordered on every dataset at once so their blocks stay aligned gene by gene
+  const rowDen = useMemo(() => clusterRows && genes.length > 1 ? dendrogram(genes.map((_, i) => matrices.flatMap(mx => mx.values[i]))) : null, [clusterRows, genes, matrices]);
+  const colDens = useMemo(() => matrices.map(mx => clusterCols && mx.columns.length > 1 ? dendrogram(transpose(mx.values)) : null), [clusterCols, matrices]);
+  const rowOrder = useMemo(() => rowDen ? rowDen.order : genes.map((_, i) => i), [rowDen, genes]);
+  const colOrders = useMemo(() => matrices.map((mx, b) => colDens[b] ? colDens[b].order : mx.columns.map((_, j) => j)), [matrices, colDens]);
+  const [lo, hi] = useMemo(() => {
+    const vals = matrices.flatMap(mx => mx.values.flat()).filter(Number.isFinite);
+    return vals.length ? [Math.min(...vals), Math.max(...vals)] : [0, 1];
+  }, [matrices]);
+
+  const n = genes.length;
+  const rowH = Math.max(2, Math.min(14, Math.floor(640 / Math.max(n, 1))));
+  const showLabels = rowH >= 8;
+  const labelW = showLabels ? 140 : 0;
+  const rowDendroW = rowDen ? 60 : 0;
+  const colDendroH = clusterCols ? 36 : 0;
+  const colLabelH = columns === 'samples' ? 70 : 24;
+  const totalCols = matrices.reduce((s, mx) => s + mx.columns.length, 0);
+  const cellW = Math.max(6, Math.min(48, (width - rowDendroW - labelW - BLOCK_GAP * matrices.length) / Math.max(totalCols, 1)));
+  const top = TITLE_H + colDendroH;
+  const blockX = matrices.map((_, b) => rowDendroW + matrices.slice(0, b).reduce((s, mx) => s + mx.columns.length * cellW + BLOCK_GAP, 0));
+  const svgW = rowDendroW + totalCols * cellW + BLOCK_GAP * matrices.length + labelW;
+  const svgH = top + n * rowH + colLabelH;
+  const datasetLabel = (m) => tableLabel(data, m);
+
+  // Thousands of cells; kept out of the hover re-render
+  const cells = useMemo(() => matrices.map((mx, b) => rowOrder.map((i, r) => colOrders[b].map((j, c) => (
+    <rect key={`${i}_${j}`} data-i={i} data-j={j} x={c * cellW} y={top + r * rowH} width={cellW - (cellW > 8 ? 1 : 0)} height={rowH - (rowH > 4 ? 1 : 0)}
+      fill={cellColor(mx.values[i][j], zscore, lo, hi)} />
+  )))), [matrices, rowOrder, colOrders, cellW, rowH, top, zscore, lo, hi]);
+
+  // One handler per block instead of one per cell; the cell's indices ride along as data attributes
+  const onCellMove = (b) => (e) => {
+    const i = e.target.dataset?.i, j = e.target.dataset?.j;
+    if (i === undefined) return;
+    setHover({ b, i: +i, j: +j });
+  };
+  const onCellClick = (e) => {
+    const i = e.target.dataset?.i;
+    if (i !== undefined) onSelectGene(genes[+i]);
+  };
+
+  const exportName = `heatmap_${slugify(setLabel || 'genes')}_${columns}${zscore ? '_z' : ''}`;
+  const exportSVG = () => downloadText(`${exportName}.svg`, new XMLSerializer().serializeToString(svgRef.current), 'image/svg+xml');
+  const exportTSV = () => downloadText(`${exportName}.tsv`, heatmapToTSV(genes, rowOrder, matrices.map((mx, b) => ({ label: datasetLabel(modes[b]), matrix: mx, colOrder: colOrders[b] })), zscore ? `row z-score of ${data[modes[0]]?.metric}` : data[modes[0]]?.metric));
+
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+  const hovered = hover && matrices[hover.b] ? { gene: genes[hover.i], column: matrices[hover.b].columns[hover.j], value: matrices[hover.b].values[hover.i][hover.j], raw: matrices[hover.b].raw[hover.i][hover.j], dataset: datasetLabel(modes[hover.b]) } : null;
+  const hoverPos = hover ? { x: blockX[hover.b] + colOrders[hover.b].indexOf(hover.j) * cellW, y: top + rowOrder.indexOf(hover.i) * rowH } : null;
+
+  return (
+    <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+      <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h2 className="text-2xl font-black text-slate-800 tracking-tight">Gene-set Heatmap</h2>
+          <p className="text-xs text-slate-400 mt-1 font-medium">
+            {setLabel} · {n.toLocaleString()} genes{setGenes.length > MAX_ROWS ? ` (first ${MAX_ROWS.toLocaleString()} of ${setGenes.length.toLocaleString()})` : ''} · <span className="text-indigo-600 bg-indigo-50 px-2 py-0.5 rounded-full">{zscore ? 'row z-score' : data[modes[0]]?.metric}</span>
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <select value={source} onChange={(e) => setSource(e.target.value)} className={selectCls}>
+            {Object.entries(SET_SOURCES).filter(([k]) => k !== 'sent' || sentSet).map(([k, l]) => <option key={k} value={k}>{l}</option>)}
+          </select>
+          {source === 'system' && (
+            <select value={activeSystem || ''} onChange={(e) => setSystem(e.target.value)} className={selectCls}>
+              {systems.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          )}
+          {datasets.length > 1 && (
+            <select value={dataset} onChange={(e) => setDataset(e.target.value)} className={selectCls}>
+              <option value="all">All side by side</option>
+              {datasets.map(d => <option key={d} value={d}>{datasetLabel(d)}</option>)}
+            </select>
+          )}
+          <select value={columns} onChange={(e) => setColumns(e.target.value)} className={selectCls}>
+            <option value="conditions">Condition means</option>
+            <option value="samples">Replicates</option>
+          </select>
+          <button disabled={n === 0} onClick={exportSVG} className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 disabled:opacity-30"><Download size={12} />SVG</button>
+          <button disabled={n === 0} onClick={exportTSV} className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 disabled:opacity-30"><Download size={12} />TSV</button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-6 mb-6 text-[11px] font-bold text-slate-500">
+        <label className="flex items-center gap-1 cursor-pointer"><input type="checkbox" checked={zscore} onChange={(e) => setZscore(e.target.checked)} />Row z-score</label>
+        <label className="flex items-center gap-1 cursor-pointer"><input type="checkbox" checked={clusterRows} onChange={(e) => setClusterRows(e.target.checked)} />Cluster rows</label>
+        <label className="flex items-center gap-1 cursor-pointer"><input type="checkbox" checked={clusterCols} onChange={(e) => setClusterCols(e.target.checked)} />Cluster columns</label>
+        <div className="flex items-center gap-2 ml-auto">
+          <span>{zscore ? `≤ -${Z_MAX}` : fmt(lo)}</span>
+          <div className="w-32 h-2.5 rounded" style={{ background: zscore ? 'linear-gradient(to right, hsl(220,75%,50%), hsl(0,0%,97%), hsl(0,75%,50%))' : 'linear-gradient(to right, hsl(243,75%,97%), hsl(243,75%,42%))' }} />
+          <span>{zscore ? `≥ ${Z_MAX}` : fmt(hi)}</span>
+        </div>
+      </div>
+
+      {source === 'paste' && (
+        <div className="mb-6">
+          <textarea value={pasted} onChange={(e) => setPasted(e.target.value)} rows={3} placeholder="Locus tags, gene names or IDs separated by spaces, commas or new lines" className="w-full px-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-xs font-mono outline-none focus:ring-2 focus:ring-blue-500" />
+          {resolved.missing.length > 0 && <p className="text-[10px] text-amber-600 font-bold mt-1">Not found ({resolved.missing.length}): {resolved.missing.slice(0, 20).join(', ')}{resolved.missing.length > 20 ? ' …' : ''}</p>}
+        </div>
+      )}
+
+      <div ref={ref} className="relative overflow-x-auto" onMouseLeave={() => setHover(null)}>
+        {n === 0 ? (
+          <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-amber-50 text-amber-700 border border-amber-100"><AlertCircle size={14} />The gene set is empty.</div>
+        ) : (
+          <svg ref={svgRef} width={svgW} height={svgH} fontFamily="sans-serif">
+            {rowDen && <path d={elbows(rowDen, (p, h) => `${rowDendroW - 2 - (h / rowDen.maxHeight) * (rowDendroW - 6)},${top + (p + 0.5) * rowH}`)} fill="none" stroke="#94a3b8" strokeWidth={0.75} />}
+            {matrices.map((mx, b) => (
+              <g key={modes[b]} transform={`translate(${blockX[b]}, 0)`}>
+                <text x={0} y={11} fontSize={10} fontWeight="bold" fill="#475569">{datasetLabel(modes[b])}</text>
+                {colDens[b] && <path d={elbows(colDens[b], (p, h) => `${(p + 0.5) * cellW},${top - 2 - (h / colDens[b].maxHeight) * (colDendroH - 6)}`)} fill="none" stroke="#94a3b8" strokeWidth={0.75} />}
+                <g onMouseMove={onCellMove(b)} onClick={onCellClick} className="cursor-pointer">
+                  {cells[b]}
+                </g>
+                {colOrders[b].map((j, c) => columns === 'samples'
+                  ? <text key={j} transform={`translate(${c * cellW + cellW / 2 + 3}, ${top + n * rowH + 4}) rotate(60)`} fontSize={9} fill="#475569">{shortName(mx.columns[j])}</text>
+                  : <text key={j} x={c * cellW + cellW / 2} y={top + n * rowH + 14} textAnchor="middle" fontSize={9} fill="#475569">{mx.columns[j]}</text>)}
+              </g>
+            ))}
+            {showLabels && rowOrder.map((i, r) => (
+              <text key={genes[i]} x={svgW - labelW + 4} y={top + r * rowH + rowH / 2 + 3} fontSize={Math.min(10, rowH - 1)} fill={selectedGenes.includes(genes[i]) ? '#4f46e5' : '#475569'}>{annotations[genes[i]]?.geneName || genes[i]}</text>
+            ))}
+          </svg>
+        )}
+        {hovered && (
+          <div className="absolute pointer-events-none bg-white/95 p-3 border border-slate-200 rounded-xl shadow-xl text-xs max-w-[260px] z-10"
+            style={{ left: hoverPos.x > width - 280 ? hoverPos.x - 270 : hoverPos.x + cellW + 8, top: Math.max(0, hoverPos.y - 20) }}>
+            <div className="font-mono font-bold text-slate-800">{hovered.gene}{annotations[hovered.gene]?.geneName && annotations[hovered.gene].geneName !== hovered.gene ? ` (${annotations[hovered.gene].geneName})` : ''}</div>
+            <div className="text-[10px] text-slate-500 mb-1">{annotations[hovered.gene]?.product || '---'}</div>
+            {annotations[hovered.gene]?.system && <div className="text-[10px] text-emerald-700 font-bold mb-1">{annotations[hovered.gene].system}</div>}
+            <div className="text-slate-600">{hovered.dataset} · {columns === 'samples' ? shortName(hovered.column) : hovered.column}</div>
+            <div className="font-mono text-slate-700">{data[modes[hover.b]]?.metric}: {fmt(hovered.raw)}{zscore ? ` · z ${fmt(hovered.value)}` : ''}</div>
+          </div>
+        )}
+      </div>
+      <p className="text-[10px] text-slate-400 mt-2 flex items-center gap-1"><Grid3x3 size={10} />Click a row to plot the gene. Dendrograms use average linkage on Euclidean distance{zscore ? ' between z-scored rows' : ''}; grey cells are genes missing from that dataset.</p>
+    </div>
+  );
+};
+
+export default HeatmapPanel;
@@ -0,0 +1,287 @@
+import { useState, useMemo } from 'react';
+import { Crosshair, Layers, AlertCircle } from 'lucide-react';
+import useElementWidth from '../hooks/useElementWidth.js';
+import { TRACK_COLORS, formatBp, arrowPath } from '../utils/trackGeometry.js';
+import { neighbourhood, neighbourCorrelations, predictOperons, scanDefenseIslands } from '../lib/neighbourhood.js';
+import { sourceLabel } from '../lib/annotations.js';
+import SourceBadges from './SourceBadges.jsx';
+import { tableIds, tableLabel } from '../lib/tables.js';
+
+const LABEL_W = 90;
+const OPERON_COLORS = ['#0ea5e9', '#f97316', '#22c55e', '#a855f7', '#e11d48', '#14b8a6'];
+
+// Red for co-varying neighbours, blue for anti-correlated ones, grey when r is undefined
+const corrColor = (r) => Number.isFinite(r) ? (r >= 0 ? `hsl(0, 75%, ${88 - r * 38}%)` : `hsl(220, 75%, ${88 + r * 38}%)`) : '#e2e8f0';
+
+const fmt = (v, digits = 2) => Number.isFinite(v) ? v.toFixed(digits) : 'NA';
+
+const NeighbourhoodPanel = ({ data, sources, annotations, selectedGenes, onSelectGene }) => {
+  const datasets = tableIds(data);
+  const [dataset, setDataset] = useState(datasets[0]);
+  const dataObj = data[datasets.includes(dataset) ? dataset : datasets[0]];
+  const [focalGene, setFocalGene] = useState(null);
+  const [island, setIsland] = useState(null);
+  const [windowBp, setWindowBp] = useState(10000);
+  const [maxGap, setMaxGap] = useState(150);
+  const [minR, setMinR] = useState(0.7);
+  const [clusterGap, setClusterGap] = useState(10000);
+  const [mobileDistance, setMobileDistance] = useState(10000);
+  const [ref, width] = useElementWidth(900);
+
+  const focal = island ? null : (selectedGenes.includes(focalGene) ? focalGene : selectedGenes[0]);
+  const region = useMemo(() => {
+    if (island) return island;
+    // Rows merged with `-g Name` span many loci; centre on the first one
+    const l = dataObj?.features.find(f => f.id === focal)?.loci[0];
+    return l ? { chr: l.chr, start: l.start, end: l.end } : null;
+  }, [island, focal, dataObj]);
+
+  const hood = useMemo(() => region && dataObj ? neighbourhood(dataObj, region, windowBp, sources) : null, [region, dataObj, windowBp, sources]);
+  const correlations = useMemo(() => hood && focal ? neighbourCorrelations(dataObj, focal, hood.genes.map(g => g.id)) : new Map(), [hood, focal, dataObj]);
+  const operons = useMemo(() => hood ? predictOperons(dataObj, hood.genes, { maxGap, minR }) : [], [hood, dataObj, maxGap, minR]);
+  const operonOf = useMemo(() => new Map(operons.flatMap((o, i) => o.genes.map(g => [g, i]))), [operons]);
+  const islands = useMemo(() => scanDefenseIslands(sources, { clusterGap, mobileDistance }), [sources, clusterGap, mobileDistance]);
+
+  const lanes = useMemo(() => Array.from(new Set((hood?.features || []).map(f => f.source))), [hood]);
+  const plotW = Math.max(100, width - LABEL_W);
+  const toX = (bp) => LABEL_W + ((bp - hood.start) / (hood.end - hood.start || 1)) * plotW;
+  const RULER_H = 24, GENE_H = 44, OPERON_H = 14, TRACK_H = 24;
+  const geneY = RULER_H, operonY = geneY + GENE_H + 4, tracksY = operonY + OPERON_H + 8;
+  const height = tracksY + lanes.length * TRACK_H + 8;
+  const ticks = useMemo(() => {
+    if (!hood) return [];
+    const raw = (hood.end - hood.start) / 8;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw) || mag * 10;
+    const out = [];
+    for (let t = Math.ceil(hood.start / step) * step; t <= hood.end; t += step) out.push(t);
+    return out;
+  }, [hood]);
+
+  const label = (id) => annotations[id]?.geneName || id;
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+  const numberCls = "w-20 px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg";
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+        <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-slate-800 tracking-tight">Genomic Neighbourhood</h2>
+            <p className="text-xs text-slate-400 mt-1 font-medium">
+              {island ? `Defense island ${island.chr}:${island.start.toLocaleString()}-${island.end.toLocaleString()}` : focal ? `Around ${label(focal)}` : 'No focal gene'} · r = Pearson correlation of condition means ({dataObj?.metric})
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {datasets.length > 1 && (
+              <select value={dataset} onChange={(e) => setDataset(e.target.value)} className={selectCls}>
+                {datasets.map(d => <option key={d} value={d}>{tableLabel(data, d)}</option>)}
+              </select>
+            )}
+            {selectedGenes.length > 0 && (
+              <select value={island ? '' : focal || ''} onChange={(e) => { setFocalGene(e.target.value); setIsland(null); }} className={selectCls}>
+                {island && <option value="">Island</option>}
+                {selectedGenes.map(g => <option key={g} value={g}>{label(g)}</option>)}
+              </select>
+            )}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-6 mb-6 text-[11px] font-bold text-slate-500">
+          <label className="flex items-center gap-2">Window ± bp
+            <input type="number" step="1000" min="500" value={windowBp} onChange={(e) => setWindowBp(Math.max(500, parseInt(e.target.value, 10) || 0))} className={`${numberCls} w-24`} />
+          </label>
+          <label className="flex items-center gap-2" title="Largest intergenic distance allowed inside a predicted operon">Operon gap ≤
+            <input type="number" step="10" value={maxGap} onChange={(e) => setMaxGap(parseInt(e.target.value, 10) || 0)} className={numberCls} />
+          </label>
+          <label className="flex items-center gap-2" title="Smallest correlation between adjacent genes inside a predicted operon">Adjacent r ≥
+            <input type="number" step="0.05" min="-1" max="1" value={minR} onChange={(e) => setMinR(parseFloat(e.target.value) || 0)} className={numberCls} />
+          </label>
+        </div>
+
+        <div ref={ref} className="w-full select-none">
+        {!hood ? (
+          <div className="flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold bg-slate-50 text-slate-500 border border-slate-100">
+            <AlertCircle size={14} />Select a gene in the sidebar or open a defense island below.
+          </div>
+        ) : (
+          <div>
+            <svg width={width} height={height}>
+              {ticks.map(t => (
+                <g key={t}>
+                  <line x1={toX(t)} x2={toX(t)} y1={RULER_H - 6} y2={height} stroke="#f1f5f9" />
+                  <text x={toX(t)} y={RULER_H - 10} textAnchor="middle" fontSize={10} fill="#94a3b8">{formatBp(t)}</text>
+                </g>
+              ))}
+              <rect x={toX(region.start)} y={RULER_H - 4} width={Math.max(2, toX(region.end + 1) - toX(region.start))} height={height - RULER_H} fill="#6366f1" fillOpacity={0.06} />
+              <text x={0} y={geneY + 14} fontSize={10} fontWeight={700} fill="#475569">Genes +</text>
+              <text x={0} y={geneY + GENE_H - 6} fontSize={10} fontWeight={700} fill="#475569">Genes −</text>
+              <text x={0} y={operonY + 10} fontSize={10} fontWeight={700} fill="#475569">Operons</text>
+              {lanes.map((s, i) => <text key={s} x={0} y={tracksY + i * TRACK_H + 15} fontSize={10} fontWeight={700} fill={TRACK_COLORS[s] || '#64748b'}>{s}</text>)}
+
+              {hood.genes.map(g => {
+                const x1 = Math.max(LABEL_W, toX(g.start)), x2 = Math.min(LABEL_W + plotW, toX(g.end + 1));
+                const y = g.strand === '-' ? geneY + GENE_H - 18 : geneY + 4;
+                const r = correlations.get(g.id);
+                const isFocal = g.id === focal;
+                return (
+                  <g key={g.key} className="cursor-pointer" onClick={() => onSelectGene(g.id)}>
+                    <title>{`${label(g.id)}${label(g.id) !== g.id ? ` (${g.id})` : ''}\n${g.start}–${g.end} (${g.strand})\nr = ${fmt(r)}`}</title>
+                    <path d={arrowPath(x1, x2, y, 14, g.strand)} fill={isFocal ? '#6366f1' : corrColor(r)} stroke={selectedGenes.includes(g.id) ? '#1e293b' : '#94a3b8'} strokeWidth={selectedGenes.includes(g.id) ? 2 : 0.5} />
+                    {x2 - x1 > label(g.id).length * 6 + 12 && (
+                      <text x={(x1 + x2) / 2} y={g.strand === '-' ? y + 24 : y - 2} textAnchor="middle" fontSize={9} fill="#475569" pointerEvents="none">{label(g.id)}</text>
+                    )}
+                  </g>
+                );
+              })}
+
+              {operons.map((o, i) => (
+                <g key={`${o.start}_${o.strand}`}>
+                  <title>{`Operon ${i + 1} (${o.strand}): ${o.genes.map(label).join(', ')}\nmin adjacent r ${fmt(o.minR)} · max gap ${o.maxGap} bp`}</title>
+                  <rect x={Math.max(LABEL_W, toX(o.start))} y={operonY + 2} width={Math.max(2, Math.min(LABEL_W + plotW, toX(o.end + 1)) - Math.max(LABEL_W, toX(o.start)))} height={8} rx={4} fill={OPERON_COLORS[i % OPERON_COLORS.length]} fillOpacity={0.7} />
+                </g>
+              ))}
+
+              {lanes.map((s, i) => hood.features.filter(f => f.source === s).map(f => {
+                const x1 = Math.max(LABEL_W, toX(f.start)), x2 = Math.min(LABEL_W + plotW, toX(f.end + 1));
+                const y = tracksY + i * TRACK_H + 4;
+                const text = f.name || f.id;
+                return (
+                  <g key={`${s}_${f.id}_${f.start}`}>
+                    <title>{`${text} [${sourceLabel(s)}: ${f.type}]\n${f.start}–${f.end} (${f.strand})`}</title>
+                    <path d={arrowPath(x1, x2, y, 14, f.strand)} fill={TRACK_COLORS[s] || '#64748b'} fillOpacity={0.8} />
+                    {x2 - x1 > text.length * 6 + 12 && <text x={(x1 + x2) / 2} y={y + 11} textAnchor="middle" fontSize={9} fill="#fff" fontWeight={700} pointerEvents="none">{text}</text>}
+                  </g>
+                );
+              }))}
+            </svg>
+            <div className="mt-2 flex flex-wrap items-center gap-4 text-[10px] text-slate-500 font-medium">
+              <span className="flex items-center gap-2">r with focal gene:
+                <span className="inline-block w-24 h-2 rounded-full" style={{ background: `linear-gradient(to right, ${corrColor(-1)}, ${corrColor(0)}, ${corrColor(1)})` }} />
+                −1 – 1
+              </span>
+              <span className="ml-auto">Click a gene to plot it</span>
+            </div>
+          </div>
+        )}
+        </div>
+      </div>
+
+      {hood && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+            <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center gap-2">
+              <Crosshair size={18} className="text-slate-400" /><h3 className="font-bold text-slate-700 text-sm">Genes in window ({hood.genes.length})</h3>
+              <span className="ml-auto text-[10px] font-bold text-slate-400">{operons.length} predicted operons</span>
+            </div>
+            <div className="overflow-auto max-h-[480px] scrollbar-thin">
+              <table className="w-full text-left text-xs border-collapse">
+                <thead className="sticky top-0">
+                  <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                    {['Gene', 'Strand', 'Distance', 'r', 'Operon'].map(h => <th key={h} className="px-3 py-2 font-bold border-r border-slate-100 last:border-0">{h}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {hood.genes.map(g => {
+                    const op = operonOf.get(g.id);
+                    return (
+                      <tr key={g.key} onClick={() => onSelectGene(g.id)} className={`border-b border-slate-50 cursor-pointer transition-colors hover:bg-blue-50/30 ${g.id === focal ? 'bg-indigo-50/60' : selectedGenes.includes(g.id) ? 'bg-blue-50/50' : ''}`}>
+                        <td className="px-3 py-1.5 border-r border-slate-100">
+                          <div className="flex items-center gap-2">
+                            <span className="font-mono font-bold text-slate-700">{g.id}</span>
+                            {label(g.id) !== g.id && <span className="text-[10px] bg-slate-100 px-1 rounded text-slate-500">{label(g.id)}</span>}
+                            <SourceBadges entry={annotations[g.id]} />
+                          </div>
+                          <div className="text-[10px] text-slate-400 truncate max-w-[260px]">{annotations[g.id]?.product || '---'}</div>
+                        </td>
+                        <td className="px-3 py-1.5 font-mono text-center border-r border-slate-100">{g.strand}</td>
+                        <td className="px-3 py-1.5 font-mono border-r border-slate-100">{g.distance ? formatBp(g.distance) : '—'}</td>
+                        <td className="px-3 py-1.5 font-mono font-bold border-r border-slate-100" style={{ backgroundColor: g.id === focal ? undefined : corrColor(correlations.get(g.id)) }}>{g.id === focal ? 'focal' : fmt(correlations.get(g.id))}</td>
+                        <td className="px-3 py-1.5">{op !== undefined && <span className="text-[10px] font-bold px-1.5 rounded text-white" style={{ backgroundColor: OPERON_COLORS[op % OPERON_COLORS.length] }}>{op + 1}</span>}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+            <div className="p-4 bg-slate-50 border-b border-slate-200 flex items-center gap-2">
+              <Layers size={18} className="text-slate-400" /><h3 className="font-bold text-slate-700 text-sm">Annotated features in window ({hood.features.length})</h3>
+            </div>
+            <div className="overflow-auto max-h-[480px] scrollbar-thin">
+              <table className="w-full text-left text-xs border-collapse">
+                <thead className="sticky top-0">
+                  <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                    {['Source', 'Feature', 'Coordinates', 'Strand', 'Distance'].map(h => <th key={h} className="px-3 py-2 font-bold border-r border-slate-100 last:border-0">{h}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {hood.features.map(f => (
+                    <tr key={`${f.source}_${f.id}_${f.start}`} className="border-b border-slate-50">
+                      <td className="px-3 py-1.5 border-r border-slate-100 font-bold" style={{ color: TRACK_COLORS[f.source] || '#64748b' }}>{sourceLabel(f.source)}</td>
+                      <td className="px-3 py-1.5 border-r border-slate-100">
+                        <span className="font-mono font-bold text-slate-700">{f.name || f.id}</span>
+                        <div className="text-[10px] text-slate-400">{f.type}{f.attrs.Note ? ` · ${f.attrs.Note}` : ''}</div>
+                      </td>
+                      <td className="px-3 py-1.5 font-mono border-r border-slate-100">{f.start.toLocaleString()}-{f.end.toLocaleString()}</td>
+                      <td className="px-3 py-1.5 font-mono text-center border-r border-slate-100">{f.strand}</td>
+                      <td className="px-3 py-1.5 font-mono">{f.distance ? formatBp(f.distance) : 'overlaps'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="p-4 bg-slate-50 border-b border-slate-200 flex flex-wrap items-center gap-4">
+          <h3 className="font-bold text-slate-700 text-sm">Defense islands ({islands.length})</h3>
+          <span className="text-[10px] text-slate-400 font-medium">padloc hits clustered by proximity, kept when an ISEScan or digIS element lies nearby</span>
+          <div className="ml-auto flex items-center gap-4 text-[11px] font-bold text-slate-500">
+            <label className="flex items-center gap-2">Cluster gap
+              <input type="number" step="1000" min="0" value={clusterGap} onChange={(e) => setClusterGap(Math.max(0, parseInt(e.target.value, 10) || 0))} className={`${numberCls} w-24`} />
+            </label>
+            <label className="flex items-center gap-2">IS within
+              <input type="number" step="1000" min="0" value={mobileDistance} onChange={(e) => setMobileDistance(Math.max(0, parseInt(e.target.value, 10) || 0))} className={`${numberCls} w-24`} />
+            </label>
+          </div>
+        </div>
+        {!sources.padloc || (!sources.ISEScan && !sources.digIS) ? (
+          <p className="p-4 text-xs text-slate-400">Load padloc and ISEScan or digIS GFFs to scan for defense islands.</p>
+        ) : (
+          <div className="overflow-auto max-h-[420px] scrollbar-thin">
+            <table className="w-full text-left text-xs border-collapse">
+              <thead className="sticky top-0">
+                <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                  {['Region', 'Systems', 'Hits', 'Mobile elements', ''].map(h => <th key={h} className="px-3 py-2 font-bold border-r border-slate-100 last:border-0">{h}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {islands.map(c => {
+                  const active = island && island.chr === c.chr && island.start === c.start;
+                  return (
+                    <tr key={`${c.chr}_${c.start}`} className={`border-b border-slate-50 ${active ? 'bg-emerald-50/50' : ''}`}>
+                      <td className="px-3 py-1.5 font-mono border-r border-slate-100">{c.chr}:{c.start.toLocaleString()}-{c.end.toLocaleString()}</td>
+                      <td className="px-3 py-1.5 border-r border-slate-100 font-bold text-emerald-700">{c.systems.join(', ')}</td>
+                      <td className="px-3 py-1.5 font-mono border-r border-slate-100">{c.hits.length}</td>
+                      <td className="px-3 py-1.5 border-r border-slate-100 text-slate-500">{c.mobile.map(m => `${m.name || m.id} (${m.source}, ${m.distance ? formatBp(m.distance) : 'overlapping'})`).join('; ')}</td>
+                      <td className="px-3 py-1.5">
+                        <button onClick={() => setIsland({ chr: c.chr, start: c.start, end: c.end })} className="px-2 py-1 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600">View</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NeighbourhoodPanel;
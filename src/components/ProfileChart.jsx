@@ -0,0 +1,196 @@
+import { useState, useMemo } from 'react';
+import useElementWidth from '../hooks/useElementWidth.js';
+import { niceTicks, logTicks, formatTick } from '../utils/axis.js';
+import { gaussianKDE } from '../lib/stats.js';
+import { ERROR_STATS } from '../lib/profile.js';
+
+const PAD = { top: 12, right: 20, bottom: 32, left: 52 };
+
+// Replicates are spread over a fixed pattern rather than randomly, so points do not jump between renders
+const JITTER = [0, -0.6, 0.6, -0.3, 0.3, -0.9, 0.9, -0.15, 0.15, -0.45, 0.45, -0.75, 0.75];
+
+// Expression profile over conditions in plain SVG: mean line with an error band, box or violin per condition,
+// optional replicate points. series: [{ key, label, dataset, color, dash (SVG dash array, '' = solid), stats: { [condition]: summary } }]
+// with summaries from lib/profile.js; conditions: [{ condition, time }].
+const ProfileChart = ({ series, conditions, options, useTimeAxis, height = 400 }) => {
+  const [ref, width] = useElementWidth(800);
+  const [hover, setHover] = useState(null);
+  const { display, error, points, logY } = options;
+  const plotW = Math.max(50, width - PAD.left - PAD.right), plotH = height - PAD.top - PAD.bottom;
+
+  // Log axes run in log10 units; zero and negative values have no position there and are left out
+  const tv = useMemo(() => (logY ? (v) => (v > 0 ? Math.log10(v) : NaN) : (v) => v), [logY]);
+
+  // x: condition centres in pixels and the width each condition offers to its series
+  const layout = useMemo(() => {
+    if (!conditions.length) return { centres: [], slot: 0 };
+    if (!useTimeAxis) {
+      const band = plotW / conditions.length;
+      return { centres: conditions.map((_, i) => PAD.left + band * (i + 0.5)), slot: band * 0.8 };
+    }
+    const times = conditions.map(c => c.time);
+    const sorted = [...times].sort((a, b) => a - b);
+    const gaps = sorted.slice(1).map((t, i) => t - sorted[i]);
+    const minGap = gaps.length ? Math.min(...gaps) : 1;
+    const t0 = sorted[0] - minGap / 2, t1 = sorted.at(-1) + minGap / 2;
+    const scale = plotW / (t1 - t0 || 1);
+    return { centres: times.map(t => PAD.left + (t - t0) * scale), slot: minGap * scale * 0.8 };
+  }, [conditions, useTimeAxis, plotW]);
+
+  const [y0, y1] = useMemo(() => {
+    const vals = [];
+    series.forEach(s => conditions.forEach(({ condition }) => {
+      const st = s.stats[condition];
+      if (!st) return;
+      if (display === 'line') {
+        const e = Number.isFinite(st[error]) ? st[error] : 0;
+        vals.push(tv(st.mean - e), tv(st.mean + e), tv(st.mean));
+      }
+      if (display !== 'line' || points) vals.push(tv(st.min), tv(st.max));
+    }));
+    const finite = vals.filter(Number.isFinite);
+    if (!finite.length) return [0, 1];
+    let lo = Math.min(...finite), hi = Math.max(...finite);
+    if (!logY) lo = Math.min(lo, 0);
+    if (lo === hi) { lo -= 1; hi += 1; }
+    const pad = (hi - lo) * 0.05;
+    return [logY ? lo - pad : lo, hi + pad];
+  }, [series, conditions, display, error, points, logY, tv]);
+
+  const sy = (v) => PAD.top + plotH - ((v - y0) / (y1 - y0)) * plotH;
+  const ticks = logY ? logTicks(y0, y1) : niceTicks(y0, y1, 5);
+
+  // Boxes and violins sit side by side within a condition; lines share its centre
+  const dodge = display === 'line' ? Math.min(layout.slot / Math.max(series.length, 1), 6) : layout.slot / Math.max(series.length, 1);
+
+  const marks = useMemo(() => series.map((s, si) => {
+    const off = (si - (series.length - 1) / 2) * dodge;
+    const px = (ci) => layout.centres[ci] + (display === 'line' ? 0 : off);
+    const ys = (v) => PAD.top + plotH - ((v - y0) / (y1 - y0)) * plotH;
+    const cy = (v) => ys(Math.min(Math.max(Number.isFinite(v) ? v : y0, y0), y1));
+    const present = conditions.map(({ condition }, ci) => ({ ci, st: s.stats[condition] })).filter(d => d.st && Number.isFinite(tv(d.st.mean)));
+    const half = display === 'line' ? 0 : dodge * 0.35;
+    const parts = [];
+
+    if (display === 'line' && present.length) {
+      const band = present.filter(d => Number.isFinite(d.st[error]));
+      if (band.length > 1) {
+        const upper = band.map(d => `${px(d.ci)},${cy(tv(d.st.mean + d.st[error]))}`);
+        const lower = band.map(d => `${px(d.ci)},${cy(tv(d.st.mean - d.st[error]))}`).reverse();
+        parts.push(<polygon key="band" points={[...upper, ...lower].join(' ')} fill={s.color} fillOpacity={s.dash ? 0.05 : 0.12} />);
+      }
+      band.forEach(d => parts.push(<line key={`e${d.ci}`} x1={px(d.ci)} x2={px(d.ci)} y1={cy(tv(d.st.mean - d.st[error]))} y2={cy(tv(d.st.mean + d.st[error]))} stroke={s.color} strokeOpacity={0.5} />));
+      parts.push(<polyline key="line" points={present.map(d => `${px(d.ci)},${ys(tv(d.st.mean))}`).join(' ')} fill="none" stroke={s.color} strokeWidth={s.dash ? 2 : 3} strokeDasharray={s.dash || undefined} />);
+      present.forEach(d => parts.push(<circle key={`m${d.ci}`} cx={px(d.ci)} cy={ys(tv(d.st.mean))} r={3.5} fill={s.dash ? '#fff' : s.color} stroke={s.color} strokeWidth={2} />));
+    }
+
+    if (display === 'box') conditions.forEach(({ condition }, ci) => {
+      const st = s.stats[condition];
+      if (!st) return;
+      const x = px(ci);
+      // With 3-5 replicates Tukey fences mean little, so the whiskers span the full range
+      parts.push(
+        <g key={`b${ci}`} stroke={s.color} strokeWidth={1.5} strokeDasharray={s.dash ? '3 2' : undefined}>
+          <line x1={x} x2={x} y1={cy(tv(st.min))} y2={cy(tv(st.q1))} />
+          <line x1={x} x2={x} y1={cy(tv(st.q3))} y2={cy(tv(st.max))} />
+          <line x1={x - half / 2} x2={x + half / 2} y1={cy(tv(st.min))} y2={cy(tv(st.min))} />
+          <line x1={x - half / 2} x2={x + half / 2} y1={cy(tv(st.max))} y2={cy(tv(st.max))} />
+          <rect x={x - half} width={half * 2} y={cy(tv(st.q3))} height={Math.max(1, cy(tv(st.q1)) - cy(tv(st.q3)))} fill={s.color} fillOpacity={s.dash ? 0.05 : 0.15} />
+          <line x1={x - half} x2={x + half} y1={cy(tv(st.median))} y2={cy(tv(st.median))} strokeWidth={2.5} strokeDasharray="none" />
+        </g>
+      );
+    });
+
+    if (display === 'violin') conditions.forEach(({ condition }, ci) => {
+      const st = s.stats[condition];
+      const vals = (st?.replicates || []).map(r => tv(r.value)).filter(Number.isFinite);
+      if (vals.length < 3) return;
+      const x = px(ci);
+      const kde = gaussianKDE(vals).filter(k => k.y >= y0 && k.y <= y1);
+      const peak = Math.max(...kde.map(k => k.density)) || 1;
+      const right = kde.map(k => `${x + (k.density / peak) * half},${ys(k.y)}`);
+      const left = kde.map(k => `${x - (k.density / peak) * half},${ys(k.y)}`).reverse();
+      parts.push(
+        <g key={`v${ci}`}>
+          <polygon points={[...right, ...left].join(' ')} fill={s.color} fillOpacity={s.dash ? 0.05 : 0.15} stroke={s.color} strokeWidth={1.5} strokeDasharray={s.dash ? '3 2' : undefined} />
+          <line x1={x - half / 2} x2={x + half / 2} y1={cy(tv(st.median))} y2={cy(tv(st.median))} stroke={s.color} strokeWidth={2.5} />
+        </g>
+      );
+    });
+
+    // Violins need a few values for a density; below that only the points are drawn
+    const showPoints = points || (display === 'violin' && conditions.some(({ condition }) => (s.stats[condition]?.n || 0) < 3));
+    if (showPoints) conditions.forEach(({ condition }, ci) => {
+      const st = s.stats[condition];
+      if (!st || (!points && st.n >= 3)) return;
+      const spread = display === 'line' ? Math.min(layout.slot * 0.1, 8) : half * 0.5;
+      st.replicates.forEach((r, ri) => {
+        const v = tv(r.value);
+        if (!Number.isFinite(v) || v < y0 || v > y1) return;
+        parts.push(<circle key={`p${ci}:${ri}`} cx={px(ci) + (display === 'line' ? off : 0) + JITTER[ri % JITTER.length] * spread} cy={ys(v)} r={2.5} fill={s.dash ? '#fff' : s.color} fillOpacity={0.8} stroke={s.color} strokeWidth={1} />);
+      });
+    });
+
+    return <g key={s.key}>{parts}</g>;
+  }), [series, conditions, display, error, points, tv, layout, dodge, plotH, y0, y1]);
+
+  const hovered = hover === null ? null : conditions[hover];
+  const hiddenByLog = logY && series.some(s => Object.values(s.stats).some(st => st.replicates.some(r => !(r.value > 0))));
+
+  return (
+    <div ref={ref} className="relative w-full">
+      <svg width={width} height={height} onMouseLeave={() => setHover(null)}>
+        {ticks.map(t => (
+          <g key={`y${t}`}>
+            <line x1={PAD.left} x2={PAD.left + plotW} y1={sy(logY ? Math.log10(t) : t)} y2={sy(logY ? Math.log10(t) : t)} stroke="#f1f5f9" strokeDasharray="3 3" />
+            <text x={PAD.left - 6} y={sy(logY ? Math.log10(t) : t) + 3} textAnchor="end" fontSize={11} fill="#64748b">{formatTick(t)}</text>
+          </g>
+        ))}
+        {conditions.map((c, ci) => (
+          <g key={c.condition}>
+            {hover === ci && <rect x={layout.centres[ci] - layout.slot / 2} width={layout.slot} y={PAD.top} height={plotH} fill="#f8fafc" />}
+            <text x={layout.centres[ci]} y={PAD.top + plotH + 20} textAnchor="middle" fontSize={11} fontWeight={600} fill="#64748b">{useTimeAxis ? c.time : c.condition}</text>
+          </g>
+        ))}
+        {marks}
+        {conditions.map((c, ci) => (
+          <rect key={`h${c.condition}`} x={layout.centres[ci] - layout.slot / 2} width={layout.slot} y={PAD.top} height={plotH} fill="transparent" onMouseEnter={() => setHover(ci)} />
+        ))}
+      </svg>
+      {hiddenByLog && <div className="absolute top-0 right-5 text-[10px] font-bold text-amber-600">Values ≤ 0 are not shown on the log axis</div>}
+      {hovered && (
+        <div className="absolute pointer-events-none bg-white p-4 rounded-2xl shadow-2xl border border-slate-100 min-w-[220px] max-w-[320px] z-50"
+          style={{ left: Math.min(layout.centres[hover] + layout.slot / 2 + 8, Math.max(0, width - 320)), top: PAD.top }}>
+          <p className="text-xs font-black text-slate-400 uppercase tracking-widest mb-3 border-b pb-2">{hovered.condition}{Number.isFinite(hovered.time) ? ` · t = ${hovered.time}` : ''}</p>
+          <div className="space-y-3">
+            {series.map(s => {
+              const st = s.stats[hovered.condition];
+              return (
+                <div key={s.key}>
+                  <div className="flex items-center gap-2 mb-1">
+                    <div className={`w-2 h-2 rounded-full ${s.dash ? 'border-2' : ''}`} style={s.dash ? { borderColor: s.color } : { backgroundColor: s.color }} />
+                    <p className="text-sm font-bold text-slate-800 truncate">{s.label}</p>
+                    <span className="ml-auto text-[10px] font-bold text-slate-400">{s.dataset}</span>
+                  </div>
+                  {st ? (
+                    <div className="pl-4 text-[11px] text-slate-500 space-y-0.5">
+                      <div className="flex justify-between gap-4">
+                        <span>Mean ± {ERROR_STATS[error].label} (n = {st.n})</span>
+                        <span className="font-mono font-bold text-slate-700">{st.mean.toFixed(2)}{Number.isFinite(st[error]) ? ` ± ${st[error].toFixed(2)}` : ''}</span>
+                      </div>
+                      <div className="flex flex-wrap gap-x-3 font-mono text-[10px] text-slate-400">
+                        {st.replicates.map(r => <span key={r.sample} title={r.sample}>{r.value.toFixed(2)}</span>)}
+                      </div>
+                    </div>
+                  ) : <div className="pl-4 text-[11px] text-slate-400">No replicates</div>}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfileChart;
@@ -0,0 +1,249 @@
+import { useState, useMemo } from 'react';
+import { BarChart, Bar, ScatterChart, Scatter, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, Cell, LabelList } from 'recharts';
+import { AlertTriangle, FileText, RotateCcw } from 'lucide-react';
+import { conditionOf, conditionsOf } from '../lib/parsers.js';
+import { librarySizes, sampleCorrelations, samplePCA, flagOutliers } from '../lib/qc.js';
+import { median } from '../lib/stats.js';
+import { tableIds, tableLabel } from '../lib/tables.js';
+
+const CONDITION_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#06b6d4'];
+const CATEGORY_COLORS = { Assigned: '#10b981', Unassigned_NoFeatures: '#f59e0b', Unassigned_Ambiguity: '#8b5cf6', Unassigned_Unmapped: '#94a3b8', Other: '#e2e8f0' };
+
+const shortName = (s) => s.replace(/_sorted\.bam$|\.bam$/, '');
+
+const heatColor = (r, lo) => {
+  const t = Math.max(0, Math.min(1, (r - lo) / (1 - lo || 1)));
+  return `hsl(${220 - t * 220}, 70%, ${92 - t * 45}%)`;
+};
+
+const QCPanel = ({ data, summaries, excludedSamples, onToggleSample, onResetExclusions, onLoadSummary }) => {
+  const datasets = tableIds(data);
+  const [dataset, setDataset] = useState(datasets[0]);
+  const mode = datasets.includes(dataset) ? dataset : datasets[0];
+  const dataObj = data[mode];
+  const summary = summaries?.[mode];
+  const [asPercent, setAsPercent] = useState(false);
+  const [minLibFraction, setMinLibFraction] = useState(0.5);
+  const [zCutoff, setZCutoff] = useState(3);
+  const [topGenes, setTopGenes] = useState(500);
+
+  const samples = useMemo(() => dataObj?.sampleCols || [], [dataObj]);
+  const design = dataObj?.design;
+  const conditions = useMemo(() => conditionsOf(samples, design), [samples, design]);
+  const hasBatch = samples.some(s => design?.[s]?.batch);
+  const colorOf = (s) => CONDITION_COLORS[conditions.indexOf(conditionOf(s, design)) % CONDITION_COLORS.length];
+  const isExcluded = (s) => excludedSamples.includes(s);
+
+  const libSizes = useMemo(() => dataObj ? librarySizes(dataObj) : {}, [dataObj]);
+  const correlations = useMemo(() => dataObj ? sampleCorrelations(dataObj, samples) : null, [dataObj, samples]);
+  const pca = useMemo(() => dataObj ? samplePCA(dataObj, samples.filter(s => !excludedSamples.includes(s)), { topGenes: topGenes || Infinity }) : null, [dataObj, samples, excludedSamples, topGenes]);
+  const flags = useMemo(() => flagOutliers({ samples, design, libSizes, summary, correlations, minLibFraction, zCutoff }), [samples, design, libSizes, summary, correlations, minLibFraction, zCutoff]);
+
+  const assignment = useMemo(() => {
+    if (!summary) return { rows: [], keys: [] };
+    const main = ['Assigned', 'Unassigned_NoFeatures', 'Unassigned_Ambiguity', 'Unassigned_Unmapped'].filter(k => summary.categories[k]);
+    const rows = summary.samples.map(s => {
+      const row = { sample: shortName(s) };
+      main.forEach(k => { row[k] = summary.categories[k][s] || 0; });
+      row.Other = Object.entries(summary.categories).filter(([k]) => !main.includes(k)).reduce((sum, [, v]) => sum + (v[s] || 0), 0);
+      if (asPercent) {
+        const total = [...main, 'Other'].reduce((sum, k) => sum + row[k], 0) || 1;
+        [...main, 'Other'].forEach(k => { row[k] = (row[k] / total) * 100; });
+      }
+      return row;
+    });
+    const keys = [...main, 'Other'].filter(k => rows.some(r => r[k] > 0));
+    return { rows, keys };
+  }, [summary, asPercent]);
+
+  const libRows = samples.map(s => ({ sample: shortName(s), raw: s, size: libSizes[s] || 0 }));
+  const medLib = median(libRows.map(r => r.size));
+  const corrMin = useMemo(() => correlations ? Math.min(...correlations.flat().filter(Number.isFinite)) : 0, [correlations]);
+  const flaggedCount = samples.filter(s => flags[s]?.length).length;
+
+  const cell = 22, labelW = 90;
+  const fmtReads = (v) => asPercent ? `${v.toFixed(1)}%` : v >= 1e6 ? `${(v / 1e6).toFixed(1)}M` : v >= 1e3 ? `${(v / 1e3).toFixed(0)}k` : v;
+  const selectCls = "px-2 py-1.5 bg-slate-50 border border-slate-200 rounded-lg font-bold text-slate-600";
+
+  const handleSummaryUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => onLoadSummary(mode, e.target.result);
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+        <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-slate-800 tracking-tight">Sample QC</h2>
+            <p className="text-xs text-slate-400 mt-1 font-medium">
+              {samples.length} samples · {excludedSamples.length} excluded · {flaggedCount > 0 ? <span className="text-amber-600">{flaggedCount} flagged</span> : 'no flags'}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {datasets.length > 1 && (
+              <select value={mode} onChange={(e) => setDataset(e.target.value)} className={selectCls}>
+                {datasets.map(d => <option key={d} value={d}>{tableLabel(data, d)}</option>)}
+              </select>
+            )}
+            <label className={`flex items-center gap-2 px-3 py-1.5 rounded-lg cursor-pointer font-medium border transition-colors ${summary ? 'bg-green-50 text-green-700 border-green-200' : 'bg-white text-slate-400 border-slate-200'}`}>
+              <FileText size={14} />{summary ? 'Summary Loaded' : '.summary'}<input type="file" className="hidden" onChange={handleSummaryUpload} />
+            </label>
+            {excludedSamples.length > 0 && (
+              <button onClick={onResetExclusions} className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-slate-100 hover:bg-slate-200 font-bold text-slate-600"><RotateCcw size={12} />Include all</button>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest">Read assignment</h3>
+              {summary && (
+                <div className="flex gap-1">
+                  {[false, true].map(p => (
+                    <button key={String(p)} onClick={() => setAsPercent(p)} className={`px-2 py-0.5 rounded text-[10px] font-bold uppercase ${asPercent === p ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-400'}`}>{p ? '%' : 'Reads'}</button>
+                  ))}
+                </div>
+              )}
+            </div>
+            {summary ? (
+              <div className="h-[280px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={assignment.rows} margin={{ top: 5, right: 10, bottom: 50, left: 10 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                    <XAxis dataKey="sample" angle={-60} textAnchor="end" interval={0} tick={{ fill: '#64748b', fontSize: 9 }} />
+                    <YAxis tickFormatter={fmtReads} tick={{ fill: '#64748b', fontSize: 10 }} width={45} />
+                    <Tooltip formatter={(v, k) => [fmtReads(v), k]} />
+                    {assignment.keys.map(k => <Bar key={k} dataKey={k} stackId="a" fill={CATEGORY_COLORS[k] || CATEGORY_COLORS.Other} isAnimationActive={false} />)}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <div className="h-[280px] flex items-center justify-center text-xs text-slate-400 border border-dashed border-slate-200 rounded-xl">Load the featureCounts .summary file for this dataset</div>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">Library size (assigned counts in table)</h3>
+            <div className="h-[280px]">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart data={libRows} margin={{ top: 5, right: 10, bottom: 50, left: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#f1f5f9" />
+                  <XAxis dataKey="sample" angle={-60} textAnchor="end" interval={0} tick={{ fill: '#64748b', fontSize: 9 }} />
+                  <YAxis tickFormatter={(v) => v >= 1e6 ? `${(v / 1e6).toFixed(0)}M` : v >= 1e3 ? `${(v / 1e3).toFixed(0)}k` : v} tick={{ fill: '#64748b', fontSize: 10 }} width={45} />
+                  <Tooltip formatter={(v) => [Math.round(v).toLocaleString(), 'Counts']} />
+                  <ReferenceLine y={medLib * minLibFraction} stroke="#f59e0b" strokeDasharray="4 4" />
+                  <Bar dataKey="size" isAnimationActive={false}>
+                    {libRows.map(r => <Cell key={r.raw} fill={colorOf(r.raw)} fillOpacity={isExcluded(r.raw) ? 0.2 : 0.85} />)}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest mb-2">Sample correlation (Pearson, log₂ TPM + 1)</h3>
+            <div className="overflow-x-auto">
+              <svg width={labelW + samples.length * cell + 4} height={labelW + samples.length * cell + 4}>
+                {samples.map((s, i) => (
+                  <g key={s}>
+                    <text x={labelW - 4} y={labelW + i * cell + cell / 2 + 3} textAnchor="end" fontSize={9} fill={isExcluded(s) ? '#cbd5e1' : '#475569'}>{shortName(s)}</text>
+                    <text transform={`translate(${labelW + i * cell + cell / 2 + 3}, ${labelW - 4}) rotate(-60)`} fontSize={9} fill={isExcluded(s) ? '#cbd5e1' : '#475569'}>{shortName(s)}</text>
+                    {samples.map((t, j) => (
+                      <rect key={t} x={labelW + j * cell} y={labelW + i * cell} width={cell - 1} height={cell - 1}
+                        fill={heatColor(correlations?.[i][j], corrMin)} fillOpacity={isExcluded(s) || isExcluded(t) ? 0.25 : 1}>
+                        <title>{`${shortName(s)} × ${shortName(t)}: r = ${correlations?.[i][j]?.toFixed(4)}`}</title>
+                      </rect>
+                    ))}
+                  </g>
+                ))}
+              </svg>
+            </div>
+            <p className="text-[10px] text-slate-400 mt-1">Scale: r = {corrMin.toFixed(3)} (blue) to 1 (red)</p>
+          </div>
+
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-xs font-black text-slate-400 uppercase tracking-widest">PCA (included samples)</h3>
+              <select value={topGenes} onChange={(e) => setTopGenes(parseInt(e.target.value, 10))} className="px-2 py-0.5 bg-slate-50 border border-slate-200 rounded text-[10px] font-bold text-slate-600">
+                {[500, 1000, 5000, 0].map(n => <option key={n} value={n}>{n === 0 ? 'All genes' : `Top ${n} variable`}</option>)}
+              </select>
+            </div>
+            {pca ? (
+              <div className="h-[320px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#f1f5f9" />
+                    <XAxis type="number" dataKey="x" name="PC1" tick={{ fill: '#64748b', fontSize: 10 }} label={{ value: `PC1 (${(pca.explained[0] * 100).toFixed(1)}%)`, position: 'insideBottom', offset: -10, fontSize: 11, fill: '#475569' }} />
+                    <YAxis type="number" dataKey="y" name="PC2" tick={{ fill: '#64748b', fontSize: 10 }} width={40} label={{ value: `PC2 (${(pca.explained[1] * 100).toFixed(1)}%)`, angle: -90, position: 'insideLeft', fontSize: 11, fill: '#475569' }} />
+                    <ZAxis range={[80, 80]} />
+                    <Tooltip cursor={false} formatter={(v) => v.toFixed(2)} labelFormatter={() => ''} />
+                    <Scatter data={pca.scores.map(p => ({ x: p.pcs[0], y: p.pcs[1], name: shortName(p.sample), sample: p.sample }))} isAnimationActive={false}>
+                      {pca.scores.map(p => <Cell key={p.sample} fill={colorOf(p.sample)} stroke={flags[p.sample]?.length ? '#f59e0b' : 'none'} strokeWidth={3} />)}
+                      <LabelList dataKey="name" position="top" fontSize={8} fill="#64748b" />
+                    </Scatter>
+                  </ScatterChart>
+                </ResponsiveContainer>
+              </div>
+            ) : (
+              <div className="h-[320px] flex items-center justify-center text-xs text-slate-400 border border-dashed border-slate-200 rounded-xl">PCA needs at least three included samples</div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-slate-200 overflow-hidden">
+        <div className="p-4 bg-slate-50 border-b border-slate-200 flex flex-wrap items-center justify-between gap-4">
+          <h3 className="font-bold text-slate-700 text-sm">Samples</h3>
+          <div className="flex items-center gap-4 text-[11px] font-bold text-slate-500">
+            <label className="flex items-center gap-2">Min library (× median)
+              <input type="number" step="0.05" min="0" max="1" value={minLibFraction} onChange={(e) => setMinLibFraction(parseFloat(e.target.value) || 0)} className="w-16 px-2 py-1 bg-white border border-slate-200 rounded-lg" />
+            </label>
+            <label className="flex items-center gap-2">Robust z cutoff
+              <input type="number" step="0.5" min="0" value={zCutoff} onChange={(e) => setZCutoff(parseFloat(e.target.value) || 0)} className="w-16 px-2 py-1 bg-white border border-slate-200 rounded-lg" />
+            </label>
+          </div>
+        </div>
+        <table className="w-full text-left text-xs border-collapse">
+          <thead>
+            <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+              <th className="px-4 py-3 font-bold">Include</th>
+              <th className="px-4 py-3 font-bold">Sample</th>
+              <th className="px-4 py-3 font-bold">Condition</th>
+              {hasBatch && <th className="px-4 py-3 font-bold">Batch</th>}
+              <th className="px-4 py-3 font-bold">Library size</th>
+              {summary && <th className="px-4 py-3 font-bold">Assigned</th>}
+              <th className="px-4 py-3 font-bold">Flags</th>
+            </tr>
+          </thead>
+          <tbody>
+            {samples.map(s => {
+              const total = summary ? Object.values(summary.categories).reduce((sum, cat) => sum + (cat[s] || 0), 0) : 0;
+              return (
+                <tr key={s} className={`border-b border-slate-50 ${isExcluded(s) ? 'opacity-50' : ''}`}>
+                  <td className="px-4 py-2"><input type="checkbox" checked={!isExcluded(s)} onChange={() => onToggleSample(s)} /></td>
+                  <td className="px-4 py-2 font-mono font-bold text-slate-700">{shortName(s)}</td>
+                  <td className="px-4 py-2"><span className="inline-flex items-center gap-1"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: colorOf(s) }} />{conditionOf(s, design)}</span></td>
+                  {hasBatch && <td className="px-4 py-2 font-mono">{design[s]?.batch || '—'}</td>}
+                  <td className="px-4 py-2 font-mono">{Math.round(libSizes[s] || 0).toLocaleString()}</td>
+                  {summary && <td className="px-4 py-2 font-mono">{total ? `${((summary.categories.Assigned?.[s] || 0) / total * 100).toFixed(1)}%` : 'NA'}</td>}
+                  <td className="px-4 py-2">
+                    {flags[s]?.length ? flags[s].map(f => (
+                      <span key={f} className="inline-flex items-center gap-1 mr-1 mb-1 text-[10px] bg-amber-50 text-amber-700 border border-amber-100 px-1.5 py-0.5 rounded font-bold"><AlertTriangle size={10} />{f}</span>
+                    )) : <span className="text-slate-300">—</span>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default QCPanel;
@@ -0,0 +1,102 @@
+import { useState, useMemo, useRef } from 'react';
+import { Search, BookmarkPlus, HelpCircle, X, AlertCircle } from 'lucide-react';
+import { completeQuery } from '../lib/query.js';
+
+const SYNTAX_HELP = [
+  'gajA "hypothetical protein"  — text in ID, name, product or system',
+  'system:Gabija  source:ISEScan  name:  product:  id:  chr:',
+  'strand:-  pos:1000000-2000000  len>1000',
+  'expr(d21)>5  fc(d21/d04)<-1  antisense_ratio>0.5',
+  'and  or  not  ( )  — adjacent terms are and-ed'
+].join('\n');
+
+const QueryBox = ({ value, onChange, vocab, error, disabled, saved, onSave, onDelete }) => {
+  const inputRef = useRef(null);
+  const [caret, setCaret] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const [naming, setNaming] = useState(null);
+
+  const completion = useMemo(() => completeQuery(value, caret, vocab), [value, caret, vocab]);
+  const options = open ? completion.options.slice(0, 8) : [];
+
+  const edit = (text, pos) => {
+    onChange(text);
+    setCaret(pos);
+    setActive(0);
+    setOpen(true);
+    requestAnimationFrame(() => inputRef.current?.setSelectionRange(pos, pos));
+  };
+
+  const accept = (option) => {
+    const text = value.slice(0, completion.from) + option.insert + value.slice(completion.to);
+    edit(text, completion.from + option.insert.length);
+  };
+
+  const handleKey = (e) => {
+    if (!options.length) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(i => (i + (e.key === 'ArrowDown' ? 1 : options.length - 1)) % options.length);
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault();
+      accept(options[Math.min(active, options.length - 1)]);
+    } else if (e.key === 'Escape') setOpen(false);
+  };
+
+  const saveAs = () => {
+    if (naming?.trim()) onSave(naming.trim(), value);
+    setNaming(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={16} />
+        <input
+          ref={inputRef} type="text" placeholder="Search or query, e.g. system:Gabija len>1000" spellCheck={false}
+          className={`w-full pl-9 pr-14 py-2 bg-slate-50 border rounded-lg text-sm outline-none focus:ring-2 focus:ring-blue-500 ${error ? 'border-red-300' : 'border-slate-200'}`}
+          value={value} disabled={disabled}
+          onChange={(e) => edit(e.target.value, e.target.selectionStart)}
+          onKeyDown={handleKey}
+          onKeyUp={(e) => setCaret(e.currentTarget.selectionStart)}
+          onClick={(e) => setCaret(e.currentTarget.selectionStart)}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+        />
+        <div className="absolute right-2 top-1/2 -translate-y-1/2 flex items-center gap-1 text-slate-400">
+          <span title={SYNTAX_HELP} className="cursor-help"><HelpCircle size={14} /></span>
+          <button disabled={disabled || !value.trim()} onClick={() => setNaming('')} title="Save this query" className="hover:text-indigo-600 disabled:opacity-30"><BookmarkPlus size={14} /></button>
+        </div>
+        {options.length > 0 && (
+          <div className="absolute z-20 left-0 right-0 mt-1 bg-white border border-slate-200 rounded-lg shadow-lg overflow-hidden">
+            {options.map((o, i) => (
+              <button key={o.insert} onMouseDown={(e) => { e.preventDefault(); accept(o); }} className={`w-full text-left px-3 py-1.5 text-xs font-mono ${i === active ? 'bg-indigo-50 text-indigo-700' : 'text-slate-600 hover:bg-slate-50'}`}>
+                {o.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {error && <div className="flex items-start gap-1.5 text-[10px] font-bold text-red-600"><AlertCircle size={12} className="mt-px flex-shrink-0" />{error}</div>}
+      {naming !== null && (
+        <div className="flex items-center gap-1">
+          <input autoFocus value={naming} placeholder="Name" onChange={(e) => setNaming(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') saveAs(); if (e.key === 'Escape') setNaming(null); }} className="flex-1 px-2 py-1 bg-slate-50 border border-slate-200 rounded text-xs" />
+          <button onClick={saveAs} className="px-2 py-1 rounded bg-indigo-600 text-white text-[10px] font-bold">Save</button>
+        </div>
+      )}
+      {saved.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {saved.map(q => (
+            <span key={q.name} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-[10px] font-bold ${q.query === value ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}>
+              <button onClick={() => onChange(q.query)} title={q.query}>{q.name}</button>
+              <button onClick={() => onDelete(q.name)} className="opacity-50 hover:opacity-100" title="Forget this query"><X size={10} /></button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueryBox;
@@ -0,0 +1,113 @@
+import { useState, useMemo } from 'react';
+import { Upload, Download, RotateCcw, AlertCircle, AlertTriangle } from 'lucide-react';
+import { parseSampleSheet, checkSampleSheet } from '../lib/design.js';
+import { conditionsOf, conditionTimes, samplesForCondition } from '../lib/parsers.js';
+import { sampleSheetToTSV } from '../lib/export.js';
+import { downloadText } from '../utils/download.js';
+import { readTextFile } from '../utils/readFile.js';
+
+const CONDITION_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#06b6d4'];
+
+const SampleSheetPanel = ({ rows, isDraft, sampleCols, onChange, onReset }) => {
+  const [errors, setErrors] = useState([]);
+
+  const design = useMemo(() => Object.fromEntries(rows.map(r => [r.sample, r])), [rows]);
+  const included = useMemo(() => sampleCols.filter(s => design[s]?.include !== false), [sampleCols, design]);
+  const conditions = useMemo(() => conditionsOf(included, design), [included, design]);
+  const times = useMemo(() => conditionTimes(included, design), [included, design]);
+  const { unknown, unlisted } = useMemo(() => checkSampleSheet(rows, sampleCols), [rows, sampleCols]);
+  const colorOf = (cond) => CONDITION_COLORS[Math.max(0, conditions.indexOf(cond)) % CONDITION_COLORS.length];
+
+  const update = (sample, patch) => onChange(rows.map(r => (r.sample === sample ? { ...r, ...patch } : r)));
+
+  const handleUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = parseSampleSheet(await readTextFile(file));
+      setErrors(parsed.errors.map(msg => `${file.name}: ${msg}`));
+      if (parsed.rows.length) onChange(parsed.rows);
+    } catch (err) { setErrors([err.message]); }
+  };
+
+  const inputCls = "w-full px-2 py-1 bg-slate-50 border border-slate-200 rounded-lg outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white p-8 rounded-2xl shadow-sm border border-slate-200">
+        <div className="mb-6 flex flex-wrap justify-between items-start gap-4">
+          <div>
+            <h2 className="text-2xl font-black text-slate-800 tracking-tight">Sample Sheet</h2>
+            <p className="text-xs text-slate-400 mt-1 font-medium">
+              {included.length} of {sampleCols.length} columns included · {conditions.length} conditions · {isDraft ? <span className="text-amber-600">draft from column names</span> : 'edited'}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <label className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 cursor-pointer">
+              <Upload size={12} />TSV / CSV<input type="file" accept=".tsv,.csv,.txt" className="hidden" onChange={handleUpload} />
+            </label>
+            <button onClick={() => downloadText('sample_sheet.tsv', sampleSheetToTSV(rows))} className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600"><Download size={12} />Sheet</button>
+            <button disabled={isDraft} onClick={() => { setErrors([]); onReset(); }} className="flex items-center gap-1 px-2 py-1.5 rounded-lg text-[10px] font-bold text-slate-500 bg-white border border-slate-200 hover:text-indigo-600 disabled:opacity-30"><RotateCcw size={12} />Back to draft</button>
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <div className="mb-4 px-3 py-2 rounded-lg text-xs font-bold bg-red-50 text-red-600 border border-red-100 space-y-1">
+            {errors.map(e => <div key={e} className="flex items-center gap-2"><AlertCircle size={14} />{e}</div>)}
+          </div>
+        )}
+        {(unknown.length > 0 || unlisted.length > 0) && (
+          <div className="mb-4 px-3 py-2 rounded-lg text-xs font-bold bg-amber-50 text-amber-700 border border-amber-100 space-y-1">
+            {unlisted.length > 0 && <div className="flex items-center gap-2"><AlertTriangle size={14} />Not in the sheet, grouped by name prefix: {unlisted.join(', ')}</div>}
+            {unknown.length > 0 && <div className="flex items-center gap-2"><AlertTriangle size={14} />In the sheet but not in the loaded data: {unknown.join(', ')}</div>}
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          {conditions.map(c => (
+            <span key={c} className="inline-flex items-center gap-1.5 px-2 py-1 rounded-lg bg-slate-50 border border-slate-200 text-[11px] font-bold text-slate-600">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: colorOf(c) }} />{c}
+              <span className="text-slate-400 font-medium">{times[c] !== null ? `t = ${+times[c].toFixed(3)} · ` : ''}n = {samplesForCondition({ sampleCols: included, design }, c).length}</span>
+            </span>
+          ))}
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-xs border-collapse">
+            <thead>
+              <tr className="bg-slate-50 text-slate-500 border-b border-slate-100">
+                <th className="px-4 py-3 font-bold">Include</th>
+                <th className="px-4 py-3 font-bold">Sample</th>
+                <th className="px-4 py-3 font-bold">Condition</th>
+                <th className="px-4 py-3 font-bold">Time</th>
+                <th className="px-4 py-3 font-bold">Replicate</th>
+                <th className="px-4 py-3 font-bold">Batch</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr key={r.sample} className={`border-b border-slate-50 ${r.include ? '' : 'opacity-50'} ${unknown.includes(r.sample) ? 'bg-amber-50/40' : ''}`}>
+                  <td className="px-4 py-2"><input type="checkbox" checked={r.include} onChange={(e) => update(r.sample, { include: e.target.checked })} /></td>
+                  <td className="px-4 py-2 font-mono font-bold text-slate-700">{r.sample}</td>
+                  <td className="px-4 py-2">
+                    <div className="flex items-center gap-2">
+                      <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ backgroundColor: colorOf(r.condition) }} />
+                      <input value={r.condition} onChange={(e) => update(r.sample, { condition: e.target.value })} className={inputCls} />
+                    </div>
+                  </td>
+                  <td className="px-4 py-2 w-28"><input type="number" value={r.time ?? ''} onChange={(e) => update(r.sample, { time: e.target.value === '' ? null : parseFloat(e.target.value) })} className={inputCls} /></td>
+                  <td className="px-4 py-2 w-28"><input value={r.replicate} onChange={(e) => update(r.sample, { replicate: e.target.value })} className={inputCls} /></td>
+                  <td className="px-4 py-2 w-32"><input value={r.batch} onChange={(e) => update(r.sample, { batch: e.target.value })} className={inputCls} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-[10px] text-slate-400 mt-3">Conditions are ordered by time. Every view groups replicates by this sheet; excluded columns drop out of all statistics. Sample QC exclusions apply on top.</p>
+      </div>
+    </div>
+  );
+};
+
+export default SampleSheetPanel;
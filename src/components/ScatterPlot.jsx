@@ -0,0 +1,74 @@
+import { useState, useMemo } from 'react';
+import useElementWidth from '../hooks/useElementWidth.js';
+import { niceTicks } from '../utils/axis.js';
+
+const PAD = { top: 12, right: 16, bottom: 40, left: 52 };
+
+// One pass instead of Math.min/max(...vals), which overflow the stack with one point per gene on large tables
+const extent = (vals) => {
+  let lo = Infinity, hi = -Infinity;
+  for (const v of vals) if (Number.isFinite(v)) { if (v < lo) lo = v; if (v > hi) hi = v; }
+  if (lo > hi) return [0, 1];
+  if (lo === hi) { lo -= 1; hi += 1; }
+  const pad = (hi - lo) * 0.04;
+  return [lo - pad, hi + pad];
+};
+
+// Plain SVG scatter for thousands of points (recharts' Scatter gets sluggish past a few hundred)
+const ScatterPlot = ({ points, xLabel, yLabel, height = 360, xDomain, yDomain, hLines = [], vLines = [], selected = [], onPointClick, describe }) => {
+  const [ref, width] = useElementWidth(600);
+  const [hover, setHover] = useState(null);
+
+  const [x0, x1] = useMemo(() => xDomain || extent(points.map(p => p.x)), [points, xDomain]);
+  const [y0, y1] = useMemo(() => yDomain || extent(points.map(p => p.y)), [points, yDomain]);
+  const plotW = Math.max(50, width - PAD.left - PAD.right), plotH = height - PAD.top - PAD.bottom;
+  const sx = (v) => PAD.left + ((v - x0) / (x1 - x0)) * plotW;
+  const sy = (v) => PAD.top + plotH - ((v - y0) / (y1 - y0)) * plotH;
+
+  // Points are memoised apart from the hover tooltip so hovering does not re-render thousands of circles
+  const dots = useMemo(() => {
+    const selectedSet = new Set(selected);
+    const px = (v) => PAD.left + ((v - x0) / (x1 - x0)) * plotW;
+    const py = (v) => PAD.top + plotH - ((v - y0) / (y1 - y0)) * plotH;
+    return points.filter(p => Number.isFinite(p.x) && Number.isFinite(p.y)).map(p => (
+      <circle key={p.id} cx={px(p.x)} cy={py(p.y)} r={selectedSet.has(p.id) ? 5 : (p.r || 2.5)} fill={p.color || '#94a3b8'} fillOpacity={0.75}
+        stroke={selectedSet.has(p.id) ? '#0f172a' : 'none'} strokeWidth={1.5} className={onPointClick ? 'cursor-pointer' : ''}
+        onMouseEnter={() => setHover(p)} onMouseLeave={() => setHover(null)} onClick={() => onPointClick?.(p.id)} />
+    ));
+  }, [points, selected, x0, x1, y0, y1, plotW, plotH, onPointClick]);
+
+  return (
+    <div ref={ref} className="relative w-full">
+      <svg width={width} height={height}>
+        {niceTicks(y0, y1).map(t => (
+          <g key={`y${t}`}>
+            <line x1={PAD.left} x2={PAD.left + plotW} y1={sy(t)} y2={sy(t)} stroke="#f1f5f9" />
+            <text x={PAD.left - 6} y={sy(t) + 3} textAnchor="end" fontSize={10} fill="#64748b">{+t.toFixed(3)}</text>
+          </g>
+        ))}
+        {niceTicks(x0, x1).map(t => (
+          <g key={`x${t}`}>
+            <line x1={sx(t)} x2={sx(t)} y1={PAD.top} y2={PAD.top + plotH} stroke="#f1f5f9" />
+            <text x={sx(t)} y={PAD.top + plotH + 14} textAnchor="middle" fontSize={10} fill="#64748b">{+t.toFixed(3)}</text>
+          </g>
+        ))}
+        <text x={PAD.left + plotW / 2} y={height - 6} textAnchor="middle" fontSize={11} fontWeight={700} fill="#475569">{xLabel}</text>
+        <text transform={`translate(12, ${PAD.top + plotH / 2}) rotate(-90)`} textAnchor="middle" fontSize={11} fontWeight={700} fill="#475569">{yLabel}</text>
+        {hLines.filter(v => v >= y0 && v <= y1).map((v, i) => <line key={`h${i}`} x1={PAD.left} x2={PAD.left + plotW} y1={sy(v)} y2={sy(v)} stroke="#94a3b8" strokeDasharray="4 4" />)}
+        {vLines.filter(v => v >= x0 && v <= x1).map((v, i) => <line key={`v${i}`} x1={sx(v)} x2={sx(v)} y1={PAD.top} y2={PAD.top + plotH} stroke="#94a3b8" strokeDasharray="4 4" />)}
+        {dots}
+      </svg>
+      {hover && (
+        <div className="absolute pointer-events-none bg-white p-3 rounded-xl shadow-2xl border border-slate-100 text-[11px] z-50 min-w-[160px]"
+          style={{ left: Math.min(sx(hover.x) + 12, width - 200), top: Math.max(0, sy(hover.y) - 10) }}>
+          <p className="font-bold text-slate-800 mb-1">{hover.label || hover.id}</p>
+          {(describe ? describe(hover) : [[xLabel, hover.x], [yLabel, hover.y]]).map(([k, v]) => (
+            <div key={k} className="flex justify-between gap-4 text-slate-500"><span>{k}</span><span className="font-mono font-bold text-slate-700">{typeof v === 'number' ? v.toPrecision(3) : v}</span></div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScatterPlot;
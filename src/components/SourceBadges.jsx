@@ -0,0 +1,24 @@
+import { sourceBadge, sourceLabel } from '../lib/annotations.js';
+
+const SOURCE_BADGE_CLASSES = {
+  padloc: 'bg-emerald-50 text-emerald-700',
+  cas: 'bg-amber-50 text-amber-700',
+  crispr: 'bg-pink-50 text-pink-700',
+  ISEScan: 'bg-violet-50 text-violet-700',
+  digIS: 'bg-cyan-50 text-cyan-700'
+};
+
+// One chip per annotation source linked to a gene; the base annotation is implied and not shown
+const SourceBadges = ({ entry, exclude = [], className = 'text-[9px]' }) => {
+  const keys = Object.keys(entry?.sources || {}).filter(k => k !== 'annotation' && !exclude.includes(k));
+  if (!keys.length) return null;
+  return keys.map(k => {
+    const feats = entry.sources[k];
+    const title = `${sourceLabel(k)}: ${feats.map(f => `${f.name || f.id} (${f.how === 'id' ? 'locus tag' : f.how === 'coords' ? 'same coordinates' : 'overlap'})`).join(', ')}`;
+    return (
+      <span key={k} title={title} className={`${className} ${SOURCE_BADGE_CLASSES[k] || 'bg-slate-100 text-slate-600'} px-1 rounded font-bold whitespace-nowrap`}>{sourceBadge(k)}</span>
+    );
+  });
+};
+
+export default SourceBadges;
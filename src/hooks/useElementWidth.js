@@ -0,0 +1,17 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Tracks the rendered width of an element so SVG views can lay themselves out in pixels
+const useElementWidth = (initial = 800) => {
+  const ref = useRef(null);
+  const [width, setWidth] = useState(initial);
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const ro = new ResizeObserver(entries => setWidth(entries[0].contentRect.width));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+  return [ref, width];
+};
+
+export default useElementWidth;
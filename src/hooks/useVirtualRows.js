@@ -0,0 +1,22 @@
+import { useState, useRef, useEffect } from 'react';
+
+// Windowing for long lists of fixed-height rows: attach `ref` to the scrolling element and render rows
+// [start, end) between spacers of padTop / padBottom pixels
+const useVirtualRows = (count, rowHeight, overscan = 10) => {
+  const ref = useRef(null);
+  const [view, setView] = useState({ top: 0, height: 800 });
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const update = () => setView({ top: el.scrollTop, height: el.clientHeight });
+    const ro = new ResizeObserver(update);
+    ro.observe(el);
+    el.addEventListener('scroll', update, { passive: true });
+    return () => { ro.disconnect(); el.removeEventListener('scroll', update); };
+  }, []);
+  const start = Math.min(count, Math.max(0, Math.floor(view.top / rowHeight) - overscan));
+  const end = Math.min(count, Math.ceil((view.top + view.height) / rowHeight) + overscan);
+  return { ref, start, end, padTop: start * rowHeight, padBottom: Math.max(0, count - end) * rowHeight };
+};
+
+export default useVirtualRows;
@@ -0,0 +1,124 @@
+// --- ANNOTATION STORE ---
+// Several GFFs side by side, keyed by source. Each source keeps its parsed features so it can double as a
+// genome-browser track; gene-level annotations are derived by linking features to count-table rows.
+import { annotationEntry } from './parsers.js';
+
+export const SOURCE_INFO = {
+  annotation: { label: 'Annotation', badge: null },
+  padloc: { label: 'padloc', badge: 'Defense system' },
+  cas: { label: 'Cas (MacSyFinder)', badge: 'CRISPR-Cas locus' },
+  crispr: { label: 'CRISPRCasFinder', badge: 'CRISPR array' },
+  ISEScan: { label: 'ISEScan', badge: 'IS element' },
+  digIS: { label: 'digIS', badge: 'IS element (digIS)' }
+};
+
+// GFF column 2 as written by each tool
+const TOOL_SOURCES = { padloc: 'padloc', MacSyFinder: 'cas', CRISPRCasFinder: 'crispr', ISEScan: 'ISEScan', digIS: 'digIS' };
+
+const SPANNING_TYPES = new Set(['region', 'chromosome', 'source', 'contig', 'databank_entry']);
+
+// Reciprocal overlap needed to treat a feature as another call of the same gene (e.g. padloc's PDLC* hits)
+const SAME_GENE_OVERLAP = 0.9;
+const MIN_OVERLAP = 0.5;
+
+export const sourceKeyOf = (gff, fileName = '') => {
+  const tally = {};
+  gff.features.forEach(f => { tally[f.source] = (tally[f.source] || 0) + 1; });
+  const top = Object.entries(tally).sort((a, b) => b[1] - a[1])[0]?.[0];
+  if (TOOL_SOURCES[top]) return TOOL_SOURCES[top];
+  if (gff.features.some(f => f.type === 'CDS' || f.type === 'gene')) return 'annotation';
+  return fileName.replace(/\.gz$/i, '').replace(/\.(gff3?|gtf|gbk?|gbff|genbank)$/i, '') || top || 'annotation';
+};
+
+// Adding a source under an existing key replaces that source only
+export const addAnnotationSource = (store, key, gff, fileName = null) => ({ ...store, [key]: { ...gff, key, fileName } });
+
+const isChild = (f) => Boolean(f.attrs.Parent || f.attrs.parent);
+
+// Features worth drawing or linking on their own: not a part of another feature, not a whole-sequence record
+export const isTopLevel = (f) => !isChild(f) && !SPANNING_TYPES.has(f.type);
+
+const overlapIndex = (features) => {
+  const byChr = new Map();
+  features.forEach(g => g.loci.forEach(l => {
+    if (!byChr.has(l.chr)) byChr.set(l.chr, []);
+    byChr.get(l.chr).push({ ...l, id: g.id });
+  }));
+  byChr.forEach(list => list.sort((a, b) => a.start - b.start));
+  const maxLen = new Map(Array.from(byChr.entries()).map(([chr, list]) => [chr, list.reduce((m, l) => Math.max(m, l.end - l.start + 1), 0)]));
+  // Loci overlapping [start, end]: binary search for the last locus starting before `end`, then walk back
+  return (chr, start, end) => {
+    const list = byChr.get(chr);
+    if (!list) return [];
+    let lo = 0, hi = list.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (list[mid].start <= end) lo = mid + 1; else hi = mid;
+    }
+    const out = [];
+    for (let i = lo - 1; i >= 0 && list[i].start >= start - maxLen.get(chr); i--) {
+      if (list[i].end >= start) out.push(list[i]);
+    }
+    return out;
+  };
+};
+
+// Links every source feature to count-table genes: by locus_tag / ID / Name first, otherwise by coordinate overlap
+// with the featureCounts loci. Returns the per-gene map the rest of the app reads (`annotations[geneId]`), where
+// `sources` lists the linked features per source and `provenance` says which source supplied each field.
+export const buildAnnotationIndex = (store, dataObj) => {
+  const genes = dataObj?.features || [];
+  const geneIds = new Set(dataObj?.geneList || []);
+  const lookup = overlapIndex(genes);
+  const links = new Map();
+  const link = (geneId, key, f, how) => {
+    if (!links.has(geneId)) links.set(geneId, []);
+    links.get(geneId).push({ source: key, feature: f, how });
+  };
+
+  Object.entries(store || {}).forEach(([key, src]) => src.features.forEach(f => {
+    const direct = [f.attrs.locus_tag, f.attrs.ID, f.attrs.Name, f.attrs.gene].filter(k => k && geneIds.has(k));
+    if (direct.length) return Array.from(new Set(direct)).forEach(g => link(g, key, f, 'id'));
+    if (!isTopLevel(f)) return;
+    const fLen = f.end - f.start + 1;
+    const seen = new Set();
+    lookup(f.seqid, f.start, f.end).forEach(l => {
+      if (seen.has(l.id)) return;
+      const ov = Math.min(l.end, f.end) - Math.max(l.start, f.start) + 1;
+      const lLen = l.end - l.start + 1;
+      if (ov / Math.min(lLen, fLen) < MIN_OVERLAP) return;
+      seen.add(l.id);
+      link(l.id, key, f, ov / Math.max(lLen, fLen) >= SAME_GENE_OVERLAP ? 'coords' : 'overlap');
+    });
+  }));
+
+  // The base annotation speaks first; tools only fill what it leaves empty
+  const order = Object.keys(store || {}).sort((a, b) => (a === 'annotation' ? -1 : b === 'annotation' ? 1 : 0));
+  const index = {};
+  links.forEach((list, geneId) => {
+    const entry = { product: null, geneName: null, system: null, locus: null, sources: {}, provenance: {} };
+    list.forEach(({ source, feature, how }) => {
+      if (!entry.sources[source]) entry.sources[source] = [];
+      entry.sources[source].push({
+        id: feature.attrs.ID || feature.attrs.Name || `${feature.seqid}:${feature.start}-${feature.end}`,
+        name: feature.attrs.Name || null, type: feature.type,
+        seqid: feature.seqid, start: feature.start, end: feature.end, strand: feature.strand,
+        how, attrs: feature.attrs
+      });
+    });
+    order.forEach(source => list.filter(l => l.source === source && l.how !== 'overlap').forEach(({ feature, how }) => {
+      const fields = annotationEntry(feature.attrs);
+      // Another tool's identifier is not this gene's locus tag
+      if (how === 'coords') fields.locus = null;
+      Object.keys(fields).forEach(k => {
+        if (entry[k] === null && fields[k]) { entry[k] = fields[k]; entry.provenance[k] = source; }
+      });
+    }));
+    if (!entry.product) entry.product = "Hypothetical protein";
+    index[geneId] = entry;
+  });
+  return index;
+};
+
+export const sourceLabel = (key) => SOURCE_INFO[key]?.label || key;
+export const sourceBadge = (key) => SOURCE_INFO[key]?.badge || key;
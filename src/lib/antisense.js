@@ -0,0 +1,65 @@
+// --- SENSE / ANTISENSE RELATIONSHIPS ---
+// Both count tables come from the same libraries, so raw counts can be compared directly per sample:
+// the library size cancels out of the antisense/sense ratio.
+import { samplesForCondition } from './parsers.js';
+import { pearson } from './stats.js';
+import { countRow, valueRow } from './store.js';
+
+const meanOf = (row, samples) => samples.reduce((s, c) => s + (row?.[c] || 0), 0) / (samples.length || 1);
+
+// Per gene and condition: mean raw counts on each strand, log2((antisense + p) / (sense + p)), and the Pearson r
+// between the sense and antisense condition-mean profiles in each dataset's current metric.
+export const antisenseTable = (sense, antisense, { pseudocount = 1 } = {}) => {
+  const conditions = sense.conditions.filter(c => antisense.conditions.includes(c));
+  const shared = sense.sampleCols.filter(s => antisense.sampleCols.includes(s));
+  const groups = conditions.map(c => samplesForCondition({ sampleCols: shared, design: sense.design }, c));
+  const sNorm = conditions.map(c => samplesForCondition(sense, c));
+  const aNorm = conditions.map(c => samplesForCondition(antisense, c));
+  const rows = [];
+  sense.geneList.forEach(gene => {
+    const sRow = countRow(sense, gene);
+    const aRow = countRow(antisense, gene);
+    if (!aRow) return;
+    const senseCounts = groups.map(g => meanOf(sRow, g));
+    const antisenseCounts = groups.map(g => meanOf(aRow, g));
+    const log2Ratio = senseCounts.map((s, i) => Math.log2((antisenseCounts[i] + pseudocount) / (s + pseudocount)));
+    const sProfile = sNorm.map(g => meanOf(valueRow(sense, gene), g));
+    const aProfile = aNorm.map(g => meanOf(valueRow(antisense, gene), g));
+    rows.push({
+      gene, senseCounts, antisenseCounts, log2Ratio,
+      meanSense: meanOf(sRow, shared), meanAntisense: meanOf(aRow, shared),
+      meanLog2Ratio: log2Ratio.reduce((a, b) => a + b, 0) / (log2Ratio.length || 1),
+      r: pearson(sProfile, aProfile)
+    });
+  });
+  return { conditions, rows };
+};
+
+// Opposite-strand neighbours whose 3' ends face each other (+ then - along the chromosome) and overlap or sit
+// within `maxGap` bp, plus opposite-strand genes lying inside one another. Read-through from such a neighbour
+// shows up as antisense signal on the gene. Returns geneId -> [{ neighbour, relation, overlap, gap }].
+export const convergentNeighbours = (features, { maxGap = 50 } = {}) => {
+  const loci = features.flatMap(f => f.loci.map(l => ({ id: f.id, ...l })))
+    .filter(l => l.strand === '+' || l.strand === '-')
+    .sort((a, b) => a.chr.localeCompare(b.chr) || a.start - b.start);
+  const out = new Map();
+  const add = (id, entry) => {
+    const list = out.get(id) || [];
+    if (!list.some(e => e.neighbour === entry.neighbour)) list.push(entry);
+    out.set(id, list);
+  };
+  for (let i = 0; i < loci.length; i++) {
+    const a = loci[i];
+    for (let j = i + 1; j < loci.length && loci[j].chr === a.chr && loci[j].start <= a.end + maxGap + 1; j++) {
+      const b = loci[j];
+      if (b.id === a.id || b.strand === a.strand) continue;
+      const overlap = Math.max(0, Math.min(a.end, b.end) - b.start + 1);
+      const contained = b.end <= a.end;
+      if (!contained && a.strand !== '+') continue;
+      const entry = { relation: contained ? 'nested' : 'convergent', overlap, gap: Math.max(0, b.start - a.end - 1) };
+      add(a.id, { neighbour: b.id, ...entry });
+      add(b.id, { neighbour: a.id, ...entry });
+    }
+  }
+  return out;
+};
@@ -0,0 +1,161 @@
+// --- TEMPORAL PATTERN CLUSTERING ---
+import { samplesForCondition } from './parsers.js';
+import { seededRandom } from './stats.js';
+
+export const CLUSTER_METHODS = {
+  kmeans: 'k-means',
+  hierarchical: 'Hierarchical (average linkage)'
+};
+
+const sqDist = (a, b) => {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) { const d = a[i] - b[i]; s += d * d; }
+  return s;
+};
+
+// Per-condition means, z-scored per gene. Genes whose highest condition mean is below `minExpression`
+// (in the dataset's metric) or whose profile is flat are left out.
+export const zScoredProfiles = (dataObj, { minExpression = 0 } = {}) => {
+  const groups = dataObj.conditions.map(c => samplesForCondition(dataObj, c));
+  const ids = [], means = [], z = [];
+  dataObj.raw.forEach(row => {
+    const m = groups.map(samples => samples.reduce((s, c) => s + (row[c] || 0), 0) / (samples.length || 1));
+    if (Math.max(...m) < minExpression) return;
+    const mu = m.reduce((a, b) => a + b, 0) / m.length;
+    const sd = Math.sqrt(m.reduce((a, v) => a + (v - mu) * (v - mu), 0) / m.length);
+    if (!(sd > 0)) return;
+    ids.push(row.Geneid);
+    means.push(m);
+    z.push(Float64Array.from(m, v => (v - mu) / sd));
+  });
+  return { ids, means, z, conditions: dataObj.conditions };
+};
+
+// Lloyd's algorithm with k-means++ seeding; the best of `restarts` runs by within-cluster sum of squares
+export const kMeans = (vectors, k, { restarts = 5, maxIter = 100, seed = 1 } = {}) => {
+  const n = vectors.length, dims = vectors[0]?.length || 0;
+  k = Math.min(k, n);
+  // Seeded, so the same data and k always give the same clusters
+  const rand = seededRandom(seed);
+  let best = null;
+  for (let run = 0; run < restarts; run++) {
+    const centroids = [Float64Array.from(vectors[Math.floor(rand() * n)])];
+    const nearest = new Float64Array(n).fill(Infinity);
+    while (centroids.length < k) {
+      let total = 0;
+      for (let i = 0; i < n; i++) { nearest[i] = Math.min(nearest[i], sqDist(vectors[i], centroids[centroids.length - 1])); total += nearest[i]; }
+      let pick = rand() * total, idx = 0;
+      while (idx < n - 1 && (pick -= nearest[idx]) > 0) idx++;
+      centroids.push(Float64Array.from(vectors[idx]));
+    }
+    const assign = new Int32Array(n).fill(-1);
+    for (let iter = 0; iter < maxIter; iter++) {
+      let changed = 0;
+      for (let i = 0; i < n; i++) {
+        let bj = 0, bd = Infinity;
+        for (let j = 0; j < k; j++) { const d = sqDist(vectors[i], centroids[j]); if (d < bd) { bd = d; bj = j; } }
+        if (assign[i] !== bj) { assign[i] = bj; changed++; }
+      }
+      const sums = centroids.map(() => new Float64Array(dims)), counts = new Int32Array(k);
+      for (let i = 0; i < n; i++) { counts[assign[i]]++; for (let d = 0; d < dims; d++) sums[assign[i]][d] += vectors[i][d]; }
+      // An emptied cluster keeps its old centroid rather than collapsing to the origin
+      sums.forEach((s, j) => { if (counts[j]) centroids[j] = s.map(v => v / counts[j]); });
+      if (!changed) break;
+    }
+    let inertia = 0;
+    for (let i = 0; i < n; i++) inertia += sqDist(vectors[i], centroids[assign[i]]);
+    if (!best || inertia < best.inertia) best = { assign: Array.from(assign), inertia };
+  }
+  return best ? best.assign : [];
+};
+
+// Average-linkage agglomerative clustering via the nearest-neighbour chain (O(n²) time and memory),
+// cut into k clusters. Callers should cap n; 2,000 genes is a 32 MB distance matrix.
+export const hierarchical = (vectors, k) => {
+  const n = vectors.length;
+  if (n === 0) return { assign: [], merges: [] };
+  const dist = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) { const d = Math.sqrt(sqDist(vectors[i], vectors[j])); dist[i * n + j] = d; dist[j * n + i] = d; }
+  const size = new Int32Array(n).fill(1);
+  const active = new Uint8Array(n).fill(1);
+  const merges = [];
+  const chain = [];
+  let remaining = n;
+  while (remaining > 1) {
+    if (!chain.length) chain.push(active.findIndex(v => v === 1));
+    const a = chain[chain.length - 1];
+    const prev = chain.length > 1 ? chain[chain.length - 2] : -1;
+    let b = prev, bd = prev >= 0 ? dist[a * n + prev] : Infinity;
+    for (let j = 0; j < n; j++) {
+      if (!active[j] || j === a) continue;
+      if (dist[a * n + j] < bd) { bd = dist[a * n + j]; b = j; }
+    }
+    if (b === prev) {
+      chain.pop(); chain.pop();
+      merges.push({ a: Math.min(a, b), b: Math.max(a, b), height: bd });
+      // Lance-Williams update for average linkage; the merged cluster lives on in slot `keep`
+      const keep = Math.min(a, b), drop = Math.max(a, b);
+      for (let j = 0; j < n; j++) {
+        if (!active[j] || j === keep || j === drop) continue;
+        const d = (size[keep] * dist[keep * n + j] + size[drop] * dist[drop * n + j]) / (size[keep] + size[drop]);
+        dist[keep * n + j] = d; dist[j * n + keep] = d;
+      }
+      size[keep] += size[drop];
+      active[drop] = 0;
+      remaining--;
+    } else chain.push(b);
+  }
+  // Replaying all but the k-1 highest merges leaves k clusters
+  merges.sort((x, y) => x.height - y.height);
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  merges.slice(0, Math.max(0, n - k)).forEach(m => { parent[find(m.b)] = find(m.a); });
+  const roots = new Map();
+  const assign = Array.from({ length: n }, (_, i) => {
+    const r = find(i);
+    if (!roots.has(r)) roots.set(r, roots.size);
+    return roots.get(r);
+  });
+  return { assign, merges };
+};
+
+// Names the shape of a centroid along the time course. An interior extreme has to stand at least half a
+// standard deviation clear of both ends to count as transient.
+export const describePattern = (centroid) => {
+  const last = centroid.length - 1;
+  const max = centroid.indexOf(Math.max(...centroid)), min = centroid.indexOf(Math.min(...centroid));
+  const ends = [centroid[0], centroid[last]];
+  if (max > 0 && max < last && centroid[max] - Math.max(...ends) > 0.5) return 'Transient peak';
+  if (min > 0 && min < last && Math.min(...ends) - centroid[min] > 0.5) return 'Transient dip';
+  return centroid[last] > centroid[0] ? 'Rising' : 'Falling';
+};
+
+// Groups members, computes centroids and spreads, and orders clusters by when they peak
+export const summarizeClusters = (profiles, assign) => {
+  const dims = profiles.conditions.length;
+  const byCluster = new Map();
+  assign.forEach((c, i) => { if (!byCluster.has(c)) byCluster.set(c, []); byCluster.get(c).push(i); });
+  const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))))];
+  return Array.from(byCluster.values()).map(idx => {
+    const centroid = Array.from({ length: dims }, (_, d) => idx.reduce((s, i) => s + profiles.z[i][d], 0) / idx.length);
+    const band = Array.from({ length: dims }, (_, d) => {
+      const vals = idx.map(i => profiles.z[i][d]).sort((a, b) => a - b);
+      return [quantile(vals, 0.1), quantile(vals, 0.25), quantile(vals, 0.75), quantile(vals, 0.9)];
+    });
+    const members = idx.map(i => ({ gene: profiles.ids[i], z: Array.from(profiles.z[i]), means: profiles.means[i], distance: Math.sqrt(sqDist(profiles.z[i], centroid)) }))
+      .sort((a, b) => a.distance - b.distance);
+    return { centroid, band, members, pattern: describePattern(centroid), peak: centroid.indexOf(Math.max(...centroid)) };
+  }).sort((a, b) => a.peak - b.peak || b.members.length - a.members.length)
+    .map((c, i) => ({ ...c, id: i + 1 }));
+};
+
+// Keeps the `cap` most variable genes (by raw condition means) for methods that scale quadratically
+export const mostVariable = (profiles, cap) => {
+  if (profiles.ids.length <= cap) return profiles;
+  const variance = profiles.means.map(m => {
+    const mu = m.reduce((a, b) => a + b, 0) / m.length;
+    return m.reduce((a, v) => a + (v - mu) * (v - mu), 0);
+  });
+  const keep = variance.map((v, i) => [v, i]).sort((a, b) => b[0] - a[0]).slice(0, cap).map(([, i]) => i).sort((a, b) => a - b);
+  return { ...profiles, ids: keep.map(i => profiles.ids[i]), means: keep.map(i => profiles.means[i]), z: keep.map(i => profiles.z[i]) };
+};
@@ -0,0 +1,68 @@
+// --- CO-EXPRESSION ---
+// Every similarity is reduced to a dot product of pre-transformed unit vectors, so ranking one query against the
+// full ~10k-gene table is a single pass of short dot products.
+import { samplesForCondition } from './parsers.js';
+import { averageRanks } from './stats.js';
+
+export const SIMILARITY_METHODS = {
+  pearson: 'Pearson',
+  spearman: 'Spearman',
+  cosine: 'Cosine'
+};
+
+const unit = (v, centre) => {
+  const m = centre ? v.reduce((a, b) => a + b, 0) / v.length : 0;
+  const c = v.map(x => x - m);
+  const norm = Math.sqrt(c.reduce((a, x) => a + x * x, 0));
+  return norm > 0 ? Float64Array.from(c, x => x / norm) : null;
+};
+
+// Per-gene profile vectors: condition means, or every sample when `perReplicate` is set.
+// Genes with a flat profile get a null vector and never match anything.
+export const buildProfileIndex = (dataObj, { method = 'pearson', perReplicate = false } = {}) => {
+  const groups = perReplicate ? dataObj.sampleCols.map(s => [s]) : dataObj.conditions.map(c => samplesForCondition(dataObj, c));
+  const ids = [], vectors = [];
+  dataObj.raw.forEach(row => {
+    const profile = groups.map(samples => samples.reduce((s, c) => s + (row[c] || 0), 0) / (samples.length || 1));
+    ids.push(row.Geneid);
+    vectors.push(unit(method === 'spearman' ? averageRanks(profile) : profile, method !== 'cosine'));
+  });
+  return { ids, vectors, position: new Map(ids.map((id, i) => [id, i])), dims: groups.length, method, perReplicate };
+};
+
+const dot = (a, b) => {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+};
+
+export const similarity = (index, a, b) => {
+  const va = index.vectors[index.position.get(a)], vb = index.vectors[index.position.get(b)];
+  return va && vb ? dot(va, vb) : NaN;
+};
+
+// Top `n` genes by similarity to `query`; `direction` 'negative' ranks anti-correlated genes first
+export const rankSimilar = (index, query, { n = 50, direction = 'positive' } = {}) => {
+  const q = index.vectors[index.position.get(query)];
+  if (!q) return [];
+  const sign = direction === 'negative' ? -1 : 1;
+  const out = [];
+  index.vectors.forEach((v, i) => {
+    if (!v || index.ids[i] === query) return;
+    out.push({ gene: index.ids[i], r: dot(q, v) });
+  });
+  return out.sort((a, b) => sign * (b.r - a.r)).slice(0, n);
+};
+
+// Edges between every pair in `geneIds` with |r| at or above `threshold`
+export const coexpressionNetwork = (index, geneIds, threshold) => {
+  const nodes = geneIds.filter(id => index.vectors[index.position.get(id)]);
+  const edges = [];
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const r = similarity(index, nodes[i], nodes[j]);
+      if (Math.abs(r) >= threshold) edges.push({ source: nodes[i], target: nodes[j], r });
+    }
+  }
+  return { nodes, edges };
+};
@@ -0,0 +1,168 @@
+// --- CRISPR ARRAYS AND CAS LOCI ---
+// Arrays come from CRISPRCasFinder GFFs: a CRISPR feature (DR consensus, spacer count, predicted direction) whose
+// Name is the Parent of its CRISPRdr / CRISPRspacer / LeftFLANK / RightFLANK children. Cas genes come from
+// MacSyFinder GFFs, one protein_coding_gene per gene with IDs like cas3_TypeIU.
+import { isTopLevel } from './annotations.js';
+
+// Cas genes closer than this belong to one locus
+export const CAS_LOCUS_GAP = 5000;
+
+const COMPLEMENT = { A: 'T', C: 'G', G: 'C', T: 'A', N: 'N' };
+
+export const reverseComplement = (seq) => seq.split('').reverse().map(b => COMPLEMENT[b] || 'N').join('');
+
+const distanceBetween = (a, b) => Math.max(0, Math.max(a.start, b.start) - Math.min(a.end, b.end) - 1);
+
+// Mismatches between a repeat and the consensus, or NaN when their lengths differ
+const hamming = (a, b) => {
+  if (a.length !== b.length) return NaN;
+  let n = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) n++;
+  return n;
+};
+
+// CRISPRCasFinder puts the leader upstream of the predicted direction; arrays of unknown direction have none
+const leaderSide = (direction) => (direction === 'Forward' ? 'left' : direction === 'Reverse' ? 'right' : null);
+
+// Arrays sorted by position: { id, name, chr, start, end, strand, direction, leader, dr, drLength, spacerCount,
+// repeats: [{ start, end, sequence, mismatches }], spacers: [{ id, start, end, sequence }], flanks: { left, right } }
+export const crisprArrays = (gff) => {
+  const features = gff?.features || [];
+  const children = new Map();
+  features.forEach(f => {
+    const parent = f.attrs.Parent;
+    if (!parent) return;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(f);
+  });
+  return features.filter(f => f.type === 'CRISPR').map(f => {
+    const parts = (children.get(f.attrs.Name) || []).sort((a, b) => a.start - b.start);
+    const dr = (f.attrs.DR || '').toUpperCase();
+    const direction = f.attrs.potential_direction || 'Unknown';
+    const flank = (type) => {
+      const p = parts.find(c => c.type === type);
+      return p ? { start: p.start, end: p.end, sequence: (p.attrs.sequence || '').toUpperCase() } : null;
+    };
+    const repeats = parts.filter(c => c.type === 'CRISPRdr').map(c => {
+      const sequence = (c.attrs.sequence || '').toUpperCase();
+      return { start: c.start, end: c.end, sequence, mismatches: hamming(sequence, dr) };
+    });
+    const spacers = parts.filter(c => c.type === 'CRISPRspacer').map(c => ({ id: c.attrs.ID || c.attrs.Name, start: c.start, end: c.end, sequence: (c.attrs.sequence || '').toUpperCase() }));
+    return {
+      id: f.attrs.ID || f.attrs.Name, name: f.attrs.Name, chr: f.seqid, start: f.start, end: f.end, strand: f.strand,
+      direction, leader: leaderSide(direction), dr, drLength: parseInt(f.attrs.DR_length, 10) || dr.length,
+      spacerCount: parseInt(f.attrs.Number_of_spacers, 10) || spacers.length,
+      repeats, spacers, flanks: { left: flank('LeftFLANK'), right: flank('RightFLANK') }
+    };
+  }).sort((a, b) => a.chr.localeCompare(b.chr) || a.start - b.start);
+};
+
+// Array number from CRISPRCasFinder's ID (CP102233.1_Crispr_12 -> 12), else its position in the list
+export const arrayNumber = (array, i) => array.id?.match(/_Crispr_(\d+)$/)?.[1] || String(i + 1);
+
+// Runs of cas genes lying within `gap` bp of each other: { id, chr, start, end, types, genes }
+export const casLoci = (gff, gap = CAS_LOCUS_GAP) => {
+  const genes = (gff?.features || []).filter(isTopLevel).map(f => {
+    const id = f.attrs.ID || f.attrs.Name || `${f.seqid}:${f.start}-${f.end}`;
+    return {
+      id, name: f.attrs.Name || id.split('_')[0], type: id.includes('_') ? id.slice(id.indexOf('_') + 1) : null,
+      role: f.attrs.Note || null, locusTag: f.attrs.locus_tag || null,
+      chr: f.seqid, start: f.start, end: f.end, strand: f.strand
+    };
+  }).sort((a, b) => a.chr.localeCompare(b.chr) || a.start - b.start);
+  const loci = [];
+  genes.forEach(g => {
+    const last = loci[loci.length - 1];
+    if (last && last.chr === g.chr && g.start - last.end <= gap) {
+      last.end = Math.max(last.end, g.end);
+      last.genes.push(g);
+    } else loci.push({ chr: g.chr, start: g.start, end: g.end, genes: [g] });
+  });
+  return loci.map((l, i) => ({ ...l, id: `cas${i + 1}`, types: Array.from(new Set(l.genes.map(g => g.type).filter(Boolean))) }));
+};
+
+// The closest cas locus on the array's sequence and how far away it is; null when there is none
+export const nearestCasLocus = (array, loci) => loci
+  .filter(l => l.chr === array.chr)
+  .map(locus => ({ locus, distance: distanceBetween(locus, array) }))
+  .sort((a, b) => a.distance - b.distance)[0] || null;
+
+// Count-table rows of the cas genes: by locus tag or ID, else by the featureCounts locus overlapping most of it
+export const casGeneIds = (dataObj, genes) => genes.map(g => {
+  const direct = [g.locusTag, g.id, g.name].find(k => k && dataObj?.index?.has(k));
+  if (direct) return { ...g, geneId: direct };
+  let best = null, bestOv = 0;
+  (dataObj?.features || []).forEach(f => f.loci.forEach(l => {
+    if (l.chr !== g.chr) return;
+    const ov = Math.min(l.end, g.end) - Math.max(l.start, g.start) + 1;
+    if (ov > bestOv) { best = f.id; bestOv = ov; }
+  }));
+  return { ...g, geneId: bestOv / (g.end - g.start + 1) >= 0.5 ? best : null };
+});
+
+// Smallest number of mismatches between two repeats on either strand, letting the shorter slide along the longer;
+// length differences count as mismatches
+const repeatDistance = (a, b) => {
+  const [s, l] = a.length <= b.length ? [a, b] : [b, a];
+  const best = (q) => {
+    let min = Infinity;
+    for (let off = 0; off + q.length <= l.length; off++) min = Math.min(min, hamming(q, l.slice(off, off + q.length)));
+    return min;
+  };
+  return l.length - s.length + Math.min(best(s), best(reverseComplement(s)));
+};
+
+// Arrays whose DR consensus sequences differ by at most `maxMismatches` (either strand), linked transitively.
+// Returns families of two or more arrays: [{ id, dr, arrays: [arrayId] }], largest first.
+export const repeatFamilies = (arrays, maxMismatches = 2) => {
+  const parent = arrays.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  arrays.forEach((a, i) => arrays.slice(i + 1).forEach((b, k) => {
+    if (a.dr && b.dr && Math.abs(a.dr.length - b.dr.length) <= maxMismatches && repeatDistance(a.dr, b.dr) <= maxMismatches) parent[find(i + 1 + k)] = find(i);
+  }));
+  const groups = new Map();
+  arrays.forEach((a, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(a);
+  });
+  return Array.from(groups.values()).filter(g => g.length > 1)
+    .sort((a, b) => b.length - a.length || a[0].start - b[0].start)
+    .map((g, i) => ({ id: i + 1, dr: g[0].dr, arrays: g.map(a => a.id) }));
+};
+
+// Spacers found in more than one place (same sequence on either strand): [{ sequence, hits: [{ array, index }] }]
+export const sharedSpacers = (arrays) => {
+  const byKey = new Map();
+  arrays.forEach(a => a.spacers.forEach((s, index) => {
+    if (!s.sequence) return;
+    const rc = reverseComplement(s.sequence);
+    const key = s.sequence < rc ? s.sequence : rc;
+    if (!byKey.has(key)) byKey.set(key, { sequence: s.sequence, hits: [] });
+    byKey.get(key).hits.push({ array: a.id, index });
+  }));
+  return Array.from(byKey.values()).filter(s => s.hits.length > 1).sort((a, b) => b.hits.length - a.hits.length);
+};
+
+// Finds `query` (A, C, G, T; N matches any base) on both strands of every repeat and/or spacer, allowing up to
+// `maxMismatches`. Hits: [{ array, kind: 'repeat' | 'spacer', index, offset, strand, mismatches }], best first.
+export const searchSequences = (arrays, query, { maxMismatches = 0, kinds = ['spacer', 'repeat'] } = {}) => {
+  const q = (query || '').toUpperCase().replace(/\s+/g, '');
+  if (!q) return [];
+  if (!/^[ACGTN]+$/.test(q)) throw new Error('Sequences may only contain A, C, G, T and N');
+  if (q.length < 4) throw new Error('Give at least 4 bases');
+  const rc = reverseComplement(q);
+  const patterns = rc === q ? [['+', q]] : [['+', q], ['-', rc]];
+  const hits = [];
+  arrays.forEach(a => kinds.forEach(kind => (kind === 'spacer' ? a.spacers : a.repeats).forEach((el, index) => {
+    const seq = el.sequence;
+    patterns.forEach(([strand, p]) => {
+      for (let off = 0; off + p.length <= seq.length; off++) {
+        let mm = 0;
+        for (let i = 0; i < p.length && mm <= maxMismatches; i++) if (p[i] !== 'N' && p[i] !== seq[off + i]) mm++;
+        if (mm <= maxMismatches) hits.push({ array: a.id, kind, index, offset: off, strand, mismatches: mm });
+      }
+    });
+  })));
+  return hits.sort((a, b) => a.mismatches - b.mismatches);
+};
@@ -0,0 +1,73 @@
+// --- DEFENSE SYSTEMS ---
+import { samplesForCondition } from './parsers.js';
+import { mean, variance } from './stats.js';
+import { valueRow } from './store.js';
+
+export const systemOf = (attrs) => (attrs?.Note?.startsWith('system:') ? attrs.Note.replace('system:', '') : null);
+
+const overlapFraction = (a, b) => {
+  const ov = Math.min(a.end, b.end) - Math.max(a.start, b.start) + 1;
+  return ov > 0 ? ov / Math.min(a.end - a.start + 1, b.end - b.start + 1) : 0;
+};
+
+// Assigns every count-table locus to the padloc hit it overlaps (>= 50% of the shorter feature).
+// Rows counted with `-g Name` carry one locus per padloc hit, so a single row can land in several systems.
+export const groupDefenseSystems = (dataObj, padlocFeatures, annotations = {}) => {
+  const systems = new Map();
+  const add = (system, geneId, locus) => {
+    if (!systems.has(system)) systems.set(system, new Map());
+    const members = systems.get(system);
+    if (!members.has(geneId)) members.set(geneId, []);
+    if (locus) members.get(geneId).push(locus);
+  };
+
+  const hits = (padlocFeatures || []).filter(f => systemOf(f.attrs));
+  if (hits.length > 0) {
+    const bySeq = new Map();
+    hits.forEach(f => { if (!bySeq.has(f.seqid)) bySeq.set(f.seqid, []); bySeq.get(f.seqid).push(f); });
+    (dataObj?.features || []).forEach(g => g.loci.forEach(l => {
+      (bySeq.get(l.chr) || []).forEach(f => {
+        if (overlapFraction(l, f) < 0.5) return;
+        add(systemOf(f.attrs), g.id, { ...l, hitId: f.attrs.ID, hitName: f.attrs.Name, hitLocusTag: f.attrs.locus_tag, score: f.score, hitStrand: f.strand });
+      });
+    }));
+  } else {
+    // No coordinates to work with: fall back to the system recorded for the gene in the annotation map
+    (dataObj?.geneList || []).forEach(g => { if (annotations[g]?.system) add(annotations[g].system, g, null); });
+  }
+
+  const shared = new Map();
+  systems.forEach((members, system) => members.forEach((_, g) => {
+    if (!shared.has(g)) shared.set(g, []);
+    shared.get(g).push(system);
+  }));
+
+  return Array.from(systems.entries()).map(([system, members]) => ({
+    system,
+    members: Array.from(members.entries()).map(([geneId, loci]) => ({
+      geneId, loci, sharedWith: shared.get(geneId).filter(s => s !== system)
+    }))
+  })).sort((a, b) => a.system.localeCompare(b.system));
+};
+
+// Sums member expression on the linear scale and reports per-condition mean/SD in the dataset's metric,
+// for the system as a whole and for each member row. `log`/`pseudocount` describe how dataObj.raw was
+// transformed so it can be undone exactly.
+export const systemProfiles = (dataObj, groups, { log, pseudocount }) => {
+  const toLinear = (v) => (log ? Math.pow(2, v) - pseudocount : v);
+  const fromLinear = (v) => (log ? Math.log2(Math.max(v, 0) + pseudocount) : v);
+  return groups.map(group => {
+    const members = group.members.filter(m => valueRow(dataObj, m.geneId));
+    const perSample = Object.fromEntries(dataObj.sampleCols.map(s => [s, fromLinear(members.reduce((sum, m) => sum + toLinear(valueRow(dataObj, m.geneId)[s] || 0), 0))]));
+    return {
+      ...group,
+      members: members.map(m => ({ ...m, profile: conditionProfile(dataObj, valueRow(dataObj, m.geneId)) })),
+      profile: conditionProfile(dataObj, perSample)
+    };
+  });
+};
+
+export const conditionProfile = (dataObj, valuesBySample) => dataObj.conditions.map(cond => {
+  const vals = samplesForCondition(dataObj, cond).map(s => valuesBySample[s]).filter(v => typeof v === 'number' && !isNaN(v));
+  return { condition: cond, mean: mean(vals), sd: Math.sqrt(variance(vals)) };
+});
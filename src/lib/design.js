@@ -0,0 +1,73 @@
+// --- EXPERIMENTAL DESIGN / SAMPLE SHEET ---
+// One row per count column: { sample, condition, time, replicate, batch, include }. Applied to a count-data
+// result it becomes `dataObj.design`, which conditionOf/conditionsOf/samplesForCondition follow.
+import { conditionsOf } from './parsers.js';
+
+export const SHEET_COLUMNS = ['sample', 'condition', 'time', 'replicate', 'batch', 'include'];
+
+const HEADER_ALIASES = {
+  sample: ['sample', 'column', 'sample_id', 'file', 'bam'],
+  condition: ['condition', 'group'],
+  time: ['time', 'day', 'timepoint'],
+  replicate: ['replicate', 'rep'],
+  batch: ['batch'],
+  include: ['include', 'use', 'keep']
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', ''];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Draft from the column names: condition = prefix before the first '_', time = first number in the
+// condition, replicate = repN when present, otherwise the column's position within its condition.
+export const draftSampleSheet = (sampleCols) => {
+  const seen = {};
+  return sampleCols.map(sample => {
+    const condition = sample.split('_')[0];
+    const time = condition.match(/\d+(?:\.\d+)?/);
+    const rep = sample.match(/rep[_-]?(\d+)/i);
+    seen[condition] = (seen[condition] || 0) + 1;
+    return { sample, condition, time: time ? parseFloat(time[0]) : null, replicate: rep ? rep[1] : String(seen[condition]), batch: '', include: true };
+  });
+};
+
+// TSV or CSV with a header row; column order is free and the aliases above are accepted.
+// Returns every row it could read plus one message per problem, with line numbers.
+export const parseSampleSheet = (text) => {
+  const lines = text.split(/\r?\n/).map((line, i) => ({ line, n: i + 1 })).filter(({ line }) => line.trim() !== '' && !line.startsWith('#'));
+  if (lines.length < 2) return { rows: [], errors: ['The sheet needs a header row and at least one sample'] };
+  const sep = lines[0].line.includes('\t') ? '\t' : ',';
+  const split = (line) => line.split(sep).map(v => v.trim().replace(/^"|"$/g, ''));
+  const header = split(lines[0].line).map(h => h.toLowerCase());
+  const col = Object.fromEntries(SHEET_COLUMNS.map(key => [key, header.findIndex(h => HEADER_ALIASES[key].includes(h))]));
+  const errors = ['sample', 'condition'].filter(key => col[key] < 0).map(key => `Missing a "${key}" column`);
+  if (errors.length) return { rows: [], errors };
+  const rows = [], seen = new Set();
+  lines.slice(1).forEach(({ line, n }) => {
+    const cells = split(line);
+    const get = (key) => (col[key] >= 0 ? cells[col[key]] ?? '' : '');
+    const sample = get('sample'), condition = get('condition'), time = get('time'), include = get('include').toLowerCase();
+    if (!sample) return errors.push(`Line ${n}: no sample name`);
+    if (seen.has(sample)) return errors.push(`Line ${n}: ${sample} is listed twice`);
+    if (!condition) return errors.push(`Line ${n}: ${sample} has no condition`);
+    if (time !== '' && !Number.isFinite(Number(time))) return errors.push(`Line ${n}: time "${time}" is not a number`);
+    if (!TRUE_VALUES.includes(include) && !FALSE_VALUES.includes(include)) return errors.push(`Line ${n}: include "${include}" is not yes/no`);
+    seen.add(sample);
+    rows.push({ sample, condition, time: time === '' ? null : Number(time), replicate: get('replicate'), batch: get('batch'), include: !FALSE_VALUES.includes(include) });
+  });
+  return { rows, errors };
+};
+
+// Sheet samples missing from the data and data columns missing from the sheet
+export const checkSampleSheet = (rows, sampleCols) => {
+  const listed = new Set(rows.map(r => r.sample));
+  const present = new Set(sampleCols);
+  return { unknown: rows.filter(r => !present.has(r.sample)).map(r => r.sample), unlisted: sampleCols.filter(s => !listed.has(s)) };
+};
+
+// Drops excluded columns and reorders conditions by time; raw and the count columns keep every column, as with excludeSamples
+export const applyDesign = (dataObj, rows) => {
+  if (!dataObj || !rows) return dataObj;
+  const design = Object.fromEntries(rows.map(r => [r.sample, r]));
+  const sampleCols = dataObj.sampleCols.filter(s => design[s]?.include !== false);
+  return { ...dataObj, sampleCols, design, conditions: conditionsOf(sampleCols, design) };
+};
@@ -0,0 +1,155 @@
+// --- DIFFERENTIAL EXPRESSION ---
+// Negative binomial two-group test following the DESeq2 recipe: median-of-ratios size factors,
+// method-of-moments gene-wise dispersions shrunk towards a parametric mean-dispersion trend,
+// then a Wald or likelihood-ratio test per gene with Benjamini-Hochberg adjustment.
+import { mean, median, mad, variance, lgamma, trigamma, normalTwoSidedP, chiSq1P, adjustBH } from './stats.js';
+import { countMatrix } from './store.js';
+
+const MIN_DISP = 1e-8;
+const MAX_DISP = 10;
+
+// matrix: one array of counts per gene, columns = samples
+export const sizeFactorsMedianOfRatios = (matrix) => {
+  const nSamples = matrix[0]?.length || 0;
+  const ratios = Array.from({ length: nSamples }, () => []);
+  matrix.forEach(counts => {
+    if (counts.some(c => c <= 0)) return;
+    const logGeo = counts.reduce((s, c) => s + Math.log(c), 0) / nSamples;
+    counts.forEach((c, j) => ratios[j].push(Math.log(c) - logGeo));
+  });
+  if (ratios.some(r => r.length === 0)) {
+    // No gene is expressed in every sample: fall back to library-size ratios
+    const totals = Array.from({ length: nSamples }, (_, j) => matrix.reduce((s, row) => s + row[j], 0));
+    const geo = Math.exp(totals.reduce((s, t) => s + Math.log(t || 1), 0) / nSamples);
+    return totals.map(t => (t || 1) / geo);
+  }
+  return ratios.map(r => Math.exp(median(r)));
+};
+
+// Maximum-likelihood NB mean (in normalized-count units) for one group at fixed dispersion. The ML mean of an
+// all-zero group is 0, which would make the fold change infinite; it is floored at half a read over the group.
+const fitGroupMean = (counts, sf, alpha) => {
+  const floor = 0.5 / sf.reduce((a, b) => a + b, 0);
+  let q = Math.max(mean(counts.map((k, i) => k / sf[i])), floor);
+  for (let iter = 0; iter < 25; iter++) {
+    let f = 0, df = 0;
+    counts.forEach((k, i) => {
+      const mu = sf[i] * q, denom = 1 + alpha * mu;
+      f += (k - mu) / denom;
+      df -= sf[i] * (1 + alpha * k) / (denom * denom);
+    });
+    const next = Math.max(q - f / df, q / 10, floor);
+    if (Math.abs(next - q) < 1e-8 * q) { q = next; break; }
+    q = next;
+  }
+  return q;
+};
+
+const nbLogLik = (counts, sf, q, alpha) => {
+  const r = 1 / alpha;
+  return counts.reduce((ll, k, i) => {
+    const mu = sf[i] * q;
+    return ll + lgamma(k + r) - lgamma(r) - lgamma(k + 1) + k * Math.log(mu / (mu + r)) + r * Math.log(r / (mu + r));
+  }, 0);
+};
+
+const fisherInfo = (sf, q, alpha) => sf.reduce((s, si) => s + (si * q) / (1 + alpha * si * q), 0);
+
+// Gamma-family GLM with identity link: disp ~ a0 + a1 / mean (DESeq2 "parametric" fit)
+const fitDispersionTrend = (means, disps) => {
+  let use = means.map((m, i) => i).filter(i => means[i] > 0 && disps[i] > 100 * MIN_DISP);
+  let a0 = 0.1, a1 = 1;
+  for (let iter = 0; iter < 20 && use.length > 2; iter++) {
+    let sw = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+    use.forEach(i => {
+      const x = 1 / means[i], y = disps[i];
+      const fit = a0 + a1 * x;
+      const w = 1 / (fit * fit);
+      sw += w; sx += w * x; sy += w * y; sxx += w * x * x; sxy += w * x * y;
+    });
+    const det = sw * sxx - sx * sx;
+    if (!det) break;
+    const b0 = (sxx * sy - sx * sxy) / det, b1 = (sw * sxy - sx * sy) / det;
+    if (!(b0 > 0) || !(b1 > 0)) break;
+    const converged = Math.abs(Math.log(b0 / a0)) + Math.abs(Math.log(b1 / a1)) < 1e-6;
+    a0 = b0; a1 = b1;
+    use = use.filter(i => { const r = disps[i] / (a0 + a1 / means[i]); return r > 1e-4 && r < 15; });
+    if (converged) break;
+  }
+  if (!(a0 > 0) || !(a1 > 0)) return { a0: median(disps.filter(d => d > 100 * MIN_DISP)) || 0.1, a1: 0 };
+  return { a0, a1 };
+};
+
+// Compares two groups of sample columns from a buildCountData result.
+// Returns one row per gene plus the fitted size factors and dispersion trend.
+export const runDifferential = (dataObj, samplesA, samplesB, { test = 'wald' } = {}) => {
+  const samples = [...samplesA, ...samplesB];
+  const nA = samplesA.length;
+  if (samplesA.length === 0 || samplesB.length === 0) throw new Error('Both groups need at least one sample');
+  if (samplesA.length < 2 && samplesB.length < 2) throw new Error('At least one group needs replicates to estimate dispersion');
+
+  const genes = dataObj.geneList;
+  const matrix = countMatrix(dataObj, samples);
+  const sf = sizeFactorsMedianOfRatios(matrix);
+  const sfA = sf.slice(0, nA), sfB = sf.slice(nA);
+  const invSfMean = (g) => mean(g.map(s => 1 / s));
+
+  const base = matrix.map(counts => {
+    const norm = counts.map((k, j) => k / sf[j]);
+    const groups = [norm.slice(0, nA), norm.slice(nA)];
+    let num = 0, den = 0;
+    groups.forEach((g, gi) => {
+      const m = mean(g);
+      if (g.length < 2 || m <= 0) return;
+      const z = m * invSfMean(gi === 0 ? sfA : sfB);
+      num += (g.length - 1) * (variance(g) - z) / (m * m);
+      den += g.length - 1;
+    });
+    return {
+      baseMean: mean(norm), meanA: mean(groups[0]), meanB: mean(groups[1]),
+      dispGW: den > 0 ? Math.min(MAX_DISP, Math.max(MIN_DISP, num / den)) : MIN_DISP
+    };
+  });
+
+  const expressed = base.map((b, i) => i).filter(i => base[i].baseMean > 0);
+  const trend = fitDispersionTrend(expressed.map(i => base[i].baseMean), expressed.map(i => base[i].dispGW));
+  const trendAt = (m) => trend.a0 + trend.a1 / m;
+
+  // Empirical Bayes shrinkage of log dispersions towards the trend
+  const residuals = expressed.filter(i => base[i].dispGW > 100 * MIN_DISP).map(i => Math.log(base[i].dispGW) - Math.log(trendAt(base[i].baseMean)));
+  const varLogDisp = Math.pow(mad(residuals) || 0, 2);
+  const df = Math.max(1, samples.length - 2);
+  const expVar = trigamma(df / 2);
+  const priorVar = Math.max(varLogDisp - expVar, 0.25);
+
+  const rows = base.map((b, i) => {
+    const counts = matrix[i];
+    if (b.baseMean <= 0) return { gene: genes[i], ...b, dispersion: null, log2FC: null, lfcSE: null, stat: null, pvalue: null, zeroGroup: null };
+    const logTrend = Math.log(trendAt(b.baseMean));
+    const logGW = Math.log(b.dispGW);
+    const isOutlier = logGW > logTrend + 2 * Math.sqrt(varLogDisp);
+    const alpha = isOutlier ? b.dispGW : Math.min(MAX_DISP, Math.max(MIN_DISP,
+      Math.exp((logGW / expVar + logTrend / priorVar) / (1 / expVar + 1 / priorVar))));
+
+    const kA = counts.slice(0, nA), kB = counts.slice(nA);
+    const qA = fitGroupMean(kA, sfA, alpha), qB = fitGroupMean(kB, sfB, alpha);
+    // Which group, if either, has no reads at all: its mean (and so the fold change) rests on the floor
+    const zeroGroup = kA.every(k => k === 0) ? 'A' : kB.every(k => k === 0) ? 'B' : null;
+    const log2FC = Math.log2(qB / qA);
+    const lfcSE = Math.sqrt(1 / fisherInfo(sfA, qA, alpha) + 1 / fisherInfo(sfB, qB, alpha)) / Math.LN2;
+    let stat, pvalue;
+    if (test === 'lrt') {
+      const q0 = fitGroupMean(counts, sf, alpha);
+      stat = Math.max(0, 2 * (nbLogLik(kA, sfA, qA, alpha) + nbLogLik(kB, sfB, qB, alpha) - nbLogLik(counts, sf, q0, alpha)));
+      pvalue = chiSq1P(stat);
+    } else {
+      stat = log2FC / lfcSE;
+      pvalue = normalTwoSidedP(stat);
+    }
+    return { gene: genes[i], ...b, dispersion: alpha, log2FC, lfcSE, stat, pvalue, zeroGroup };
+  });
+
+  const padj = adjustBH(rows.map(r => r.pvalue));
+  rows.forEach((r, i) => { r.padj = padj[i]; });
+  return { results: rows, sizeFactors: Object.fromEntries(samples.map((s, j) => [s, sf[j]])), trend };
+};
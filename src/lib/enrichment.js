@@ -0,0 +1,168 @@
+// --- GENE-SET ENRICHMENT ---
+// Gene sets come from the annotation index (padloc system, product keywords, Dbxref databases, membership in a
+// tool's GFF) or from uploaded GMT files. A set is { id, name, category, genes: [geneId] }.
+// Over-representation: one-sided hypergeometric test of a gene list against a background, BH-adjusted.
+// Ranked mode: GSEA running-sum enrichment score over a scored gene list, with a gene-permutation null.
+import { adjustBH, hypergeometricUpper, seededRandom } from './stats.js';
+import { systemOf } from './defense.js';
+import { contentLines, samplesForCondition } from './parsers.js';
+import { valueRow } from './store.js';
+import { sourceLabel } from './annotations.js';
+
+export const SET_CATEGORIES = {
+  system: 'Defense system',
+  keyword: 'Product keyword',
+  dbxref: 'Dbxref database',
+  source: 'Annotation source'
+};
+
+export const DEFAULT_ENRICHMENT = { minSize: 3, maxSize: 500, permutations: 1000 };
+
+// Words too common in product descriptions to make a useful set
+const STOPWORDS = new Set(['protein', 'proteins', 'hypothetical', 'putative', 'probable', 'predicted', 'uncharacterized',
+  'domain', 'domains', 'containing', 'family', 'like', 'related', 'type', 'with', 'from', 'subunit', 'system', 'defense', 'component']);
+
+const keywordsOf = (product) => Array.from(new Set((product || '').toLowerCase().split(/[^a-z0-9-]+/)
+  .filter(w => w.length >= 4 && !STOPWORDS.has(w) && !/^\d+$/.test(w))));
+
+// Sets from the annotation index (see lib/annotations.js), limited to the background genes
+export const annotationGeneSets = (annotations, background) => {
+  const sets = new Map();
+  const add = (category, name, gene) => {
+    const id = `${category}:${name}`;
+    if (!sets.has(id)) sets.set(id, { id, name, category, genes: [] });
+    const list = sets.get(id).genes;
+    if (list[list.length - 1] !== gene) list.push(gene);
+  };
+  background.forEach(gene => {
+    const ann = annotations[gene];
+    if (!ann) return;
+    const systems = new Set([ann.system, ...(ann.sources.padloc || []).map(f => systemOf(f.attrs))].filter(Boolean));
+    systems.forEach(s => add('system', s, gene));
+    keywordsOf(ann.product).forEach(w => add('keyword', w, gene));
+    const dbs = new Set(Object.values(ann.sources).flat().flatMap(f => (f.attrs.Dbxref || '').split(',')).map(x => x.split(':')[0].trim()).filter(Boolean));
+    dbs.forEach(db => add('dbxref', db, gene));
+    Object.keys(ann.sources).filter(k => k !== 'annotation').forEach(k => add('source', sourceLabel(k), gene));
+  });
+  return Array.from(sets.values());
+};
+
+// GMT: one set per line, `name <tab> description <tab> gene <tab> gene ...`. Members are matched against the
+// background by ID, locus tag or gene name (`resolve`: token -> geneId | undefined).
+// Returns { sets, unmatched (member count not found), errors }.
+export const parseGMT = (text, category, resolve) => {
+  const sets = [], errors = [];
+  let unmatched = 0;
+  contentLines(text).forEach(({ line, n }) => {
+    const [name, , ...members] = line.split('\t').map(s => s.trim());
+    if (!name || !members.length) return errors.push(`line ${n}: needs a name, a description and genes`);
+    const genes = new Set();
+    members.filter(Boolean).forEach(m => {
+      const id = resolve(m);
+      if (id) genes.add(id); else unmatched++;
+    });
+    sets.push({ id: `${category}:${name}`, name, category, genes: Array.from(genes) });
+  });
+  if (!sets.length && !errors.length) errors.push('no gene sets found');
+  return { sets, unmatched, errors };
+};
+
+const sizeOk = (K, { minSize, maxSize }) => K >= minSize && K <= maxSize;
+
+// genes: the list to test; background: every gene that could have been listed (the list is cut down to it).
+// Returns rows sorted by p: { set, overlap: [geneId], k, K, n, N, expected, fold, p, q }.
+export const overRepresentation = (genes, sets, background, { minSize = DEFAULT_ENRICHMENT.minSize, maxSize = DEFAULT_ENRICHMENT.maxSize } = {}) => {
+  const universe = new Set(background);
+  const list = new Set(genes.filter(g => universe.has(g)));
+  const N = universe.size, n = list.size;
+  const rows = sets.map(set => {
+    const members = set.genes.filter(g => universe.has(g));
+    const overlap = members.filter(g => list.has(g));
+    const K = members.length, k = overlap.length;
+    return { set, overlap, k, K, n, N, expected: (K * n) / N, fold: k / ((K * n) / N), p: hypergeometricUpper(k, K, n, N) };
+  }).filter(r => sizeOk(r.K, { minSize, maxSize }) && r.k > 0);
+  const q = adjustBH(rows.map(r => r.p));
+  return rows.map((r, i) => ({ ...r, q: q[i] })).sort((a, b) => a.p - b.p);
+};
+
+// Running-sum score of hits at sorted 0-based `positions` in a list of N, hit weights `w`: { es, peak }, where
+// peak is the number of hits up to the extreme (the leading edge for positive scores, the tail for negative)
+const enrichmentScore = (positions, w, N) => {
+  const K = positions.length;
+  let total = 0;
+  for (let j = 0; j < K; j++) total += w[j];
+  const missStep = 1 / (N - K || 1);
+  let cum = 0, best = 0, peak = 0;
+  for (let j = 0; j < K; j++) {
+    const before = cum / (total || 1) - (positions[j] - j) * missStep;
+    if (-before > Math.abs(best)) { best = before; peak = j; }
+    cum += w[j];
+    const after = cum / (total || 1) - (positions[j] - j) * missStep;
+    if (after > Math.abs(best)) { best = after; peak = j + 1; }
+  }
+  return { es: best, peak };
+};
+
+// ranked: [{ gene, score }], any order; sorted by score, highest first. Scores weight the hits (|score|^weight,
+// GSEA's p = 1). The null is drawn per set size by placing that many hits at random positions.
+// Returns rows sorted by p: { set, K, es, nes, p, q, leadingEdge: [geneId] }.
+export const rankedEnrichment = (ranked, sets, { minSize = DEFAULT_ENRICHMENT.minSize, maxSize = DEFAULT_ENRICHMENT.maxSize, permutations = DEFAULT_ENRICHMENT.permutations, weight = 1, seed = 1 } = {}) => {
+  const order = ranked.filter(r => Number.isFinite(r.score)).sort((a, b) => b.score - a.score);
+  const N = order.length;
+  const pos = new Map(order.map((r, i) => [r.gene, i]));
+  const weights = order.map(r => Math.pow(Math.abs(r.score), weight));
+  const tested = sets.map(set => {
+    const positions = Array.from(new Set(set.genes.filter(g => pos.has(g)).map(g => pos.get(g)))).sort((a, b) => a - b);
+    return { set, positions };
+  }).filter(t => sizeOk(t.positions.length, { minSize, maxSize }) && t.positions.length < N);
+
+  // Null enrichment scores for every set size, from one seeded stream so results are reproducible
+  const rand = seededRandom(seed);
+  const shuffled = Int32Array.from({ length: N }, (_, i) => i);
+  const nulls = new Map();
+  Array.from(new Set(tested.map(t => t.positions.length))).sort((a, b) => a - b).forEach(K => {
+    const scores = new Float64Array(permutations);
+    const picked = new Int32Array(K);
+    const w = new Float64Array(K);
+    for (let p = 0; p < permutations; p++) {
+      // Partial Fisher-Yates: the first K entries become a uniform random subset
+      for (let j = 0; j < K; j++) {
+        const r = j + Math.floor(rand() * (N - j));
+        const t = shuffled[j]; shuffled[j] = shuffled[r]; shuffled[r] = t;
+        picked[j] = shuffled[j];
+      }
+      picked.sort();
+      for (let j = 0; j < K; j++) w[j] = weights[picked[j]];
+      scores[p] = enrichmentScore(picked, w, N).es;
+    }
+    nulls.set(K, scores);
+  });
+
+  const rows = tested.map(({ set, positions }) => {
+    const { es, peak } = enrichmentScore(positions, positions.map(i => weights[i]), N);
+    const null_ = nulls.get(positions.length);
+    const same = Array.from(null_).filter(v => (es >= 0 ? v >= 0 : v < 0));
+    const meanSame = same.length ? Math.abs(same.reduce((a, b) => a + b, 0) / same.length) : NaN;
+    const extreme = same.filter(v => Math.abs(v) >= Math.abs(es)).length;
+    const leading = es >= 0 ? positions.slice(0, peak) : positions.slice(peak);
+    return {
+      set, K: positions.length, es, nes: meanSame > 0 ? es / meanSame : NaN,
+      p: (extreme + 1) / (same.length + 1),
+      leadingEdge: leading.map(i => order[i].gene)
+    };
+  });
+  const q = adjustBH(rows.map(r => r.p));
+  return rows.map((r, i) => ({ ...r, q: q[i] })).sort((a, b) => a.p - b.p || Math.abs(b.nes) - Math.abs(a.nes));
+};
+
+// Ranking by log2 fold change of condition b over a on the table's current metric (a difference when it is
+// already log-scaled), for ranked mode without a DE run: [{ gene, score }]
+export const foldChangeRanking = (dataObj, a, b, isLog) => {
+  const sa = samplesForCondition(dataObj, a), sb = samplesForCondition(dataObj, b);
+  const mean = (row, samples) => samples.reduce((s, c) => s + (row[c] || 0), 0) / (samples.length || 1);
+  return dataObj.geneList.map(gene => {
+    const row = valueRow(dataObj, gene);
+    const ma = mean(row, sa), mb = mean(row, sb);
+    return { gene, score: isLog ? mb - ma : Math.log2((mb + 1) / (ma + 1)) };
+  });
+};
@@ -0,0 +1,61 @@
+// --- TABULAR EXPORT ---
+
+const fmt = (v) => (typeof v === 'number' && Number.isFinite(v) ? String(+v.toPrecision(6)) : 'NA');
+
+export const slugify = (text) => text.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Gene x sample matrix of whatever metric the dataset currently carries
+export const matrixToTSV = (dataObj) => {
+  const lines = [`# Metric: ${dataObj.metric || 'unknown'}`, ['Geneid', ...dataObj.sampleCols].join('\t')];
+  dataObj.raw.forEach(row => lines.push([row.Geneid, ...dataObj.sampleCols.map(s => fmt(row[s]))].join('\t')));
+  return lines.join('\n') + '\n';
+};
+
+// rows: [{ gene, dataset, values: { [condition]: { mean, sd, n } } }]
+export const conditionStatsToTSV = (rows, conditions, metric) => {
+  const header = ['Geneid', 'Dataset', ...conditions.flatMap(c => [`${c}_mean`, `${c}_sd`, `${c}_n`])];
+  const lines = [`# Metric: ${metric || 'unknown'}`, header.join('\t')];
+  rows.forEach(r => lines.push([r.gene, r.dataset, ...conditions.flatMap(c => [fmt(r.values[c]?.mean), fmt(r.values[c]?.sd), fmt(r.values[c]?.n)])].join('\t')));
+  return lines.join('\n') + '\n';
+};
+
+// One row per clustered gene: its cluster, the cluster's pattern and the gene's condition means and z-scores
+export const clustersToTSV = (clusters, conditions, metric) => {
+  const header = ['Geneid', 'Cluster', 'Pattern', 'Distance', ...conditions.map(c => `${c}_mean`), ...conditions.map(c => `${c}_z`)];
+  const lines = [`# Metric: ${metric || 'unknown'}`, header.join('\t')];
+  clusters.forEach(c => c.members.forEach(m => lines.push([m.gene, c.id, c.pattern, fmt(m.distance), ...m.means.map(fmt), ...m.z.map(fmt)].join('\t'))));
+  return lines.join('\n') + '\n';
+};
+
+// One block of columns per dataset, rows in the order they are drawn. blocks: [{ label, matrix, colOrder }]
+export const heatmapToTSV = (genes, rowOrder, blocks, metric) => {
+  const header = ['Geneid', ...blocks.flatMap(b => b.colOrder.map(j => `${b.label}:${b.matrix.columns[j]}`))];
+  const lines = [`# Metric: ${metric || 'unknown'}`, header.join('\t')];
+  rowOrder.forEach(i => lines.push([genes[i], ...blocks.flatMap(b => b.colOrder.map(j => fmt(b.matrix.values[i][j])))].join('\t')));
+  return lines.join('\n') + '\n';
+};
+
+// rows: antisenseTable rows, optionally with `neighbours` ([{ neighbour, relation }]) attached
+export const antisenseToTSV = (rows, conditions) => {
+  const header = ['Geneid', 'Sense_mean_counts', 'Antisense_mean_counts', 'Mean_log2_AS_S', ...conditions.map(c => `${c}_log2_AS_S`), 'Sense_antisense_r', 'Convergent_neighbours'];
+  const lines = [header.join('\t')];
+  rows.forEach(r => lines.push([r.gene, fmt(r.meanSense), fmt(r.meanAntisense), fmt(r.meanLog2Ratio), ...r.log2Ratio.map(fmt), fmt(r.r),
+    (r.neighbours || []).map(n => `${n.neighbour}(${n.relation})`).join(',')].join('\t')));
+  return lines.join('\n') + '\n';
+};
+
+// Same columns parseSampleSheet reads, so a downloaded sheet can be edited and uploaded again
+export const sampleSheetToTSV = (rows) => {
+  const lines = [['sample', 'condition', 'time', 'replicate', 'batch', 'include'].join('\t')];
+  rows.forEach(r => lines.push([r.sample, r.condition, r.time ?? '', r.replicate, r.batch, r.include ? 'yes' : 'no'].join('\t')));
+  return lines.join('\n') + '\n';
+};
+
+// rows: overRepresentation or rankedEnrichment results; member genes are the overlap or the leading edge
+export const enrichmentToTSV = (rows, mode, label) => {
+  const ranked = mode === 'ranked';
+  const header = ['Set', 'Category', ...(ranked ? ['Size', 'ES', 'NES'] : ['Overlap', 'Set_size', 'List_size', 'Background', 'Expected', 'Fold']), 'p', 'q', ranked ? 'Leading_edge' : 'Genes'];
+  const lines = [`# ${ranked ? 'Ranked enrichment' : 'Over-representation'}: ${label}`, header.join('\t')];
+  rows.forEach(r => lines.push([r.set.name, r.set.category, ...(ranked ? [r.K, fmt(r.es), fmt(r.nes)] : [r.k, r.K, r.n, r.N, fmt(r.expected), fmt(r.fold)]), fmt(r.p), fmt(r.q), (ranked ? r.leadingEdge : r.overlap).join(',')].join('\t')));
+  return lines.join('\n') + '\n';
+};
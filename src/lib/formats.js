@@ -0,0 +1,266 @@
+// --- INPUT FORMATS ---
+// Detects and parses the quantification and annotation layouts collaborators send, mapping counts into the
+// count-data structure (via buildCountData) and annotations into the parseGFF structure. Every parser throws
+// an Error whose message says what is wrong and where; callers prefix the file name.
+import { buildCountData, contentLines, parseFeatureCounts, parseGFF, PROGRESS_EVERY } from './parsers.js';
+
+export const COUNT_FORMATS = {
+  featureCounts: 'featureCounts',
+  salmon: 'Salmon quant.sf',
+  kallisto: 'kallisto abundance.tsv',
+  htseq: 'HTSeq-count',
+  matrix: 'Count matrix'
+};
+
+export const ANNOTATION_FORMATS = { gff3: 'GFF3', gtf: 'GTF', genbank: 'GenBank' };
+
+// One file per sample: which columns hold the gene ID, the counts and the (effective) length
+const SINGLE_SAMPLE = {
+  salmon: { header: ['Name', 'Length', 'EffectiveLength', 'TPM', 'NumReads'], id: 'Name', count: 'NumReads', length: 'EffectiveLength' },
+  kallisto: { header: ['target_id', 'length', 'eff_length', 'est_counts', 'tpm'], id: 'target_id', count: 'est_counts', length: 'eff_length' }
+};
+
+const LENGTH_COLUMNS = ['length', 'eff_length', 'effectivelength', 'effective_length'];
+
+const isNumber = (v) => v.trim() !== '' && Number.isFinite(Number(v));
+
+// Strips compression and quantifier extensions: d04_rep1.quant.sf.gz -> d04_rep1. Generic names
+// (quant.sf, abundance.tsv) fall back to the parent folder when the path has one: d04_rep1/quant.sf -> d04_rep1
+export const sampleNameOf = (path) => {
+  const parts = path.split('/');
+  const base = parts.pop().replace(/\.gz$/i, '');
+  const stem = base.replace(/(\.(quant|abundance|sf|tsv|txt|csv|counts?|htseq))+$/i, '');
+  if (/^(quant|abundance|counts?)$/i.test(stem) && parts.length) return parts.pop();
+  return stem || base;
+};
+
+export const detectCountFormat = (text) => {
+  const lines = contentLines(text).slice(0, 5).map(l => l.line);
+  if (!lines.length) return null;
+  const header = lines[0].split('\t');
+  if (header[0] === 'Geneid' && header[5] === 'Length') return 'featureCounts';
+  const single = Object.entries(SINGLE_SAMPLE).find(([, f]) => f.header.every((h, i) => header[i] === h));
+  if (single) return single[0];
+  if (lines.every(l => l.split('\t').length === 2 && isNumber(l.split('\t')[1]))) return 'htseq';
+  const sep = lines[0].includes('\t') ? '\t' : ',';
+  if (lines[0].split(sep).length >= 2 && lines.slice(1).every(l => l.split(sep).slice(1).every(isNumber))) return 'matrix';
+  return null;
+};
+
+// Salmon / kallisto / HTSeq: { ids, counts, lengths | null } for one sample
+const parseSingleSample = (text, format) => {
+  const lines = contentLines(text);
+  if (format === 'htseq') {
+    const ids = [], counts = [];
+    lines.forEach(({ line, n }) => {
+      const [id, value] = line.split('\t');
+      // __no_feature, __ambiguous ... are HTSeq's assignment summary, not genes
+      if (id.startsWith('__')) return;
+      if (!isNumber(value ?? '')) throw new Error(`line ${n}: "${value}" is not a count`);
+      ids.push(id);
+      counts.push(Number(value));
+    });
+    return { ids, counts, lengths: null };
+  }
+  const spec = SINGLE_SAMPLE[format];
+  const header = lines[0].line.split('\t');
+  const [idCol, countCol, lengthCol] = [spec.id, spec.count, spec.length].map(h => header.indexOf(h));
+  const ids = [], counts = [], lengths = [];
+  lines.slice(1).forEach(({ line, n }) => {
+    const parts = line.split('\t');
+    if (parts.length !== header.length) throw new Error(`line ${n} has ${parts.length} columns, the header has ${header.length}`);
+    if (!isNumber(parts[countCol])) throw new Error(`line ${n}: ${spec.count} "${parts[countCol]}" is not a number`);
+    ids.push(parts[idCol]);
+    counts.push(Number(parts[countCol]));
+    lengths.push(Number(parts[lengthCol]));
+  });
+  return { ids, counts, lengths };
+};
+
+// Header row of gene ID then one column per sample, tab- or comma-separated; a length column is used if present
+const parseCountMatrix = (text, { onProgress } = {}) => {
+  const lines = contentLines(text);
+  if (lines.length < 2) throw new Error('no data rows');
+  const sep = lines[0].line.includes('\t') ? '\t' : ',';
+  const header = lines[0].line.split(sep).map(h => h.trim().replace(/^"|"$/g, ''));
+  const lengthCol = header.findIndex((h, i) => i > 0 && LENGTH_COLUMNS.includes(h.toLowerCase()));
+  const sampleIdx = header.map((_, i) => i).filter(i => i > 0 && i !== lengthCol);
+  if (!sampleIdx.length) throw new Error('no sample columns after the gene ID');
+  const rows = lines.slice(1).map(({ line, n }, i) => {
+    if (onProgress && i % PROGRESS_EVERY === 0) onProgress({ label: 'Parsing rows', fraction: i / (lines.length - 1) });
+    const parts = line.split(sep).map(v => v.trim().replace(/^"|"$/g, ''));
+    if (parts.length !== header.length) throw new Error(`line ${n} has ${parts.length} columns, the header has ${header.length}`);
+    const bad = sampleIdx.find(i => !isNumber(parts[i]));
+    if (bad !== undefined) throw new Error(`line ${n}: ${header[bad]} "${parts[bad]}" is not a count`);
+    return { Geneid: parts[0], Chr: '', Start: '', End: '', Strand: '', Length: lengthCol >= 0 ? Number(parts[lengthCol]) : NaN, counts: sampleIdx.map(i => Number(parts[i])) };
+  });
+  return buildCountData(rows, sampleIdx.map(i => header[i]), { onProgress });
+};
+
+// files: [{ name, text }] for one dataset. Either one featureCounts table / count matrix, or one or more
+// single-sample files of the same format, merged gene by gene (lengths averaged over samples).
+// `onProgress({ label, fraction })` is called between stages and every PROGRESS_EVERY rows.
+// Returns { data, format, warnings }.
+export const parseCountFiles = (files, { onProgress } = {}) => {
+  const detected = files.map(f => {
+    const format = detectCountFormat(f.text);
+    if (!format) throw new Error(`${f.name}: not a recognised count format (${Object.values(COUNT_FORMATS).join(', ')})`);
+    return { ...f, format };
+  });
+  const formats = Array.from(new Set(detected.map(f => f.format)));
+  if (formats.length > 1) throw new Error(`Mixed formats in one dataset: ${detected.map(f => `${f.name} (${COUNT_FORMATS[f.format]})`).join(', ')}`);
+  const format = formats[0];
+  const withName = (f, parse) => {
+    try { return parse(); }
+    catch (err) { throw new Error(`${f.name}: ${err.message}`); }
+  };
+
+  let data;
+  const warnings = [];
+  if (format === 'featureCounts' || format === 'matrix') {
+    if (detected.length > 1) throw new Error(`${COUNT_FORMATS[format]} files hold every sample already; load one per dataset`);
+    data = withName(detected[0], () => (format === 'featureCounts' ? parseFeatureCounts : parseCountMatrix)(detected[0].text, { onProgress }));
+  } else {
+    const samples = detected.map((f, i) => {
+      onProgress?.({ label: `Parsing ${f.name}`, fraction: i / detected.length });
+      return { name: sampleNameOf(f.name), ...withName(f, () => parseSingleSample(f.text, format)) };
+    });
+    const dup = samples.find((s, i) => samples.findIndex(t => t.name === s.name) !== i);
+    if (dup) throw new Error(`Two files give the sample name "${dup.name}"; rename them after their samples`);
+    const ids = Array.from(new Set(samples.flatMap(s => s.ids)));
+    const at = samples.map(s => new Map(s.ids.map((id, i) => [id, i])));
+    samples.forEach((s, j) => {
+      const missing = ids.length - s.ids.length;
+      if (missing > 0) warnings.push(`${s.name} lacks ${missing} of the genes the other samples have (counted as 0)`);
+      if (s.ids.length === 0) throw new Error(`${detected[j].name}: no genes`);
+    });
+    const rows = ids.map(id => {
+      const lens = samples.map((s, j) => (at[j].has(id) && s.lengths ? s.lengths[at[j].get(id)] : NaN)).filter(v => v > 0);
+      return {
+        Geneid: id, Chr: '', Start: '', End: '', Strand: '',
+        Length: lens.length ? lens.reduce((a, b) => a + b, 0) / lens.length : NaN,
+        counts: samples.map((s, j) => (at[j].has(id) ? s.counts[at[j].get(id)] : 0))
+      };
+    });
+    data = buildCountData(rows, samples.map(s => s.name), { onProgress });
+  }
+  if (!data.lengths) warnings.push('no gene lengths, so TPM and RPKM treat every gene as 1 kb');
+  if (!data.features.length) warnings.push('no gene coordinates, so annotations link by ID only and the genome views show annotation tracks without genes');
+  return { data, format, warnings };
+};
+
+// GTF attributes: key "value"; pairs
+const parseGtfAttributes = (text) => {
+  const attrs = {};
+  (text || '').replace(/([^\s;]+)\s+"([^"]*)"|([^\s;]+)\s+([^\s;]+)/g, (_, k1, v1, k2, v2) => { attrs[k1 || k2] = v1 ?? v2; return ''; });
+  return attrs;
+};
+
+// GTF: one gene feature per gene_id (synthesised from its exons/CDS when the file has no gene lines); everything else
+// becomes its child, so the annotation index links genes rather than every exon.
+export const parseGTF = (text) => {
+  const result = { features: [], sequenceRegions: {} };
+  const genes = new Map(), children = [];
+  contentLines(text).forEach(({ line, n }) => {
+    const cols = line.split('\t');
+    if (cols.length < 9) throw new Error(`line ${n} has ${cols.length} columns, GTF needs 9`);
+    const raw = parseGtfAttributes(cols[8]);
+    const f = { seqid: cols[0], source: cols[1], type: cols[2], start: parseInt(cols[3], 10), end: parseInt(cols[4], 10), score: cols[5], strand: cols[6], attrs: raw };
+    if (isNaN(f.start) || isNaN(f.end)) throw new Error(`line ${n}: start/end are not numbers`);
+    const id = raw.gene_id;
+    if (f.type === 'gene' && id) genes.set(id, f);
+    else children.push(f);
+  });
+  children.forEach(f => {
+    const id = f.attrs.gene_id;
+    if (!id) return result.features.push(f);
+    if (!genes.has(id)) genes.set(id, { ...f, type: 'gene', attrs: { ...f.attrs }, synthetic: true });
+    const g = genes.get(id);
+    if (g.synthetic) {
+      g.start = Math.min(g.start, f.start);
+      g.end = Math.max(g.end, f.end);
+      Object.entries(f.attrs).forEach(([k, v]) => { if (!(k in g.attrs)) g.attrs[k] = v; });
+    }
+    result.features.push({ ...f, attrs: { ...f.attrs, Parent: id } });
+  });
+  genes.forEach((g, id) => {
+    const { synthetic: _synthetic, ...gene } = g;
+    result.features.push({ ...gene, attrs: { ...gene.attrs, ID: id, Name: gene.attrs.gene_name || gene.attrs.gene || id } });
+  });
+  return result;
+};
+
+// GenBank flat file: per record, the VERSION accession (as in featureCounts' Chr) and the FEATURES table.
+// gene features take their locus_tag as ID; other features with the same locus_tag become its children.
+export const parseGenBank = (text) => {
+  const result = { features: [], sequenceRegions: {} };
+  let seqid = null, inFeatures = false, current = null, qualifier = null, record = [];
+  const flush = () => {
+    const geneIds = new Set(record.filter(f => f.type === 'gene').map(f => f.attrs.ID));
+    record.forEach(f => {
+      if (f.type !== 'gene' && f.attrs.locus_tag && geneIds.has(f.attrs.locus_tag)) f.attrs.Parent = f.attrs.locus_tag;
+      result.features.push(f);
+    });
+    record = [];
+  };
+  text.split('\n').forEach((rawLine, i) => {
+    const line = rawLine.replace(/\r$/, '');
+    if (line.startsWith('LOCUS')) {
+      const parts = line.split(/\s+/);
+      seqid = parts[1];
+      const len = parseInt(parts[2], 10);
+      if (len) result.sequenceRegions[seqid] = len;
+      return;
+    }
+    if (line.startsWith('VERSION') && seqid) {
+      const version = line.split(/\s+/)[1];
+      if (version && version !== seqid) { result.sequenceRegions[version] = result.sequenceRegions[seqid]; delete result.sequenceRegions[seqid]; seqid = version; }
+      return;
+    }
+    if (line.startsWith('FEATURES')) { inFeatures = true; return; }
+    if (line.startsWith('ORIGIN') || line.startsWith('//')) { inFeatures = false; current = null; flush(); return; }
+    if (!inFeatures) return;
+    const key = line.slice(5, 21).trim();
+    const body = line.slice(21);
+    if (key) {
+      const nums = (body.match(/\d+/g) || []).map(Number);
+      if (!nums.length) throw new Error(`line ${i + 1}: cannot read location "${body.trim()}"`);
+      current = { seqid, source: 'GenBank', type: key, start: Math.min(...nums), end: Math.max(...nums), score: '.', strand: body.trim().startsWith('complement') ? '-' : '+', attrs: {} };
+      qualifier = null;
+      if (key !== 'source') record.push(current);
+    } else if (current && body.startsWith('/')) {
+      const [, k, v = 'true'] = body.match(/^\/([^=]+)=?(.*)$/);
+      qualifier = k;
+      current.attrs[k] = v.replace(/^"/, '').replace(/"$/, '');
+    } else if (current && qualifier) {
+      // Wrapped qualifier value; translations wrap without spaces
+      const sep = qualifier === 'translation' ? '' : ' ';
+      current.attrs[qualifier] = `${current.attrs[qualifier]}${sep}${body.trim().replace(/"$/, '')}`;
+    }
+    if (current?.type === 'gene' && (current.attrs.locus_tag || current.attrs.gene)) {
+      current.attrs.ID = current.attrs.locus_tag || current.attrs.gene;
+      current.attrs.Name = current.attrs.gene || current.attrs.locus_tag;
+    }
+  });
+  flush();
+  return result;
+};
+
+export const detectAnnotationFormat = (text) => {
+  if (/^LOCUS\s/m.test(text.slice(0, 2000))) return 'genbank';
+  const first = contentLines(text.slice(0, 20000)).find(({ line }) => line.split('\t').length >= 9);
+  if (!first) return null;
+  const attrs = first.line.split('\t')[8];
+  return /^\s*\w+\s+"/.test(attrs) ? 'gtf' : 'gff3';
+};
+
+// Returns { gff, format } in the parseGFF structure; throws when the file holds no features
+export const parseAnnotationFile = (text, name = 'annotation') => {
+  const format = detectAnnotationFormat(text);
+  if (!format) throw new Error(`${name}: not GFF3, GTF or GenBank`);
+  let gff;
+  try { gff = format === 'genbank' ? parseGenBank(text) : format === 'gtf' ? parseGTF(text) : parseGFF(text); }
+  catch (err) { throw new Error(`${name}: ${err.message}`); }
+  if (!gff.features.length) throw new Error(`${name}: no features found in ${ANNOTATION_FORMATS[format]}`);
+  return { gff, format };
+};
@@ -0,0 +1,75 @@
+// --- GENE-SET HEATMAP ---
+import { samplesForCondition } from './parsers.js';
+import { hierarchical } from './clustering.js';
+import { valueRow } from './store.js';
+
+// Genes x columns, where columns are condition means or individual samples. Genes missing from the dataset
+// get a row of NaN so two datasets can share one row order. `values` is z-scored per row when asked, `raw` never is.
+export const heatmapMatrix = (dataObj, geneIds, { columns = 'conditions', zscore = true } = {}) => {
+  const cols = columns === 'samples' ? dataObj.sampleCols : dataObj.conditions;
+  const groups = columns === 'samples' ? cols.map(c => [c]) : cols.map(c => samplesForCondition(dataObj, c));
+  const raw = geneIds.map(id => {
+    const row = valueRow(dataObj, id);
+    return groups.map(samples => row ? samples.reduce((s, c) => s + (row[c] || 0), 0) / (samples.length || 1) : NaN);
+  });
+  const values = zscore ? raw.map(r => {
+    const mu = r.reduce((a, b) => a + b, 0) / r.length;
+    const sd = Math.sqrt(r.reduce((a, v) => a + (v - mu) * (v - mu), 0) / r.length);
+    return r.map(v => (sd > 0 ? (v - mu) / sd : Number.isFinite(v) ? 0 : NaN));
+  }) : raw;
+  return { genes: geneIds, columns: cols, raw, values };
+};
+
+// Average-linkage tree over `vectors` (NaN counts as 0) with a leaf order for drawing. Each internal node carries
+// its height and its position along the leaf axis; children below n are leaves.
+export const dendrogram = (vectors) => {
+  const n = vectors.length;
+  if (n < 2) return { order: vectors.map((_, i) => i), nodes: [], maxHeight: 0 };
+  const { merges } = hierarchical(vectors.map(v => Float64Array.from(v, x => (Number.isFinite(x) ? x : 0))), 1);
+  // Merges come back sorted by height; the merged cluster always lives on in slot `a`
+  const slot = Array.from({ length: n }, (_, i) => i);
+  const nodes = merges.map((m, i) => {
+    const node = { left: slot[m.a], right: slot[m.b], height: m.height };
+    slot[m.a] = n + i;
+    return node;
+  });
+  const order = [];
+  const stack = [n + nodes.length - 1];
+  while (stack.length) {
+    const id = stack.pop();
+    if (id < n) order.push(id);
+    else stack.push(nodes[id - n].right, nodes[id - n].left);
+  }
+  const pos = new Float64Array(n);
+  order.forEach((leaf, i) => { pos[leaf] = i; });
+  const posOf = (id) => (id < n ? pos[id] : nodes[id - n].pos);
+  nodes.forEach(node => { node.pos = (posOf(node.left) + posOf(node.right)) / 2; });
+  return { order, nodes, maxHeight: nodes[nodes.length - 1].height || 1 };
+};
+
+// Columns of a genes x columns matrix as vectors, for clustering the columns
+export const transpose = (matrix) => (matrix[0] || []).map((_, j) => matrix.map(row => row[j]));
+
+// Maps an ID, locus tag or gene name (any case) to its count-table gene ID, or undefined
+export const geneResolver = (geneIds, annotations = {}) => {
+  const known = new Set(geneIds);
+  const alias = new Map();
+  geneIds.forEach(id => {
+    const ann = annotations[id];
+    [ann?.locus, ann?.geneName].filter(Boolean).forEach(a => { if (!alias.has(a.toLowerCase())) alias.set(a.toLowerCase(), id); });
+    alias.set(id.toLowerCase(), id);
+  });
+  return (token) => (known.has(token) ? token : alias.get(token.toLowerCase()));
+};
+
+// Resolves pasted locus tags, gene names or IDs (any whitespace/comma separated mix) to count-table gene IDs
+export const resolveGeneList = (text, geneIds, annotations = {}) => {
+  const resolve = geneResolver(geneIds, annotations);
+  const found = new Set(), missing = [];
+  text.split(/[\s,;]+/).filter(Boolean).forEach(token => {
+    const id = resolve(token);
+    if (id) found.add(id);
+    else missing.push(token);
+  });
+  return { found: Array.from(found), missing };
+};
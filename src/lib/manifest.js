@@ -0,0 +1,131 @@
+// --- DATASET MANIFEST ---
+// A JSON file listing the datasets the browser can load by name. Paths are relative to the manifest (or to its
+// `base`), so one manifest works on a dev server, a deployed build and a static mirror alike:
+//
+// { "base": "DATA/", "datasets": [{ "id", "label", "description",
+//     "counts": { "<table>": path | [paths] | { "files": path | [paths], "label", "color", "line" }, ... },
+//     "summaries": { "<table>": path, ... }, "annotations": [paths], "sampleSheet": path, "idMap": path }] }
+//
+// Each key of `counts` is one count table (see lib/tables.js), loaded in the order given. Only count files are
+// required; a missing summary, annotation, sample sheet or ID map just drops that extra.
+import { parseSummary } from './parsers.js';
+import { parseCountFiles, parseAnnotationFile } from './formats.js';
+import { addAnnotationSource, sourceKeyOf } from './annotations.js';
+import { parseSampleSheet } from './design.js';
+import { RESERVED_IDS, LINE_STYLES, parseIdMap } from './tables.js';
+
+const FILE_ROLES = { counts: 'Counts', summary: 'Summary', annotation: 'Annotation', sampleSheet: 'Sample sheet', idMap: 'ID map' };
+
+// Table ids start with a letter so object key order stays the load order
+const TABLE_ID = /^[A-Za-z][\w-]*$/;
+
+const asList = (v) => (v === undefined || v === null ? [] : Array.isArray(v) ? v : [v]);
+
+const checkPaths = (paths, where) => paths.forEach(p => {
+  if (typeof p !== 'string' || !p.trim()) throw new Error(`${where}: expected a file path, got ${JSON.stringify(p)}`);
+});
+
+// Validates the manifest and returns { base, datasets } with every path list normalised to an array
+export const parseManifest = (text) => {
+  let json;
+  try { json = JSON.parse(text); }
+  catch (err) { throw new Error(`not valid JSON (${err.message})`); }
+  if (!Array.isArray(json?.datasets) || !json.datasets.length) throw new Error('needs a non-empty "datasets" list');
+  const ids = new Set();
+  const datasets = json.datasets.map((d, i) => {
+    const id = d.id || `dataset${i + 1}`;
+    if (ids.has(id)) throw new Error(`dataset id "${id}" is used twice`);
+    ids.add(id);
+    const counts = {}, styles = {};
+    Object.entries(d.counts || {}).forEach(([table, entry]) => {
+      if (!TABLE_ID.test(table) || RESERVED_IDS.includes(table)) throw new Error(`${id}.counts: "${table}" cannot name a count table`);
+      const spec = entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : { files: entry };
+      counts[table] = asList(spec.files);
+      if (!counts[table].length) throw new Error(`${id}.counts.${table}: no files`);
+      checkPaths(counts[table], `${id}.counts.${table}`);
+      if (spec.color !== undefined && !/^#[0-9a-f]{6}$/i.test(spec.color)) throw new Error(`${id}.counts.${table}.color: use #rrggbb`);
+      if (spec.line !== undefined && !LINE_STYLES[spec.line]) throw new Error(`${id}.counts.${table}.line: use ${Object.keys(LINE_STYLES).join(', ')}`);
+      styles[table] = Object.fromEntries(['label', 'color', 'line'].filter(k => typeof spec[k] === 'string').map(k => [k, spec[k]]));
+    });
+    if (!Object.keys(counts).length) throw new Error(`${id}: no count files in "counts"`);
+    const summaries = { ...(d.summaries || {}) };
+    Object.keys(summaries).forEach(t => { if (!counts[t]) throw new Error(`${id}.summaries.${t}: no count table of that name`); });
+    const annotations = asList(d.annotations);
+    checkPaths(Object.values(summaries), `${id}.summaries`);
+    checkPaths(annotations, `${id}.annotations`);
+    if (d.sampleSheet) checkPaths([d.sampleSheet], `${id}.sampleSheet`);
+    if (d.idMap) checkPaths([d.idMap], `${id}.idMap`);
+    return { id, label: d.label || id, description: d.description || '', counts, styles, summaries, annotations, sampleSheet: d.sampleSheet || null, idMap: d.idMap || null };
+  });
+  return { base: typeof json.base === 'string' ? json.base : '', datasets };
+};
+
+// Every file a dataset references: { role, table, path, required }
+export const manifestFiles = (dataset) => [
+  ...Object.entries(dataset.counts).flatMap(([table, paths]) => paths.map(path => ({ role: 'counts', table, path, required: true }))),
+  ...Object.entries(dataset.summaries).map(([table, path]) => ({ role: 'summary', table, path, required: false })),
+  ...dataset.annotations.map(path => ({ role: 'annotation', table: null, path, required: false })),
+  ...(dataset.sampleSheet ? [{ role: 'sampleSheet', table: null, path: dataset.sampleSheet, required: false }] : []),
+  ...(dataset.idMap ? [{ role: 'idMap', table: null, path: dataset.idMap, required: false }] : [])
+];
+
+export const tableLabelOf = (dataset, table) => dataset.styles?.[table]?.label || table;
+
+export const roleLabel = (file, dataset) => `${FILE_ROLES[file.role]}${file.table ? ` (${tableLabelOf(dataset, file.table)})` : ''}`;
+
+// files carry an `available` flag from the availability check. A count table loads only when all of its files are
+// there (per-sample files make no sense with samples missing); the dataset loads if at least one table does.
+export const availabilityReport = (files) => {
+  const missing = files.filter(f => f.available === false);
+  const tables = Array.from(new Set(files.filter(f => f.role === 'counts').map(f => f.table)))
+    .filter(t => files.filter(f => f.role === 'counts' && f.table === t).every(f => f.available));
+  return { missing, tables, loadable: tables.length > 0, complete: missing.length === 0 };
+};
+
+// Parses the fetched files ({ role, table, path, text }) of one dataset. Problems with optional files and count
+// warnings are collected rather than thrown; throws only when no count table could be built.
+// Returns { fileData, summaries, store, sheet, idMap, problems }; fileData and summaries are keyed by table.
+export const buildDataset = (dataset, loaded, { onProgress } = {}) => {
+  const problems = [];
+  const of = (role) => loaded.filter(f => f.role === role);
+  const fileData = {};
+  Object.entries(dataset.counts).forEach(([table, paths]) => {
+    const inputs = of('counts').filter(f => f.table === table);
+    if (!inputs.length || inputs.length < paths.length) return;
+    try {
+      const label = tableLabelOf(dataset, table);
+      const progress = onProgress && ((p) => onProgress({ ...p, label: `${label}: ${p.label}` }));
+      const { data, warnings } = parseCountFiles(inputs.map(f => ({ name: f.path, text: f.text })), { onProgress: progress });
+      fileData[table] = data;
+      problems.push(...warnings.map(w => `${label}: ${w}`));
+    } catch (err) { problems.push(err.message); }
+  });
+  if (!Object.keys(fileData).length) throw new Error(`${dataset.label}: no count table loaded${problems.length ? ` (${problems.join('; ')})` : ''}`);
+  const summaries = {};
+  of('summary').forEach(f => {
+    summaries[f.table] = parseSummary(f.text);
+    if (!summaries[f.table]) problems.push(`${f.path}: not a featureCounts summary`);
+  });
+  let store = {};
+  of('annotation').forEach(f => {
+    onProgress?.({ label: `Parsing ${f.path}` });
+    try {
+      const { gff } = parseAnnotationFile(f.text, f.path);
+      const name = f.path.split('/').pop();
+      store = addAnnotationSource(store, sourceKeyOf(gff, name), gff, name);
+    } catch (err) { problems.push(err.message); }
+  });
+  let sheet = null;
+  of('sampleSheet').forEach(f => {
+    const { rows, errors } = parseSampleSheet(f.text);
+    problems.push(...errors.map(e => `${f.path}: ${e}`));
+    if (rows.length) sheet = rows;
+  });
+  let idMap = null;
+  of('idMap').forEach(f => {
+    const { map, errors } = parseIdMap(f.text);
+    problems.push(...errors.map(e => `${f.path}: ${e}`));
+    if (map.size) idMap = { name: f.path.split('/').pop(), map };
+  });
+  return { fileData, summaries, store, sheet, idMap, problems };
+};
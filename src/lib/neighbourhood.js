@@ -0,0 +1,94 @@
+// --- GENOMIC NEIGHBOURHOOD ---
+import { samplesForCondition } from './parsers.js';
+import { pearson } from './stats.js';
+import { isTopLevel } from './annotations.js';
+
+// Condition means per gene, in dataObj.conditions order
+export const conditionMeans = (dataObj, geneIds) => {
+  const wanted = new Set(geneIds);
+  const groups = dataObj.conditions.map(c => samplesForCondition(dataObj, c));
+  const out = new Map();
+  dataObj.raw.forEach(row => {
+    if (!wanted.has(row.Geneid)) return;
+    out.set(row.Geneid, groups.map(samples => samples.reduce((s, c) => s + (row[c] || 0), 0) / (samples.length || 1)));
+  });
+  return out;
+};
+
+const distanceBetween = (a, b) => Math.max(0, Math.max(a.start, b.start) - Math.min(a.end, b.end) - 1);
+
+// Count-table loci and every top-level feature of every annotation source within `window` bp of the region
+export const neighbourhood = (dataObj, region, window, sources = {}) => {
+  const lo = region.start - window, hi = region.end + window;
+  const genes = [];
+  (dataObj?.features || []).forEach(g => g.loci.forEach((l, i) => {
+    if (l.chr !== region.chr || l.end < lo || l.start > hi) return;
+    genes.push({ id: g.id, key: `${g.id}_${i}`, ...l, distance: distanceBetween(l, region) });
+  }));
+  genes.sort((a, b) => a.start - b.start);
+  const features = Object.entries(sources).flatMap(([source, gff]) => (gff?.features || [])
+    .filter(f => isTopLevel(f) && f.seqid === region.chr && f.end >= lo && f.start <= hi)
+    .map(f => ({ source, id: f.attrs.ID || f.attrs.Name || `${f.seqid}:${f.start}-${f.end}`, name: f.attrs.Name || f.attrs.family || null,
+      type: f.type, start: f.start, end: f.end, strand: f.strand, attrs: f.attrs, distance: distanceBetween(f, region) })))
+    .sort((a, b) => a.start - b.start);
+  return { region, start: Math.max(1, lo), end: hi, genes, features };
+};
+
+// Pearson r of every neighbour's condition means against the focal gene's
+export const neighbourCorrelations = (dataObj, focalId, geneIds) => {
+  const means = conditionMeans(dataObj, [focalId, ...geneIds]);
+  const focal = means.get(focalId);
+  return new Map(geneIds.map(id => [id, focal && means.has(id) ? pearson(focal, means.get(id)) : NaN]));
+};
+
+// Adjacent genes on the same strand are joined when the intergenic gap is short and their profiles agree.
+// `genes` must be sorted by start; returns runs of two or more with the weakest link reported.
+export const predictOperons = (dataObj, genes, { maxGap = 150, minR = 0.7 } = {}) => {
+  const seen = new Set();
+  const unique = genes.filter(g => !seen.has(g.id) && seen.add(g.id));
+  const means = conditionMeans(dataObj, unique.map(g => g.id));
+  const runs = [];
+  ['+', '-'].forEach(strand => {
+    const onStrand = unique.filter(g => g.strand === strand);
+    let run = [];
+    const close = () => { if (run.length > 1) runs.push(run); run = []; };
+    onStrand.forEach((g, i) => {
+      if (i === 0) { run = [{ ...g }]; return; }
+      const prev = onStrand[i - 1];
+      const gap = g.start - prev.end - 1;
+      const r = means.has(prev.id) && means.has(g.id) ? pearson(means.get(prev.id), means.get(g.id)) : NaN;
+      if (gap <= maxGap && r >= minR) run.push({ ...g, gap, r });
+      else { close(); run = [{ ...g }]; }
+    });
+    close();
+  });
+  return runs.map(run => ({
+    strand: run[0].strand, start: run[0].start, end: run[run.length - 1].end,
+    genes: run.map(g => g.id),
+    minR: Math.min(...run.slice(1).map(g => g.r)),
+    maxGap: Math.max(...run.slice(1).map(g => g.gap))
+  })).sort((a, b) => a.start - b.start);
+};
+
+// Clusters padloc hits lying within `clusterGap` of each other, then keeps clusters with an ISEScan/digIS element
+// within `mobileDistance` of their bounds.
+export const scanDefenseIslands = (sources, { clusterGap = 10000, mobileDistance = 10000, minHits = 1 } = {}) => {
+  const hits = (sources.padloc?.features || []).filter(isTopLevel).sort((a, b) => a.seqid.localeCompare(b.seqid) || a.start - b.start);
+  const mobile = ['ISEScan', 'digIS'].flatMap(source => (sources[source]?.features || [])
+    .filter(isTopLevel).map(f => ({ source, f })));
+  const clusters = [];
+  hits.forEach(f => {
+    const last = clusters[clusters.length - 1];
+    if (last && last.chr === f.seqid && f.start - last.end <= clusterGap) {
+      last.end = Math.max(last.end, f.end);
+      last.hits.push(f);
+    } else clusters.push({ chr: f.seqid, start: f.start, end: f.end, hits: [f] });
+  });
+  return clusters.filter(c => c.hits.length >= minHits).map(c => {
+    const near = mobile
+      .filter(({ f }) => f.seqid === c.chr && distanceBetween(f, c) <= mobileDistance)
+      .map(({ source, f }) => ({ source, id: f.attrs.ID || f.attrs.Name, name: f.attrs.family || f.attrs.Name || null, start: f.start, end: f.end, distance: distanceBetween(f, c) }));
+    return { ...c, systems: Array.from(new Set(c.hits.map(f => (f.attrs.Note || '').replace('system:', '')).filter(Boolean))), mobile: near };
+  }).filter(c => c.mobile.length > 0)
+    .sort((a, b) => b.systems.length - a.systems.length || b.hits.length - a.hits.length);
+};
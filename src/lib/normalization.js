@@ -0,0 +1,142 @@
+// --- NORMALIZATION ---
+// All methods work on the raw count columns kept by buildCountData and return rows in the
+// same shape as its `raw` ({ Geneid, Chr, Strand, [sample]: value }).
+import { sizeFactorsMedianOfRatios } from './differential.js';
+import { countMatrix } from './store.js';
+import { tableIds, mapTables } from './tables.js';
+
+export const NORMALIZATION_METHODS = {
+  counts: { label: 'Raw counts', short: 'Counts' },
+  cpm: { label: 'CPM', short: 'CPM' },
+  rpkm: { label: 'RPKM / FPKM', short: 'RPKM' },
+  tpm: { label: 'TPM', short: 'TPM' },
+  mor: { label: 'DESeq median-of-ratios', short: 'MoR counts' },
+  tmm: { label: 'TMM (edgeR)', short: 'TMM CPM' }
+};
+
+// libraryReference: 'self', or 'first' to scale every other count table by the first table's libraries
+export const DEFAULT_NORMALIZATION = { method: 'tpm', log: true, pseudocount: 1, libraryReference: 'self' };
+
+export const metricLabel = ({ method, log, pseudocount }) => {
+  const short = NORMALIZATION_METHODS[method]?.short || method;
+  return log ? `log₂ (${short} + ${pseudocount})` : short;
+};
+
+const columnSums = (matrix, nSamples) => Array.from({ length: nSamples }, (_, j) => matrix.reduce((s, row) => s + row[j], 0));
+
+const upperQuartile = (vals) => {
+  const s = vals.filter(v => v > 0).sort((a, b) => a - b);
+  return s.length ? s[Math.floor(0.75 * (s.length - 1))] : 0;
+};
+
+const ranks = (vals) => {
+  const order = vals.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const out = new Array(vals.length);
+  order.forEach(([, i], r) => { out[i] = r + 1; });
+  return out;
+};
+
+// edgeR's calcNormFactors(method = "TMM"): trimmed (30% M, 5% A) weighted mean of log ratios against a reference column
+export const tmmFactors = (matrix, libSizes) => {
+  const n = libSizes.length;
+  if (!n) return [];
+  const uq = Array.from({ length: n }, (_, j) => upperQuartile(matrix.map(row => row[j] / (libSizes[j] || 1))));
+  const meanUq = uq.reduce((a, b) => a + b, 0) / n;
+  const refIdx = uq.reduce((best, v, j) => (Math.abs(v - meanUq) < Math.abs(uq[best] - meanUq) ? j : best), 0);
+  const nR = libSizes[refIdx];
+
+  const factors = Array.from({ length: n }, (_, j) => {
+    if (j === refIdx) return 1;
+    const nO = libSizes[j];
+    const logR = [], absE = [], v = [];
+    matrix.forEach(row => {
+      const obs = row[j], ref = row[refIdx];
+      if (obs <= 0 || ref <= 0) return;
+      logR.push(Math.log2((obs / nO) / (ref / nR)));
+      absE.push((Math.log2(obs / nO) + Math.log2(ref / nR)) / 2);
+      v.push((nO - obs) / nO / obs + (nR - ref) / nR / ref);
+    });
+    const m = logR.length;
+    if (m === 0) return 1;
+    const loL = Math.floor(m * 0.3) + 1, hiL = m + 1 - loL;
+    const loS = Math.floor(m * 0.05) + 1, hiS = m + 1 - loS;
+    const rM = ranks(logR), rA = ranks(absE);
+    let num = 0, den = 0;
+    for (let i = 0; i < m; i++) {
+      if (rM[i] < loL || rM[i] > hiL || rA[i] < loS || rA[i] > hiS) continue;
+      num += logR[i] / v[i];
+      den += 1 / v[i];
+    }
+    return den ? Math.pow(2, num / den) : 1;
+  });
+  const geo = Math.exp(factors.reduce((s, f) => s + Math.log(f), 0) / n);
+  return factors.map(f => f / geo);
+};
+
+// Per-sample scaling quantities for one dataset, optionally overriding library sizes (e.g. from a .summary).
+// Only what `method` needs is computed; TMM in particular sorts every column.
+export const computeScaling = (dataObj, { method = 'tpm', libOverride = null } = {}) => {
+  const samples = dataObj.sampleCols;
+  const matrix = countMatrix(dataObj, samples);
+  const sums = columnSums(matrix, samples.length);
+  const libSizes = samples.map((s, j) => libOverride?.[s] || sums[j]);
+  const bySample = (arr) => Object.fromEntries(samples.map((s, j) => [s, arr[j]]));
+  const out = { libSizes: bySample(libSizes) };
+  if (method === 'tpm') {
+    const lengths = dataObj.lengths || dataObj.geneList.map(() => 1000);
+    out.rpkTotals = bySample(samples.map((_, j) => matrix.reduce((sum, row, i) => sum + row[j] / (lengths[i] / 1000 || 1), 0)));
+  }
+  if (method === 'mor') out.sizeFactors = bySample(sizeFactorsMedianOfRatios(matrix));
+  if (method === 'tmm') out.tmmFactors = bySample(tmmFactors(matrix, libSizes));
+  return out;
+};
+
+// Returns a copy of dataObj whose `raw` holds the chosen metric. `reference` (from computeScaling on
+// another dataset) replaces this dataset's own library totals and factors, sample by sample.
+export const normalizeData = (dataObj, settings = DEFAULT_NORMALIZATION, reference = null) => {
+  if (!dataObj) return dataObj;
+  const { method, log, pseudocount } = { ...DEFAULT_NORMALIZATION, ...settings };
+  const samples = dataObj.sampleCols;
+  const own = computeScaling(dataObj, { method });
+  const pick = (key, s) => reference?.[key]?.[s] ?? own[key]?.[s];
+  const lengths = dataObj.lengths || dataObj.geneList.map(() => 1000);
+
+  const scale = Object.fromEntries(samples.map(s => {
+    switch (method) {
+      case 'cpm':
+      case 'rpkm': return [s, 1e6 / (pick('libSizes', s) || 1)];
+      case 'tpm': return [s, 1e6 / (pick('rpkTotals', s) || 1)];
+      case 'mor': return [s, 1 / (pick('sizeFactors', s) || 1)];
+      case 'tmm': return [s, 1e6 / ((pick('libSizes', s) * pick('tmmFactors', s)) || 1)];
+      default: return [s, 1];
+    }
+  }));
+  const perLength = method === 'rpkm' || method === 'tpm';
+
+  const cols = samples.map(s => [s, dataObj.counts[s], scale[s]]);
+  const raw = dataObj.geneList.map((id, i) => {
+    const entry = { Geneid: id, Chr: dataObj.raw?.[i]?.Chr, Strand: dataObj.raw?.[i]?.Strand };
+    const lenKb = perLength ? (lengths[i] / 1000 || 1) : 1;
+    cols.forEach(([s, col, k]) => {
+      const v = ((col[i] || 0) / lenKb) * k;
+      entry[s] = log ? Math.log2(v + pseudocount) : v;
+    });
+    return entry;
+  });
+  return { ...dataObj, raw, metric: metricLabel({ method, log, pseudocount }) };
+};
+
+// Every loaded table in the chosen metric, as the browser shows them. With libraryReference 'first', the other
+// tables are scaled by the first table's libraries (its featureCounts Assigned totals when `summaries` has them).
+export const normalizeTables = (tables, normalization = DEFAULT_NORMALIZATION, summaries = {}) => {
+  const { method, log, pseudocount, libraryReference } = { ...DEFAULT_NORMALIZATION, ...normalization };
+  const [firstId, ...others] = tableIds(tables);
+  // The parsed count data already holds log2(TPM + 1), which does not depend on the other samples
+  const isDefault = method === 'tpm' && log && pseudocount === 1;
+  const reference = libraryReference === 'first' && others.length ? computeScaling(tables[firstId], { method, libOverride: summaries[firstId]?.categories?.Assigned }) : null;
+  return mapTables(tables, (d, id) => {
+    if (!reference || id === firstId) return isDefault ? d : normalizeData(d, normalization, null);
+    const n = normalizeData(d, normalization, reference);
+    return { ...n, metric: `${n.metric} · first table's library` };
+  });
+};
@@ -0,0 +1,175 @@
+// --- PARSERS ---
+// Plain text -> data structures. Kept free of React/DOM so the same code can run in the browser and in Node.
+import { normalizeData, DEFAULT_NORMALIZATION } from './normalization.js';
+import { buildIndex, countColumns } from './store.js';
+
+// Rows between progress reports while parsing large tables
+export const PROGRESS_EVERY = 10000;
+
+const isHtml = (text) => !text || text.includes('<!DOCTYPE html>');
+
+const parseAttributes = (attrString) => {
+  const attrs = {};
+  (attrString || '').split(';').forEach(pair => {
+    const [key, ...rest] = pair.split('=');
+    const val = rest.join('=');
+    if (key && val) {
+      try { attrs[key.trim()] = decodeURIComponent(val.trim()); }
+      catch { attrs[key.trim()] = val.trim(); }
+    }
+  });
+  return attrs;
+};
+
+// Returns every feature line with coordinates plus the declared sequence lengths.
+export const parseGFF = (text) => {
+  const result = { features: [], sequenceRegions: {} };
+  if (isHtml(text)) return result;
+  text.split('\n').forEach(line => {
+    if (line.startsWith('##sequence-region')) {
+      const [, seqid, , end] = line.trim().split(/\s+/);
+      if (seqid && end) result.sequenceRegions[seqid] = parseInt(end, 10);
+      return;
+    }
+    if (line.startsWith('#') || line.trim() === '') return;
+    const cols = line.split('\t');
+    if (cols.length < 9) return;
+    result.features.push({
+      seqid: cols[0], source: cols[1], type: cols[2],
+      start: parseInt(cols[3], 10), end: parseInt(cols[4], 10),
+      score: cols[5], strand: cols[6],
+      attrs: parseAttributes(cols[8])
+    });
+  });
+  return result;
+};
+
+// Descriptive fields one GFF feature contributes; null where the feature says nothing
+export const annotationEntry = (attrs) => {
+  const system = attrs['Note'] && attrs['Note'].startsWith('system:') ? attrs['Note'].replace('system:', '') : null;
+  return {
+    product: attrs['product'] || attrs['description'] || (system ? `Defense system: ${system}` : null) || attrs['Note'] || null,
+    geneName: attrs['Name'] || attrs['gene'] || null,
+    system,
+    locus: attrs['locus_tag'] || attrs['ID'] || null
+  };
+};
+
+export const processGFF = (text) => {
+  const map = {};
+  parseGFF(text).features.forEach(({ attrs }) => {
+    const id_attr = attrs['ID'];
+    const locus = attrs['locus_tag'];
+    const name = attrs['Name'] || attrs['gene'];
+    const base = annotationEntry(attrs);
+    const entry = { ...base, product: base.product || "Hypothetical protein" };
+    if (id_attr) map[id_attr] = entry;
+    if (locus) map[locus] = entry;
+    if (name) map[name] = entry;
+  });
+  return map;
+};
+
+// `design` is a sample sheet keyed by column name (see lib/design.js). Columns it does not cover fall back to
+// the name prefix before the first '_' (d04_rep1_sorted.bam -> d04).
+export const conditionOf = (sample, design) => design?.[sample]?.condition || sample.split('_')[0];
+
+// Mean sheet time of each condition's samples; null where the sheet gives none
+export const conditionTimes = (sampleCols, design) => {
+  const times = {};
+  sampleCols.forEach(s => {
+    const cond = conditionOf(s, design);
+    const t = design?.[s]?.time;
+    if (!times[cond]) times[cond] = [];
+    if (Number.isFinite(t)) times[cond].push(t);
+  });
+  return Object.fromEntries(Object.entries(times).map(([c, ts]) => [c, ts.length ? ts.reduce((a, b) => a + b, 0) / ts.length : null]));
+};
+
+// Ordered by sheet time, then naturally by name (conditions without a time go last)
+export const conditionsOf = (sampleCols, design) => {
+  const times = conditionTimes(sampleCols, design);
+  return Object.keys(times).sort((a, b) => (times[a] ?? Infinity) - (times[b] ?? Infinity)
+    || a.localeCompare(b, undefined, {numeric: true, sensitivity: 'base'}));
+};
+
+// featureCounts joins the coordinates of merged meta-features with ';' (e.g. `-g Name` on padloc output).
+export const parseLoci = (chr, start, end, strand) => {
+  const split = (v) => String(v ?? '').split(';');
+  const chrs = split(chr), starts = split(start), ends = split(end), strands = split(strand);
+  return starts.map((s, i) => ({
+    chr: chrs[i] ?? chrs[0], start: parseInt(s, 10), end: parseInt(ends[i], 10), strand: strands[i] ?? strands[0]
+  })).filter(l => !isNaN(l.start) && !isNaN(l.end));
+};
+
+// Shared tail of every count parser (see lib/formats.js for the other layouts): rows of
+// { Geneid, Chr, Start, End, Strand, Length, counts } become the structure the rest of the app reads
+// (counts by column, see lib/store.js). Rows without coordinates give no `features`; when any Length is
+// missing `lengths` is null.
+export const buildCountData = (rows, sampleCols, { onProgress } = {}) => {
+  const geneList = rows.map(row => row.Geneid);
+  const counts = countColumns(rows, sampleCols);
+  const lengths = rows.every(row => row.Length > 0) ? rows.map(row => row.Length) : null;
+  const base = { geneList, index: buildIndex(geneList), counts, sampleCols, lengths, raw: rows.map(row => ({ Geneid: row.Geneid, Chr: row.Chr, Strand: row.Strand })) };
+  onProgress?.({ label: 'Normalising' });
+  const { raw, metric } = normalizeData(base, DEFAULT_NORMALIZATION);
+  const features = rows.map(row => {
+    const loci = parseLoci(row.Chr, row.Start, row.End, row.Strand);
+    return {
+      id: row.Geneid, loci,
+      chr: loci[0]?.chr, strand: loci[0]?.strand,
+      start: Math.min(...loci.map(l => l.start)), end: Math.max(...loci.map(l => l.end))
+    };
+  }).filter(f => f.loci.length > 0);
+  const conditions = conditionsOf(sampleCols);
+  return { ...base, raw, metric, conditions, features };
+};
+
+// Non-empty, non-comment lines with their 1-based line numbers, for error messages
+export const contentLines = (text) => text.split('\n')
+  .map((line, i) => ({ line: line.replace(/\r$/, ''), n: i + 1 }))
+  .filter(({ line }) => line.trim() !== '' && !line.startsWith('#'));
+
+// featureCounts: Geneid, Chr, Start, End, Strand, Length, then one count column per BAM. Throws on anything else.
+export const parseFeatureCounts = (text, { onProgress } = {}) => {
+  if (isHtml(text)) throw new Error('got an HTML page instead of a count table');
+  const lines = contentLines(text);
+  if (lines.length < 2) throw new Error('no data rows');
+  const headers = lines[0].line.split('\t');
+  if (headers[0] !== 'Geneid' || headers[5] !== 'Length') throw new Error('header is not Geneid, Chr, Start, End, Strand, Length, <samples...>');
+  if (headers.length < 7) throw new Error('no sample columns after Length');
+  const sampleCols = headers.slice(6);
+  const rows = lines.slice(1).map(({ line, n }, i) => {
+    if (onProgress && i % PROGRESS_EVERY === 0) onProgress({ label: 'Parsing rows', fraction: i / (lines.length - 1) });
+    const parts = line.split('\t');
+    if (parts.length !== headers.length) throw new Error(`line ${n} has ${parts.length} columns, the header has ${headers.length}`);
+    const counts = parts.slice(6).map(val => {
+      const v = Number(val);
+      if (val.trim() === '' || !Number.isFinite(v)) throw new Error(`line ${n}: "${val}" is not a count`);
+      return v;
+    });
+    return {
+      Geneid: parts[0], Chr: parts[1], Start: parts[2], End: parts[3], Strand: parts[4],
+      Length: parseFloat(parts[5]), counts
+    };
+  });
+  return buildCountData(rows, sampleCols, { onProgress });
+};
+
+// featureCounts .summary: one Status row per assignment category, one column per sample
+export const parseSummary = (text) => {
+  if (isHtml(text)) return null;
+  const lines = text.split('\n').filter(line => line.trim() !== '' && !line.startsWith('#'));
+  if (lines.length < 2) return null;
+  const headers = lines[0].split('\t');
+  if (headers[0] !== 'Status' || headers.length < 2) return null;
+  const samples = headers.slice(1);
+  const categories = {};
+  lines.slice(1).forEach(line => {
+    const [status, ...vals] = line.split('\t');
+    categories[status] = Object.fromEntries(samples.map((s, i) => [s, parseFloat(vals[i]) || 0]));
+  });
+  return { samples, categories };
+};
+
+export const samplesForCondition = (dataObj, cond) => (dataObj?.sampleCols || []).filter(s => conditionOf(s, dataObj.design) === cond);
@@ -0,0 +1,42 @@
+// --- EXPRESSION PROFILE STATISTICS ---
+// Per-condition summaries of the replicate values behind one gene's profile line. Replicate numbers differ
+// between conditions (3-5 here), so every summary keeps its n and the values themselves.
+import { mean, variance, quantile, tCritical95 } from './stats.js';
+import { samplesForCondition } from './parsers.js';
+import { valueRow } from './store.js';
+
+export const ERROR_STATS = {
+  sd: { label: 'SD', title: 'Sample standard deviation (n - 1)' },
+  sem: { label: 'SEM', title: 'Standard error of the mean' },
+  ci95: { label: '95% CI', title: '95% confidence interval of the mean (Student t)' }
+};
+
+export const PROFILE_DISPLAYS = { line: 'Line', box: 'Box', violin: 'Violin' };
+
+export const DEFAULT_PLOT_OPTIONS = { display: 'line', error: 'sd', points: false, logY: false, facet: false };
+
+// replicates: [{ sample, value }]. Spread statistics are NaN below two replicates.
+export const summarizeReplicates = (replicates) => {
+  const values = replicates.map(r => r.value);
+  const n = values.length;
+  const sd = n > 1 ? Math.sqrt(variance(values)) : NaN;
+  return {
+    n, replicates,
+    mean: mean(values), sd,
+    sem: sd / Math.sqrt(n),
+    ci95: (tCritical95(n - 1) * sd) / Math.sqrt(n),
+    min: Math.min(...values), q1: quantile(values, 0.25), median: quantile(values, 0.5), q3: quantile(values, 0.75), max: Math.max(...values)
+  };
+};
+
+// Summaries of one gene in one table, keyed by condition; conditions without values are left out
+export const conditionSummaries = (dataObj, geneId) => {
+  const row = valueRow(dataObj, geneId);
+  if (!row) return {};
+  const out = {};
+  dataObj.conditions.forEach(c => {
+    const replicates = samplesForCondition(dataObj, c).map(s => ({ sample: s, value: row[s] })).filter(r => Number.isFinite(r.value));
+    if (replicates.length) out[c] = summarizeReplicates(replicates);
+  });
+  return out;
+};
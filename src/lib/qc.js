@@ -0,0 +1,77 @@
+// --- SAMPLE QC ---
+import { conditionOf, conditionsOf } from './parsers.js';
+import { median, mad, mean, pearson, variance, symmetricEigen } from './stats.js';
+import { columnTotal } from './store.js';
+
+// Drops excluded columns; raw and the count columns keep every value, so re-including a sample is free
+export const excludeSamples = (dataObj, excluded) => {
+  if (!dataObj || !excluded?.length) return dataObj;
+  const sampleCols = dataObj.sampleCols.filter(s => !excluded.includes(s));
+  return { ...dataObj, sampleCols, conditions: conditionsOf(sampleCols, dataObj.design) };
+};
+
+export const librarySizes = (dataObj) => Object.fromEntries(dataObj.sampleCols.map(s => [s, columnTotal(dataObj, s)]));
+
+export const sampleCorrelations = (dataObj, samples) => {
+  const cols = samples.map(s => dataObj.raw.map(row => row[s] || 0));
+  return cols.map((x, i) => cols.map((y, j) => (i === j ? 1 : pearson(x, y))));
+};
+
+// PCA of samples on the most variable genes (log-scale values from buildCountData)
+export const samplePCA = (dataObj, samples, { topGenes = 500, components = 3 } = {}) => {
+  if (samples.length < 3) return null;
+  const ranked = dataObj.raw
+    .map(row => ({ vals: samples.map(s => row[s] || 0) }))
+    .map(r => ({ ...r, v: variance(r.vals) }))
+    .filter(r => r.v > 0)
+    .sort((a, b) => b.v - a.v)
+    .slice(0, topGenes);
+  if (ranked.length < 2) return null;
+  const centred = ranked.map(r => { const m = mean(r.vals); return r.vals.map(v => v - m); });
+  const n = samples.length;
+  const gram = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => centred.reduce((s, g) => s + g[i] * g[j], 0)));
+  const eig = symmetricEigen(gram);
+  const total = eig.reduce((s, e) => s + Math.max(0, e.value), 0) || 1;
+  const pcs = eig.slice(0, components);
+  return {
+    explained: pcs.map(e => Math.max(0, e.value) / total),
+    scores: samples.map((sample, i) => ({ sample, pcs: pcs.map(e => e.vector[i] * Math.sqrt(Math.max(0, e.value))) })),
+    genesUsed: ranked.length
+  };
+};
+
+// Robust flags: library size relative to the median, assignment rate and replicate agreement as MAD z-scores
+export const flagOutliers = ({ samples, design, libSizes, summary, correlations, minLibFraction = 0.5, zCutoff = 3 }) => {
+  const flags = Object.fromEntries(samples.map(s => [s, []]));
+  const medLib = median(samples.map(s => libSizes[s]));
+  samples.forEach(s => {
+    if (libSizes[s] < minLibFraction * medLib) flags[s].push(`Library ${Math.round((libSizes[s] / medLib) * 100)}% of median`);
+  });
+
+  const robustLow = (values, label) => {
+    const vals = samples.map(s => values[s]).filter(Number.isFinite);
+    const med = median(vals), spread = mad(vals);
+    if (!spread) return;
+    samples.forEach(s => {
+      const z = (values[s] - med) / spread;
+      if (Number.isFinite(z) && z < -zCutoff) flags[s].push(`${label} (z = ${z.toFixed(1)})`);
+    });
+  };
+
+  if (summary?.categories?.Assigned) {
+    const rates = Object.fromEntries(samples.map(s => {
+      const total = Object.values(summary.categories).reduce((sum, cat) => sum + (cat[s] || 0), 0);
+      return [s, total ? summary.categories.Assigned[s] / total : NaN];
+    }));
+    robustLow(rates, 'Low assignment rate');
+  }
+
+  if (correlations) {
+    const within = Object.fromEntries(samples.map((s, i) => {
+      const peers = samples.map((t, j) => (j !== i && conditionOf(t, design) === conditionOf(s, design) ? correlations[i][j] : null)).filter(v => v !== null);
+      return [s, peers.length ? mean(peers) : NaN];
+    }));
+    robustLow(within, 'Poor replicate correlation');
+  }
+  return flags;
+};
@@ -0,0 +1,205 @@
+// --- GENE QUERY LANGUAGE ---
+// What the sidebar search box accepts. Terms combine with and / or / not (also && || !) and parentheses;
+// adjacent terms are and-ed. A term is one of
+//   free text or "a phrase"        substring of ID, gene name, product or system
+//   field:value                    id: name: product: system: source: chr: strand: pos:start-end
+//   number comparisons             len>1000  expr(d21)>=5  fc(d21/d04)<-1  antisense_ratio>0.5
+// parseQuery turns text into a tree (throwing with the position of the problem); compileQuery binds it to the
+// loaded data and returns a predicate over gene IDs.
+import { samplesForCondition } from './parsers.js';
+import { meanCount, valueRow } from './store.js';
+
+export const TEXT_FIELDS = ['id', 'name', 'product', 'system', 'source', 'chr', 'strand', 'pos'];
+export const NUMBER_FIELDS = ['len', 'antisense_ratio'];
+export const FUNCTIONS = ['expr', 'fc'];
+const KEYWORDS = { and: 'and', '&&': 'and', or: 'or', '||': 'or', not: 'not', '!': 'not' };
+
+const NUM = '-?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?';
+const OP = '>=|<=|!=|=|>|<';
+const PATTERNS = [
+  ['call', new RegExp(`^([a-z_]+)\\(([^()]*)\\)\\s*(${OP})\\s*(${NUM})`, 'i')],
+  ['compare', new RegExp(`^([a-z_]+)\\s*(${OP})\\s*(${NUM})`, 'i')],
+  ['field', /^([a-z_]+):(?:"([^"]*)"|([^\s()]+))/i],
+  ['phrase', /^"([^"]*)"/],
+  ['word', /^[^\s()"]+/]
+];
+
+const tokenize = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const space = rest.match(/^\s+/);
+    if (space) { i += space[0].length; continue; }
+    if (rest[0] === '(' || rest[0] === ')') { tokens.push({ type: rest[0], at: i }); i++; continue; }
+    const op = rest.match(/^(&&|\|\||!)/);
+    if (op) { tokens.push({ type: 'op', op: KEYWORDS[op[1]], at: i }); i += op[1].length; continue; }
+    if (rest[0] === '"' && !rest.slice(1).includes('"')) throw new Error(`Unclosed quote at ${i + 1}`);
+    const [kind, m] = PATTERNS.map(([k, re]) => [k, rest.match(re)]).find(([, match]) => match);
+    const word = m[0].toLowerCase();
+    if (kind === 'word' && KEYWORDS[word]) tokens.push({ type: 'op', op: KEYWORDS[word], at: i });
+    else if (kind === 'call') tokens.push({ type: 'term', term: { kind, field: m[1].toLowerCase(), arg: m[2].trim(), op: m[3], value: Number(m[4]) }, at: i });
+    else if (kind === 'compare') tokens.push({ type: 'term', term: { kind, field: m[1].toLowerCase(), op: m[2], value: Number(m[3]) }, at: i });
+    else if (kind === 'field') tokens.push({ type: 'term', term: { kind, field: m[1].toLowerCase(), value: m[2] ?? m[3] }, at: i });
+    else tokens.push({ type: 'term', term: { kind: 'text', value: kind === 'phrase' ? m[1] : m[0] }, at: i });
+    i += m[0].length;
+  }
+  return tokens;
+};
+
+const checkTerm = (term, at) => {
+  const where = ` at ${at + 1}`;
+  if (term.kind === 'call' && !FUNCTIONS.includes(term.field)) throw new Error(`Unknown function ${term.field}()${where}; use ${FUNCTIONS.join('() or ')}()`);
+  if (term.kind === 'call' && term.field === 'fc' && term.arg.split('/').length !== 2) throw new Error(`fc() takes two conditions, as in fc(d21/d04)${where}`);
+  if (term.kind === 'compare' && !NUMBER_FIELDS.includes(term.field)) throw new Error(`"${term.field}" is not a numeric field${where}; use ${NUMBER_FIELDS.join(', ')}, expr() or fc()`);
+  if (term.kind === 'field' && !TEXT_FIELDS.includes(term.field)) throw new Error(`Unknown field "${term.field}:"${where}; use ${TEXT_FIELDS.map(f => `${f}:`).join(' ')}`);
+  if (term.kind === 'field' && term.field === 'pos' && !/^\d+-\d+$/.test(term.value.replace(/,/g, ''))) throw new Error(`pos: needs a range like pos:1000000-2000000${where}`);
+  if (term.kind === 'field' && term.field === 'strand' && !['+', '-'].includes(term.value)) throw new Error(`strand: takes + or -${where}`);
+  return term;
+};
+
+// Recursive descent: or > and (explicit or implicit) > not > term | ( ... ). Empty input gives null.
+export const parseQuery = (text) => {
+  const tokens = tokenize(text || '');
+  if (!tokens.length) return null;
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const fail = (msg) => { throw new Error(`${msg} at ${(peek()?.at ?? text.length) + 1}`); };
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek()?.op === 'or') { pos++; node = { type: 'or', left: node, right: parseAnd() }; }
+    return node;
+  };
+  const parseAnd = () => {
+    let node = parseNot();
+    while (peek() && (peek().op === 'and' || peek().type === 'term' || peek().type === '(' || peek().op === 'not')) {
+      if (peek().op === 'and') pos++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+  const parseNot = () => {
+    if (peek()?.op === 'not') { pos++; return { type: 'not', arg: parseNot() }; }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const tok = peek();
+    if (!tok) fail('Query ends early');
+    if (tok.type === '(') {
+      pos++;
+      const node = parseOr();
+      if (peek()?.type !== ')') fail('Missing ")"');
+      pos++;
+      return node;
+    }
+    if (tok.type !== 'term') fail(`Unexpected ${tok.type === 'op' ? `"${tok.op}"` : `"${tok.type}"`}`);
+    pos++;
+    return { type: 'term', term: checkTerm(tok.term, tok.at) };
+  };
+  const tree = parseOr();
+  if (pos < tokens.length) fail(`Unexpected "${tokens[pos].type === 'op' ? tokens[pos].op : tokens[pos].type}"`);
+  return tree;
+};
+
+const COMPARE = {
+  '>': (a, b) => a > b, '>=': (a, b) => a >= b, '<': (a, b) => a < b, '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b, '!=': (a, b) => a !== b
+};
+
+// ctx: { annotations, data (table the list follows), features (coordinates of all genes, default data's),
+// sense, antisense, isLog }. Returns gene => boolean.
+// Genes lacking a value (no coordinates, not in a dataset ...) fail every comparison.
+export const compileQuery = (tree, ctx) => {
+  if (!tree) return () => true;
+  const { annotations, data, sense, antisense, isLog } = ctx;
+  const features = new Map((ctx.features || data?.features || []).map(f => [f.id, f]));
+  const conditions = data?.conditions || [];
+  const groupOf = (cond) => {
+    if (!conditions.includes(cond)) throw new Error(`Unknown condition "${cond}"; loaded: ${conditions.join(', ')}`);
+    return samplesForCondition(data, cond);
+  };
+  const meanOf = (row, samples) => (row ? samples.reduce((s, c) => s + (row[c] || 0), 0) / (samples.length || 1) : NaN);
+  const lengthOf = (g) => {
+    const i = data?.index?.get(g);
+    if (data?.lengths && i !== undefined) return data.lengths[i];
+    const f = features.get(g);
+    return f ? f.end - f.start + 1 : NaN;
+  };
+  const contains = (v, needle) => (v || '').toLowerCase().includes(needle);
+
+  const term = ({ kind, field, arg, op, value }) => {
+    const cmp = COMPARE[op];
+    if (kind === 'call' && field === 'expr') {
+      const samples = groupOf(arg);
+      return g => cmp(meanOf(valueRow(data, g), samples), value);
+    }
+    if (kind === 'call' && field === 'fc') {
+      const [a, b] = arg.split('/').map(s => groupOf(s.trim()));
+      return g => {
+        const row = valueRow(data, g);
+        const ma = meanOf(row, a), mb = meanOf(row, b);
+        return cmp(isLog ? ma - mb : Math.log2((ma + 1) / (mb + 1)), value);
+      };
+    }
+    if (field === 'len') return g => cmp(lengthOf(g), value);
+    if (field === 'antisense_ratio') {
+      if (!sense || !antisense) throw new Error('antisense_ratio needs a sense and an antisense count table');
+      const shared = sense.sampleCols.filter(s => antisense.sampleCols.includes(s));
+      return g => cmp((meanCount(antisense, g, shared) + 1) / (meanCount(sense, g, shared) + 1), value);
+    }
+    const needle = String(value).toLowerCase();
+    switch (kind === 'text' ? 'text' : field) {
+      case 'id': return g => g.toLowerCase().includes(needle);
+      case 'name': return g => contains(annotations[g]?.geneName, needle);
+      case 'product': return g => contains(annotations[g]?.product, needle);
+      case 'system': return g => contains(annotations[g]?.system, needle);
+      case 'source': return g => Object.keys(annotations[g]?.sources || {}).some(k => k.toLowerCase() === needle);
+      case 'chr': return g => (features.get(g)?.chr || '').toLowerCase() === needle;
+      case 'strand': return g => features.get(g)?.strand === value;
+      case 'pos': {
+        const [from, to] = value.replace(/,/g, '').split('-').map(Number);
+        return g => features.get(g)?.loci.some(l => l.end >= from && l.start <= to) || false;
+      }
+      default: {
+        const ann = (g) => annotations[g];
+        return g => g.toLowerCase().includes(needle) || contains(ann(g)?.product, needle) || contains(ann(g)?.geneName, needle) || contains(ann(g)?.system, needle);
+      }
+    }
+  };
+
+  const build = (node) => {
+    if (node.type === 'term') return term(node.term);
+    if (node.type === 'not') { const f = build(node.arg); return g => !f(g); }
+    const l = build(node.left), r = build(node.right);
+    return node.type === 'and' ? g => l(g) && r(g) : g => l(g) || r(g);
+  };
+  return build(tree);
+};
+
+// Completions for the word ending at `caret`: field names, conditions inside expr()/fc(), and known values
+// after source:, system:, chr: and strand:. vocab: { conditions, sources, systems, chrs }.
+// Returns { from, to, options: [{ label, insert }] }, where insert replaces text[from, to).
+export const completeQuery = (text, caret, vocab) => {
+  const before = text.slice(0, caret);
+  const word = before.match(/[^\s()!&|]*(?:\([^()\s]*)?$/)[0];
+  const from = caret - word.length;
+  const pick = (list, prefix, wrap = (v) => v) => list
+    .filter(v => v.toLowerCase().startsWith(prefix.toLowerCase()) && v.toLowerCase() !== prefix.toLowerCase())
+    .map(v => ({ label: v, insert: wrap(v) }));
+
+  const call = word.match(/^(expr|fc)\(([^()]*)$/i);
+  if (call) {
+    const parts = call[2].split('/');
+    const head = `${call[1]}(${parts.length > 1 ? `${parts[0]}/` : ''}`;
+    const close = call[1].toLowerCase() === 'fc' && parts.length === 1 ? '/' : ')';
+    return { from, to: caret, options: pick(vocab.conditions || [], parts.at(-1), c => `${head}${c}${close}`) };
+  }
+  const field = word.match(/^(source|system|chr|strand):(.*)$/i);
+  if (field) {
+    const values = { source: vocab.sources, system: vocab.systems, chr: vocab.chrs, strand: ['+', '-'] }[field[1].toLowerCase()] || [];
+    return { from, to: caret, options: pick(values, field[2], v => `${field[1]}:${/\s/.test(v) ? `"${v}"` : v}`) };
+  }
+  if (!/^[a-z_]+$/i.test(word)) return { from, to: caret, options: [] };
+  const fields = [...TEXT_FIELDS.map(f => `${f}:`), ...NUMBER_FIELDS.map(f => `${f}>`), ...FUNCTIONS.map(f => `${f}(`)];
+  return { from, to: caret, options: [...pick(fields, word), ...pick(['and', 'or', 'not'], word, k => `${k} `)] };
+};
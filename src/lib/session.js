@@ -0,0 +1,91 @@
+// --- SESSIONS ---
+// The view state that makes a figure reproducible: which dataset, which genes, how they are shown.
+// The URL hash carries the short part (shareable links); session files carry everything, plus SHA-256 checksums
+// of the input files so a session replayed on different uploads is flagged rather than silently wrong.
+
+export const SESSION_VERSION = 1;
+
+const SORT_KEYS = ['id', 'name', 'expression'];
+
+// Hash keys: dataset, view, show (table ids), genes (comma-separated), q (search), sort (key:direction)
+export const encodeHash = (state) => {
+  const params = new URLSearchParams();
+  if (state.dataset) params.set('dataset', state.dataset);
+  if (state.view) params.set('view', state.view);
+  if (state.show?.length) params.set('show', state.show.join(','));
+  if (state.genes?.length) params.set('genes', state.genes.join(','));
+  if (state.search) params.set('q', state.search);
+  if (state.sort) params.set('sort', `${state.sort.key}:${state.sort.direction}`);
+  const text = params.toString();
+  return text ? `#${text}` : '';
+};
+
+// Unknown or malformed values are dropped, so a hand-edited link degrades to the defaults
+export const decodeHash = (hash) => {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const state = {};
+  if (params.get('dataset')) state.dataset = params.get('dataset');
+  if (params.get('view')) state.view = params.get('view');
+  if (params.get('show')) state.show = params.get('show').split(',').filter(Boolean);
+  if (params.get('genes')) state.genes = params.get('genes').split(',').filter(Boolean);
+  if (params.get('q')) state.search = params.get('q');
+  const [key, direction] = (params.get('sort') || '').split(':');
+  if (SORT_KEYS.includes(key) && ['asc', 'desc'].includes(direction)) state.sort = { key, direction };
+  return state;
+};
+
+// inputs: { <table id>: [{ name, sha256 }], ..., annotations: [...], idMap: [...] }
+export const sessionToJSON = ({ dataset, inputs, state }) => JSON.stringify({
+  app: 'rna-seq-browser',
+  version: SESSION_VERSION,
+  savedAt: new Date().toISOString(),
+  dataset,
+  inputs,
+  state
+}, null, 2);
+
+// Rejects saved state the browser cannot apply: shown tables are a list of table ids, and the
+// normalization names a known library reference and a positive pseudocount
+const checkState = (state) => {
+  if (state.show !== undefined && !(Array.isArray(state.show) && state.show.every(id => typeof id === 'string'))) {
+    throw new Error('the shown tables must be a list of table ids');
+  }
+  const normalization = state.normalization || {};
+  if ('libraryReference' in normalization && !['self', 'first'].includes(normalization.libraryReference)) {
+    throw new Error(`unknown library reference "${normalization.libraryReference}"`);
+  }
+  if ('pseudocount' in normalization && !(normalization.pseudocount > 0)) {
+    throw new Error('the pseudocount must be a positive number');
+  }
+  return state;
+};
+
+export const parseSession = (text) => {
+  let json;
+  try { json = JSON.parse(text); }
+  catch (err) { throw new Error(`not valid JSON (${err.message})`); }
+  if (json?.app !== 'rna-seq-browser' || !json.state) throw new Error('not a session file saved by this browser');
+  if (json.version > SESSION_VERSION) throw new Error(`saved by a newer version (session format ${json.version})`);
+  return { dataset: json.dataset || null, inputs: json.inputs || {}, state: checkState(json.state), savedAt: json.savedAt || null };
+};
+
+// Compares the checksums a session was saved with against the files loaded now, slot by slot.
+// A null checksum (no Web Crypto when it was taken) can only be matched by name and is reported as unverified.
+// Returns one message per difference; empty when everything matches.
+export const inputMismatches = (saved, current) => {
+  const out = [];
+  Object.entries(saved || {}).forEach(([slot, files]) => {
+    const now = current?.[slot] || [];
+    const byHash = new Map(now.filter(f => f.sha256).map(f => [f.sha256, f]));
+    files.forEach(f => {
+      if (byHash.has(f.sha256)) return;
+      const sameName = now.find(g => g.name === f.name);
+      if (sameName && (!f.sha256 || !sameName.sha256)) out.push(`${f.name} could not be verified (no checksum)`);
+      else out.push(sameName ? `${f.name} has changed since the session was saved` : `${f.name} is not loaded`);
+    });
+    const savedHashes = new Set(files.map(f => f.sha256).filter(Boolean));
+    now.filter(f => !savedHashes.has(f.sha256) && !files.some(g => g.name === f.name))
+      .forEach(f => out.push(`${f.name} was not part of the saved session`));
+  });
+  return out;
+};
@@ -0,0 +1,196 @@
+// --- NUMERIC HELPERS ---
+
+export const mean = (vals) => vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : NaN;
+
+export const median = (vals) => {
+  if (!vals.length) return NaN;
+  const s = [...vals].sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+};
+
+// Median absolute deviation, scaled to be consistent with the SD of a normal distribution
+export const mad = (vals) => {
+  const m = median(vals);
+  return 1.4826 * median(vals.map(v => Math.abs(v - m)));
+};
+
+// Sample variance (n - 1)
+export const variance = (vals) => {
+  if (vals.length < 2) return 0;
+  const m = mean(vals);
+  return vals.reduce((s, v) => s + (v - m) * (v - m), 0) / (vals.length - 1);
+};
+
+export const pearson = (x, y) => {
+  const n = Math.min(x.length, y.length);
+  if (n < 2) return NaN;
+  let mx = 0, my = 0;
+  for (let i = 0; i < n; i++) { mx += x[i]; my += y[i]; }
+  mx /= n; my /= n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = x[i] - mx, dy = y[i] - my;
+    sxy += dx * dy; sxx += dx * dx; syy += dy * dy;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+};
+
+// 1-based ranks, ties get the mean of the ranks they span
+export const averageRanks = (vals) => {
+  const order = vals.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const out = new Array(vals.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    for (let k = i; k <= j; k++) out[order[k][1]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return out;
+};
+
+export const spearman = (x, y) => pearson(averageRanks(x), averageRanks(y));
+
+export const cosine = (x, y) => {
+  const n = Math.min(x.length, y.length);
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) { sxy += x[i] * y[i]; sxx += x[i] * x[i]; syy += y[i] * y[i]; }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+};
+
+// Jacobi rotations for a small symmetric matrix; eigenpairs sorted by decreasing eigenvalue
+export const symmetricEigen = (matrix) => {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+    if (off < 1e-20) break;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p], akq = a[k][q];
+          a[k][p] = c * akp - s * akq; a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k], aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk; a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p], vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq; v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return Array.from({ length: n }, (_, i) => ({ value: a[i][i], vector: v.map(row => row[i]) }))
+    .sort((x, y) => y.value - x.value);
+};
+
+// Lanczos approximation (g = 7)
+const LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+
+export const lgamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lgamma(1 - x);
+  x -= 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+export const trigamma = (x) => {
+  let result = 0;
+  while (x < 6) { result += 1 / (x * x); x += 1; }
+  const x2 = 1 / (x * x);
+  return result + 1 / x + x2 / 2 + (1 / 6 - x2 * (1 / 30 - x2 * (1 / 42 - x2 / 30))) / (x * x * x);
+};
+
+// Complementary error function, Numerical Recipes erfcc (|error| < 1.2e-7)
+export const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 + t * (-0.18628806 +
+    t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+};
+
+// erfc's approximation error can push p a hair past 1 near z = 0, so p-values are clamped to [0, 1]
+const clampP = (p) => Math.min(1, Math.max(0, p));
+
+export const normalTwoSidedP = (z) => clampP(erfc(Math.abs(z) / Math.SQRT2));
+
+const logChoose = (n, k) => lgamma(n + 1) - lgamma(k + 1) - lgamma(n - k + 1);
+
+// P(X >= k) for X ~ Hypergeometric: k of `n` drawn genes in a set of `K` out of `N`
+export const hypergeometricUpper = (k, K, n, N) => {
+  const hi = Math.min(K, n);
+  if (k <= Math.max(0, n - (N - K))) return 1;
+  const denom = logChoose(N, n);
+  let p = 0;
+  for (let i = k; i <= hi; i++) p += Math.exp(logChoose(K, i) + logChoose(N - K, n - i) - denom);
+  return Math.min(1, p);
+};
+
+// Upper tail of chi-squared with 1 degree of freedom
+export const chiSq1P = (stat) => stat > 0 ? clampP(erfc(Math.sqrt(stat / 2))) : 1;
+
+// Benjamini-Hochberg; NaN/null p-values stay null and do not count towards m
+export const adjustBH = (pvals) => {
+  const idx = pvals.map((p, i) => [p, i]).filter(([p]) => typeof p === 'number' && !isNaN(p)).sort((a, b) => a[0] - b[0]);
+  const out = pvals.map(() => null);
+  const m = idx.length;
+  let min = 1;
+  for (let r = m - 1; r >= 0; r--) {
+    min = Math.min(min, (idx[r][0] * m) / (r + 1));
+    out[idx[r][1]] = min;
+  }
+  return out;
+};
+
+// Quantile with linear interpolation between order statistics (R type 7)
+export const quantile = (vals, p) => {
+  if (!vals.length) return NaN;
+  const s = [...vals].sort((a, b) => a - b);
+  const h = (s.length - 1) * p;
+  const lo = Math.floor(h);
+  return s[lo] + (h - lo) * (s[Math.min(lo + 1, s.length - 1)] - s[lo]);
+};
+
+// Two-sided 95% critical value of Student's t; tabulated up to 30 df, Cornish-Fisher expansion beyond
+const T975 = [NaN, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.160, 2.145,
+  2.131, 2.120, 2.110, 2.101, 2.093, 2.086, 2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+export const tCritical95 = (df) => {
+  if (!(df >= 1)) return NaN;
+  if (df <= 30) return T975[Math.floor(df)];
+  const z = 1.959964;
+  return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df * df);
+};
+
+// Gaussian kernel density on `steps` points spanning the data plus two bandwidths (Silverman's rule)
+export const gaussianKDE = (vals, steps = 32) => {
+  if (!vals.length) return [];
+  const sd = Math.sqrt(variance(vals));
+  const bw = sd > 0 ? 1.06 * sd * Math.pow(vals.length, -0.2) : Math.max(Math.abs(vals[0]) * 0.05, 0.05);
+  const lo = Math.min(...vals) - 2 * bw, hi = Math.max(...vals) + 2 * bw;
+  const norm = 1 / (vals.length * bw * Math.sqrt(2 * Math.PI));
+  return Array.from({ length: steps }, (_, i) => {
+    const y = lo + ((hi - lo) * i) / (steps - 1);
+    return { y, density: norm * vals.reduce((s, v) => s + Math.exp(-0.5 * ((y - v) / bw) ** 2), 0) };
+  });
+};
+
+// Deterministic PRNG (mulberry32), so seeded analyses give the same result on every run
+export const seededRandom = (seed) => () => {
+  seed |= 0; seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
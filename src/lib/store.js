@@ -0,0 +1,48 @@
+// --- COUNT STORE ---
+// Counts are held by column: one Float64Array per sample, in geneList order, plus a Map from gene ID to row
+// number, so per-gene lookups are O(1) and 100k genes × 100 samples stay at 8 bytes a value. `raw` (the current
+// metric, one object per gene as every view reads it) and `lengths` share that row order, so `index` addresses
+// them too. Excluding samples or renormalising keeps the order, so the index survives both.
+
+export const buildIndex = (geneList) => new Map(geneList.map((id, i) => [id, i]));
+
+export const countColumns = (rows, sampleCols) => Object.fromEntries(sampleCols.map((s, j) => {
+  const col = new Float64Array(rows.length);
+  rows.forEach((row, i) => { col[i] = row.counts[j]; });
+  return [s, col];
+}));
+
+export const rowIndex = (dataObj, geneId) => dataObj?.index?.get(geneId);
+
+// Current-metric row { Geneid, Chr, Strand, <sample>: value }
+export const valueRow = (dataObj, geneId) => {
+  const i = rowIndex(dataObj, geneId);
+  return i === undefined ? undefined : dataObj.raw[i];
+};
+
+// Raw-count row { Geneid, <sample>: count } over every column, excluded ones included
+export const countRow = (dataObj, geneId) => {
+  const i = rowIndex(dataObj, geneId);
+  if (i === undefined) return undefined;
+  const row = { Geneid: geneId };
+  Object.entries(dataObj.counts).forEach(([s, col]) => { row[s] = col[i]; });
+  return row;
+};
+
+// Mean raw count of one gene over `samples`, read straight from the columns; NaN when the gene is absent
+export const meanCount = (dataObj, geneId, samples) => {
+  const i = rowIndex(dataObj, geneId);
+  if (i === undefined) return NaN;
+  return samples.reduce((sum, s) => sum + (dataObj.counts[s]?.[i] || 0), 0) / (samples.length || 1);
+};
+
+// genes × samples array of count arrays, for the matrix-based statistics
+export const countMatrix = (dataObj, samples = dataObj.sampleCols) => {
+  const cols = samples.map(s => dataObj.counts[s]);
+  return dataObj.geneList.map((_, i) => cols.map(col => col[i]));
+};
+
+export const columnTotal = (dataObj, sample) => dataObj.counts[sample].reduce((a, b) => a + b, 0);
+
+// Typed-array buffers a worker can hand over without copying
+export const transferables = (dataObj) => (dataObj?.counts ? Object.values(dataObj.counts).map(col => col.buffer) : []);
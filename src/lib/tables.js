@@ -0,0 +1,113 @@
+// --- COUNT TABLES ---
+// Any number of count tables can be loaded side by side (sense and antisense counts, defense-system counts, other
+// strains or runs ...). They are kept in one object keyed by table id, in load order: { [id]: dataObj }. The first
+// table is the reference: the gene list starts from it, and the other tables may borrow its library sizes.
+// Display settings (label, colour, line style) live apart from the counts so restyling does not renormalise;
+// `styleTables` copies them onto the data objects the views receive.
+import { buildIndex } from './store.js';
+import { contentLines } from './parsers.js';
+
+export const TABLE_COLORS = ['#3b82f6', '#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#ec4899', '#64748b'];
+export const LINE_STYLES = { solid: { label: 'Solid', dash: '' }, dashed: { label: 'Dashed', dash: '5 5' }, dotted: { label: 'Dotted', dash: '1 4' } };
+const STYLE_ORDER = Object.keys(LINE_STYLES);
+
+// Ids double as checksum slots in sessions (next to `annotations` and `idMap`)
+export const RESERVED_IDS = ['annotations', 'idMap'];
+
+export const tableIds = (tables) => Object.keys(tables || {}).filter(id => tables[id]);
+
+export const firstTable = (tables) => tables?.[tableIds(tables)[0]] || null;
+
+export const tableLabel = (tables, id) => tables?.[id]?.label || id;
+
+// Style of the index-th table unless the caller gives one
+export const defaultStyle = (index, given = {}) => ({
+  label: given.label || `Dataset ${index + 1}`,
+  color: given.color || TABLE_COLORS[index % TABLE_COLORS.length],
+  line: LINE_STYLES[given.line] ? given.line : STYLE_ORDER[index % STYLE_ORDER.length]
+});
+
+export const styleTables = (tables, styles) => Object.fromEntries(tableIds(tables).map((id, i) => {
+  const style = styles[id] || defaultStyle(i);
+  return [id, { ...tables[id], ...style, dash: LINE_STYLES[style.line].dash }];
+}));
+
+// Applies `fn` to every loaded table, keeping ids and order
+export const mapTables = (tables, fn) => Object.fromEntries(tableIds(tables).map(id => [id, fn(tables[id], id)]));
+
+// First unused id of the form table1, table2 ...
+export const nextTableId = (tables) => {
+  let n = tableIds(tables).length + 1;
+  while (tables[`table${n}`]) n++;
+  return `table${n}`;
+};
+
+// Every gene of every table, the reference table's genes first
+export const geneUnion = (tables) => {
+  const seen = new Set();
+  tableIds(tables).forEach(id => tables[id].geneList.forEach(g => seen.add(g)));
+  return Array.from(seen);
+};
+
+// Coordinates of every gene, taken from the first table that has them
+export const featureUnion = (tables) => {
+  const byId = new Map();
+  tableIds(tables).forEach(id => tables[id].features.forEach(f => { if (!byId.has(f.id)) byId.set(f.id, f); }));
+  return Array.from(byId.values());
+};
+
+// The tables holding sense and antisense counts of the same libraries: those named so, else the first two
+export const strandPair = (tables) => {
+  const ids = tableIds(tables);
+  if (tables?.sense && tables?.antisense) return ['sense', 'antisense'];
+  return [ids[0] ?? null, ids[1] ?? null];
+};
+
+// --- ID MAPPING ---
+// A tab- or comma-separated table whose rows each list the IDs one gene has in different tables (locus tags of
+// two strains, old and new annotation ...). The first column is the ID the browser shows; the others are renamed
+// to it. Lines starting with '#' are comments. Returns { map: alias -> shown ID, rows, errors }.
+export const parseIdMap = (text) => {
+  const map = new Map();
+  const errors = [];
+  let rows = 0;
+  contentLines(text).forEach(({ line, n }) => {
+    const ids = line.split(/[\t,]/).map(s => s.trim()).filter(Boolean);
+    if (ids.length < 2) return errors.push(`line ${n}: needs at least two IDs`);
+    rows++;
+    ids.slice(1).forEach(alias => {
+      if (alias === ids[0]) return;
+      if (map.has(alias) && map.get(alias) !== ids[0]) errors.push(`line ${n}: ${alias} is already mapped to ${map.get(alias)}`);
+      else map.set(alias, ids[0]);
+    });
+  });
+  if (!rows) errors.push('no ID pairs found');
+  return { map, rows, errors };
+};
+
+// Renames a table's genes through the map. A gene whose new ID is already taken in the table keeps its own ID and
+// is reported, so no counts are merged or lost. Returns { data, renamed, clashes }.
+export const applyIdMap = (dataObj, map) => {
+  if (!dataObj || !map?.size) return { data: dataObj, renamed: 0, clashes: [] };
+  const taken = new Set(dataObj.geneList);
+  const clashes = [];
+  const renames = new Map();
+  dataObj.geneList.forEach(g => {
+    const to = map.get(g);
+    if (!to || to === g) return;
+    if (taken.has(to)) { clashes.push(`${g} → ${to}`); return; }
+    taken.add(to);
+    renames.set(g, to);
+  });
+  if (!renames.size) return { data: dataObj, renamed: 0, clashes };
+  const rename = (g) => renames.get(g) || g;
+  const geneList = dataObj.geneList.map(rename);
+  return {
+    data: {
+      ...dataObj, geneList, index: buildIndex(geneList),
+      raw: dataObj.raw.map(row => (renames.has(row.Geneid) ? { ...row, Geneid: rename(row.Geneid) } : row)),
+      features: dataObj.features.map(f => (renames.has(f.id) ? { ...f, id: rename(f.id) } : f))
+    },
+    renamed: renames.size, clashes
+  };
+};
@@ -0,0 +1,28 @@
+// Tick helpers for the plain SVG charts
+
+export const niceTicks = (min, max, count = 6) => {
+  const span = max - min || 1;
+  const raw = span / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw) || mag * 10;
+  const out = [];
+  for (let t = Math.ceil(min / step) * step; t <= max + 1e-9; t += step) out.push(Math.abs(t) < 1e-12 ? 0 : t);
+  return out;
+};
+
+// Ticks for a log10 axis, given its domain in log10 units. Returned as plain values: 1-2-5 steps over
+// narrow ranges, powers of ten otherwise, and linear ticks when the range is under a decade.
+export const logTicks = (lo, hi) => {
+  if (hi - lo < 1) return niceTicks(Math.pow(10, lo), Math.pow(10, hi), 4).filter(t => t > 0);
+  const mantissas = hi - lo <= 3 ? [1, 2, 5] : [1];
+  const out = [];
+  for (let k = Math.floor(lo); k <= Math.ceil(hi); k++) {
+    mantissas.forEach(m => {
+      const t = m * Math.pow(10, k);
+      if (Math.log10(t) >= lo - 1e-9 && Math.log10(t) <= hi + 1e-9) out.push(t);
+    });
+  }
+  return out;
+};
+
+export const formatTick = (t) => (t !== 0 && (Math.abs(t) >= 1e5 || Math.abs(t) < 1e-3) ? t.toExponential(0) : String(+t.toPrecision(3)));
@@ -0,0 +1,9 @@
+// Hex SHA-256 of a text, via Web Crypto. crypto.subtle only exists in secure contexts (https or localhost);
+// elsewhere the checksum is null and sessions report the file as unverified instead of failing the upload.
+export const sha256 = async (text) => {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const checksumFiles = (files) => Promise.all(files.map(async (f) => ({ name: f.name, sha256: await sha256(f.text) })));
@@ -0,0 +1,11 @@
+// Triggers a browser download for generated text (TSV, JSON, SVG ...)
+export const downloadText = (filename, text, type = 'text/tab-separated-values') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+};
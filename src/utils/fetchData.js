@@ -0,0 +1,24 @@
+import { readTextFile } from './readFile.js';
+
+// Manifest paths resolve against the manifest's own URL, so relative paths follow the app wherever it is served
+export const resolveUrl = (path, baseUrl) => new URL(path, baseUrl).href;
+
+// Dev servers answer unknown paths with the app's index.html, so an HTML response counts as missing too
+const isPage = (res) => (res.headers.get('content-type') || '').includes('text/html');
+
+export const checkUrl = async (url) => {
+  try {
+    let res = await fetch(url, { method: 'HEAD' });
+    if (res.status === 405) res = await fetch(url);
+    return res.ok && !isPage(res);
+  } catch {
+    return false;
+  }
+};
+
+// Fetches a data file as text (gunzipping .gz content like an upload); `name` labels errors
+export const fetchText = async (url, name) => {
+  const res = await fetch(url);
+  if (!res.ok || isPage(res)) throw new Error(`${name}: not found (${res.ok ? 'got an HTML page' : `HTTP ${res.status}`})`);
+  return readTextFile(new File([await res.blob()], name));
+};
@@ -0,0 +1,31 @@
+// Promise wrapper around the parse worker (see workers/parseWorker.js). One worker serves every request;
+// `onProgress({ label, fraction })` receives its progress messages.
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (worker) return worker;
+  worker = new Worker(new URL('../workers/parseWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const job = pending.get(data.id);
+    if (!job) return;
+    if (data.type === 'progress') return job.onProgress?.({ label: data.label, fraction: data.fraction });
+    pending.delete(data.id);
+    if (data.type === 'done') job.resolve(data.result);
+    else job.reject(new Error(data.message));
+  };
+  worker.onerror = (event) => {
+    pending.forEach(job => job.reject(new Error(`Parser crashed: ${event.message || 'unknown error'}`)));
+    pending.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+export const parseInWorker = (kind, request, onProgress) => new Promise((resolve, reject) => {
+  const id = ++nextId;
+  pending.set(id, { resolve, reject, onProgress });
+  getWorker().postMessage({ id, kind, ...request });
+});
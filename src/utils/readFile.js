@@ -0,0 +1,14 @@
+// Reads an uploaded File as text, gunzipping it first when it starts with the gzip magic bytes (1f 8b)
+export const readTextFile = async (file) => {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  if (head[0] !== 0x1f || head[1] !== 0x8b) return file.text();
+  if (typeof DecompressionStream === 'undefined') throw new Error(`${file.name}: this browser cannot read gzip files; decompress it first`);
+  try {
+    return await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+  } catch {
+    throw new Error(`${file.name}: the gzip data is corrupt or truncated`);
+  }
+};
+
+// Folder-relative path when the browser gives one (directory uploads), otherwise the file name
+export const filePath = (file) => file.webkitRelativePath || file.name;
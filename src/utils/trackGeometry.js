@@ -0,0 +1,14 @@
+// Shared drawing helpers for the linear genome views
+export const TRACK_COLORS = { padloc: '#10b981', cas: '#f59e0b', crispr: '#ec4899', ISEScan: '#8b5cf6', digIS: '#06b6d4' };
+
+export const formatBp = (bp) => bp >= 1e6 ? `${(bp / 1e6).toFixed(2)} Mb` : bp >= 1e3 ? `${(bp / 1e3).toFixed(1)} kb` : `${Math.round(bp)} bp`;
+
+export const arrowPath = (x1, x2, y, h, strand) => {
+  const w = x2 - x1;
+  if (w < 6 || (strand !== '+' && strand !== '-')) return `M${x1},${y} h${Math.max(w, 1)} v${h} h${-Math.max(w, 1)} Z`;
+  const head = Math.min(8, w / 2);
+  return strand === '+'
+    ? `M${x1},${y} H${x2 - head} L${x2},${y + h / 2} L${x2 - head},${y + h} H${x1} Z`
+    : `M${x2},${y} H${x1 + head} L${x1},${y + h / 2} L${x1 + head},${y + h} H${x2} Z`;
+};
+
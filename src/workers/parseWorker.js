@@ -0,0 +1,60 @@
+// Parsing, normalisation and checksums off the main thread. Requests: { id, kind, ... }; replies are
+// { id, type: 'progress', label, fraction } while working, then { id, type: 'done', result } or { id, type: 'error', message }.
+import { parseCountFiles, parseAnnotationFile } from '../lib/formats.js';
+import { buildDataset } from '../lib/manifest.js';
+import { parseIdMap } from '../lib/tables.js';
+import { transferables } from '../lib/store.js';
+import { readTextFile } from '../utils/readFile.js';
+import { checksumFiles } from '../utils/checksum.js';
+
+const readAll = (files) => Promise.all(files.map(async (f) => ({ name: f.name, text: f.text ?? await readTextFile(f.file) })));
+
+const HANDLERS = {
+  // files: [{ name, file }] for one count table
+  counts: async ({ files }, onProgress) => {
+    onProgress({ label: 'Reading files' });
+    const texts = await readAll(files);
+    const result = parseCountFiles(texts, { onProgress });
+    return { ...result, checksums: await checksumFiles(texts) };
+  },
+  // files: [{ name, file }]; a bad file is reported and the others still load
+  annotations: async ({ files }, onProgress) => {
+    const parsed = [], errors = [];
+    for (const [i, f] of files.entries()) {
+      onProgress({ label: `Parsing ${f.name}`, fraction: i / files.length });
+      try {
+        const text = await readTextFile(f.file);
+        parsed.push({ name: f.name, text, ...parseAnnotationFile(text, f.name) });
+      } catch (err) { errors.push(err.message); }
+    }
+    const checksums = await checksumFiles(parsed);
+    return { parsed: parsed.map(({ name, gff, format }) => ({ name, gff, format })), errors, checksums };
+  },
+  // loaded: the fetched files of a manifest dataset ({ role, table, path, text }); checksums are keyed by table,
+  // plus `annotations` and `idMap`
+  dataset: async ({ dataset, loaded }, onProgress) => {
+    const result = buildDataset(dataset, loaded, { onProgress });
+    const sums = (files) => checksumFiles(files.map(f => ({ name: f.path, text: f.text })));
+    const checksums = { annotations: await sums(loaded.filter(f => f.role === 'annotation')) };
+    for (const table of Object.keys(result.fileData)) checksums[table] = await sums(loaded.filter(f => f.role === 'counts' && f.table === table));
+    if (result.idMap) checksums.idMap = await sums(loaded.filter(f => f.role === 'idMap'));
+    return { ...result, checksums };
+  },
+  // files: [{ name, file }] holding one ID-mapping table
+  idMap: async ({ files }) => {
+    const texts = await readAll(files);
+    return { ...parseIdMap(texts[0].text), checksums: await checksumFiles(texts) };
+  }
+};
+
+const transfer = (result) => [result.data, ...Object.values(result.fileData || {})].flatMap(transferables);
+
+self.onmessage = async ({ data: { id, kind, ...request } }) => {
+  const onProgress = ({ label, fraction }) => self.postMessage({ id, type: 'progress', label, fraction });
+  try {
+    const result = await HANDLERS[kind](request, onProgress);
+    self.postMessage({ id, type: 'done', result }, transfer(result));
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
@@ -1,8 +1,27 @@
+import { cpSync } from 'node:fs'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The dev server serves DATA/ from the project root; builds get a copy so public/datasets.json
+// resolves the same relative paths once deployed
+const copyData = () => {
+  let root, outDir
+  return {
+    name: 'copy-data',
+    apply: 'build',
+    configResolved(config) {
+      root = config.root
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    closeBundle() {
+      cpSync(path.join(root, 'DATA'), path.join(outDir, 'DATA'), { recursive: true, filter: (src) => !src.endsWith('.py') })
+    },
+  }
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), copyData()],
   base: '/Boldt-et-al-2023-reanalysis/',
-})
\ No newline at end of file
+})